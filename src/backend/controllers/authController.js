@@ -1,9 +1,94 @@
 const jiraAuthService = require('../services/jiraAuthService');
+const fieldDiscoveryService = require('../services/fieldDiscoveryService');
+const siteRegistryService = require('../services/siteRegistryService');
+const oauthStateService = require('../services/oauthStateService');
+const roleService = require('../services/roleService');
+
+// Cookie binding an OAuth sign-in to the browser that started it
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_STATE_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'lax', // Sent on the top-level redirect back from Atlassian
+  path: '/api/auth',
+};
+
+/**
+ * Set the session cookie
+ * @param {Object} res - Express response object
+ * @param {string} sessionId - Opaque session id (the session itself stays on the server)
+ */
+function setSessionCookie(res, sessionId) {
+  // Set the session id in an HTTP-only cookie for security
+  res.cookie('auth_token', sessionId, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: 24 * 60 * 60 * 1000, // 24 hours
+    sameSite: 'lax', // Changed to 'lax' to allow redirects from OAuth flow
+  });
+}
 
 /**
- * Controller for handling authentication requests with OAuth 2.0
+ * Load the user and add the connected Jira sites to the session
+ * @param {Object} res - Express response object
+ * @param {Object} oauthTokens - OAuth tokens ({ access_token, refresh_token, expires_in })
+ * @param {Array<Object>} sites - Connected sites ({ id, name, url, cloudId })
+ * @param {string} previousSessionId - Current session, merged into a new one and revoked so the session id changes on sign-in
+ * @returns {Promise<Object>} - { success, user, sites, message } where sites are every site of the session
+ */
+async function startSiteSession(res, oauthTokens, sites, previousSessionId = null) {
+  // Get user information from the first site
+  const userResult = await jiraAuthService.getUserInfo(oauthTokens.access_token, sites[0]);
+
+  if (!userResult.success) {
+    return { success: false, message: userResult.message };
+  }
+
+  // Add the OAuth tokens and sites to the session, keeping the token sites already connected
+  const { sessionId, session } = await jiraAuthService.mergeSession(previousSessionId, {
+    user: userResult.user,
+    oauthTokens,
+    sites,
+  });
+  setSessionCookie(res, sessionId);
+
+  // Discover custom fields in the background so the first data request doesn't wait for it
+  sites.forEach(site => fieldDiscoveryService.getFieldIds(jiraAuthService.toAuthContext(oauthTokens.access_token, site)));
+
+  return { success: true, user: session.user, sites: session.sites };
+}
+
+/**
+ * Controller for handling authentication requests with OAuth 2.0 or per-site tokens
  */
 const authController = {
+  /**
+   * List the ways users can sign in
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - { oauth, sites } where sites are the sites signed in to with a token
+   */
+  getLoginMethods(req, res) {
+    try {
+      const sites = siteRegistryService.getSites();
+
+      return res.status(200).json({
+        success: true,
+        oauth: sites.some(site => site.authMethod === 'oauth'),
+        sites: sites
+          .filter(site => siteRegistryService.usesTokenAuth(site))
+          .map(({ id, name, url, authMethod }) => ({ id, name, url, authMethod })),
+      });
+    } catch (error) {
+      console.error('Get login methods error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  },
+
   /**
    * Initiate OAuth login flow
    * @param {Object} req - Express request object
@@ -11,8 +96,21 @@ const authController = {
    */
   login(req, res) {
     try {
+      if (!siteRegistryService.getSites().some(site => site.authMethod === 'oauth')) {
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+        return res.redirect(`${frontendUrl}/login?error=${encodeURIComponent('No Jira site is configured for Atlassian sign-in')}`);
+      }
+
+
+      // Bind a signed, single-use state and the PKCE challenge to this browser
+      const signIn = oauthStateService.create();
+      res.cookie(OAUTH_STATE_COOKIE, signIn.browserKey, {
+        ...OAUTH_STATE_COOKIE_OPTIONS,
+        maxAge: oauthStateService.ttl,
+      });
+
       // Get the authorization URL
-      const authUrl = jiraAuthService.getAuthorizationUrl();
+      const authUrl = jiraAuthService.getAuthorizationUrl(signIn);
 
       // Redirect the user to Jira's authorization page
       return res.redirect(authUrl);
@@ -33,48 +131,67 @@ const authController = {
    * @returns {Object} - Authentication response
    */
   async handleCallback(req, res) {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+
     try {
-      const { code, error } = req.query;
+      const { code, error, state } = req.query;
 
-      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+      // The state is used up by this callback, whatever its outcome
+      const codeVerifier = oauthStateService.consume(state, req.cookies[OAUTH_STATE_COOKIE]);
+      res.clearCookie(OAUTH_STATE_COOKIE, OAUTH_STATE_COOKIE_OPTIONS);
 
       // Check for errors in the callback
       if (error) {
         return res.redirect(`${frontendUrl}/login?error=${encodeURIComponent(error)}`);
       }
 
+      // Reject forged, replayed or expired states and callbacks started in another browser
+      if (!codeVerifier) {
+        return res.redirect(`${frontendUrl}/login?error=${encodeURIComponent('Sign-in request expired or is invalid. Please try again.')}`);
+      }
+
       if (!code) {
         return res.redirect(`${frontendUrl}/login?error=No authorization code received`);
       }
 
       // Exchange the code for an access token
-      const tokenResult = await jiraAuthService.exchangeCodeForToken(code);
+      const tokenResult = await jiraAuthService.exchangeCodeForToken(code, codeVerifier);
 
       if (!tokenResult.success) {
         return res.redirect(`${frontendUrl}/login?error=${encodeURIComponent(tokenResult.message)}`);
       }
 
-      // Get user information using the access token
-      const userResult = await jiraAuthService.getUserInfo(tokenResult.access_token);
-
-      if (!userResult.success) {
-        return res.redirect(`${frontendUrl}/login?error=${encodeURIComponent(userResult.message)}`);
-      }
-
-      // Generate a session token that includes both user info and OAuth tokens
-      const sessionToken = jiraAuthService.generateToken(userResult.user, {
+      const oauthTokens = {
         access_token: tokenResult.access_token,
         refresh_token: tokenResult.refresh_token,
         expires_in: tokenResult.expires_in
-      });
+      };
 
-      // Set token in HTTP-only cookie for security
-      res.cookie('auth_token', sessionToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
-        sameSite: 'lax' // Changed to 'lax' to allow redirects from OAuth flow
-      });
+      // OAuth 2.0 (3LO) API calls are addressed by the cloud ID of a Jira site
+      const sitesResult = await jiraAuthService.getAccessibleSites(tokenResult.access_token);
+
+      if (!sitesResult.success) {
+        return res.redirect(`${frontendUrl}/login?error=${encodeURIComponent(sitesResult.message)}`);
+      }
+
+      const selection = jiraAuthService.connectSites(sitesResult.sites);
+
+      if (!selection.success) {
+        return res.redirect(`${frontendUrl}/login?error=${encodeURIComponent(selection.message)}`);
+      }
+
+      if (selection.selectionRequired) {
+        // Keep the tokens in the session without an OAuth site until the user picks one
+        const { sessionId } = await jiraAuthService.mergeSession(req.cookies.auth_token, { oauthTokens });
+        setSessionCookie(res, sessionId);
+        return res.redirect(`${frontendUrl}/select-site`);
+      }
+
+      const sessionResult = await startSiteSession(res, oauthTokens, selection.sites, req.cookies.auth_token);
+
+      if (!sessionResult.success) {
+        return res.redirect(`${frontendUrl}/login?error=${encodeURIComponent(sessionResult.message)}`);
+      }
 
       // Redirect to the dashboard
       return res.redirect(`${frontendUrl}/`);
@@ -85,20 +202,203 @@ const authController = {
   },
 
   /**
-   * Logout user by clearing auth cookie
+   * Sign in to an API token or personal access token site
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
-   * @returns {Object} - Logout response
+   * @returns {Object} - Connected sites and user
    */
-  logout(req, res) {
+  async tokenLogin(req, res) {
     try {
-      const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+      const { siteId, email, token } = req.body || {};
+      const site = siteId ? siteRegistryService.getSite(siteId) : null;
+
+      if (!site || !siteRegistryService.usesTokenAuth(site)) {
+        return res.status(404).json({
+          success: false,
+          message: 'Jira site not found or does not use token sign-in',
+        });
+      }
+
+      if (!token || (site.authMethod === 'apiToken' && !email)) {
+        return res.status(400).json({
+          success: false,
+          message: site.authMethod === 'apiToken' ? 'Email and API token are required' : 'Personal access token is required',
+        });
+      }
+
+      const result = await jiraAuthService.connectTokenSite(site, { email, token });
+
+      if (!result.success) {
+        return res.status(401).json({
+          success: false,
+          message: result.message,
+        });
+      }
 
-      // Clear auth cookie
+      // Add the site to the session, keeping the sites already connected
+      const credential = { email: site.authMethod === 'apiToken' ? email : null, token };
+      const { sessionId, session } = await jiraAuthService.mergeSession(req.cookies.auth_token, {
+        user: result.user,
+        sites: [result.site],
+        credentials: { [site.id]: credential },
+      });
+      setSessionCookie(res, sessionId);
+
+      // Discover custom fields in the background so the first data request doesn't wait for it
+      fieldDiscoveryService.getFieldIds(jiraAuthService.toAuthContext(token, result.site, credential.email));
+
+      return res.status(200).json({
+        success: true,
+        user: session.user,
+        role: roleService.getRole(session.user),
+        sites: session.sites,
+      });
+    } catch (error) {
+      console.error('Token login error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * List the Jira sites the current session can access
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Sites response
+   */
+  async getSites(req, res) {
+    try {
+      if (!req.oauth) {
+        return res.status(409).json({
+          success: false,
+          message: 'Site selection is only available when signed in with Atlassian',
+        });
+      }
+
+      const sitesResult = await jiraAuthService.getAccessibleSites(req.oauth.access_token);
+
+      if (!sitesResult.success) {
+        return res.status(502).json({
+          success: false,
+          message: sitesResult.message,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        sites: sitesResult.sites,
+        selected: req.sites.map(site => site.cloudId).filter(Boolean),
+      });
+    } catch (error) {
+      console.error('Get sites error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Select the Jira site for the current session
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Connected sites and user
+   */
+  async selectSite(req, res) {
+    try {
+      const { cloudId } = req.body || {};
+
+      if (!cloudId) {
+        return res.status(400).json({
+          success: false,
+          message: 'cloudId is required',
+        });
+      }
+
+      if (!req.oauth) {
+        return res.status(409).json({
+          success: false,
+          message: 'Site selection is only available when signed in with Atlassian',
+        });
+      }
+
+      // Registered sites are connected at login rather than chosen
+      if (siteRegistryService.isConfigured()) {
+        return res.status(409).json({
+          success: false,
+          message: 'Jira sites are configured by the site registry',
+        });
+      }
+
+      // Only sites the token can actually access may be selected
+      const sitesResult = await jiraAuthService.getAccessibleSites(req.oauth.access_token);
+
+      if (!sitesResult.success) {
+        return res.status(502).json({
+          success: false,
+          message: sitesResult.message,
+        });
+      }
+
+      const resource = sitesResult.sites.find(candidate => candidate.cloudId === cloudId);
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: 'Jira site not found or not accessible',
+        });
+      }
+
+      const expiresIn = Math.max(Math.round((req.oauth.expires_at - Date.now()) / 1000), 0);
+      const sessionResult = await startSiteSession(res, {
+        access_token: req.oauth.access_token,
+        refresh_token: req.oauth.refresh_token,
+        expires_in: expiresIn,
+      }, [jiraAuthService.toSessionSite(null, resource)], req.sessionId);
+
+      if (!sessionResult.success) {
+        return res.status(502).json({
+          success: false,
+          message: sessionResult.message,
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        user: sessionResult.user,
+        role: roleService.getRole(sessionResult.user),
+        sites: sessionResult.sites,
+      });
+    } catch (error) {
+      console.error('Select site error:', error);
+      return res.status(500).json({
+        success: false,
+        message: 'Internal server error',
+        error: error.message,
+      });
+    }
+  },
+
+  /**
+   * Logout user by revoking the session and clearing the session cookie
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @returns {Object} - Logout response
+   */
+  async logout(req, res) {
+    try {
+      // Revoke the session server-side, so a copied cookie stops working too
+      await jiraAuthService.destroySession(req.cookies.auth_token);
       res.clearCookie('auth_token');
 
-      // Redirect to login page
-      return res.redirect(`${frontendUrl}/login`);
+      return res.status(200).json({
+        success: true,
+        message: 'Logged out',
+      });
     } catch (error) {
       console.error('Logout error:', error);
       return res.status(500).json({
@@ -117,35 +417,25 @@ const authController = {
    */
   async refreshToken(req, res) {
     try {
-      const token = req.cookies.auth_token;
+      const sessionId = req.cookies.auth_token;
 
-      if (!token) {
+      if (!sessionId) {
         return res.status(401).json({
           success: false,
           message: 'No authentication token provided'
         });
       }
 
-      // Refresh the token if needed
-      const refreshResult = await jiraAuthService.refreshSessionToken(token);
+      // Refresh the session's OAuth tokens if needed; the session id stays the same
+      const refreshResult = await jiraAuthService.refreshSession(sessionId);
 
       if (refreshResult.success) {
-        // Only set a new cookie if the token was actually refreshed
-        if (refreshResult.refreshed) {
-          res.cookie('auth_token', refreshResult.token, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            maxAge: 24 * 60 * 60 * 1000, // 24 hours
-            sameSite: 'lax'
-          });
-        }
-
         return res.status(200).json({
           success: true,
           message: refreshResult.refreshed ? 'Token refreshed successfully' : 'Token is still valid'
         });
       } else {
-        // Clear invalid token
+        // Clear the cookie of a revoked or expired session
         res.clearCookie('auth_token');
 
         return res.status(401).json({
@@ -175,7 +465,9 @@ const authController = {
       if (req.user) {
         return res.status(200).json({
           success: true,
-          user: req.user
+          user: req.user,
+          role: req.role,
+          sites: req.sites,
         });
       } else {
         return res.status(401).json({
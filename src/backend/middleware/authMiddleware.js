@@ -1,64 +1,69 @@
 const jiraAuthService = require('../services/jiraAuthService');
+const roleService = require('../services/roleService');
 
 /**
- * Middleware to verify JWT token and attach user to request
- * Also handles token refresh if needed
+ * Attach a session to the request
  * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * @param {string} sessionId - Session id from the cookie
+ * @param {Object} session - Session data
+ */
+const attachSession = (req, sessionId, session) => {
+  req.sessionId = sessionId;
+  req.user = session.user;
+  // Roles are resolved on every request so configuration changes apply to existing sessions
+  req.role = roleService.getRole(session.user);
+  req.oauth = session.oauth;
+  req.sites = session.sites || [];
+  // One auth context per connected site; jiraAuth is the first (primary) site
+  req.jiraSites = jiraAuthService.getAuthContexts(session);
+  req.jiraAuth = req.jiraSites[0] || null;
+};
+
+/**
+ * Create middleware that loads the session named by the cookie and attaches it to the request
+ * Also handles OAuth token refresh if needed
+ * @param {Object} options - Options
+ * @param {boolean} options.requireSite - Reject sessions that have not selected a Jira site yet
+ * @returns {Function} - Express middleware
  */
-const authenticateToken = async (req, res, next) => {
+const createAuthenticator = ({ requireSite }) => async (req, res, next) => {
   try {
-    // Get token from cookie
-    const token = req.cookies.auth_token;
+    // The cookie only holds the opaque session id
+    const sessionId = req.cookies.auth_token;
 
-    if (!token) {
+    if (!sessionId) {
       return res.status(401).json({
         success: false,
         message: 'Authentication required'
       });
     }
 
-    // Verify token and refresh if needed
-    const refreshResult = await jiraAuthService.refreshSessionToken(token);
+    // Load the session and refresh its OAuth tokens if needed
+    const refreshResult = await jiraAuthService.refreshSession(sessionId);
 
     if (!refreshResult.success) {
-      // Clear invalid token
+      // Clear the cookie of a revoked or expired session
       res.clearCookie('auth_token');
 
       return res.status(401).json({
         success: false,
-        message: 'Invalid or expired token'
-      });
-    }
-
-    // Set new token in cookie if it was refreshed
-    if (refreshResult.refreshed) {
-      res.cookie('auth_token', refreshResult.token, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        maxAge: 24 * 60 * 60 * 1000, // 24 hours
-        sameSite: 'lax'
+        message: 'Invalid or expired session',
       });
     }
 
-    // Verify the token (either the original or the refreshed one)
-    const verificationResult = jiraAuthService.verifyToken(refreshResult.token);
-
-    if (verificationResult.valid) {
-      // Attach user data to request
-      req.user = verificationResult.decoded.user;
-      req.oauth = verificationResult.decoded.oauth;
-      next();
-    } else {
-      // This should not happen since we just refreshed the token
-      res.clearCookie('auth_token');
+    const { session } = refreshResult;
 
-      return res.status(401).json({
+    // Users with access to several sites have no site (or user) until they pick one
+    if (requireSite && !session.sites?.length) {
+      return res.status(403).json({
         success: false,
-        message: 'Invalid token after refresh'
+        message: 'Jira site selection required',
+        code: 'SITE_SELECTION_REQUIRED',
       });
     }
+
+    attachSession(req, sessionId, session);
+    next();
   } catch (error) {
     console.error('Authentication middleware error:', error);
     return res.status(500).json({
@@ -69,6 +74,17 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to load the session and attach the user to the request
+ * Requires a session with a selected Jira site.
+ */
+const authenticateToken = createAuthenticator({ requireSite: true });
+
+/**
+ * Middleware to load sessions that may still have to select a Jira site
+ */
+const authenticateSession = createAuthenticator({ requireSite: false });
+
 /**
  * Optional authentication middleware that doesn't block requests
  * Also handles token refresh if needed
@@ -78,41 +94,16 @@ const authenticateToken = async (req, res, next) => {
  */
 const optionalAuthentication = async (req, res, next) => {
   try {
-    // Get token from cookie
-    const token = req.cookies.auth_token;
-
-    if (token) {
-      // Try to refresh the token if needed
-      try {
-        const refreshResult = await jiraAuthService.refreshSessionToken(token);
-
-        if (refreshResult.success) {
-          // Set new token in cookie if it was refreshed
-          if (refreshResult.refreshed) {
-            res.cookie('auth_token', refreshResult.token, {
-              httpOnly: true,
-              secure: process.env.NODE_ENV === 'production',
-              maxAge: 24 * 60 * 60 * 1000, // 24 hours
-              sameSite: 'lax'
-            });
-          }
-
-          // Verify the token
-          const verificationResult = jiraAuthService.verifyToken(refreshResult.token);
-
-          if (verificationResult.valid) {
-            // Attach user data to request
-            req.user = verificationResult.decoded.user;
-            req.oauth = verificationResult.decoded.oauth;
-          }
-        } else {
-          // Clear invalid token
-          res.clearCookie('auth_token');
-        }
-      } catch (err) {
-        // Clear token on error
+    const sessionId = req.cookies.auth_token;
+
+    if (sessionId) {
+      const refreshResult = await jiraAuthService.refreshSession(sessionId);
+
+      if (!refreshResult.success) {
+        // Clear the cookie of a revoked or expired session
         res.clearCookie('auth_token');
-        console.error('Token refresh error in optional auth:', err);
+      } else if (refreshResult.session.sites?.length) {
+        attachSession(req, sessionId, refreshResult.session);
       }
     }
 
@@ -127,5 +118,6 @@ const optionalAuthentication = async (req, res, next) => {
 
 module.exports = {
   authenticateToken,
+  authenticateSession,
   optionalAuthentication
 };
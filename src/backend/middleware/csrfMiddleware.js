@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { safeEqual } = require('../utils/securityUtils');
+
+// Double-submit cookie: readable by the frontend, which echoes it in the header
+const CSRF_COOKIE = 'csrf_token';
+const CSRF_HEADER = 'x-csrf-token';
+
+// Methods that must not change state, so they need no token
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Get the origins allowed to make state-changing requests
+ * @param {Object} req - Express request object
+ * @returns {Array<string>} - Allowed origins
+ */
+const getAllowedOrigins = req => [
+  process.env.FRONTEND_URL || 'http://localhost:5173',
+  process.env.BACKEND_URL,
+  `${req.protocol}://${req.get('host')}`,
+].filter(Boolean).map(origin => origin.replace(/\/+$/, ''));
+
+/**
+ * Get the origin a request was sent from
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Origin from the Origin or Referer header, or null if neither is sent
+ */
+const getRequestOrigin = req => {
+  const origin = req.get('origin');
+  if (origin) return origin;
+
+  const referer = req.get('referer');
+  if (!referer) return null;
+
+  try {
+    return new URL(referer).origin;
+  } catch (error) {
+    return 'invalid';
+  }
+};
+
+/**
+ * Set the CSRF cookie if the browser doesn't have one yet
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const issueCsrfToken = (req, res) => {
+  if (req.cookies[CSRF_COOKIE]) return;
+
+  res.cookie(CSRF_COOKIE, crypto.randomBytes(32).toString('base64url'), {
+    httpOnly: false, // The frontend has to read it
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+  });
+};
+
+/**
+ * Middleware that rejects requests without a valid CSRF token
+ * The X-CSRF-Token header must match the CSRF cookie, which other sites can neither read
+ * nor set, and browsers must report a same-site Origin (or Referer) when they send one.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireCsrfToken = (req, res, next) => {
+  const origin = getRequestOrigin(req);
+  const cookieToken = req.cookies[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  const sameOrigin = !origin || getAllowedOrigins(req).includes(origin);
+  const validToken = Boolean(cookieToken && headerToken) && safeEqual(cookieToken, headerToken);
+
+  if (!sameOrigin || !validToken) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token',
+      code: 'CSRF_INVALID',
+    });
+  }
+
+  next();
+};
+
+/**
+ * CSRF protection for the whole API
+ * Issues the CSRF cookie and requires the token on every state-changing method.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const csrfProtection = (req, res, next) => {
+  issueCsrfToken(req, res);
+
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  return requireCsrfToken(req, res, next);
+};
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  csrfProtection,
+  requireCsrfToken,
+};
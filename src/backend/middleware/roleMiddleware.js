@@ -0,0 +1,29 @@
+const roleService = require('../services/roleService');
+
+/**
+ * Create middleware that only lets users with at least the given role through
+ * Must run after an authentication middleware, which sets req.role.
+ * @param {string} requiredRole - Least privileged role allowed (viewer, editor or admin)
+ * @returns {Function} - Express middleware
+ */
+const requireRole = requiredRole => {
+  if (!roleService.ROLES.includes(requiredRole)) {
+    throw new Error(`Unknown role "${requiredRole}"`);
+  }
+
+  return (req, res, next) => {
+    if (!req.role || !roleService.hasRole(req.role, requiredRole)) {
+      return res.status(403).json({
+        success: false,
+        message: `This action requires the ${requiredRole} role`,
+        code: 'INSUFFICIENT_ROLE',
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  requireRole,
+};
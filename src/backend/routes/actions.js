@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const actionService = require('../services/actionService');
+const { asyncHandler } = require('../utils/errorHandler');
+const { parseListParam } = require('../utils/queryUtils');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/actions
+ * @desc    List meeting action items, soonest due first
+ *          Query: owners (accountIds), meetings, statuses, targetType, targetIds
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: actionService.list({
+      owners: parseListParam(req.query.owners),
+      meetings: parseListParam(req.query.meetings),
+      statuses: parseListParam(req.query.statuses),
+      targetType: req.query.targetType,
+      targetIds: parseListParam(req.query.targetIds),
+    }),
+  });
+}));
+
+/**
+ * @route   POST /api/actions
+ * @desc    Create an action item
+ *          Body: title, description, meeting, target ({ type, id, name, siteId }), owner ({ accountId, name }),
+ *          dueDate (YYYY-MM-DD), status
+ * @access  Editor
+ */
+router.post('/', requireRole('editor'), asyncHandler(async (req, res) => {
+  const action = await actionService.create(req.body, req.user);
+
+  res.status(201).json({
+    success: true,
+    data: action,
+  });
+}));
+
+/**
+ * @route   PATCH /api/actions/:actionId
+ * @desc    Change the given fields of an action item (e.g. its status)
+ * @access  Editor
+ */
+router.patch('/:actionId', requireRole('editor'), asyncHandler(async (req, res) => {
+  const action = await actionService.update(req.params.actionId, req.body);
+
+  res.json({
+    success: true,
+    data: action,
+  });
+}));
+
+/**
+ * @route   DELETE /api/actions/:actionId
+ * @desc    Delete an action item
+ * @access  Editor
+ */
+router.delete('/:actionId', requireRole('editor'), asyncHandler(async (req, res) => {
+  await actionService.delete(req.params.actionId);
+
+  res.json({
+    success: true,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const siteRegistryService = require('../services/siteRegistryService');
+const severityMappingService = require('../services/severityMappingService');
+const fieldDiscoveryService = require('../services/fieldDiscoveryService');
+const roleService = require('../services/roleService');
+const presentationService = require('../services/presentationService');
+const jiraApiService = require('../services/jiraApiService');
+const syncService = require('../services/syncService');
+const dataStoreService = require('../services/dataStoreService');
+const { asyncHandler } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Every administration route requires the admin role
+router.use(authenticateToken, requireRole('admin'));
+
+/**
+ * Get the effective application configuration (no secrets)
+ * @returns {Object} - Configuration
+ */
+function getConfig() {
+  return {
+    sites: siteRegistryService.getSites(),
+    severityMapping: severityMappingService.getMapping(),
+    roles: roleService.getConfig(),
+    decks: presentationService.getConfig(),
+    cacheTtl: jiraApiService.defaultCacheTTL,
+    refreshInterval: syncService.interval,
+  };
+}
+
+/**
+ * @route   GET /api/admin/config
+ * @desc    Get the effective site registry, severity mapping, role assignments, presentation decks, cache TTL
+ *          and refresh interval
+ * @access  Admin
+ */
+router.get('/config', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: getConfig(),
+  });
+}));
+
+/**
+ * @route   POST /api/admin/config/reload
+ * @desc    Reload the site registry, severity mapping, role assignments and presentation decks from their files
+ *          or environment variables, and rediscover custom fields
+ * @access  Admin
+ */
+router.post('/config/reload', asyncHandler(async (req, res) => {
+  siteRegistryService.setSites(null);
+  severityMappingService.setMapping(null);
+  roleService.setConfig(null);
+  presentationService.setConfig(null);
+  fieldDiscoveryService.reset();
+
+  // Load everything now so configuration errors are reported to the admin
+  res.json({
+    success: true,
+    data: getConfig(),
+  });
+}));
+
+/**
+ * @route   GET /api/admin/store
+ * @desc    Get the number of stored projects, epics, issues and bugs, and the daily snapshots
+ * @access  Admin
+ */
+router.get('/store', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await dataStoreService.getStats(),
+  });
+}));
+
+module.exports = router;
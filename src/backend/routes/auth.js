@@ -1,7 +1,15 @@
 const express = require('express');
+const querystring = require('querystring');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/authMiddleware');
+const { authenticateToken, authenticateSession } = require('../middleware/authMiddleware');
+
+/**
+ * @route   GET /api/auth/methods
+ * @desc    List the sign-in methods (OAuth and the sites that use API or personal access tokens)
+ * @access  Public
+ */
+router.get('/methods', authController.getLoginMethods);
 
 /**
  * @route   GET /api/auth/login
@@ -18,11 +26,18 @@ router.get('/login', authController.login);
 router.get('/callback', authController.handleCallback);
 
 /**
- * @route   GET /api/auth/logout
- * @desc    Logout user
+ * @route   POST /api/auth/token
+ * @desc    Sign in to a site with an API token (Cloud) or personal access token (Data Center)
+ * @access  Public
+ */
+router.post('/token', authController.tokenLogin);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Logout user and revoke the session
  * @access  Public
  */
-router.get('/logout', authController.logout);
+router.post('/logout', authController.logout);
 
 /**
  * @route   POST /api/auth/refresh
@@ -38,14 +53,28 @@ router.post('/refresh', authController.refreshToken);
  */
 router.get('/user', authenticateToken, authController.getCurrentUser);
 
+/**
+ * @route   GET /api/auth/sites
+ * @desc    List the Jira sites the signed-in account can access
+ * @access  Private (site selection not required)
+ */
+router.get('/sites', authenticateSession, authController.getSites);
+
+/**
+ * @route   POST /api/auth/site
+ * @desc    Select the Jira site for the session
+ * @access  Private (site selection not required)
+ */
+router.post('/site', authenticateSession, authController.selectSite);
+
 /**
  * @route   GET /api/auth/mock-oauth
  * @desc    Mock OAuth 2.0 flow for development/testing
  * @access  Public
  */
 router.get('/mock-oauth', (req, res) => {
-  // Get the redirect URI from the query parameters
-  const redirectUri = req.query.redirect_uri;
+  // Get the redirect URI and the state to hand back from the query parameters
+  const { redirect_uri: redirectUri, state } = req.query;
 
   if (!redirectUri) {
     return res.status(400).json({ error: 'Missing redirect_uri parameter' });
@@ -55,7 +84,7 @@ router.get('/mock-oauth', (req, res) => {
   const mockCode = 'mock_auth_code_' + Date.now();
 
   // Redirect back to the callback URL with the mock code
-  res.redirect(`${redirectUri}?code=${mockCode}`);
+  res.redirect(`${redirectUri}?${querystring.stringify({ code: mockCode, state })}`);
 });
 
 module.exports = router;
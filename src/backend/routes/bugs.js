@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const bugReportService = require('../services/bugReportService');
+const bugHistoryService = require('../services/bugHistoryService');
+const severityMappingService = require('../services/severityMappingService');
+const { asyncHandler, badRequest } = require('../utils/errorHandler');
+const { parseBugFilters, getRequestedProjects } = require('../utils/queryUtils');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * Load bugs for the requested projects and apply the common bug filters
+ * Query: projects, sites, severities, priorities, assignees
+ * @param {Object} req - Express request object
+ * @returns {Promise<Object>} - { bugs, filters, errors, fallback }
+ */
+async function loadFilteredBugs(req) {
+  const filters = parseBugFilters(req.query);
+
+  if (filters.projects.length === 0) {
+    throw badRequest('No projects requested and no Jira projects are configured');
+  }
+
+  const { bugs, errors, fallback } = await bugReportService.getBugs(req.jiraSites, filters.projects);
+
+  return {
+    bugs: bugReportService.filterBugs(bugs, filters),
+    filters,
+    errors,
+    fallback,
+  };
+}
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string} value - Raw query parameter value
+ * @param {number} defaultValue - Value to use when missing or invalid
+ * @param {number} max - Maximum allowed value
+ * @returns {number} - Parsed value
+ */
+function parsePositiveInt(value, defaultValue, max) {
+  const parsed = parseInt(value, 10);
+  if (Number.isNaN(parsed) || parsed <= 0) return defaultValue;
+  return Math.min(parsed, max);
+}
+
+/**
+ * @route   GET /api/bugs
+ * @desc    Get all bugs across projects matching the filters
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { bugs, filters, errors, fallback } = await loadFilteredBugs(req);
+
+  res.json({
+    success: true,
+    data: {
+      bugs,
+      total: bugs.length,
+      filters,
+      errors,
+      fallback,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/bugs/severity
+ * @desc    Get bug counts by severity across projects (?status=all to include resolved bugs)
+ * @access  Private
+ */
+router.get('/severity', asyncHandler(async (req, res) => {
+  const { bugs, filters, errors, fallback } = await loadFilteredBugs(req);
+  const distribution = bugReportService.getSeverityDistribution(bugs, {
+    openOnly: req.query.status !== 'all',
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...distribution,
+      filters,
+      errors,
+      fallback,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/bugs/trends
+ * @desc    Get created/resolved/open bug counts per week or month with previous-period comparison
+ *          Query: interval (week|month), periods
+ * @access  Private
+ */
+router.get('/trends', asyncHandler(async (req, res) => {
+  const { bugs, filters, errors, fallback } = await loadFilteredBugs(req);
+  const interval = req.query.interval === 'month' ? 'month' : 'week';
+  const trends = bugReportService.getTrends(bugs, {
+    interval,
+    periods: parsePositiveInt(req.query.periods, interval === 'month' ? 6 : 12, 52),
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...trends,
+      filters,
+      errors,
+      fallback,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/bugs/history
+ * @desc    Get the number of open bugs on each day of the last N months, reconstructed from
+ *          status changelogs, in total, per severity and per project (?months=6, at most 24)
+ * @access  Private
+ */
+router.get('/history', asyncHandler(async (req, res) => {
+  const [{ bugs, filters, errors, fallback }, statusCategories] = await Promise.all([
+    loadFilteredBugs(req),
+    bugHistoryService.getStatusCategories(req.jiraSites),
+  ]);
+  const history = bugHistoryService.getOpenBugHistory(bugs, {
+    months: parsePositiveInt(req.query.months, 6, 24),
+    statusCategories,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...history,
+      filters,
+      errors,
+      fallback,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/bugs/recent
+ * @desc    Get bugs created in the last N days, flagging new critical bugs (?days=7)
+ * @access  Private
+ */
+router.get('/recent', asyncHandler(async (req, res) => {
+  const { bugs, filters, errors, fallback } = await loadFilteredBugs(req);
+  const recent = bugReportService.getRecentBugs(bugs, {
+    days: parsePositiveInt(req.query.days, 7, 365),
+  });
+
+  res.json({
+    success: true,
+    data: {
+      ...recent,
+      filters,
+      errors,
+      fallback,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+}));
+
+/**
+ * @route   GET /api/bugs/severity-mapping
+ * @desc    Get the severity levels and the effective severity rules per project
+ * @access  Private
+ */
+router.get('/severity-mapping', asyncHandler(async (req, res) => {
+  const projects = getRequestedProjects(req.query);
+
+  res.json({
+    success: true,
+    data: {
+      levels: severityMappingService.getLevels(),
+      default: severityMappingService.getEffectiveMapping(null),
+      projects: projects.map(projectKey => severityMappingService.getEffectiveMapping(projectKey)),
+    },
+  });
+}));
+
+module.exports = router;
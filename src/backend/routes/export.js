@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const reportExportService = require('../services/reportExportService');
+const pptxExportService = require('../services/pptxExportService');
+const pdfExportService = require('../services/pdfExportService');
+const tableExportService = require('../services/tableExportService');
+const roadmapService = require('../services/roadmapService');
+const bugReportService = require('../services/bugReportService');
+const { asyncHandler, badRequest } = require('../utils/errorHandler');
+const {
+  parseListParam,
+  parseRoadmapOptions,
+  parseBugFilters,
+  parseBugTableOptions,
+} = require('../utils/queryUtils');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * Parse the file format and columns of a table export
+ * @param {Object} req - Express request object
+ * @param {string} table - 'epics' or 'bugs'
+ * @returns {Object} - { format, columns }
+ */
+function parseTableRequest(req, table) {
+  return {
+    format: tableExportService.validateFormat(req.query.format || undefined),
+    columns: tableExportService.resolveColumns(table, parseListParam(req.query.columns)),
+  };
+}
+
+/**
+ * Stream a table export as the response
+ * @param {Object} res - Express response object
+ * @param {string} table - 'epics' or 'bugs'
+ * @param {Object} request - { format, columns } from parseTableRequest
+ * @param {Array<Object>} rows - Epics or bugs
+ * @returns {Promise<void>} - Resolves once the file is sent
+ */
+async function sendTable(res, table, { format, columns }, rows) {
+  res.set({
+    'Content-Type': tableExportService.getContentType(format),
+    'Content-Disposition': `attachment; filename="${tableExportService.getFileName(table, format)}"`,
+  });
+  await tableExportService.write(res, {
+    format,
+    columns,
+    rows,
+    sheetName: table === 'epics' ? 'Epics' : 'Bugs',
+  });
+}
+
+/**
+ * @route   POST /api/export/pptx
+ * @desc    Export report sections as a PowerPoint presentation
+ *          Body: sections (roadmap, epics, severity, trend, criticalBugs), filters ({ roadmap, bugs }
+ *          named as in the roadmap and bug APIs), interval (week|month), title, timeZone
+ * @access  Private
+ */
+router.post('/pptx', asyncHandler(async (req, res) => {
+  const { sections, filters, interval, title, timeZone } = req.body || {};
+  const report = await reportExportService.getReportData(req.jiraSites, { sections, filters, interval, timeZone });
+  const file = await pptxExportService.render(report, { title: title || undefined });
+
+  res.set({
+    'Content-Type': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'Content-Disposition': `attachment; filename="${reportExportService.getFileName(report, 'pptx')}"`,
+    'Content-Length': file.length,
+  });
+  res.send(file);
+}));
+
+/**
+ * @route   POST /api/export/pdf
+ * @desc    Export report sections as a PDF document with a cover page, contents and page numbers
+ *          Body: as for /pptx, plus pageSize (A4|Letter, default A4)
+ * @access  Private
+ */
+router.post('/pdf', asyncHandler(async (req, res) => {
+  const { sections, filters, interval, title, timeZone, pageSize } = req.body || {};
+  const size = pdfExportService.validatePageSize(pageSize || undefined);
+  const report = await reportExportService.getReportData(req.jiraSites, { sections, filters, interval, timeZone });
+  const file = await pdfExportService.render(report, { title: title || undefined, pageSize: size });
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${reportExportService.getFileName(report, 'pdf')}"`,
+    'Content-Length': file.length,
+  });
+  res.send(file);
+}));
+
+/**
+ * @route   GET /api/export/columns
+ * @desc    List the columns of the epic and bug table exports
+ * @access  Private
+ */
+router.get('/columns', (req, res) => {
+  res.json({
+    success: true,
+    data: tableExportService.getColumns(),
+  });
+});
+
+/**
+ * @route   GET /api/export/epics
+ * @desc    Export the epic list as CSV or Excel, filtered and sorted as by GET /api/roadmap
+ *          Query: format (csv|xlsx), columns, and the roadmap filters and sort
+ * @access  Private
+ */
+router.get('/epics', asyncHandler(async (req, res) => {
+  const request = parseTableRequest(req, 'epics');
+  const options = parseRoadmapOptions(req.query);
+
+  if (options.projects.length === 0) {
+    throw badRequest('No projects requested and no Jira projects are configured');
+  }
+  if (options.sort.field && !roadmapService.SORT_FIELDS.includes(options.sort.field)) {
+    throw badRequest(`Invalid sort field "${options.sort.field}". Valid fields: ${roadmapService.SORT_FIELDS.join(', ')}`);
+  }
+
+  const { epics } = await roadmapService.getRoadmap(req.jiraSites, options);
+  await sendTable(res, 'epics', request, epics);
+}));
+
+/**
+ * @route   GET /api/export/bugs
+ * @desc    Export the bug list as CSV or Excel, filtered and sorted as in the bug table
+ *          Query: format (csv|xlsx), columns, the bug filters, status (all|open|status category),
+ *          search, sort and order
+ * @access  Private
+ */
+router.get('/bugs', asyncHandler(async (req, res) => {
+  const request = parseTableRequest(req, 'bugs');
+  const filters = parseBugFilters(req.query);
+  const { statusCategory, search, sort } = parseBugTableOptions(req.query);
+
+  if (filters.projects.length === 0) {
+    throw badRequest('No projects requested and no Jira projects are configured');
+  }
+  if (sort.field && !bugReportService.SORT_FIELDS.includes(sort.field)) {
+    throw badRequest(`Invalid sort field "${sort.field}". Valid fields: ${bugReportService.SORT_FIELDS.join(', ')}`);
+  }
+
+  const { bugs } = await bugReportService.getBugs(req.jiraSites, filters.projects);
+  const rows = bugReportService.sortBugs(
+    bugReportService.searchBugs(bugReportService.filterBugs(bugs, filters), { statusCategory, search }),
+    sort,
+  );
+  await sendTable(res, 'bugs', request, rows);
+}));
+
+module.exports = router;
@@ -1,23 +1,61 @@
 const express = require('express');
 const router = express.Router();
 const jiraDataService = require('../services/jiraDataService');
+const sprintReportService = require('../services/sprintReportService');
+const fieldDiscoveryService = require('../services/fieldDiscoveryService');
+const severityMappingService = require('../services/severityMappingService');
+const siteRegistryService = require('../services/siteRegistryService');
 const { transformProject, transformIssue, transformEpic, transformBug } = require('../utils/jiraTransformer');
 const { asyncHandler } = require('../utils/errorHandler');
+const { parseListParam } = require('../utils/queryUtils');
 const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
 
 // Apply authentication middleware to all routes
 router.use(authenticateToken);
 
+const SPRINT_STATES = ['active', 'future', 'closed'];
+
+/**
+ * Get the auth context of the Jira site a request targets
+ * Every route accepts ?site=<siteId>. Without it, the registered site listing the
+ * project is used, then the session's primary site.
+ * @param {Object} req - Express request object
+ * @param {string} projectKey - Project key (or an issue key) the request is about
+ * @returns {Object} - Jira auth context
+ */
+function getSiteAuth(req, projectKey = null) {
+  const connected = siteId => req.jiraSites.find(auth => auth.siteId === siteId);
+
+  if (req.query.site) {
+    const auth = connected(req.query.site);
+    if (!auth) {
+      const error = new Error(`Not connected to Jira site ${req.query.site}`);
+      error.statusCode = 404;
+      throw error;
+    }
+    return auth;
+  }
+
+  if (projectKey) {
+    const [ref] = siteRegistryService.resolveProjects([projectKey.split('-')[0]]);
+    if (ref && connected(ref.siteId)) return connected(ref.siteId);
+  }
+
+  return req.jiraAuth;
+}
+
 /**
  * @route   GET /api/jira/projects
  * @desc    Get all accessible Jira projects
  * @access  Private
  */
 router.get('/projects', asyncHandler(async (req, res) => {
-  const projects = await jiraDataService.getProjects(req.oauth.access_token);
+  const auth = getSiteAuth(req);
+  const projects = await jiraDataService.getProjects(auth);
   
   // Transform projects to standardized format
-  const transformedProjects = projects.map(transformProject);
+  const transformedProjects = projects.map(project => transformProject(project, { siteUrl: auth.siteUrl }));
   
   res.json({
     success: true,
@@ -32,10 +70,11 @@ router.get('/projects', asyncHandler(async (req, res) => {
  */
 router.get('/projects/:projectKey', asyncHandler(async (req, res) => {
   const { projectKey } = req.params;
-  const project = await jiraDataService.getProject(projectKey, req.oauth.access_token);
+  const auth = getSiteAuth(req, projectKey);
+  const project = await jiraDataService.getProject(projectKey, auth);
   
   // Transform project to standardized format
-  const transformedProject = transformProject(project);
+  const transformedProject = transformProject(project, { siteUrl: auth.siteUrl });
   
   res.json({
     success: true,
@@ -45,15 +84,29 @@ router.get('/projects/:projectKey', asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/jira/projects/:projectKey/epics
- * @desc    Get all epics for a Jira project
+ * @desc    Get all epics for a Jira project with progress from their child issues
+ *          (?weighting=storyPoints to weight progress by story points)
  * @access  Private
  */
 router.get('/projects/:projectKey/epics', asyncHandler(async (req, res) => {
   const { projectKey } = req.params;
-  const epics = await jiraDataService.getEpics(projectKey, req.oauth.access_token);
+  const weighting = req.query.weighting || process.env.EPIC_PROGRESS_WEIGHTING || 'count';
+  const auth = getSiteAuth(req, projectKey);
+  const epics = await jiraDataService.getEpics(projectKey, auth);
+  
+  // Fetch child issues for all epics at once to calculate progress
+  const issuesByEpic = await jiraDataService.getIssuesForEpics(
+    epics.map(epic => epic.key),
+    auth,
+  );
   
   // Transform epics to standardized format
-  const transformedEpics = epics.map(transformEpic);
+  const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
+  const transformedEpics = epics.map(epic => transformEpic(epic, issuesByEpic[epic.key], {
+    weightByStoryPoints: weighting === 'storyPoints',
+    fieldIds,
+    siteUrl: auth.siteUrl,
+  }));
   
   res.json({
     success: true,
@@ -61,6 +114,42 @@ router.get('/projects/:projectKey/epics', asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * @route   GET /api/jira/projects/:projectKey/sprints
+ * @desc    Get active, future and recent closed sprints with committed vs. completed work,
+ *          burndown and velocity (?state=active,closed&closed=5)
+ * @access  Private
+ */
+router.get('/projects/:projectKey/sprints', asyncHandler(async (req, res) => {
+  const { projectKey } = req.params;
+  const states = parseListParam(req.query.state).map(state => state.toLowerCase());
+  const invalidStates = states.filter(state => !SPRINT_STATES.includes(state));
+
+  if (invalidStates.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid sprint state: ${invalidStates.join(', ')}. Use ${SPRINT_STATES.join(', ')}`,
+      },
+    });
+  }
+
+  const closedLimit = Math.min(parseInt(req.query.closed, 10) || 5, 20);
+  const report = await sprintReportService.getProjectSprints(projectKey, getSiteAuth(req, projectKey), {
+    states: states.length > 0 ? states : SPRINT_STATES,
+    closedLimit,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      projectKey,
+      ...report,
+      lastUpdated: new Date().toISOString(),
+    },
+  });
+}));
+
 /**
  * @route   GET /api/jira/epics/:epicKey/issues
  * @desc    Get all issues for a Jira epic
@@ -68,10 +157,12 @@ router.get('/projects/:projectKey/epics', asyncHandler(async (req, res) => {
  */
 router.get('/epics/:epicKey/issues', asyncHandler(async (req, res) => {
   const { epicKey } = req.params;
-  const issues = await jiraDataService.getIssuesForEpic(epicKey, req.oauth.access_token);
+  const auth = getSiteAuth(req, epicKey);
+  const issues = await jiraDataService.getIssuesForEpic(epicKey, auth);
+  const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
   
   // Transform issues to standardized format
-  const transformedIssues = issues.map(transformIssue);
+  const transformedIssues = issues.map(issue => transformIssue(issue, { fieldIds, siteUrl: auth.siteUrl }));
   
   res.json({
     success: true,
@@ -86,10 +177,13 @@ router.get('/epics/:epicKey/issues', asyncHandler(async (req, res) => {
  */
 router.get('/projects/:projectKey/bugs', asyncHandler(async (req, res) => {
   const { projectKey } = req.params;
-  const bugs = await jiraDataService.getBugs(projectKey, req.oauth.access_token);
+  const auth = getSiteAuth(req, projectKey);
+  const bugs = await jiraDataService.getBugs(projectKey, auth);
+  const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
+  const severityMapping = severityMappingService.getMapping();
   
   // Transform bugs to standardized format
-  const transformedBugs = bugs.map(transformBug);
+  const transformedBugs = bugs.map(bug => transformBug(bug, { fieldIds, severityMapping, siteUrl: auth.siteUrl }));
   
   res.json({
     success: true,
@@ -104,10 +198,12 @@ router.get('/projects/:projectKey/bugs', asyncHandler(async (req, res) => {
  */
 router.get('/issues/:issueKey', asyncHandler(async (req, res) => {
   const { issueKey } = req.params;
-  const issue = await jiraDataService.getIssue(issueKey, req.oauth.access_token);
+  const auth = getSiteAuth(req, issueKey);
+  const issue = await jiraDataService.getIssue(issueKey, auth);
+  const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
   
   // Transform issue to standardized format
-  const transformedIssue = transformIssue(issue);
+  const transformedIssue = transformIssue(issue, { fieldIds, siteUrl: auth.siteUrl });
   
   res.json({
     success: true,
@@ -132,16 +228,18 @@ router.get('/search', asyncHandler(async (req, res) => {
     });
   }
   
+  const auth = getSiteAuth(req);
   const searchResults = await jiraDataService.searchIssues(
     jql,
-    req.oauth.access_token,
+    auth,
     true,
     parseInt(startAt, 10) || 0,
     parseInt(maxResults, 10) || 50
   );
+  const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
   
   // Transform issues to standardized format
-  const transformedIssues = searchResults.issues.map(transformIssue);
+  const transformedIssues = searchResults.issues.map(issue => transformIssue(issue, { fieldIds, siteUrl: auth.siteUrl }));
   
   res.json({
     success: true,
@@ -149,18 +247,19 @@ router.get('/search', asyncHandler(async (req, res) => {
       issues: transformedIssues,
       total: searchResults.total,
       startAt: searchResults.startAt,
-      maxResults: searchResults.maxResults
+      maxResults: searchResults.maxResults,
+      truncated: searchResults.truncated,
     }
   });
 }));
 
 /**
- * @route   GET /api/jira/cache/clear
- * @desc    Clear Jira API cache
- * @access  Private
+ * @route   POST /api/jira/cache/clear
+ * @desc    Clear Jira API cache (body: { pattern } to clear matching entries only)
+ * @access  Admin
  */
-router.get('/cache/clear', asyncHandler(async (req, res) => {
-  const { pattern } = req.query;
+router.post('/cache/clear', requireRole('admin'), asyncHandler(async (req, res) => {
+  const { pattern } = req.body || {};
   
   if (pattern) {
     // Clear cache by pattern
@@ -171,8 +270,9 @@ router.get('/cache/clear', asyncHandler(async (req, res) => {
       message: `Cleared ${clearedCount} cache entries matching "${pattern}"`
     });
   } else {
-    // Clear all Jira API cache
+    // Clear all Jira API cache and rediscover custom fields on the next request
     require('../services/jiraApiService').clearAllCache();
+    fieldDiscoveryService.reset();
     
     res.json({
       success: true,
@@ -183,10 +283,10 @@ router.get('/cache/clear', asyncHandler(async (req, res) => {
 
 /**
  * @route   GET /api/jira/cache/stats
- * @desc    Get Jira API cache statistics
- * @access  Private
+ * @desc    Get Jira API cache statistics (lists every cache key, including other users' queries)
+ * @access  Admin
  */
-router.get('/cache/stats', asyncHandler(async (req, res) => {
+router.get('/cache/stats', requireRole('admin'), asyncHandler(async (req, res) => {
   const stats = require('../services/cacheService').getStats();
   
   res.json({
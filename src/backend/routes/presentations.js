@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const presentationService = require('../services/presentationService');
+const { asyncHandler } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/presentations/decks
+ * @desc    List the configured presentation decks
+ * @access  Private
+ */
+router.get('/decks', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: presentationService.getDecks(),
+  });
+}));
+
+/**
+ * @route   POST /api/presentations/decks/:deckId/start
+ * @desc    Start a presentation of a deck; its data is loaded once and stays the same until it expires
+ *          Body: timeZone
+ * @access  Private
+ */
+router.post('/decks/:deckId/start', asyncHandler(async (req, res) => {
+  const presentation = await presentationService.startPresentation(req.jiraSites, req.params.deckId, {
+    accountId: req.user?.accountId,
+    timeZone: req.body?.timeZone,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: presentation,
+  });
+}));
+
+/**
+ * @route   GET /api/presentations/:presentationId
+ * @desc    Get a started presentation with the data frozen at its start (e.g. after reloading the page)
+ * @access  Private
+ */
+router.get('/:presentationId', asyncHandler(async (req, res) => {
+  const presentation = presentationService.getPresentation(req.params.presentationId, req.user?.accountId);
+
+  if (!presentation) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Presentation not found or expired',
+      },
+    });
+  }
+
+  res.json({
+    success: true,
+    data: presentation,
+  });
+}));
+
+module.exports = router;
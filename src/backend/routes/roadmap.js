@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const roadmapService = require('../services/roadmapService');
+const { asyncHandler } = require('../utils/errorHandler');
+const { parseRoadmapOptions } = require('../utils/queryUtils');
+const { authenticateToken } = require('../middleware/authMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/roadmap
+ * @desc    Get epics across projects grouped by quarter
+ *          Query: projects, sites, owners, statuses, years, quarters, search, sort, order, weighting
+ * @access  Private
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const options = parseRoadmapOptions(req.query);
+
+  if (options.projects.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'No projects requested and no Jira projects are configured',
+      },
+    });
+  }
+
+  if (options.sort.field && !roadmapService.SORT_FIELDS.includes(options.sort.field)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: `Invalid sort field "${options.sort.field}". Valid fields: ${roadmapService.SORT_FIELDS.join(', ')}`,
+      },
+    });
+  }
+
+  const roadmap = await roadmapService.getRoadmap(req.jiraSites, options);
+
+  res.json({
+    success: true,
+    data: roadmap,
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const syncService = require('../services/syncService');
+const { asyncHandler } = require('../utils/errorHandler');
+const { authenticateToken } = require('../middleware/authMiddleware');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+// Apply authentication middleware to all routes
+router.use(authenticateToken);
+
+/**
+ * @route   GET /api/sync/status
+ * @desc    Get the background sync status: last successful sync, next scheduled run
+ *          and the outcome and errors of the last run
+ * @access  Private
+ */
+router.get('/status', asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: syncService.getStatus(),
+  });
+}));
+
+/**
+ * @route   POST /api/sync
+ * @desc    Start a sync now (poll /api/sync/status for the outcome)
+ * @access  Admin
+ */
+router.post('/', requireRole('admin'), asyncHandler(async (req, res) => {
+  if (!syncService.isEnabled()) {
+    return res.status(409).json({
+      success: false,
+      error: {
+        message: 'Background sync is not configured. Set SYNC_TOKEN (and SYNC_EMAIL for Jira Cloud)',
+      },
+    });
+  }
+
+  // The run continues after the response; its outcome is reported by the status endpoint
+  syncService.sync('manual').catch(error => console.error('Manual sync failed:', error.message));
+
+  res.status(202).json({
+    success: true,
+    data: syncService.getStatus(),
+  });
+}));
+
+module.exports = router;
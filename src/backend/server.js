@@ -17,20 +17,25 @@ app.use(cors({
 app.use(express.json());
 app.use(cookieParser());
 app.use(morgan('dev'));
+// Require the CSRF token on every state-changing API request
+app.use('/api', require('./middleware/csrfMiddleware').csrfProtection);
 
 // API Routes
 app.use('/api/health', require('./routes/health'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/jira', require('./routes/jira'));
+app.use('/api/roadmap', require('./routes/roadmap'));
+app.use('/api/bugs', require('./routes/bugs'));
+app.use('/api/export', require('./routes/export'));
+app.use('/api/presentations', require('./routes/presentations'));
+app.use('/api/actions', require('./routes/actions'));
+app.use('/api/admin', require('./routes/admin'));
+app.use('/api/sync', require('./routes/sync'));
 
 // Error handling middleware
 const { apiErrorHandler } = require('./utils/errorHandler');
 app.use(apiErrorHandler);
 
-// TODO: Add specific feature routes
-// app.use('/api/roadmap', require('./routes/roadmap'));
-// app.use('/api/bugs', require('./routes/bugs'));
-
 // Serve static frontend in production
 if (process.env.NODE_ENV === 'production') {
   app.use(express.static(path.join(__dirname, '../../frontend/build')));
@@ -40,10 +45,16 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
+// Refuse to start in production without a secret for sessions and OAuth state
+require('./utils/securityUtils').getSessionSecret();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+
+  // Keep Jira data fresh in the background
+  require('./services/syncService').start();
 });
 
 module.exports = app; // For testing
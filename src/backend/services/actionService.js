@@ -0,0 +1,287 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { badRequest } = require('../utils/errorHandler');
+
+// Statuses of an action item, in the order they are worked through
+const ACTION_STATUSES = ['open', 'in_progress', 'completed'];
+
+// What an action item can be attached to; people are identified by their Jira accountId
+const TARGET_TYPES = ['project', 'epic', 'bug', 'person'];
+
+const MAX_TITLE_LENGTH = 255;
+
+/**
+ * Service for action items agreed in review meetings
+ *
+ * Actions are kept in a JSON file (ACTIONS_FILE, default data/actions.json) owned by one
+ * server process. Writes are serialized and replace the file atomically, so a crash never
+ * leaves a partial file.
+ */
+class ActionService {
+  /**
+   * @param {string} file - Path to the actions file (default: ACTIONS_FILE or data/actions.json)
+   */
+  constructor(file = process.env.ACTIONS_FILE || 'data/actions.json') {
+    this.file = path.resolve(file);
+    this.actions = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Get the actions, reading the actions file on first use
+   * @returns {Map<string, Object>} - Actions by id
+   */
+  load() {
+    if (this.actions) return this.actions;
+
+    this.actions = new Map();
+    if (!fs.existsSync(this.file)) return this.actions;
+
+    // Unlike the data store, actions can't be rebuilt from Jira, so an unreadable file must not be overwritten
+    const actions = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.actions = new Map(actions.map(action => [action.id, action]));
+
+    return this.actions;
+  }
+
+  /**
+   * Apply a change to a copy of the actions and write it to the actions file
+   * The copy replaces the actions only once it is on disk, so a failed write changes nothing.
+   * Changes run one at a time on the result of the previous one, so concurrent requests
+   * never overwrite each other.
+   * @param {Function} change - Receives the copy (Map of actions by id) to change; may throw to cancel
+   * @returns {Promise<*>} - Result of the change, once this write (and every earlier one) is on disk
+   */
+  persist(change) {
+    const write = this.writing.then(async () => {
+      const actions = new Map(this.load());
+      const result = change(actions);
+
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tempFile, JSON.stringify([...actions.values()], null, 2));
+      await fs.promises.rename(tempFile, this.file);
+      this.actions = actions;
+      return result;
+    });
+
+    // A failed write is reported to its caller without blocking later writes
+    this.writing = write.catch(error => {
+      // Rejected changes (e.g. an action deleted meanwhile) never reached the file
+      if (error.statusCode) return;
+      console.error(`Failed to write actions file ${this.file}:`, error.message);
+    });
+
+    return write;
+  }
+
+  /**
+   * List actions, soonest due first (actions without a due date last)
+   * @param {Object} filters - Filters
+   * @param {Array<string>} filters.owners - Owner accountIds
+   * @param {Array<string>} filters.meetings - Meeting names
+   * @param {Array<string>} filters.statuses - Statuses
+   * @param {string} filters.targetType - Type of the attached item
+   * @param {Array<string>} filters.targetIds - Keys or accountIds of the attached items
+   * @returns {Array<Object>} - Actions
+   */
+  list({ owners = [], meetings = [], statuses = [], targetType, targetIds = [] } = {}) {
+    return [...this.load().values()]
+      .filter(action => owners.length === 0 || owners.includes(action.owner?.accountId))
+      .filter(action => meetings.length === 0 || meetings.includes(action.meeting))
+      .filter(action => statuses.length === 0 || statuses.includes(action.status))
+      .filter(action => !targetType || action.target.type === targetType)
+      .filter(action => targetIds.length === 0 || targetIds.includes(action.target.id))
+      .sort((a, b) => {
+        if (a.dueDate === b.dueDate) return a.createdAt.localeCompare(b.createdAt);
+        if (!a.dueDate) return 1;
+        if (!b.dueDate) return -1;
+        return a.dueDate.localeCompare(b.dueDate);
+      });
+  }
+
+  /**
+   * Get an action
+   * @param {string} id - Action id
+   * @returns {Object} - Action
+   * @throws {Error} - 404 error for an unknown action
+   */
+  get(id) {
+    const action = this.load().get(id);
+    if (!action) throw notFound(id);
+    return action;
+  }
+
+  /**
+   * Create an action
+   * @param {Object} input - Action fields ({ title, description, meeting, target, owner, dueDate, status })
+   * @param {Object} user - Session user creating it ({ accountId, displayName })
+   * @param {Date} now - Creation time
+   * @returns {Promise<Object>} - Created action
+   */
+  async create(input = {}, user = {}, now = new Date()) {
+    if (input.title === undefined) throw badRequest('title is required');
+    if (input.target === undefined) throw badRequest('target is required');
+
+    const timestamp = now.toISOString();
+    const fields = this.validate({ status: 'open', ...input });
+    const action = {
+      id: crypto.randomUUID(),
+      title: fields.title,
+      description: fields.description ?? null,
+      meeting: fields.meeting ?? null,
+      target: fields.target,
+      owner: fields.owner ?? null,
+      dueDate: fields.dueDate ?? null,
+      status: fields.status,
+      createdAt: timestamp,
+      createdBy: toPerson(user),
+      updatedAt: timestamp,
+      completedAt: fields.status === 'completed' ? timestamp : null,
+    };
+
+    await this.persist(actions => actions.set(action.id, action));
+    return action;
+  }
+
+  /**
+   * Change an action
+   * @param {string} id - Action id
+   * @param {Object} changes - Changed fields (see create)
+   * @param {Date} now - Change time
+   * @returns {Promise<Object>} - Updated action
+   * @throws {Error} - 404 error for an unknown action, also when it is deleted while the change waits
+   */
+  async update(id, changes = {}, now = new Date()) {
+    this.get(id);
+    const fields = this.validate(changes);
+    const timestamp = now.toISOString();
+
+    // Merge into the action as it is when the change is written, not as it was requested
+    return this.persist(actions => {
+      const action = actions.get(id);
+      if (!action) throw notFound(id);
+
+      const updated = { ...action, ...fields, updatedAt: timestamp };
+      if (fields.status && fields.status !== action.status) {
+        updated.completedAt = fields.status === 'completed' ? timestamp : null;
+      }
+
+      actions.set(id, updated);
+      return updated;
+    });
+  }
+
+  /**
+   * Delete an action
+   * @param {string} id - Action id
+   * @returns {Promise<void>} - Resolves once the deletion is on disk
+   * @throws {Error} - 404 error for an unknown action, also when it is deleted while the change waits
+   */
+  async delete(id) {
+    this.get(id);
+    await this.persist(actions => {
+      if (!actions.delete(id)) throw notFound(id);
+    });
+  }
+
+  /**
+   * Validate the fields of an action request
+   * Only the given fields are validated and returned, so the same rules apply to changes.
+   * @param {Object} input - Action fields
+   * @returns {Object} - Normalized fields
+   * @throws {Error} - 400 error for an invalid field
+   */
+  validate(input) {
+    const fields = {};
+
+    if (input.title !== undefined) {
+      const title = typeof input.title === 'string' ? input.title.trim() : '';
+      if (!title) throw badRequest('title must be a non-empty string');
+      if (title.length > MAX_TITLE_LENGTH) throw badRequest(`title must be at most ${MAX_TITLE_LENGTH} characters`);
+      fields.title = title;
+    }
+
+    ['description', 'meeting'].forEach(name => {
+      if (input[name] === undefined) return;
+      if (input[name] !== null && typeof input[name] !== 'string') throw badRequest(`${name} must be a string`);
+      fields[name] = input[name]?.trim() || null;
+    });
+
+    if (input.target !== undefined) {
+      const { type, id, name, siteId } = input.target || {};
+      if (!TARGET_TYPES.includes(type)) {
+        throw badRequest(`Invalid target type "${type}". Valid types: ${TARGET_TYPES.join(', ')}`);
+      }
+      if (typeof id !== 'string' || !id.trim()) {
+        throw badRequest(`target.id must be the ${type === 'person' ? 'accountId' : 'key'} of the ${type}`);
+      }
+      fields.target = {
+        type,
+        id: type === 'person' ? id.trim() : id.trim().toUpperCase(),
+        name: typeof name === 'string' && name.trim() ? name.trim() : null,
+        siteId: typeof siteId === 'string' && siteId ? siteId : null,
+      };
+    }
+
+    if (input.owner !== undefined) {
+      if (input.owner !== null && (typeof input.owner?.accountId !== 'string' || !input.owner.accountId)) {
+        throw badRequest('owner must have an accountId');
+      }
+      fields.owner = input.owner && { accountId: input.owner.accountId, name: input.owner.name || null };
+    }
+
+    if (input.dueDate !== undefined) {
+      if (input.dueDate !== null && !isValidDate(input.dueDate)) {
+        throw badRequest('dueDate must be a date (YYYY-MM-DD)');
+      }
+      fields.dueDate = input.dueDate;
+    }
+
+    if (input.status !== undefined) {
+      if (!ACTION_STATUSES.includes(input.status)) {
+        throw badRequest(`Invalid status "${input.status}". Valid statuses: ${ACTION_STATUSES.join(', ')}`);
+      }
+      fields.status = input.status;
+    }
+
+    return fields;
+  }
+}
+
+/**
+ * Create an error for an unknown action
+ * @param {string} id - Action id
+ * @returns {Error} - Error with a 404 status code
+ */
+function notFound(id) {
+  const error = new Error(`Action "${id}" not found`);
+  error.statusCode = 404;
+  return error;
+}
+
+/**
+ * Check that a value is a calendar date (YYYY-MM-DD)
+ * @param {*} value - Value
+ * @returns {boolean} - True for an existing date
+ */
+function isValidDate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Reduce a session user to the person recorded on an action
+ * @param {Object} user - Session user
+ * @returns {Object|null} - { accountId, name }
+ */
+function toPerson(user) {
+  return user?.accountId ? { accountId: user.accountId, name: user.displayName || null } : null;
+}
+
+module.exports = new ActionService();
+module.exports.ActionService = ActionService;
+module.exports.ACTION_STATUSES = ACTION_STATUSES;
+module.exports.TARGET_TYPES = TARGET_TYPES;
@@ -0,0 +1,205 @@
+const jiraDataService = require('./jiraDataService');
+const { getSeverityColor, getSeverityValue, SEVERITY_LEVELS } = require('../utils/jiraTransformer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for reconstructing the bug backlog of past days from status changelogs
+ *
+ * Each bug's status changes are replayed from its creation to find when it was open
+ * (in a status outside the Done category), so backlog charts cover the past months
+ * without waiting for daily snapshots to accumulate. Bugs are counted under their
+ * current severity.
+ */
+class BugHistoryService {
+  /**
+   * Get the status categories of the connected sites
+   * @param {Array<Object>} siteAuths - Jira auth contexts of the connected sites
+   * @returns {Promise<Object>} - Status category names by site ID and status ID
+   */
+  async getStatusCategories(siteAuths) {
+    const entries = await Promise.all(siteAuths.map(async auth => {
+      try {
+        const statuses = await jiraDataService.getStatuses(auth);
+        return [auth.siteId, Object.fromEntries(statuses.map(status => [
+          String(status.id),
+          status.statusCategory?.name || 'Unknown',
+        ]))];
+      } catch (error) {
+        // The bugs' current statuses still cover most statuses of the history
+        console.warn(`Using current bug statuses for site ${auth.siteId}:`, error.message);
+        return [auth.siteId, {}];
+      }
+    }));
+
+    return Object.fromEntries(entries);
+  }
+
+  /**
+   * Count the bugs open at the end of each day over the last N months
+   * @param {Array<Object>} bugs - Bugs from transformBug (with statusHistory and site)
+   * @param {Object} options - Options
+   * @param {number} options.months - Number of months to reconstruct
+   * @param {Object} options.statusCategories - Status category names by site ID and status ID
+   * @param {Date} options.now - Reference date (defaults to now)
+   * @returns {Object} - { months, from, to, severities, projects, days: [{ date, open, severities, projects }] }
+   *          where days count open bugs by severity level and by project ID ("siteId:KEY")
+   */
+  getOpenBugHistory(bugs, { months = 6, statusCategories = {}, now = new Date() } = {}) {
+    const start = monthsBefore(now, months);
+    const dayCount = Math.round((startOfDay(now) - start) / DAY_MS) + 1;
+    const categories = collectStatusCategories(bugs, statusCategories);
+
+    // Difference arrays: +1 on the first day a bug is open, -1 on the first day it is not
+    const createCounter = () => new Array(dayCount + 1).fill(0);
+    const total = createCounter();
+    const bySeverity = {};
+    const byProject = {};
+    const projects = new Map();
+
+    bugs.forEach(bug => {
+      const projectId = `${bug.site?.id || 'default'}:${bug.project?.key}`;
+      const severity = bug.severity?.level || 'Unknown';
+      bySeverity[severity] = bySeverity[severity] || createCounter();
+      byProject[projectId] = byProject[projectId] || createCounter();
+
+      if (!projects.has(projectId)) {
+        projects.set(projectId, { id: projectId, key: bug.project?.key, name: bug.project?.name, site: bug.site || null });
+      }
+
+      getOpenIntervals(bug, categories[bug.site?.id] || {}).forEach(([from, to]) => {
+        // A bug counts on a day when it is still open at the end of that day
+        const first = Math.max(0, Math.floor((from - start) / DAY_MS));
+        const last = Math.min(dayCount, Math.floor((to - start) / DAY_MS));
+        if (first >= last) return;
+
+        [total, bySeverity[severity], byProject[projectId]].forEach(counter => {
+          counter[first] += 1;
+          counter[last] -= 1;
+        });
+      });
+    });
+
+    const severities = [...new Set([...SEVERITY_LEVELS, ...Object.keys(bySeverity)])]
+      .sort((a, b) => getSeverityValue(b) - getSeverityValue(a));
+    const severityTotals = Object.fromEntries(Object.entries(bySeverity).map(([level, counter]) => [level, accumulate(counter)]));
+    const projectTotals = Object.fromEntries(Object.entries(byProject).map(([id, counter]) => [id, accumulate(counter)]));
+
+    const days = accumulate(total).slice(0, dayCount).map((open, index) => ({
+      date: new Date(start + index * DAY_MS).toISOString().slice(0, 10),
+      open,
+      severities: Object.fromEntries(severities.map(level => [level, severityTotals[level]?.[index] || 0])),
+      projects: Object.fromEntries(Object.entries(projectTotals).map(([id, counts]) => [id, counts[index]])),
+    }));
+
+    return {
+      months,
+      from: days[0]?.date || null,
+      to: days[days.length - 1]?.date || null,
+      severities: severities.map(level => ({ severity: level, color: getSeverityColor(level), value: getSeverityValue(level) })),
+      projects: [...projects.values()],
+      days,
+    };
+  }
+}
+
+/**
+ * Get the start of the UTC day containing a date
+ * @param {Date} date - Date
+ * @returns {number} - Timestamp
+ */
+function startOfDay(date) {
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+/**
+ * Get the start of the UTC day the given number of months before a date
+ * The day is clamped to the end of shorter months, so 31 May minus 3 months is the end of February.
+ * @param {Date} date - Date
+ * @param {number} months - Number of months
+ * @returns {number} - Timestamp
+ */
+function monthsBefore(date, months) {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() - months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return Date.UTC(year, month, Math.min(date.getUTCDate(), lastDay));
+}
+
+/**
+ * Turn a difference array into running totals
+ * @param {Array<number>} counter - Difference array
+ * @returns {Array<number>} - Running totals
+ */
+function accumulate(counter) {
+  let running = 0;
+  return counter.map(change => {
+    running += change;
+    return running;
+  });
+}
+
+/**
+ * Complete the sites' status categories with the bugs' current statuses
+ * @param {Array<Object>} bugs - Bugs from transformBug
+ * @param {Object} statusCategories - Status category names by site ID and status ID
+ * @returns {Object} - Status category names by site ID and status ID
+ */
+function collectStatusCategories(bugs, statusCategories) {
+  const categories = {};
+
+  bugs.forEach(bug => {
+    const siteId = bug.site?.id;
+    if (!bug.status?.id) return;
+    categories[siteId] = categories[siteId] || {};
+    categories[siteId][String(bug.status.id)] = bug.status.category;
+  });
+
+  Object.entries(statusCategories).forEach(([siteId, statuses]) => {
+    categories[siteId] = { ...categories[siteId], ...statuses };
+  });
+
+  return categories;
+}
+
+/**
+ * Replay a bug's status changes into the periods it was open
+ * Statuses of unknown category count as open.
+ * @param {Object} bug - Bug from transformBug
+ * @param {Object} categories - Status category names by status ID
+ * @returns {Array<Array<number>>} - Open periods as [from, to) timestamps (to may be Infinity)
+ */
+function getOpenIntervals(bug, categories) {
+  const created = bug.created ? new Date(bug.created).getTime() : NaN;
+  if (Number.isNaN(created)) return [];
+
+  const history = bug.statusHistory || [];
+  const isOpenStatus = status => (status?.category || categories[String(status?.id)]) !== 'Done';
+
+  // Status segments: the status before the first change, then the status after each change;
+  // the last segment uses the current status, which carries its own category
+  const segments = [
+    { from: created, status: history.length > 0 ? history[0].from : bug.status },
+    ...history.map((change, index) => ({
+      from: Math.max(created, new Date(change.at).getTime()),
+      status: index === history.length - 1 ? bug.status : change.to,
+    })),
+  ];
+
+  const intervals = [];
+  segments.forEach((segment, index) => {
+    const to = index < segments.length - 1 ? segments[index + 1].from : Infinity;
+    if (!isOpenStatus(segment.status) || to <= segment.from) return;
+
+    const previous = intervals[intervals.length - 1];
+    if (previous && previous[1] === segment.from) {
+      previous[1] = to;
+    } else {
+      intervals.push([segment.from, to]);
+    }
+  });
+
+  return intervals;
+}
+
+module.exports = new BugHistoryService();
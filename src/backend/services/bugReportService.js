@@ -0,0 +1,408 @@
+const jiraDataService = require('./jiraDataService');
+const fieldDiscoveryService = require('./fieldDiscoveryService');
+const severityMappingService = require('./severityMappingService');
+const siteRegistryService = require('./siteRegistryService');
+const dataStoreService = require('./dataStoreService');
+const { isJiraUnavailable, withTimeout } = require('../utils/errorHandler');
+const { transformBug, getSeverityColor, getSeverityValue, SEVERITY_LEVELS } = require('../utils/jiraTransformer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Backlog changes smaller than this share of the open count are reported as stable
+const STABLE_BACKLOG_THRESHOLD = 0.05;
+
+// Accessors for the sortable bug table columns (as in the web app's bug table)
+const SORT_ACCESSORS = {
+  key: bug => bug.key,
+  summary: bug => bug.summary,
+  severity: bug => bug.severity?.value,
+  priority: bug => bug.priority?.name,
+  status: bug => bug.status?.name,
+  site: bug => bug.site?.name,
+  project: bug => bug.project?.name,
+  assignee: bug => bug.assignee?.name,
+  created: bug => bug.created,
+  age: bug => getBugAge(bug),
+};
+
+/**
+ * Service for building bug reports across projects
+ */
+class BugReportService {
+  /**
+   * Get transformed bugs for a set of projects, merged across Jira sites
+   * @param {Array<Object>} siteAuths - Jira auth contexts of the connected sites ({ accessToken, cloudId, siteId, siteName, siteUrl, accountId })
+   * @param {Array<string>} projects - Projects ("KEY" or "siteId:KEY")
+   * @returns {Promise<Object>} - { bugs, errors, fallback } where fallback lists the projects served from the store
+   */
+  async getBugs(siteAuths, projects = []) {
+    const severityMapping = severityMappingService.getMapping();
+    const projectRefs = siteRegistryService.resolveProjects(projects);
+
+    const results = await Promise.allSettled(projectRefs.map(async ({ key, siteId }) => {
+      const auth = siteAuths.find(candidate => candidate.siteId === siteId);
+      if (!auth) {
+        throw new Error(`Not connected to Jira site ${siteId}`);
+      }
+
+      const request = (async () => {
+        const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
+        const site = { id: auth.siteId, name: auth.siteName };
+        const projectBugs = [];
+
+        // Transform page by page so large projects never hold every raw Jira page at once
+        for await (const page of jiraDataService.streamBugs(key, auth)) {
+          projectBugs.push(...page.map(bug => ({
+            ...transformBug(bug, { severityMapping, fieldIds, siteUrl: auth.siteUrl }),
+            site,
+          })));
+        }
+
+        // The user can see the project, so the store may stand in for it later
+        dataStoreService.recordAccess(siteId, key, auth.accountId);
+        return projectBugs;
+      })();
+
+      // Don't wait on a slow Jira for projects the store can stand in for this user
+      return dataStoreService.getProjectFor(siteId, key, auth.accountId)
+        ? withTimeout(request, dataStoreService.fallbackTimeout)
+        : request;
+    }));
+
+    const bugs = [];
+    const errors = [];
+    const fallback = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        bugs.push(...result.value);
+        return;
+      }
+
+      const { key, siteId } = projectRefs[index];
+      const accountId = siteAuths.find(auth => auth.siteId === siteId)?.accountId;
+      const stored = isJiraUnavailable(result.reason) ? dataStoreService.getProjectFor(siteId, key, accountId) : null;
+
+      if (stored) {
+        console.warn(`Serving bugs of project ${key} on site ${siteId} from the store synced at ${stored.syncedAt}:`, result.reason.message);
+        bugs.push(...stored.bugs.map(toReportBug));
+        fallback.push({ project: key, site: siteId, syncedAt: stored.syncedAt, message: result.reason.message });
+      } else {
+        console.error(`Error fetching bugs for project ${key} on site ${siteId}:`, result.reason.message);
+        errors.push({ project: key, site: siteId, message: result.reason.message });
+      }
+    });
+
+    return { bugs, errors, fallback };
+  }
+
+  /**
+   * Filter transformed bugs
+   * @param {Array<Object>} bugs - Bugs from transformBug
+   * @param {Object} filters - Filters ({ projects, sites, severities, priorities, assignees })
+   * @returns {Array<Object>} - Matching bugs
+   */
+  filterBugs(bugs, filters = {}) {
+    const { projects = [], sites = [], severities = [], priorities = [], assignees = [] } = filters;
+    const lowerCase = values => values.map(value => value.toLowerCase());
+    const severityFilter = lowerCase(severities);
+    const priorityFilter = lowerCase(priorities);
+
+    return bugs.filter(bug => {
+      if (projects.length > 0 && !projects.includes(bug.project?.key)
+        && !projects.includes(`${bug.site?.id}:${bug.project?.key}`)) return false;
+      if (sites.length > 0 && !sites.includes(bug.site?.id)) return false;
+      if (severityFilter.length > 0 && !severityFilter.includes(bug.severity.level.toLowerCase())) return false;
+      if (priorityFilter.length > 0 && !priorityFilter.includes((bug.priority?.name || '').toLowerCase())) return false;
+      if (assignees.length > 0 && !assignees.includes(bug.assignee ? bug.assignee.id : 'unassigned')) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Apply the bug table's status and search filters
+   * @param {Array<Object>} bugs - Bugs from transformBug
+   * @param {Object} options - Options
+   * @param {string} options.statusCategory - 'all', 'open' (not Done) or a status category name
+   * @param {string} options.search - Text to find in the key or summary
+   * @returns {Array<Object>} - Matching bugs
+   */
+  searchBugs(bugs, { statusCategory = 'all', search = '' } = {}) {
+    const searchTerm = search.toLowerCase();
+
+    return bugs.filter(bug => {
+      const category = bug.status?.category;
+      if (statusCategory === 'open' && category === 'Done') return false;
+      if (statusCategory !== 'open' && statusCategory !== 'all' && category !== statusCategory) return false;
+      if (searchTerm && !`${bug.key} ${bug.summary}`.toLowerCase().includes(searchTerm)) return false;
+      return true;
+    });
+  }
+
+  /**
+   * Sort bugs by a bug table column
+   * @param {Array<Object>} bugs - Bugs from transformBug
+   * @param {Object} sort - Sort options ({ field, order })
+   * @returns {Array<Object>} - Sorted bugs (empty values always last)
+   */
+  sortBugs(bugs, { field, order = 'asc' } = {}) {
+    const accessor = SORT_ACCESSORS[field];
+    if (!accessor) return bugs;
+
+    const direction = order === 'desc' ? -1 : 1;
+
+    return [...bugs].sort((a, b) => {
+      const valueA = accessor(a);
+      const valueB = accessor(b);
+
+      if (valueA === valueB) return 0;
+      if (valueA === null || valueA === undefined) return 1;
+      if (valueB === null || valueB === undefined) return -1;
+      if (typeof valueA === 'number') return (valueA - valueB) * direction;
+      return String(valueA).localeCompare(String(valueB), undefined, { numeric: true }) * direction;
+    });
+  }
+
+  /**
+   * Count bugs by severity
+   * @param {Array<Object>} bugs - Bugs from transformBug
+   * @param {Object} options - Options
+   * @param {boolean} options.openOnly - Only count unresolved bugs
+   * @returns {Object} - { total, severities: [{ severity, count, percentage, color, value }] }
+   */
+  getSeverityDistribution(bugs, { openOnly = true } = {}) {
+    const counted = openOnly ? bugs.filter(isOpen) : bugs;
+    const counts = {};
+
+    counted.forEach(bug => {
+      counts[bug.severity.level] = (counts[bug.severity.level] || 0) + 1;
+    });
+
+    // Always report the standard levels so charts keep a stable legend
+    const levels = [...new Set([...SEVERITY_LEVELS, ...Object.keys(counts)])]
+      .sort((a, b) => getSeverityValue(b) - getSeverityValue(a));
+
+    return {
+      total: counted.length,
+      severities: levels.map(level => ({
+        severity: level,
+        count: counts[level] || 0,
+        percentage: counted.length > 0 ? Math.round(((counts[level] || 0) / counted.length) * 1000) / 10 : 0,
+        color: getSeverityColor(level),
+        value: getSeverityValue(level),
+      })),
+    };
+  }
+
+  /**
+   * Build a time-series of created, resolved and open bug counts
+   * @param {Array<Object>} bugs - Bugs from transformBug
+   * @param {Object} options - Options
+   * @param {string} options.interval - 'week' or 'month'
+   * @param {number} options.periods - Number of periods to return
+   * @param {Date} options.now - Reference date (defaults to now)
+   * @returns {Object} - Current and previous periods with a comparison summary
+   */
+  getTrends(bugs, { interval = 'week', periods = 12, now = new Date() } = {}) {
+    const currentEnd = addInterval(startOfInterval(now, interval), interval, 1);
+    const currentStart = addInterval(currentEnd, interval, -periods);
+    const previousStart = addInterval(currentStart, interval, -periods);
+
+    const current = buildPeriods(bugs, currentStart, periods, interval);
+    const previous = buildPeriods(bugs, previousStart, periods, interval);
+
+    const totals = series => ({
+      created: series.reduce((sum, period) => sum + period.created, 0),
+      resolved: series.reduce((sum, period) => sum + period.resolved, 0),
+      open: series.length > 0 ? series[series.length - 1].open : 0,
+    });
+
+    const currentTotals = totals(current);
+    const previousTotals = totals(previous);
+    const openAtStart = previous.length > 0 ? previous[previous.length - 1].open : 0;
+    const backlogChange = currentTotals.open - openAtStart;
+
+    let backlogTrend = 'stable';
+    if (Math.abs(backlogChange) > Math.max(1, openAtStart * STABLE_BACKLOG_THRESHOLD)) {
+      backlogTrend = backlogChange > 0 ? 'growing' : 'shrinking';
+    }
+
+    return {
+      interval,
+      periods: current,
+      previousPeriods: previous,
+      comparison: {
+        created: compare(currentTotals.created, previousTotals.created),
+        resolved: compare(currentTotals.resolved, previousTotals.resolved),
+        open: compare(currentTotals.open, previousTotals.open),
+      },
+      backlog: {
+        trend: backlogTrend,
+        change: backlogChange,
+        openAtStart,
+        openAtEnd: currentTotals.open,
+      },
+    };
+  }
+
+  /**
+   * List bugs created in the last N days, flagging new critical bugs
+   * @param {Array<Object>} bugs - Bugs from transformBug
+   * @param {Object} options - Options
+   * @param {number} options.days - Number of days to look back
+   * @param {Date} options.now - Reference date (defaults to now)
+   * @returns {Object} - { days, total, criticalCount, bugs }
+   */
+  getRecentBugs(bugs, { days = 7, now = new Date() } = {}) {
+    const since = now.getTime() - days * DAY_MS;
+
+    const recent = bugs
+      .filter(bug => bug.created && new Date(bug.created).getTime() >= since)
+      .sort((a, b) => new Date(b.created) - new Date(a.created))
+      .map(bug => ({
+        ...bug,
+        isNewCritical: bug.severity.level === 'Critical',
+      }));
+
+    return {
+      days,
+      since: new Date(since).toISOString(),
+      total: recent.length,
+      criticalCount: recent.filter(bug => bug.isNewCritical).length,
+      bugs: recent,
+    };
+  }
+
+  /**
+   * List the open critical bugs, newest first
+   * @param {Array<Object>} bugs - Bugs from transformBug
+   * @returns {Array<Object>} - Open bugs of Critical severity
+   */
+  getCriticalBugs(bugs) {
+    return bugs
+      .filter(bug => isOpen(bug) && bug.severity.level === 'Critical')
+      .sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
+}
+
+/**
+ * Check whether a bug is unresolved
+ * @param {Object} bug - Bug from transformBug
+ * @returns {boolean} - True if the bug is open
+ */
+function isOpen(bug) {
+  return bug.status?.category !== 'Done' && !bug.resolutionDate;
+}
+
+/**
+ * Get the age of a bug in days
+ * @param {Object} bug - Bug from transformBug
+ * @param {Date} now - Reference date for open bugs
+ * @returns {number|null} - Days from creation to resolution (or now)
+ */
+function getBugAge(bug, now = new Date()) {
+  if (!bug.created) return null;
+  const end = bug.resolutionDate ? new Date(bug.resolutionDate) : now;
+  return Math.floor((end - new Date(bug.created)) / DAY_MS);
+}
+
+/**
+ * Get the start of the week (Monday, UTC) or month containing a date
+ * @param {Date} date - Date
+ * @param {string} interval - 'week' or 'month'
+ * @returns {Date} - Start of the interval
+ */
+function startOfInterval(date, interval) {
+  if (interval === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  }
+
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+  return new Date(start.getTime() - daysSinceMonday * DAY_MS);
+}
+
+/**
+ * Move a date by a number of intervals
+ * @param {Date} date - Start of an interval
+ * @param {string} interval - 'week' or 'month'
+ * @param {number} count - Number of intervals (may be negative)
+ * @returns {Date} - New date
+ */
+function addInterval(date, interval, count) {
+  if (interval === 'month') {
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + count, 1));
+  }
+
+  return new Date(date.getTime() + count * 7 * DAY_MS);
+}
+
+/**
+ * Count created, resolved and open bugs for consecutive periods
+ * @param {Array<Object>} bugs - Bugs from transformBug
+ * @param {Date} start - Start of the first period
+ * @param {number} count - Number of periods
+ * @param {string} interval - 'week' or 'month'
+ * @returns {Array<Object>} - [{ date, endDate, created, resolved, open }]
+ */
+function buildPeriods(bugs, start, count, interval) {
+  const timestamps = bugs.map(bug => ({
+    created: bug.created ? new Date(bug.created).getTime() : null,
+    resolved: bug.resolutionDate ? new Date(bug.resolutionDate).getTime() : null,
+  }));
+
+  const periods = [];
+  let periodStart = start;
+
+  for (let i = 0; i < count; i++) {
+    const periodEnd = addInterval(periodStart, interval, 1);
+    const from = periodStart.getTime();
+    const to = periodEnd.getTime();
+
+    periods.push({
+      date: periodStart.toISOString().slice(0, 10),
+      endDate: new Date(to - DAY_MS).toISOString().slice(0, 10),
+      created: timestamps.filter(t => t.created !== null && t.created >= from && t.created < to).length,
+      resolved: timestamps.filter(t => t.resolved !== null && t.resolved >= from && t.resolved < to).length,
+      open: timestamps.filter(t => (
+        t.created !== null && t.created < to && (t.resolved === null || t.resolved >= to)
+      )).length,
+    });
+
+    periodStart = periodEnd;
+  }
+
+  return periods;
+}
+
+/**
+ * Compare a current value against a previous one
+ * @param {number} current - Current value
+ * @param {number} previous - Previous value
+ * @returns {Object} - { current, previous, change, changePercent }
+ */
+function compare(current, previous) {
+  return {
+    current,
+    previous,
+    change: current - previous,
+    changePercent: previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null,
+  };
+}
+
+/**
+ * Convert a stored bug into the shape of a live report bug
+ * @param {Object} storedBug - Bug record from the data store
+ * @returns {Object} - Bug from transformBug with its site
+ */
+function toReportBug(storedBug) {
+  const bug = { ...storedBug };
+  delete bug.siteId;
+  delete bug.projectKey;
+  delete bug.syncedAt;
+  return bug;
+}
+
+module.exports = new BugReportService();
+module.exports.SORT_FIELDS = Object.keys(SORT_ACCESSORS);
+module.exports.getBugAge = getBugAge;
@@ -48,7 +48,7 @@ class CacheService {
    * @returns {Array<string>} - Array of cache keys
    */
   getKeys() {
-    return Object.keys(this.cache.exportJson());
+    return this.cache.keys();
   }
 
   /**
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const path = require('path');
+const severityMappingService = require('./severityMappingService');
+const { transformProject, transformEpic, transformIssue, transformBug } = require('../utils/jiraTransformer');
+
+const DEFAULT_SNAPSHOT_RETENTION_DAYS = 365;
+const DEFAULT_FALLBACK_TIMEOUT = 15000; // 15 seconds
+
+// Entity collections, each keyed by "siteId:KEY"
+const COLLECTIONS = ['projects', 'epics', 'issues', 'bugs'];
+
+/**
+ * Create an empty store
+ * @returns {Object} - Store contents ({ updatedAt, projects, epics, issues, bugs })
+ */
+const createEmptyStore = () => ({
+  updatedAt: null,
+  ...Object.fromEntries(COLLECTIONS.map(collection => [collection, {}])),
+});
+
+/**
+ * Build the store key of an entity
+ * @param {string} siteId - Jira site ID
+ * @param {string} key - Project or issue key
+ * @returns {string} - Store key
+ */
+const toStoreKey = (siteId, key) => `${siteId}:${key}`;
+
+/**
+ * Write a file atomically (write to a temporary file, then rename)
+ * @param {string} file - Path to the file
+ * @param {string} contents - File contents
+ */
+async function writeFileAtomic(file, contents) {
+  const tempFile = `${file}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tempFile, contents);
+  await fs.promises.rename(tempFile, file);
+}
+
+/**
+ * Service for the persistent store of synced Jira data
+ *
+ * Projects, epics, child issues and bugs are kept as produced by jiraTransformer in a JSON
+ * file under DATA_STORE_DIR (current.json), upserted by every sync. The state after the last
+ * sync of each day is kept as a snapshot (snapshots/YYYY-MM-DD.json) for
+ * DATA_SNAPSHOT_RETENTION_DAYS. The roadmap and bug reports fall back to the store when
+ * Jira is slow or down.
+ *
+ * The store is filled with the sync credential, so stored data is only served to users who
+ * have loaded the project live before; those users are kept in access.json.
+ */
+class DataStoreService {
+  /**
+   * @param {string} dir - Directory holding the store (default: DATA_STORE_DIR or data/store)
+   */
+  constructor(dir = process.env.DATA_STORE_DIR || 'data/store') {
+    this.dir = path.resolve(dir);
+    this.retentionDays = parseInt(process.env.DATA_SNAPSHOT_RETENTION_DAYS || DEFAULT_SNAPSHOT_RETENTION_DAYS, 10);
+    // How long reports wait for Jira before serving stored data instead
+    this.fallbackTimeout = parseInt(process.env.JIRA_FALLBACK_TIMEOUT || DEFAULT_FALLBACK_TIMEOUT, 10);
+    this.data = null;
+    this.writing = Promise.resolve();
+    this.access = null;
+    this.writingAccess = Promise.resolve();
+  }
+
+  /**
+   * Get the path of the current store file
+   * @returns {string} - File path
+   */
+  getCurrentFile() {
+    return path.join(this.dir, 'current.json');
+  }
+
+  /**
+   * Get the path of the access file
+   * @returns {string} - File path
+   */
+  getAccessFile() {
+    return path.join(this.dir, 'access.json');
+  }
+
+  /**
+   * Get the path of a daily snapshot
+   * @param {string} date - Snapshot date (YYYY-MM-DD)
+   * @returns {string} - File path
+   */
+  getSnapshotFile(date) {
+    return path.join(this.dir, 'snapshots', `${date}.json`);
+  }
+
+  /**
+   * Get the store contents, reading the store file on first use
+   * @returns {Object} - Store contents
+   */
+  load() {
+    if (this.data) return this.data;
+
+    this.data = createEmptyStore();
+    const file = this.getCurrentFile();
+    if (!fs.existsSync(file)) return this.data;
+
+    try {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (error) {
+      // The next sync rebuilds the store, so a corrupt file must not break the reports
+      console.error(`Failed to read data store ${file}:`, error.message);
+    }
+
+    return this.data;
+  }
+
+  /**
+   * Normalize the raw Jira data of a synced project
+   * @param {Object} projectData - Synced project ({ key, site, project, epics, issuesByEpic, bugs, fieldIds })
+   * @param {string} syncedAt - Sync timestamp
+   * @returns {Object} - Store records by collection
+   */
+  normalize({ key, site, project, epics, issuesByEpic = {}, bugs = [], fieldIds }, syncedAt) {
+    const options = { fieldIds, siteUrl: site.url };
+    const severityMapping = severityMappingService.getMapping();
+    const meta = { siteId: site.id, projectKey: key, syncedAt };
+
+    return {
+      projects: [{
+        ...meta,
+        site,
+        project: transformProject(project, { siteUrl: site.url }),
+      }],
+      // Progress is stored count-weighted; story point totals are kept for reweighting
+      epics: epics.map(epic => ({
+        ...transformEpic(epic, issuesByEpic[epic.key] || [], options),
+        ...meta,
+      })),
+      issues: Object.entries(issuesByEpic).flatMap(([epicKey, issues]) => issues.map(issue => ({
+        ...transformIssue(issue, options),
+        ...meta,
+        epicKey,
+      }))),
+      bugs: bugs.map(bug => ({
+        ...transformBug(bug, { ...options, severityMapping }),
+        ...meta,
+        site: { id: site.id, name: site.name },
+      })),
+    };
+  }
+
+  /**
+   * Upsert synced projects and write the store and today's snapshot
+   * Records of a synced project that Jira no longer returns are removed; projects that
+   * were not synced keep their records.
+   * @param {Array<Object>} projects - Synced projects (see normalize)
+   * @param {string} syncedAt - Sync timestamp
+   * @returns {Promise<void>} - Resolves once the store is on disk
+   * @throws {Error} - When the store could not be written (reported by the sync run)
+   */
+  async upsert(projects, syncedAt = new Date().toISOString()) {
+    const data = this.load();
+
+    projects.forEach(projectData => {
+      const records = this.normalize(projectData, syncedAt);
+      const { id: siteId } = projectData.site;
+
+      COLLECTIONS.forEach(collection => {
+        Object.entries(data[collection]).forEach(([storeKey, record]) => {
+          if (record.siteId === siteId && record.projectKey === projectData.key) {
+            delete data[collection][storeKey];
+          }
+        });
+
+        records[collection].forEach(record => {
+          const key = collection === 'projects' ? record.projectKey : record.key;
+          data[collection][toStoreKey(siteId, key)] = record;
+        });
+      });
+    });
+
+    data.updatedAt = syncedAt;
+    await this.persist(syncedAt.slice(0, 10));
+  }
+
+  /**
+   * Write the store and the snapshot of a day, then drop expired snapshots
+   * @param {string} date - Snapshot date (YYYY-MM-DD)
+   * @returns {Promise<void>} - Resolves once this write (and every earlier one) is on disk
+   * @throws {Error} - When the store or the snapshot could not be written
+   */
+  persist(date) {
+    const contents = JSON.stringify(this.data);
+
+    const write = this.writing.then(async () => {
+      await writeFileAtomic(this.getCurrentFile(), contents);
+      await writeFileAtomic(this.getSnapshotFile(date), contents);
+      await this.pruneSnapshots();
+    });
+
+    // A failed write is reported to its caller without blocking later writes
+    this.writing = write.catch(error => {
+      console.error(`Failed to write data store ${this.dir}:`, error.message);
+    });
+
+    return write;
+  }
+
+  /**
+   * Remove snapshots older than the retention period
+   */
+  async pruneSnapshots() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+    await Promise.all((await this.listSnapshots())
+      .filter(date => date < cutoff)
+      .map(date => fs.promises.unlink(this.getSnapshotFile(date))));
+  }
+
+  /**
+   * List the daily snapshots
+   * @returns {Promise<Array<string>>} - Snapshot dates (YYYY-MM-DD), oldest first
+   */
+  async listSnapshots() {
+    try {
+      const files = await fs.promises.readdir(path.join(this.dir, 'snapshots'));
+      return files
+        .filter(file => /^\d{4}-\d{2}-\d{2}\.json$/.test(file))
+        .map(file => file.slice(0, 10))
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Read a daily snapshot
+   * @param {string} date - Snapshot date (YYYY-MM-DD)
+   * @returns {Promise<Object|null>} - Store contents on that day, or null without a snapshot
+   */
+  async getSnapshot(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+
+    try {
+      return JSON.parse(await fs.promises.readFile(this.getSnapshotFile(date), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Get the stored data of a project
+   * @param {string} siteId - Jira site ID
+   * @param {string} key - Project key
+   * @returns {Object|null} - { project, site, syncedAt, epics, issues, bugs }, or null if never synced
+   */
+  getProject(siteId, key) {
+    const data = this.load();
+    const stored = data.projects[toStoreKey(siteId, key)];
+    if (!stored) return null;
+
+    const ofProject = collection => Object.values(data[collection])
+      .filter(record => record.siteId === siteId && record.projectKey === key);
+
+    return {
+      project: stored.project,
+      site: stored.site,
+      syncedAt: stored.syncedAt,
+      epics: ofProject('epics'),
+      issues: ofProject('issues'),
+      bugs: ofProject('bugs'),
+    };
+  }
+
+  /**
+   * Get the users who have loaded each project live, reading the access file on first use
+   * @returns {Map<string, Set<string>>} - accountIds by store key
+   */
+  loadAccess() {
+    if (this.access) return this.access;
+
+    this.access = new Map();
+    const file = this.getAccessFile();
+    if (!fs.existsSync(file)) return this.access;
+
+    try {
+      const access = JSON.parse(fs.readFileSync(file, 'utf8'));
+      this.access = new Map(Object.entries(access).map(([storeKey, accountIds]) => [storeKey, new Set(accountIds)]));
+    } catch (error) {
+      // Access is recorded again on the next live load, so a corrupt file only delays the fallback
+      console.error(`Failed to read access file ${file}:`, error.message);
+    }
+
+    return this.access;
+  }
+
+  /**
+   * Record that a user has loaded a project live, allowing them its stored data
+   * @param {string} siteId - Jira site ID
+   * @param {string} key - Project key
+   * @param {string} accountId - Jira accountId of the user
+   * @returns {Promise<void>} - Resolves once the access is on disk
+   */
+  recordAccess(siteId, key, accountId) {
+    if (!accountId) return Promise.resolve();
+
+    const access = this.loadAccess();
+    const storeKey = toStoreKey(siteId, key);
+    const accountIds = access.get(storeKey) || new Set();
+    if (accountIds.has(accountId)) return Promise.resolve();
+
+    access.set(storeKey, accountIds.add(accountId));
+    const contents = JSON.stringify(Object.fromEntries(
+      [...access].map(([projectKey, ids]) => [projectKey, [...ids]]),
+    ));
+
+    // Losing a record only withholds stored data until the next live load, so failures are just logged
+    this.writingAccess = this.writingAccess
+      .then(() => writeFileAtomic(this.getAccessFile(), contents))
+      .catch(error => {
+        console.error(`Failed to write access file ${this.getAccessFile()}:`, error.message);
+      });
+
+    return this.writingAccess;
+  }
+
+  /**
+   * Check whether a user has loaded a project live before
+   * @param {string} siteId - Jira site ID
+   * @param {string} key - Project key
+   * @param {string} accountId - Jira accountId of the user
+   * @returns {boolean} - True if the user may see the stored data
+   */
+  hasAccess(siteId, key, accountId) {
+    return Boolean(accountId) && Boolean(this.loadAccess().get(toStoreKey(siteId, key))?.has(accountId));
+  }
+
+  /**
+   * Get the stored data of a project for a user who has loaded it live before
+   * @param {string} siteId - Jira site ID
+   * @param {string} key - Project key
+   * @param {string} accountId - Jira accountId of the user
+   * @returns {Object|null} - Stored data (see getProject), or null if never synced or not accessible
+   */
+  getProjectFor(siteId, key, accountId) {
+    return this.hasAccess(siteId, key, accountId) ? this.getProject(siteId, key) : null;
+  }
+
+  /**
+   * Get store statistics
+   * @returns {Promise<Object>} - { updatedAt, projects, epics, issues, bugs, snapshots }
+   */
+  async getStats() {
+    const data = this.load();
+
+    return {
+      updatedAt: data.updatedAt,
+      ...Object.fromEntries(COLLECTIONS.map(collection => [collection, Object.keys(data[collection]).length])),
+      snapshots: await this.listSnapshots(),
+    };
+  }
+}
+
+module.exports = new DataStoreService();
+module.exports.DataStoreService = DataStoreService;
@@ -0,0 +1,168 @@
+const jiraApiService = require('./jiraApiService');
+const { SHARED_CACHE } = require('./jiraApiService');
+const { DEFAULT_FIELD_IDS } = require('../utils/jiraTransformer');
+
+// Field metadata rarely changes, so it is cached much longer than issue data
+const FIELD_CACHE_TTL = parseInt(process.env.JIRA_FIELD_CACHE_TTL || 86400000, 10); // 24 hours in ms
+
+// How to recognise each custom field: env override, schema type, then field name
+const FIELD_DEFINITIONS = {
+  sprint: {
+    env: 'JIRA_SPRINT_FIELD',
+    schemas: ['com.pyxis.greenhopper.jira:gh-sprint'],
+    names: ['Sprint'],
+  },
+  epicLink: {
+    env: 'JIRA_EPIC_LINK_FIELD',
+    schemas: ['com.pyxis.greenhopper.jira:gh-epic-link'],
+    names: ['Epic Link'],
+  },
+  epicName: {
+    env: 'JIRA_EPIC_NAME_FIELD',
+    schemas: ['com.pyxis.greenhopper.jira:gh-epic-label'],
+    names: ['Epic Name'],
+  },
+  epicColor: {
+    env: 'JIRA_EPIC_COLOR_FIELD',
+    schemas: ['com.pyxis.greenhopper.jira:gh-epic-color'],
+    names: ['Epic Color', 'Epic Colour'],
+  },
+  storyPoints: {
+    env: 'JIRA_STORY_POINTS_FIELD',
+    schemas: ['com.pyxis.greenhopper.jira:jsw-story-points'],
+    names: ['Story Points', 'Story point estimate'],
+  },
+};
+
+/**
+ * Service for discovering the IDs of instance-specific Jira custom fields
+ */
+class FieldDiscoveryService {
+  constructor() {
+    // Discovered field IDs by site, since every Jira site numbers its custom fields differently
+    this.sites = new Map();
+  }
+
+  /**
+   * Get the discovery state of the site an auth context is bound to
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @returns {Object} - { fieldIds, expiresAt, pending }
+   */
+  getSiteState(auth) {
+    const siteKey = jiraApiService.getSiteKey(auth) || 'default';
+
+    if (!this.sites.has(siteKey)) {
+      this.sites.set(siteKey, { fieldIds: null, expiresAt: 0, pending: null });
+    }
+
+    return this.sites.get(siteKey);
+  }
+
+  /**
+   * Get the custom field IDs, discovering them from /field when not cached
+   * Falls back to the default IDs when the field list cannot be read.
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @returns {Promise<Object>} - { sprint, epicLink, epicName, epicColor, storyPoints } (null when not found)
+   */
+  async getFieldIds(auth) {
+    const overrides = this.getOverrides();
+    if (Object.keys(overrides).length === Object.keys(FIELD_DEFINITIONS).length) {
+      return overrides;
+    }
+
+    const state = this.getSiteState(auth);
+    if (state.fieldIds && Date.now() < state.expiresAt) {
+      return state.fieldIds;
+    }
+
+    // Share one discovery request between concurrent callers
+    if (!state.pending) {
+      state.pending = this.discover(auth, overrides, state)
+        .finally(() => {
+          state.pending = null;
+        });
+    }
+
+    return state.pending;
+  }
+
+  /**
+   * Read the field list from Jira and resolve the custom field IDs
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {Object} overrides - Field IDs configured through the environment
+   * @param {Object} state - Discovery state of the site
+   * @returns {Promise<Object>} - Resolved field IDs
+   */
+  async discover(auth, overrides, state) {
+    try {
+      // The field list is instance metadata, so one cached copy serves every user of the site
+      const fields = await jiraApiService.get('/field', {}, auth, SHARED_CACHE, FIELD_CACHE_TTL);
+
+      if (!Array.isArray(fields)) {
+        throw new Error('Unexpected response from the field endpoint');
+      }
+
+      state.fieldIds = { ...this.resolveFieldIds(fields), ...overrides };
+      state.expiresAt = Date.now() + FIELD_CACHE_TTL;
+
+      return state.fieldIds;
+    } catch (error) {
+      // Discovery is retried on the next request rather than caching the defaults
+      console.error('Error discovering Jira custom fields, using defaults:', error.message);
+      return { ...DEFAULT_FIELD_IDS, ...overrides };
+    }
+  }
+
+  /**
+   * Resolve the custom field IDs from a Jira field list
+   * @param {Array<Object>} fields - Fields from /field
+   * @returns {Object} - Field IDs (null when not found)
+   */
+  resolveFieldIds(fields) {
+    const resolved = {};
+
+    Object.entries(FIELD_DEFINITIONS).forEach(([name, definition]) => {
+      const names = definition.names.map(fieldName => fieldName.toLowerCase());
+      const field = fields.find(candidate => definition.schemas.includes(candidate.schema?.custom))
+        || fields.find(candidate => candidate.custom && names.includes((candidate.name || '').toLowerCase()));
+
+      resolved[name] = field ? field.id : null;
+    });
+
+    return resolved;
+  }
+
+  /**
+   * Get the field IDs configured through the environment
+   * @returns {Object} - Field IDs by name
+   */
+  getOverrides() {
+    const overrides = {};
+
+    Object.entries(FIELD_DEFINITIONS).forEach(([name, definition]) => {
+      if (process.env[definition.env]) {
+        overrides[name] = process.env[definition.env];
+      }
+    });
+
+    return overrides;
+  }
+
+  /**
+   * Get the custom fields to request when searching issues
+   * @param {Object} fieldIds - Field IDs from getFieldIds
+   * @returns {Array<string>} - Field IDs that were found
+   */
+  getSearchFields(fieldIds) {
+    return Object.values(fieldIds).filter(Boolean);
+  }
+
+  /**
+   * Forget the discovered field IDs so they are read again on the next request
+   */
+  reset() {
+    this.sites.clear();
+  }
+}
+
+module.exports = new FieldDiscoveryService();
@@ -0,0 +1,112 @@
+const { JiraApiService } = require('./jiraApiService');
+const fieldDiscoveryService = require('./fieldDiscoveryService');
+
+// Page size for Agile API list endpoints (Jira caps it at 50)
+const AGILE_PAGE_SIZE = 50;
+
+// Fields needed to report on sprint scope and progress
+const SPRINT_ISSUE_FIELDS = ['summary', 'status', 'issuetype', 'created', 'resolutiondate', 'statuscategorychangedate', 'assignee'];
+
+/**
+ * Service for interacting with the Jira Software (Agile) REST API
+ */
+class JiraAgileService {
+  constructor() {
+    // The Agile API lives beside the platform API, not below it
+    this.api = new JiraApiService({ apiPath: '/rest/agile/1.0', cachePrefix: 'jira_agile' });
+  }
+
+  /**
+   * Collect every page of an Agile API list endpoint
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {boolean} useCache - Whether to use cache
+   * @param {string} itemsKey - Response property holding the items ('values' or 'issues')
+   * @returns {Promise<Array>} - All items
+   */
+  async getAll(endpoint, params, auth, useCache, itemsKey = 'values') {
+    const items = [];
+    let startAt = 0;
+
+    for (;;) {
+      const page = await this.api.get(endpoint, {
+        ...params,
+        startAt,
+        maxResults: AGILE_PAGE_SIZE,
+      }, auth, useCache);
+
+      const pageItems = page[itemsKey] || [];
+      items.push(...pageItems);
+      startAt += pageItems.length;
+
+      const isLast = page.isLast !== undefined
+        ? page.isLast
+        : startAt >= (page.total || 0);
+      if (isLast || pageItems.length === 0) break;
+    }
+
+    return items;
+  }
+
+  /**
+   * Get the scrum boards for a project
+   * @param {string} projectKey - Jira project key
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Array>} - List of boards
+   */
+  async getBoards(projectKey, auth, useCache = true) {
+    try {
+      return await this.getAll('/board', {
+        projectKeyOrId: projectKey,
+        type: 'scrum',
+      }, auth, useCache);
+    } catch (error) {
+      console.error(`Error fetching boards for project ${projectKey}:`, error.message);
+      throw new Error(`Failed to fetch boards for project ${projectKey}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the sprints of a board
+   * @param {number} boardId - Board ID
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {Object} options - Options
+   * @param {string} options.state - Comma-separated sprint states (active, future, closed)
+   * @param {boolean} options.useCache - Whether to use cache
+   * @returns {Promise<Array>} - List of sprints
+   */
+  async getSprints(boardId, auth, { state = 'active,future,closed', useCache = true } = {}) {
+    try {
+      return await this.getAll(`/board/${boardId}/sprint`, { state }, auth, useCache);
+    } catch (error) {
+      console.error(`Error fetching sprints for board ${boardId}:`, error.message);
+      throw new Error(`Failed to fetch sprints for board ${boardId}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get the issues of a sprint with their changelog
+   * @param {number} sprintId - Sprint ID
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Array>} - List of issues
+   */
+  async getSprintIssues(sprintId, auth, useCache = true) {
+    try {
+      const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
+      const fields = [...SPRINT_ISSUE_FIELDS, fieldIds.sprint, fieldIds.storyPoints].filter(Boolean);
+
+      return await this.getAll(`/sprint/${sprintId}/issue`, {
+        fields: fields.join(','),
+        expand: 'changelog',
+      }, auth, useCache, 'issues');
+    } catch (error) {
+      console.error(`Error fetching issues for sprint ${sprintId}:`, error.message);
+      throw new Error(`Failed to fetch issues for sprint ${sprintId}`, { cause: error });
+    }
+  }
+}
+
+module.exports = new JiraAgileService();
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const axios = require('axios');
 const axiosRetryLib = require('axios-retry');
 const cache = require('memory-cache');
@@ -5,18 +6,43 @@ const cache = require('memory-cache');
 // Fix for axios-retry import
 const axiosRetry = typeof axiosRetryLib === 'function' ? axiosRetryLib : axiosRetryLib.default;
 
+// useCache value for responses that are identical for every user (e.g. field metadata)
+const SHARED_CACHE = 'shared';
+
+// Atlassian API gateway that OAuth 2.0 (3LO) requests must go through
+const API_GATEWAY_URL = process.env.JIRA_API_GATEWAY_URL || 'https://api.atlassian.com';
+
 /**
  * Service for interacting with the Jira API
  */
 class JiraApiService {
-  constructor() {
+  /**
+   * @param {Object} options - Client options
+   * @param {string} options.apiPath - API path below the site URL (default: the Jira platform REST API)
+   * @param {string} options.cachePrefix - Prefix for cache keys, so different APIs never share entries
+   */
+  constructor(options = {}) {
     this.baseUrl = process.env.JIRA_API_URL;
+    this.gatewayUrl = API_GATEWAY_URL;
     this.apiVersion = process.env.JIRA_API_VERSION || '3';
+    this.apiPath = options.apiPath || `/rest/api/${this.apiVersion}`;
+    // Only the platform REST API path follows a site's API version
+    this.versionedPath = !options.apiPath;
+    this.cachePrefix = options.cachePrefix || 'jira';
     this.defaultCacheTTL = parseInt(process.env.JIRA_CACHE_TTL || 300000, 10); // 5 minutes in ms
+    this.api = null;
+  }
+
+  /**
+   * Get the axios client, creating it on first use
+   * @returns {Object} - Axios instance with retry capability
+   */
+  getClient() {
+    if (this.api) return this.api;
 
     // Create axios instance with retry capability
     this.api = axios.create({
-      baseURL: `${this.baseUrl}/rest/api/${this.apiVersion}`,
+      baseURL: `${this.baseUrl}${this.apiPath}`,
       timeout: 10000,
       headers: {
         'Accept': 'application/json',
@@ -40,54 +66,195 @@ class JiraApiService {
                (error.response && error.response.status >= 500);
       }
     });
+
+    return this.api;
+  }
+
+  /**
+   * Get the access token of an auth context
+   * @param {Object|string} auth - Jira auth context ({ accessToken, cloudId }) or OAuth access token
+   * @returns {string} - OAuth access token, API token or personal access token
+   */
+  getAccessToken(auth) {
+    return typeof auth === 'string' ? auth : auth?.accessToken;
+  }
+
+  /**
+   * Get how an auth context authenticates
+   * @param {Object|string} auth - Jira auth context or OAuth access token
+   * @returns {string} - 'oauth', 'apiToken' or 'pat'
+   */
+  getAuthMethod(auth) {
+    return (typeof auth === 'object' && auth?.authMethod) || 'oauth';
+  }
+
+  /**
+   * Get the cloud ID of the Jira site an auth context is bound to
+   * @param {Object|string} auth - Jira auth context or OAuth access token
+   * @returns {string|null} - Cloud ID, or null when requests go to JIRA_API_URL
+   */
+  getCloudId(auth) {
+    return (typeof auth === 'object' && auth?.cloudId) || null;
+  }
+
+  /**
+   * Get a key identifying the site an auth context is bound to
+   * @param {Object|string} auth - Jira auth context or OAuth access token
+   * @returns {string|null} - Site key, or null for the default JIRA_API_URL site
+   */
+  getSiteKey(auth) {
+    if (typeof auth !== 'object' || !auth) return null;
+    return auth.cloudId || auth.siteId || null;
+  }
+
+  /**
+   * Get the API path for an auth context
+   * Sites can pin the platform REST API version (Data Center only serves version 2).
+   * Clients created with an explicit apiPath, such as the Agile API, always use it.
+   * @param {Object|string} auth - Jira auth context or OAuth access token
+   * @returns {string} - API path below the site URL
+   */
+  getApiPath(auth) {
+    if (!this.versionedPath || typeof auth !== 'object' || !auth?.apiVersion) return this.apiPath;
+    return `/rest/api/${auth.apiVersion}`;
   }
 
   /**
-   * Get authorization header with OAuth token
-   * @param {string} accessToken - OAuth access token
+   * Get the API base URL for a Jira Cloud site reached through the API gateway
+   * @param {string} cloudId - Cloud ID from accessible-resources
+   * @param {string} apiPath - API path below the site URL (default: the client's API path)
+   * @returns {string} - Base URL including the API path
+   */
+  getSiteApiUrl(cloudId, apiPath = this.apiPath) {
+    return `${this.gatewayUrl}/ex/jira/${encodeURIComponent(cloudId)}${apiPath}`;
+  }
+
+  /**
+   * Build the per-request axios config for an auth context
+   * OAuth 2.0 (3LO) tokens are only accepted by the API gateway, so OAuth requests for a
+   * site with a cloud ID override the client's JIRA_API_URL base. Other sites, including
+   * every API token and personal access token site, are called on their own URL.
+   * @param {Object|string} auth - Jira auth context or OAuth access token
+   * @returns {Object} - Axios request config
+   */
+  getRequestConfig(auth) {
+    const config = { headers: this.getAuthHeaders(auth) };
+    const cloudId = this.getCloudId(auth);
+    const apiPath = this.getApiPath(auth);
+    const siteUrl = (typeof auth === 'object' && auth?.siteUrl) || this.baseUrl;
+
+    if (cloudId && this.getAuthMethod(auth) === 'oauth') {
+      config.baseURL = this.getSiteApiUrl(cloudId, apiPath);
+    } else if (siteUrl !== this.baseUrl || apiPath !== this.apiPath) {
+      config.baseURL = `${siteUrl}${apiPath}`;
+    }
+
+    return config;
+  }
+
+  /**
+   * Get the authorization header for an auth context
+   * API tokens use basic auth with the account email; OAuth access tokens and
+   * Data Center personal access tokens are both sent as bearer tokens.
+   * @param {Object|string} auth - Jira auth context or OAuth access token
    * @returns {Object} - Headers object with authorization
    */
-  getAuthHeaders(accessToken) {
+  getAuthHeaders(auth) {
+    const accessToken = this.getAccessToken(auth);
+
+    if (this.getAuthMethod(auth) === 'apiToken') {
+      const credentials = Buffer.from(`${auth.email}:${accessToken}`).toString('base64');
+      return {
+        'Authorization': `Basic ${credentials}`,
+      };
+    }
+
     return {
       'Authorization': `Bearer ${accessToken}`
     };
   }
 
   /**
-   * Make a GET request to the Jira API
+   * Get the cache scope for a request
+   * Responses are cached per OAuth grant, so data is only served back to the account
+   * (and permission set) it was fetched with. The token is hashed so it never appears in cache keys.
+   * One grant can cover several sites, so both scopes are also keyed by site.
+   * @param {Object|string} auth - Jira auth context or OAuth access token
+   * @param {boolean|string} useCache - true for a per-user cache, 'shared' for a cache shared by all users
+   * @returns {string} - Cache scope
+   */
+  getCacheScope(auth, useCache) {
+    const siteKey = this.getSiteKey(auth);
+    const site = siteKey ? `_${siteKey}` : '';
+
+    if (useCache === SHARED_CACHE) return `${SHARED_CACHE}${site}`;
+
+    const tokenHash = crypto.createHash('sha256').update(String(this.getAccessToken(auth))).digest('hex').slice(0, 32);
+    return `user_${tokenHash}${site}`;
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {string} method - HTTP method
    * @param {string} endpoint - API endpoint
-   * @param {Object} params - Query parameters
-   * @param {string} accessToken - OAuth access token
-   * @param {boolean} useCache - Whether to use cache
+   * @param {Object} payload - Query parameters or request body
+   * @param {Object|string} auth - Jira auth context or OAuth access token
+   * @param {boolean|string} useCache - Cache mode (see getCacheScope)
+   * @returns {string} - Cache key
+   */
+  getCacheKey(method, endpoint, payload, auth, useCache) {
+    const prefix = method === 'get' ? this.cachePrefix : `${this.cachePrefix}_${method}`;
+    return `${prefix}_${this.getCacheScope(auth, useCache)}_${endpoint}_${JSON.stringify(payload)}`;
+  }
+
+  /**
+   * Make a request, serving and storing the response through the cache when enabled
+   * @param {string} method - HTTP method ('get' or 'post')
+   * @param {string} endpoint - API endpoint
+   * @param {Object} payload - Query parameters (GET) or request body (POST)
+   * @param {Object|string} auth - Jira auth context or OAuth access token
+   * @param {boolean|string} useCache - Cache mode (see getCacheScope)
    * @param {number} cacheTTL - Cache TTL in milliseconds
    * @returns {Promise<Object>} - API response
    */
-  async get(endpoint, params = {}, accessToken, useCache = true, cacheTTL = this.defaultCacheTTL) {
-    try {
-      // Generate cache key based on endpoint and params
-      const cacheKey = `jira_${endpoint}_${JSON.stringify(params)}`;
-
-      // Check cache if enabled
-      if (useCache) {
-        const cachedData = cache.get(cacheKey);
-        if (cachedData) {
-          console.log(`Cache hit for ${cacheKey}`);
-          return cachedData;
-        }
+  async cachedRequest(method, endpoint, payload, auth, useCache, cacheTTL) {
+    const cacheKey = this.getCacheKey(method, endpoint, payload, auth, useCache);
+
+    // Check cache if enabled
+    if (useCache) {
+      const cachedData = cache.get(cacheKey);
+      if (cachedData) {
+        console.log(`Cache hit for ${cacheKey}`);
+        return cachedData;
       }
+    }
 
-      // Make API request
-      const response = await this.api.get(endpoint, {
-        params,
-        headers: this.getAuthHeaders(accessToken)
-      });
+    // Make API request
+    const config = this.getRequestConfig(auth);
+    const response = method === 'get'
+      ? await this.getClient().get(endpoint, { params: payload, ...config })
+      : await this.getClient().post(endpoint, payload, config);
 
-      // Cache response if enabled
-      if (useCache && response.data) {
-        cache.put(cacheKey, response.data, cacheTTL);
-      }
+    // Cache response if enabled
+    if (useCache && response.data) {
+      cache.put(cacheKey, response.data, cacheTTL);
+    }
 
-      return response.data;
+    return response.data;
+  }
+
+  /**
+   * Make a GET request to the Jira API
+   * @param {string} endpoint - API endpoint
+   * @param {Object} params - Query parameters
+   * @param {Object|string} auth - Jira auth context ({ accessToken, cloudId }) or OAuth access token
+   * @param {boolean|string} useCache - Whether to use cache: true (per user), 'shared' (all users) or false
+   * @param {number} cacheTTL - Cache TTL in milliseconds
+   * @returns {Promise<Object>} - API response
+   */
+  async get(endpoint, params = {}, auth, useCache = true, cacheTTL = this.defaultCacheTTL) {
+    try {
+      return await this.cachedRequest('get', endpoint, params, auth, useCache, cacheTTL);
     } catch (error) {
       this.handleApiError(error, endpoint);
       throw error;
@@ -96,18 +263,17 @@ class JiraApiService {
 
   /**
    * Make a POST request to the Jira API
+   * Only read-only endpoints (such as /search) should be called with caching enabled.
    * @param {string} endpoint - API endpoint
    * @param {Object} data - Request body
-   * @param {string} accessToken - OAuth access token
+   * @param {Object|string} auth - Jira auth context ({ accessToken, cloudId }) or OAuth access token
+   * @param {boolean|string} useCache - Whether to cache the response by body and user (default: false)
+   * @param {number} cacheTTL - Cache TTL in milliseconds
    * @returns {Promise<Object>} - API response
    */
-  async post(endpoint, data = {}, accessToken) {
+  async post(endpoint, data = {}, auth, useCache = false, cacheTTL = this.defaultCacheTTL) {
     try {
-      const response = await this.api.post(endpoint, data, {
-        headers: this.getAuthHeaders(accessToken)
-      });
-
-      return response.data;
+      return await this.cachedRequest('post', endpoint, data, auth, useCache, cacheTTL);
     } catch (error) {
       this.handleApiError(error, endpoint);
       throw error;
@@ -118,14 +284,12 @@ class JiraApiService {
    * Make a PUT request to the Jira API
    * @param {string} endpoint - API endpoint
    * @param {Object} data - Request body
-   * @param {string} accessToken - OAuth access token
+   * @param {Object|string} auth - Jira auth context ({ accessToken, cloudId }) or OAuth access token
    * @returns {Promise<Object>} - API response
    */
-  async put(endpoint, data = {}, accessToken) {
+  async put(endpoint, data = {}, auth) {
     try {
-      const response = await this.api.put(endpoint, data, {
-        headers: this.getAuthHeaders(accessToken)
-      });
+      const response = await this.getClient().put(endpoint, data, this.getRequestConfig(auth));
 
       return response.data;
     } catch (error) {
@@ -161,7 +325,7 @@ class JiraApiService {
     if (!keyPattern) return;
 
     // Get all cache keys
-    const keys = Object.keys(cache.exportJson());
+    const keys = cache.keys();
 
     // Filter keys matching the pattern
     const matchingKeys = keys.filter(key => key.includes(keyPattern));
@@ -182,3 +346,5 @@ class JiraApiService {
 }
 
 module.exports = new JiraApiService();
+module.exports.JiraApiService = JiraApiService;
+module.exports.SHARED_CACHE = SHARED_CACHE;
@@ -1,9 +1,15 @@
 const axios = require('axios');
-const jwt = require('jsonwebtoken');
 const querystring = require('querystring');
+const jiraApiService = require('./jiraApiService');
+const sessionService = require('./sessionService');
+const siteRegistryService = require('./siteRegistryService');
+const { DEFAULT_SITE_ID } = require('./siteRegistryService');
+
+// Scope prefix of the Jira product scopes, used to tell Jira sites from other Atlassian products
+const JIRA_SCOPE_PATTERN = /jira/;
 
 /**
- * Service for handling Jira authentication using OAuth 2.0
+ * Service for handling Jira authentication using OAuth 2.0, API tokens or personal access tokens
  */
 class JiraAuthService {
   constructor() {
@@ -12,16 +18,18 @@ class JiraAuthService {
     this.clientId = process.env.JIRA_CLIENT_ID;
     this.clientSecret = process.env.JIRA_CLIENT_SECRET;
     this.redirectUri = process.env.JIRA_REDIRECT_URI || `${process.env.BACKEND_URL}/api/auth/callback`;
-    this.jwtSecret = process.env.JWT_SECRET || 'prestellation-jwt-secret';
-    this.tokenExpiration = process.env.TOKEN_EXPIRATION || '24h';
     this.scopes = process.env.JIRA_SCOPES || 'read:jira-user read:jira-work offline_access';
+    this.gatewayUrl = process.env.JIRA_API_GATEWAY_URL || 'https://api.atlassian.com';
+    // In-flight OAuth token refreshes by session id
+    this.refreshes = new Map();
   }
 
   /**
    * Get the OAuth 2.0 authorization URL
+   * @param {Object} signIn - Sign-in from oauthStateService.create ({ state, codeChallenge })
    * @returns {string} - Authorization URL
    */
-  getAuthorizationUrl() {
+  getAuthorizationUrl({ state, codeChallenge }) {
     // For demo purposes, we'll use a mock URL that redirects back to our callback
     // with a fake code parameter
     if (process.env.NODE_ENV === 'production') {
@@ -31,22 +39,26 @@ class JiraAuthService {
         scope: this.scopes,
         redirect_uri: this.redirectUri,
         response_type: 'code',
-        prompt: 'consent'
+        prompt: 'consent',
+        state,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
       };
 
       return `${this.jiraBaseUrl}/authorize?${querystring.stringify(params)}`;
     } else {
       // Mock URL for development/testing
-      return `/api/auth/mock-oauth?redirect_uri=${encodeURIComponent(this.redirectUri)}`;
+      return `/api/auth/mock-oauth?${querystring.stringify({ redirect_uri: this.redirectUri, state })}`;
     }
   }
 
   /**
    * Exchange authorization code for access token
    * @param {string} code - Authorization code from callback
+   * @param {string} codeVerifier - PKCE code verifier of the sign-in
    * @returns {Promise<Object>} - Token response
    */
-  async exchangeCodeForToken(code) {
+  async exchangeCodeForToken(code, codeVerifier) {
     try {
       // Check if this is a mock code for development/testing
       if (code.startsWith('mock_auth_code_') && process.env.NODE_ENV !== 'production') {
@@ -67,7 +79,8 @@ class JiraAuthService {
         client_id: this.clientId,
         client_secret: this.clientSecret,
         code,
-        redirect_uri: this.redirectUri
+        redirect_uri: this.redirectUri,
+        code_verifier: codeVerifier,
       }, {
         headers: {
           'Content-Type': 'application/json'
@@ -135,11 +148,167 @@ class JiraAuthService {
   }
 
   /**
-   * Get user information from Jira API
+   * Get the Jira sites an OAuth access token grants access to
    * @param {string} accessToken - OAuth access token
+   * @returns {Promise<Object>} - { success, sites: [{ cloudId, name, url, avatarUrl }] }
+   */
+  async getAccessibleSites(accessToken) {
+    try {
+      // Check if this is a mock token for development/testing
+      if (accessToken.startsWith('mock_access_token_') && process.env.NODE_ENV !== 'production') {
+        // Grant access to every registered site
+        return {
+          success: true,
+          sites: siteRegistryService.getSites().map(site => ({
+            cloudId: site.cloudId,
+            name: site.id === DEFAULT_SITE_ID ? 'Demo Site' : site.name,
+            url: site.url || 'https://demo.atlassian.net',
+            avatarUrl: null,
+          })),
+        };
+      }
+
+      const response = await axios.get(`${this.gatewayUrl}/oauth/token/accessible-resources`, {
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Accept': 'application/json',
+        },
+      });
+
+      // A grant can also cover Confluence and other products, which have no Jira API
+      const sites = (response.data || [])
+        .filter(resource => (resource.scopes || []).some(scope => JIRA_SCOPE_PATTERN.test(scope)))
+        .map(resource => ({
+          cloudId: resource.id,
+          name: resource.name,
+          url: resource.url,
+          avatarUrl: resource.avatarUrl || null,
+        }));
+
+      return {
+        success: true,
+        sites,
+      };
+    } catch (error) {
+      console.error('Accessible resources error:', error.message);
+      return {
+        success: false,
+        message: 'Failed to get accessible Jira sites',
+        error: error.response?.data || error.message,
+      };
+    }
+  }
+
+  /**
+   * Connect the session to the registered sites the token can access
+   * With a site registry, every OAuth site the account can reach is connected. Without one,
+   * the default site is picked by selectSite and may be left for the user to choose.
+   * @param {Array<Object>} accessibleSites - Sites from getAccessibleSites
+   * @returns {Object} - { success, sites, selectionRequired, message }
+   */
+  connectSites(accessibleSites) {
+    if (!siteRegistryService.isConfigured()) {
+      if (siteRegistryService.usesTokenAuth(siteRegistryService.getSite(DEFAULT_SITE_ID))) {
+        return { success: false, message: 'Jira is configured for token sign-in' };
+      }
+
+      const selection = this.selectSite(accessibleSites);
+
+      if (!selection.success || selection.selectionRequired) {
+        return { ...selection, sites: [] };
+      }
+
+      return { success: true, sites: [this.toSessionSite(null, selection.site)], selectionRequired: false };
+    }
+
+    const sites = siteRegistryService.getSites()
+      .filter(site => site.authMethod === 'oauth')
+      .map(site => {
+        const resource = accessibleSites.find(candidate => matchesSite(candidate, site));
+        return resource ? this.toSessionSite(site, resource) : null;
+      })
+      .filter(Boolean);
+
+    if (sites.length === 0) {
+      return { success: false, message: 'Your Atlassian account has no access to any configured Jira site' };
+    }
+
+    return { success: true, sites, selectionRequired: false };
+  }
+
+  /**
+   * Pick the default site from the sites a token can access
+   * The site configured by JIRA_CLOUD_ID (or matching JIRA_API_URL) wins. Otherwise a single
+   * site is used directly and several sites are left for the user to choose from.
+   * @param {Array<Object>} sites - Sites from getAccessibleSites
+   * @returns {Object} - { success, site, selectionRequired, message }
+   */
+  selectSite(sites) {
+    const defaultSite = siteRegistryService.getSite(DEFAULT_SITE_ID);
+    const configured = sites.find(site => matchesSite(site, defaultSite));
+
+    if (configured) {
+      return { success: true, site: configured, selectionRequired: false };
+    }
+
+    if (defaultSite.cloudId) {
+      return { success: false, message: 'Your Atlassian account has no access to the configured Jira site' };
+    }
+
+    if (sites.length === 0) {
+      return { success: false, message: 'Your Atlassian account has no access to any Jira site' };
+    }
+
+    if (sites.length === 1) {
+      return { success: true, site: sites[0], selectionRequired: false };
+    }
+
+    return { success: true, site: null, selectionRequired: true };
+  }
+
+  /**
+   * Build the site stored in the session
+   * @param {Object|null} site - Registered site (null for the default site)
+   * @param {Object} resource - Accessible site from getAccessibleSites
+   * @returns {Object} - { id, name, url, cloudId, authMethod, apiVersion }
+   */
+  toSessionSite(site, resource) {
+    return {
+      id: site ? site.id : DEFAULT_SITE_ID,
+      name: site ? site.name : resource.name,
+      url: site ? site.url : resource.url,
+      cloudId: resource.cloudId,
+      authMethod: site ? site.authMethod : 'oauth',
+      apiVersion: site ? site.apiVersion : null,
+    };
+  }
+
+  /**
+   * Sign in to a token site by checking the credentials against it
+   * @param {Object} site - Registered apiToken or pat site
+   * @param {Object} credentials - { email, token } (email is only used for API tokens)
+   * @returns {Promise<Object>} - { success, user, site, message }
+   */
+  async connectTokenSite(site, credentials) {
+    const sessionSite = this.toSessionSite(site, { cloudId: null });
+    const email = site.authMethod === 'apiToken' ? credentials.email : null;
+    const userResult = await this.getUserInfo(credentials.token, sessionSite, email);
+
+    if (!userResult.success) {
+      return { success: false, message: 'Jira did not accept these credentials' };
+    }
+
+    return { success: true, user: userResult.user, site: sessionSite };
+  }
+
+  /**
+   * Get user information from Jira API
+   * @param {string} accessToken - OAuth access token, API token or personal access token
+   * @param {Object} site - Session site to read the user from (omit to call JIRA_API_URL directly)
+   * @param {string} email - Account email (API token sites only)
    * @returns {Promise<Object>} - User information
    */
-  async getUserInfo(accessToken) {
+  async getUserInfo(accessToken, site = null, email = null) {
     try {
       // Check if this is a mock token for development/testing
       if (accessToken.startsWith('mock_access_token_') && process.env.NODE_ENV !== 'production') {
@@ -151,26 +320,30 @@ class JiraAuthService {
             username: 'demo@example.com',
             displayName: 'Demo User',
             accountId: 'mock-account-id',
-            avatarUrl: 'https://avatar-management--avatars.us-west-2.prod.public.atl-paas.net/default-avatar.png'
+            avatarUrl: 'https://avatar-management--avatars.us-west-2.prod.public.atl-paas.net/default-avatar.png',
+            groups: [],
           }
         };
       }
 
-      // Real API call for production
-      const response = await axios.get(`${this.jiraApiUrl}/rest/api/3/myself`, {
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Accept': 'application/json'
-        }
-      });
+      // Real API call for production, routed to the site like every other data call
+      // Group memberships are kept in the session for role assignment
+      const myself = await jiraApiService.get(
+        '/myself',
+        { expand: 'groups' },
+        this.toAuthContext(accessToken, site, email),
+        false,
+      );
 
+      // Data Center users have a key and username instead of an account ID
       return {
         success: true,
         user: {
-          username: response.data.emailAddress,
-          displayName: response.data.displayName,
-          accountId: response.data.accountId,
-          avatarUrl: response.data.avatarUrls?.['48x48']
+          username: myself.emailAddress || myself.name,
+          displayName: myself.displayName,
+          accountId: myself.accountId || myself.key || myself.name,
+          avatarUrl: myself.avatarUrls?.['48x48'],
+          groups: (myself.groups?.items || []).map(group => group.name),
         }
       };
     } catch (error) {
@@ -184,42 +357,106 @@ class JiraAuthService {
   }
 
   /**
-   * Generate JWT token for internal use
-   * @param {Object} userData - User data to include in token
-   * @param {Object} oauthTokens - OAuth tokens to include
-   * @returns {string} - JWT token
+   * Start a server-side session
+   * OAuth sites share the session's OAuth tokens; token sites each have their own credentials,
+   * so one session can connect both.
+   * @param {Object} userData - User data to keep in the session
+   * @param {Object|null} oauthTokens - OAuth tokens ({ access_token, refresh_token, expires_in }), null for token sign-in
+   * @param {Array<Object>} sites - Connected Jira sites ({ id, name, url, cloudId }), empty while the user still has to choose
+   * @param {Object} credentials - Credentials of the token sites by site ID ({ [siteId]: { email, token } })
+   * @returns {Promise<string>} - Opaque session id for the session cookie
    */
-  generateToken(userData, oauthTokens) {
-    return jwt.sign({
+  createSession(userData, oauthTokens, sites = [], credentials = {}) {
+    return sessionService.create({
       user: userData,
-      oauth: {
-        access_token: oauthTokens.access_token,
-        refresh_token: oauthTokens.refresh_token,
-        expires_at: Date.now() + (oauthTokens.expires_in * 1000)
-      }
-    }, this.jwtSecret, {
-      expiresIn: this.tokenExpiration
+      oauth: oauthTokens ? this.toOAuthSession(oauthTokens) : null,
+      credentials,
+      sites,
     });
   }
 
   /**
-   * Verify JWT token
-   * @param {string} token - JWT token to verify
-   * @returns {Object} - Decoded token payload or error
+   * Add signed-in sites to the current session
+   * The sites and credentials of the current session are kept, so signing in to one more site
+   * doesn't sign the user out of the others; a new OAuth grant replaces the OAuth sites of the
+   * previous one. The merged session gets a new id and the current one is revoked, so the
+   * session id still changes on sign-in.
+   * @param {string|null} previousSessionId - Current session id from the cookie
+   * @param {Object} signIn - The sign-in to add ({ user, oauthTokens, sites, credentials }, see createSession)
+   * @returns {Promise<Object>} - { sessionId, session } of the merged session
    */
-  verifyToken(token) {
-    try {
-      const decoded = jwt.verify(token, this.jwtSecret);
-      return {
-        valid: true,
-        decoded
-      };
-    } catch (error) {
-      return {
-        valid: false,
-        error: error.message
-      };
-    }
+  async mergeSession(previousSessionId, { user = null, oauthTokens = null, sites = [], credentials = {} }) {
+    const previous = await sessionService.get(previousSessionId);
+    const signedIn = new Set(sites.map(site => site.id));
+    const kept = (previous?.sites || []).filter(site => !signedIn.has(site.id)
+      && (!oauthTokens || siteRegistryService.usesTokenAuth(site)));
+
+    const session = {
+      user: previous?.user || user,
+      oauth: oauthTokens ? this.toOAuthSession(oauthTokens) : previous?.oauth || null,
+      credentials: { ...previous?.credentials, ...credentials },
+      sites: [...kept, ...sites],
+    };
+    const sessionId = await sessionService.create(session);
+    await sessionService.destroy(previousSessionId);
+
+    return { sessionId, session };
+  }
+
+  /**
+   * Build the OAuth part of a session from a token response
+   * @param {Object} oauthTokens - OAuth tokens ({ access_token, refresh_token, expires_in })
+   * @returns {Object} - { access_token, refresh_token, expires_at }
+   */
+  toOAuthSession(oauthTokens) {
+    return {
+      access_token: oauthTokens.access_token,
+      refresh_token: oauthTokens.refresh_token,
+      expires_at: Date.now() + (oauthTokens.expires_in * 1000),
+    };
+  }
+
+  /**
+   * Build the auth context that data services use to call one Jira site
+   * @param {string} accessToken - OAuth access token, API token or personal access token
+   * @param {Object} site - Session site ({ id, name, url, cloudId, authMethod, apiVersion })
+   * @param {string} email - Account email (API token sites only)
+   * @returns {Object} - { accessToken, authMethod, email, cloudId, siteId, siteName, siteUrl, apiVersion }
+   */
+  toAuthContext(accessToken, site, email = null) {
+    return {
+      accessToken,
+      authMethod: site?.authMethod || 'oauth',
+      email,
+      cloudId: site?.cloudId || null,
+      siteId: site?.id || null,
+      siteName: site?.name || null,
+      siteUrl: site?.url || null,
+      apiVersion: site?.apiVersion || null,
+    };
+  }
+
+  /**
+   * Build the auth contexts of every site connected to a session
+   * Each context carries the accountId of the session user, which decides who may see stored data.
+   * @param {Object} session - Session data
+   * @returns {Array<Object>} - Auth contexts, one per site
+   */
+  getAuthContexts(session) {
+    const accountId = session.user?.accountId || null;
+
+    return (session.sites || [])
+      .map(site => {
+        if (!siteRegistryService.usesTokenAuth(site)) {
+          return session.oauth && this.toAuthContext(session.oauth.access_token, site);
+        }
+
+        const credential = session.credentials?.[site.id];
+        return credential && this.toAuthContext(credential.token, site, credential.email);
+      })
+      // Sites without credentials (e.g. a token site whose credentials are gone) are left out
+      .filter(Boolean)
+      .map(auth => ({ ...auth, accountId }));
   }
 
   /**
@@ -234,64 +471,113 @@ class JiraAuthService {
   }
 
   /**
-   * Refresh session token if needed
-   * @param {string} token - Current JWT token
-   * @returns {Promise<Object>} - New token or error
+   * Load a session, refreshing its OAuth tokens if they are about to expire
+   * @param {string} sessionId - Session id from the cookie
+   * @returns {Promise<Object>} - { success, session, refreshed } or error
    */
-  async refreshSessionToken(token) {
+  async refreshSession(sessionId) {
     try {
-      // Verify the current token
-      const { valid, decoded, error } = this.verifyToken(token);
+      const session = await sessionService.get(sessionId);
 
-      if (!valid) {
+      if (!session) {
         return {
           success: false,
-          message: 'Invalid token',
-          error
+          message: 'Invalid or expired session',
         };
       }
 
-      // Check if OAuth token needs refresh
-      if (this.needsRefresh(decoded.oauth.expires_at)) {
-        // Refresh the OAuth token
-        const refreshResult = await this.refreshAccessToken(decoded.oauth.refresh_token);
-
-        if (!refreshResult.success) {
-          return {
-            success: false,
-            message: 'Failed to refresh OAuth token',
-            error: refreshResult.error
-          };
-        }
-
-        // Generate a new session token with updated OAuth tokens
-        const newToken = this.generateToken(decoded.user, {
-          access_token: refreshResult.access_token,
-          refresh_token: refreshResult.refresh_token || decoded.oauth.refresh_token,
-          expires_in: refreshResult.expires_in
-        });
-
+      // API tokens and personal access tokens don't expire with the session
+      if (!session.oauth || !this.needsRefresh(session.oauth.expires_at)) {
         return {
           success: true,
-          token: newToken,
-          refreshed: true
+          session,
+          refreshed: false,
         };
       }
 
-      // Token doesn't need refresh yet
+      // Atlassian refresh tokens rotate and are single-use, so concurrent requests
+      // of one session share a single refresh instead of racing with the same token
+      if (!this.refreshes.has(sessionId)) {
+        const refresh = this.rotateTokens(sessionId, session)
+          .finally(() => this.refreshes.delete(sessionId));
+        this.refreshes.set(sessionId, refresh);
+      }
+
+      return await this.refreshes.get(sessionId);
+    } catch (error) {
       return {
-        success: true,
-        token,
-        refreshed: false
+        success: false,
+        message: 'Session refresh failed',
+        error: error.message,
       };
-    } catch (error) {
+    }
+  }
+
+  /**
+   * Exchange a session's refresh token and store the new token pair
+   * The access and refresh tokens are written together, so the session never holds
+   * a new access token with a refresh token that has already been used.
+   * @param {string} sessionId - Session id from the cookie
+   * @param {Object} session - Session data
+   * @returns {Promise<Object>} - { success, session, refreshed } or error
+   */
+  async rotateTokens(sessionId, session) {
+    const refreshResult = await this.refreshAccessToken(session.oauth.refresh_token);
+
+    if (!refreshResult.success) {
+      // The refresh token is spent or revoked, so the session can't be used any more
+      await sessionService.destroy(sessionId);
+
+      return {
+        success: false,
+        message: 'Failed to refresh OAuth token',
+        error: refreshResult.error,
+      };
+    }
+
+    const updated = await sessionService.update(sessionId, {
+      oauth: this.toOAuthSession({
+        access_token: refreshResult.access_token,
+        refresh_token: refreshResult.refresh_token || session.oauth.refresh_token,
+        expires_in: refreshResult.expires_in,
+      }),
+    });
+
+    if (!updated) {
       return {
         success: false,
-        message: 'Token refresh failed',
-        error: error.message
+        message: 'Invalid or expired session',
       };
     }
+
+    return {
+      success: true,
+      session: updated,
+      refreshed: true,
+    };
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} sessionId - Session id from the cookie
+   * @returns {Promise<void>}
+   */
+  destroySession(sessionId) {
+    return sessionService.destroy(sessionId);
   }
 }
 
+/**
+ * Check whether an accessible site is a registered site (by cloud ID, or by URL when none is configured)
+ * @param {Object} resource - Accessible site from getAccessibleSites
+ * @param {Object} site - Registered site
+ * @returns {boolean} - True if they are the same site
+ */
+function matchesSite(resource, site) {
+  const normalizeUrl = url => String(url || '').replace(/\/+$/, '').toLowerCase();
+
+  if (site.cloudId) return resource.cloudId === site.cloudId;
+  return Boolean(site.url) && normalizeUrl(resource.url) === normalizeUrl(site.url);
+}
+
 module.exports = new JiraAuthService();
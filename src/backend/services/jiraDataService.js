@@ -1,4 +1,18 @@
 const jiraApiService = require('./jiraApiService');
+const jiraAgileService = require('./jiraAgileService');
+const fieldDiscoveryService = require('./fieldDiscoveryService');
+const severityMappingService = require('./severityMappingService');
+
+// Maximum number of epic keys per JQL query when fetching child issues
+const EPIC_BATCH_SIZE = 50;
+
+// Search pagination: page size, pages fetched in parallel and a hard cap on results per search
+const SEARCH_PAGE_SIZE = 100;
+const SEARCH_CONCURRENCY = parseInt(process.env.JIRA_SEARCH_CONCURRENCY || 4, 10);
+const SEARCH_MAX_RESULTS = parseInt(process.env.JIRA_SEARCH_MAX_RESULTS || 10000, 10);
+
+// Page size when fetching the complete changelog of an issue
+const CHANGELOG_PAGE_SIZE = 100;
 
 /**
  * Service for retrieving and processing Jira data
@@ -6,56 +20,71 @@ const jiraApiService = require('./jiraApiService');
 class JiraDataService {
   /**
    * Get all accessible projects
-   * @param {string} accessToken - OAuth access token
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
    * @param {boolean} useCache - Whether to use cache
    * @returns {Promise<Array>} - List of projects
    */
-  async getProjects(accessToken, useCache = true) {
+  async getProjects(auth, useCache = true) {
     try {
       const projects = await jiraApiService.get('/project', {
         expand: 'description,lead,url',
         status: 'live',
         orderBy: 'name'
-      }, accessToken, useCache);
+      }, auth, useCache);
       
       return projects;
     } catch (error) {
       console.error('Error fetching Jira projects:', error.message);
-      throw new Error('Failed to fetch Jira projects');
+      throw new Error('Failed to fetch Jira projects', { cause: error });
     }
   }
 
   /**
    * Get a specific project by key
    * @param {string} projectKey - Jira project key
-   * @param {string} accessToken - OAuth access token
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
    * @param {boolean} useCache - Whether to use cache
    * @returns {Promise<Object>} - Project details
    */
-  async getProject(projectKey, accessToken, useCache = true) {
+  async getProject(projectKey, auth, useCache = true) {
     try {
       const project = await jiraApiService.get(`/project/${projectKey}`, {
         expand: 'description,lead,url,issueTypes,versions'
-      }, accessToken, useCache);
+      }, auth, useCache);
       
       return project;
     } catch (error) {
       console.error(`Error fetching Jira project ${projectKey}:`, error.message);
-      throw new Error(`Failed to fetch Jira project ${projectKey}`);
+      throw new Error(`Failed to fetch Jira project ${projectKey}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get every issue status of the site with its status category
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Array>} - List of statuses
+   */
+  async getStatuses(auth, useCache = true) {
+    try {
+      return await jiraApiService.get('/status', {}, auth, useCache);
+    } catch (error) {
+      console.error('Error fetching Jira statuses:', error.message);
+      throw new Error('Failed to fetch Jira statuses', { cause: error });
     }
   }
 
   /**
    * Get all epics for a project
    * @param {string} projectKey - Jira project key
-   * @param {string} accessToken - OAuth access token
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
    * @param {boolean} useCache - Whether to use cache
    * @returns {Promise<Array>} - List of epics
    */
-  async getEpics(projectKey, accessToken, useCache = true) {
+  async getEpics(projectKey, auth, useCache = true) {
     try {
       // Find the epic issue type ID for the project
-      const project = await this.getProject(projectKey, accessToken, useCache);
+      const project = await this.getProject(projectKey, auth, useCache);
       const epicIssueType = project.issueTypes.find(type => type.name === 'Epic');
       
       if (!epicIssueType) {
@@ -66,48 +95,117 @@ class JiraDataService {
       const jql = `project = "${projectKey}" AND issuetype = "${epicIssueType.id}" ORDER BY created DESC`;
       
       // Get all epics using search
-      const searchResults = await this.searchIssues(jql, accessToken, useCache);
+      const searchResults = await this.searchIssues(jql, auth, useCache);
       
       return searchResults.issues;
     } catch (error) {
       console.error(`Error fetching epics for project ${projectKey}:`, error.message);
-      throw new Error(`Failed to fetch epics for project ${projectKey}`);
+      throw new Error(`Failed to fetch epics for project ${projectKey}`, { cause: error });
     }
   }
 
   /**
    * Get all issues for an epic
    * @param {string} epicKey - Jira epic key
-   * @param {string} accessToken - OAuth access token
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
    * @param {boolean} useCache - Whether to use cache
    * @returns {Promise<Array>} - List of issues
    */
-  async getIssuesForEpic(epicKey, accessToken, useCache = true) {
+  async getIssuesForEpic(epicKey, auth, useCache = true) {
     try {
-      // JQL to find all issues in the epic
-      const jql = `"Epic Link" = "${epicKey}" ORDER BY created DESC`;
+      // JQL to find all issues in the epic (company-managed "Epic Link" or team-managed parent)
+      const jql = `("Epic Link" = "${epicKey}" OR parent = "${epicKey}") ORDER BY created DESC`;
       
       // Get all issues using search
-      const searchResults = await this.searchIssues(jql, accessToken, useCache);
+      const searchResults = await this.searchIssues(jql, auth, useCache);
       
       return searchResults.issues;
     } catch (error) {
       console.error(`Error fetching issues for epic ${epicKey}:`, error.message);
-      throw new Error(`Failed to fetch issues for epic ${epicKey}`);
+      throw new Error(`Failed to fetch issues for epic ${epicKey}`, { cause: error });
+    }
+  }
+
+  /**
+   * Get all issues for several epics using batched searches
+   * @param {Array<string>} epicKeys - Jira epic keys
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Object>} - Map of epic key to list of issues
+   */
+  async getIssuesForEpics(epicKeys, auth, useCache = true) {
+    const issuesByEpic = {};
+    epicKeys.forEach(epicKey => {
+      issuesByEpic[epicKey] = [];
+    });
+
+    if (epicKeys.length === 0) {
+      return issuesByEpic;
+    }
+
+    try {
+      const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
+
+      // Split the keys so that each JQL query stays within a reasonable length
+      const batches = [];
+      for (let i = 0; i < epicKeys.length; i += EPIC_BATCH_SIZE) {
+        batches.push(epicKeys.slice(i, i + EPIC_BATCH_SIZE));
+      }
+
+      const results = await Promise.all(batches.map(batch => {
+        const keyList = batch.map(key => `"${key}"`).join(', ');
+        const jql = `("Epic Link" in (${keyList}) OR parent in (${keyList})) ORDER BY created DESC`;
+
+        return this.searchIssues(jql, auth, useCache);
+      }));
+
+      results.forEach(searchResults => {
+        searchResults.issues.forEach(issue => {
+          const fields = issue.fields || {};
+          const epicKey = [fields.parent?.key, fields[fieldIds.epicLink]]
+            .find(key => key && issuesByEpic[key]);
+
+          if (epicKey) {
+            issuesByEpic[epicKey].push(issue);
+          }
+        });
+      });
+
+      return issuesByEpic;
+    } catch (error) {
+      console.error(`Error fetching issues for epics ${epicKeys.join(', ')}:`, error.message);
+      throw new Error('Failed to fetch issues for epics', { cause: error });
     }
   }
 
   /**
    * Get all bugs for a project
    * @param {string} projectKey - Jira project key
-   * @param {string} accessToken - OAuth access token
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
    * @param {boolean} useCache - Whether to use cache
    * @returns {Promise<Array>} - List of bugs
    */
-  async getBugs(projectKey, accessToken, useCache = true) {
+  async getBugs(projectKey, auth, useCache = true) {
+    const bugs = [];
+
+    for await (const page of this.streamBugs(projectKey, auth, { useCache })) {
+      bugs.push(...page);
+    }
+
+    return bugs;
+  }
+
+  /**
+   * Stream the bugs of a project page by page
+   * @param {string} projectKey - Jira project key
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {Object} options - Search options (see streamIssues)
+   * @returns {AsyncGenerator<Array>} - Pages of raw Jira bugs
+   */
+  async *streamBugs(projectKey, auth, options = {}) {
     try {
       // Find the bug issue type ID for the project
-      const project = await this.getProject(projectKey, accessToken, useCache);
+      const project = await this.getProject(projectKey, auth, options.useCache !== false);
       const bugIssueType = project.issueTypes.find(type => type.name === 'Bug');
       
       if (!bugIssueType) {
@@ -117,128 +215,248 @@ class JiraDataService {
       // JQL to find all bugs in the project
       const jql = `project = "${projectKey}" AND issuetype = "${bugIssueType.id}" ORDER BY created DESC`;
       
-      // Get all bugs using search
-      const searchResults = await this.searchIssues(jql, accessToken, useCache);
-      
-      return searchResults.issues;
+      for await (const page of this.streamIssues(jql, auth, options)) {
+        // Status history is replayed from the changelog, so it must be complete
+        yield await this.completeChangelogs(page.issues, auth, options.useCache !== false);
+      }
     } catch (error) {
       console.error(`Error fetching bugs for project ${projectKey}:`, error.message);
-      throw new Error(`Failed to fetch bugs for project ${projectKey}`);
+      throw new Error(`Failed to fetch bugs for project ${projectKey}`, { cause: error });
     }
   }
 
   /**
-   * Search for issues using JQL
+   * Search for issues using JQL, collecting every page
    * @param {string} jql - JQL query
-   * @param {string} accessToken - OAuth access token
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
    * @param {boolean} useCache - Whether to use cache
    * @param {number} startAt - Starting index for pagination
-   * @param {number} maxResults - Maximum results to return
-   * @returns {Promise<Object>} - Search results
+   * @param {number} maxResults - Page size to request
+   * @returns {Promise<Object>} - Search results ({ issues, total, startAt, maxResults, truncated })
+   */
+  async searchIssues(jql, auth, useCache = true, startAt = 0, maxResults = SEARCH_PAGE_SIZE) {
+    const issues = [];
+    const stream = this.streamIssues(jql, auth, { useCache, startAt, pageSize: maxResults });
+
+    let page;
+    for await (page of stream) {
+      issues.push(...page.issues);
+    }
+
+    return {
+      issues,
+      total: page ? page.total : 0,
+      startAt,
+      maxResults: page ? page.maxResults : maxResults,
+      truncated: page ? page.truncated : false,
+    };
+  }
+
+  /**
+   * Stream the pages of a JQL search in order
+   * The first page reveals the total; the remaining pages are then fetched with bounded
+   * concurrency. Results stop at JIRA_SEARCH_MAX_RESULTS so very large projects cannot exhaust memory.
+   * @param {string} jql - JQL query
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {Object} options - Search options
+   * @param {boolean} options.useCache - Whether to use cache
+   * @param {number} options.startAt - Starting index
+   * @param {number} options.pageSize - Page size to request
+   * @param {number} options.maxResults - Maximum number of issues to return
+   * @param {number} options.concurrency - Maximum number of pages requested at once
+   * @returns {AsyncGenerator<Object>} - Pages ({ issues, startAt, maxResults, total, truncated })
    */
-  async searchIssues(jql, accessToken, useCache = true, startAt = 0, maxResults = 50) {
+  async *streamIssues(jql, auth, {
+    useCache = true,
+    startAt = 0,
+    pageSize = SEARCH_PAGE_SIZE,
+    maxResults = SEARCH_MAX_RESULTS,
+    concurrency = SEARCH_CONCURRENCY,
+  } = {}) {
     try {
-      const searchResults = await jiraApiService.post('/search', {
-        jql,
-        startAt,
-        maxResults,
-        fields: [
-          'summary',
-          'description',
-          'status',
-          'priority',
-          'assignee',
-          'reporter',
-          'created',
-          'updated',
-          'duedate',
-          'issuetype',
-          'project',
-          'parent',
-          'customfield_10014', // Sprint field (may vary by Jira instance)
-          'customfield_10015', // Epic Link field (may vary by Jira instance)
-          'customfield_10016', // Epic Name field (may vary by Jira instance)
-          'labels',
-          'fixVersions',
-          'components'
-        ],
-        expand: ['changelog']
-      }, accessToken, useCache);
-      
-      // Handle pagination if there are more results
-      if (searchResults.startAt + searchResults.maxResults < searchResults.total) {
-        const nextStartAt = searchResults.startAt + searchResults.maxResults;
-        const nextResults = await this.searchIssues(jql, accessToken, useCache, nextStartAt, maxResults);
-        
-        // Combine results
-        searchResults.issues = [...searchResults.issues, ...nextResults.issues];
+      const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
+      const fetchPage = pageStart => this.fetchSearchPage(jql, auth, fieldIds, {
+        useCache,
+        startAt: pageStart,
+        maxResults: pageSize,
+      });
+
+      const firstPage = await fetchPage(startAt);
+
+      // Jira may return fewer results per page than requested
+      const step = firstPage.maxResults || pageSize;
+      const end = Math.min(firstPage.total, startAt + maxResults);
+      const truncated = firstPage.total > startAt + maxResults;
+
+      if (truncated) {
+        console.warn(`Search for "${jql}" matched ${firstPage.total} issues; returning the first ${maxResults}`);
+      }
+
+      const toPage = (page, pageStart) => ({
+        issues: page.issues.slice(0, Math.max(end - pageStart, 0)),
+        startAt: pageStart,
+        maxResults: step,
+        total: firstPage.total,
+        truncated,
+      });
+
+      yield toPage(firstPage, startAt);
+
+      const offsets = [];
+      for (let offset = startAt + step; offset < end; offset += step) {
+        offsets.push(offset);
+      }
+
+      // Keep up to `concurrency` requests in flight and yield pages in order
+      const inFlight = [];
+      let next = 0;
+      while (next < offsets.length || inFlight.length > 0) {
+        while (next < offsets.length && inFlight.length < concurrency) {
+          const offset = offsets[next];
+          const request = fetchPage(offset).then(page => toPage(page, offset));
+          // Rejections are handled when the page is awaited; avoid unhandled rejection warnings meanwhile
+          request.catch(() => {});
+          inFlight.push(request);
+          next += 1;
+        }
+
+        yield await inFlight.shift();
       }
-      
-      return searchResults;
     } catch (error) {
       console.error(`Error searching issues with JQL "${jql}":`, error.message);
-      throw new Error('Failed to search Jira issues');
+      throw new Error('Failed to search Jira issues', { cause: error });
     }
   }
 
+  /**
+   * Fetch a single page of search results
+   * @param {string} jql - JQL query
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {Object} fieldIds - Custom field IDs from field discovery
+   * @param {Object} options - { useCache, startAt, maxResults }
+   * @returns {Promise<Object>} - Raw Jira search response
+   */
+  fetchSearchPage(jql, auth, fieldIds, { useCache, startAt, maxResults }) {
+    return jiraApiService.post('/search', {
+      jql,
+      startAt,
+      maxResults,
+      fields: [
+        'summary',
+        'description',
+        'status',
+        'priority',
+        'assignee',
+        'reporter',
+        'created',
+        'updated',
+        'resolutiondate',
+        'duedate',
+        'issuetype',
+        'project',
+        'parent',
+        ...fieldDiscoveryService.getSearchFields(fieldIds),
+        ...severityMappingService.getSourceFields(),
+        'labels',
+        'fixVersions',
+        'components',
+      ],
+      expand: ['changelog'],
+    }, auth, useCache);
+  }
+
+  /**
+   * Get the complete changelog of an issue, page by page
+   * @param {string} issueKey - Jira issue key
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Array>} - Changelog histories, oldest first
+   */
+  async getChangelog(issueKey, auth, useCache = true) {
+    try {
+      const histories = [];
+      let page;
+
+      do {
+        page = await jiraApiService.get(`/issue/${issueKey}/changelog`, {
+          startAt: histories.length,
+          maxResults: CHANGELOG_PAGE_SIZE,
+        }, auth, useCache);
+        histories.push(...(page.values || []));
+      } while (!page.isLast && page.values?.length > 0 && histories.length < page.total);
+
+      return histories;
+    } catch (error) {
+      console.error(`Error fetching changelog of Jira issue ${issueKey}:`, error.message);
+      throw new Error(`Failed to fetch changelog of Jira issue ${issueKey}`, { cause: error });
+    }
+  }
+
+  /**
+   * Replace the truncated changelogs of searched issues with complete ones
+   * Search results only embed the most recent changelog entries of very active issues.
+   * @param {Array<Object>} issues - Raw Jira issues (with changelog)
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {boolean} useCache - Whether to use cache
+   * @returns {Promise<Array>} - Issues with complete changelogs
+   */
+  async completeChangelogs(issues, auth, useCache = true) {
+    const truncated = issues.filter(issue => issue.changelog?.total > (issue.changelog.histories || []).length);
+    const changelogs = new Map();
+
+    // Fetch as many changelogs at once as search pages
+    for (let i = 0; i < truncated.length; i += SEARCH_CONCURRENCY) {
+      await Promise.all(truncated.slice(i, i + SEARCH_CONCURRENCY).map(async issue => {
+        const histories = await this.getChangelog(issue.key, auth, useCache);
+        changelogs.set(issue.key, { ...issue.changelog, startAt: 0, maxResults: histories.length, histories });
+      }));
+    }
+
+    return issues.map(issue => (changelogs.has(issue.key) ? { ...issue, changelog: changelogs.get(issue.key) } : issue));
+  }
+
   /**
    * Get a specific issue by key
    * @param {string} issueKey - Jira issue key
-   * @param {string} accessToken - OAuth access token
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
    * @param {boolean} useCache - Whether to use cache
    * @returns {Promise<Object>} - Issue details
    */
-  async getIssue(issueKey, accessToken, useCache = true) {
+  async getIssue(issueKey, auth, useCache = true) {
     try {
       const issue = await jiraApiService.get(`/issue/${issueKey}`, {
         expand: 'changelog,transitions,renderedFields'
-      }, accessToken, useCache);
+      }, auth, useCache);
       
       return issue;
     } catch (error) {
       console.error(`Error fetching Jira issue ${issueKey}:`, error.message);
-      throw new Error(`Failed to fetch Jira issue ${issueKey}`);
+      throw new Error(`Failed to fetch Jira issue ${issueKey}`, { cause: error });
     }
   }
 
   /**
-   * Get all sprints for a project (requires Jira Software)
+   * Get the active and future sprints for a project (requires Jira Software)
    * @param {string} projectKey - Jira project key
-   * @param {string} accessToken - OAuth access token
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
    * @param {boolean} useCache - Whether to use cache
    * @returns {Promise<Array>} - List of sprints
    */
-  async getSprints(projectKey, accessToken, useCache = true) {
+  async getSprints(projectKey, auth, useCache = true) {
     try {
-      // This endpoint is specific to Jira Software and may require different API path
-      const boardsEndpoint = '/rest/agile/1.0/board';
-      
-      // Get all boards for the project
-      const boards = await jiraApiService.get(boardsEndpoint, {
-        projectKeyOrId: projectKey
-      }, accessToken, useCache);
-      
-      if (!boards.values || boards.values.length === 0) {
-        return [];
-      }
-      
-      // Get sprints for each board
-      const allSprints = [];
-      for (const board of boards.values) {
-        const sprintsEndpoint = `/rest/agile/1.0/board/${board.id}/sprint`;
-        const sprints = await jiraApiService.get(sprintsEndpoint, {
-          state: 'active,future'
-        }, accessToken, useCache);
-        
-        if (sprints.values && sprints.values.length > 0) {
-          allSprints.push(...sprints.values);
-        }
-      }
-      
-      return allSprints;
+      const boards = await jiraAgileService.getBoards(projectKey, auth, useCache);
+      const boardSprints = await Promise.all(boards.map(board => (
+        jiraAgileService.getSprints(board.id, auth, { state: 'active,future', useCache })
+      )));
+
+      // A sprint can be shown on several boards
+      const sprintsById = new Map();
+      boardSprints.flat().forEach(sprint => sprintsById.set(sprint.id, sprint));
+
+      return [...sprintsById.values()];
     } catch (error) {
       console.error(`Error fetching sprints for project ${projectKey}:`, error.message);
-      throw new Error(`Failed to fetch sprints for project ${projectKey}`);
+      throw new Error(`Failed to fetch sprints for project ${projectKey}`, { cause: error });
     }
   }
 }
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { safeEqual, getSessionSecret } = require('../utils/securityUtils');
+
+// How long a sign-in may take between /login and /callback
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Encode bytes as base64url (RFC 4648), as PKCE requires
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} - Base64url string without padding
+ */
+const base64url = buffer => buffer.toString('base64url');
+
+/**
+ * Service for the OAuth 2.0 `state` parameter and PKCE (RFC 7636)
+ *
+ * Each sign-in gets a state that is signed with SESSION_SECRET, can be used once, and is
+ * bound to the browser that started it through a random key kept in an HTTP-only cookie.
+ * The PKCE code verifier stays on the server until the callback exchanges the code.
+ */
+class OAuthStateService {
+  constructor() {
+    this.ttl = STATE_TTL;
+    // Pending sign-ins by state nonce
+    this.pending = new Map();
+  }
+
+  /**
+   * Sign a state nonce
+   * @param {string} nonce - State nonce
+   * @returns {string} - HMAC-SHA256 signature (base64url)
+   */
+  sign(nonce) {
+    return base64url(crypto.createHmac('sha256', getSessionSecret()).update(`oauth-state:${nonce}`).digest());
+  }
+
+  /**
+   * Hash a browser key so the pending sign-ins never hold the cookie value itself
+   * @param {string} browserKey - Browser key from the cookie
+   * @returns {Buffer} - SHA-256 digest
+   */
+  hashBrowserKey(browserKey) {
+    return crypto.createHash('sha256').update(String(browserKey)).digest();
+  }
+
+  /**
+   * Start a sign-in
+   * @returns {Object} - { state, browserKey, codeChallenge } (browserKey goes in the cookie)
+   */
+  create() {
+    this.purgeExpired();
+
+    const nonce = base64url(crypto.randomBytes(24));
+    const browserKey = base64url(crypto.randomBytes(32));
+    const codeVerifier = base64url(crypto.randomBytes(32));
+
+    this.pending.set(nonce, {
+      browserKeyHash: this.hashBrowserKey(browserKey),
+      codeVerifier,
+      expiresAt: Date.now() + this.ttl,
+    });
+
+    return {
+      state: `${nonce}.${this.sign(nonce)}`,
+      browserKey,
+      codeChallenge: base64url(crypto.createHash('sha256').update(codeVerifier).digest()),
+    };
+  }
+
+  /**
+   * Check the state of a callback and use it up
+   * @param {string} state - State from the callback query
+   * @param {string} browserKey - Browser key from the cookie
+   * @returns {string|null} - PKCE code verifier, or null if the state is forged, replayed,
+   *   expired or was started in another browser
+   */
+  consume(state, browserKey) {
+    if (typeof state !== 'string' || !browserKey) return null;
+
+    const [nonce, signature] = state.split('.');
+    if (!nonce || !signature || !safeEqual(signature, this.sign(nonce))) return null;
+
+    // A state is single-use, whatever the outcome of this attempt
+    const pending = this.pending.get(nonce);
+    this.pending.delete(nonce);
+
+    if (!pending || pending.expiresAt <= Date.now()) return null;
+    if (!crypto.timingSafeEqual(pending.browserKeyHash, this.hashBrowserKey(browserKey))) return null;
+
+    return pending.codeVerifier;
+  }
+
+  /**
+   * Remove sign-ins that were never completed
+   */
+  purgeExpired() {
+    const now = Date.now();
+
+    this.pending.forEach((pending, nonce) => {
+      if (pending.expiresAt <= now) this.pending.delete(nonce);
+    });
+  }
+}
+
+module.exports = new OAuthStateService();
@@ -0,0 +1,559 @@
+const PDFDocument = require('pdfkit');
+const reportExportService = require('./reportExportService');
+const { SECTION_TITLES } = require('./reportExportService');
+const { EXPORT_THEME, TREND_COLORS, getStatusColor } = require('../utils/exportTheme');
+const { badRequest } = require('../utils/errorHandler');
+
+// Supported paper sizes (portrait)
+const PAGE_SIZES = ['A4', 'Letter'];
+
+// Page layout in points
+const MARGIN = 50;
+const FOOTER_HEIGHT = 36;
+const GAP = 10;
+
+// Roadmap tiles per row and tile height
+const TILE_COLUMNS = 2;
+const TILE_HEIGHT = 58;
+
+const CHART_HEIGHT = 260;
+const CELL_PADDING = 4;
+
+// PDF standard fonts, so rendering needs no font files
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+
+/**
+ * Service for rendering reports as paginated PDF documents
+ * Charts are drawn as vector graphics with pdfkit, so no browser is needed.
+ */
+class PdfExportService {
+  /**
+   * Validate the requested paper size
+   * @param {string} pageSize - Paper size ('A4' or 'Letter', case-insensitive)
+   * @returns {string} - Paper size as pdfkit names it
+   * @throws {Error} - 400 error for an unknown paper size
+   */
+  validatePageSize(pageSize = 'A4') {
+    const size = PAGE_SIZES.find(name => name.toLowerCase() === String(pageSize).toLowerCase());
+    if (!size) {
+      throw badRequest(`Invalid page size "${pageSize}". Valid sizes: ${PAGE_SIZES.join(', ')}`);
+    }
+    return size;
+  }
+
+  /**
+   * Render a report as a PDF file
+   * @param {Object} report - Report data from reportExportService.getReportData
+   * @param {Object} options - Options
+   * @param {string} options.title - Document title
+   * @param {string} options.pageSize - Paper size ('A4' or 'Letter')
+   * @returns {Promise<Buffer>} - PDF file contents
+   */
+  async render(report, { title = 'Roadmap and bug report', pageSize = 'A4' } = {}) {
+    const doc = new PDFDocument({
+      size: this.validatePageSize(pageSize),
+      margins: { top: MARGIN, left: MARGIN, right: MARGIN, bottom: MARGIN + FOOTER_HEIGHT },
+      // Pages stay in memory so the contents and page numbers can be added at the end
+      bufferPages: true,
+      info: { Title: title, Author: 'Prestellation' },
+    });
+
+    const chunks = [];
+    doc.on('data', data => chunks.push(data));
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', resolve);
+      doc.on('error', reject);
+    });
+
+    this.addCoverPage(doc, report, title);
+    doc.addPage();
+    const contentsPage = getPageCount(doc) - 1;
+
+    const renderers = {
+      roadmap: () => this.addRoadmap(doc, report.roadmap),
+      epics: () => this.addEpicTable(doc, report.roadmap),
+      severity: () => this.addSeverityChart(doc, report.severity),
+      trend: () => this.addTrendChart(doc, report.trends),
+      criticalBugs: () => this.addCriticalBugTable(doc, report.criticalBugs),
+    };
+
+    const contents = report.sections.map(section => {
+      const entry = { section, title: this.getSectionTitle(report, section), page: getPageCount(doc) + 1 };
+      doc.addPage();
+      doc.addNamedDestination(section);
+      doc.outline.addItem(entry.title);
+      this.addHeading(doc, entry.title);
+      renderers[section]();
+      return entry;
+    });
+
+    this.addTableOfContents(doc, contentsPage, contents);
+    this.addFooters(doc, report);
+
+    doc.end();
+    await finished;
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * Get the title of a report section
+   * @param {Object} report - Report data
+   * @param {string} section - Section
+   * @returns {string} - Section title
+   */
+  getSectionTitle(report, section) {
+    if (section === 'severity') return `${SECTION_TITLES.severity} (${report.severity.total})`;
+    if (section === 'trend') return `${SECTION_TITLES.trend} (${report.trends.interval === 'month' ? 'monthly' : 'weekly'})`;
+    return SECTION_TITLES[section];
+  }
+
+  /**
+   * Fill the first page with the title, data timestamp, filters and any data problems
+   * @param {Object} doc - PDF document
+   * @param {Object} report - Report data
+   * @param {string} title - Document title
+   */
+  addCoverPage(doc, report, title) {
+    const width = getContentWidth(doc);
+    doc.rect(0, 0, doc.page.width, doc.page.height).fill(EXPORT_THEME.primary);
+
+    doc.font(BOLD_FONT).fontSize(32).fillColor(EXPORT_THEME.background)
+      .text(title, MARGIN, doc.page.height * 0.3, { width });
+    doc.moveDown(0.5);
+    doc.font(FONT).fontSize(16)
+      .text(`Data as of ${reportExportService.formatTimestamp(report.dataAsOf, report.timeZone)}`, { width });
+    doc.fontSize(11)
+      .text(`Generated ${reportExportService.formatTimestamp(report.generatedAt, report.timeZone)}`, { width });
+
+    const notes = [
+      ...reportExportService.describeFilters(report),
+      ...report.fallback.map(entry => (
+        `${entry.project}: Jira was unavailable, showing data synced ${reportExportService.formatTimestamp(entry.syncedAt, report.timeZone)}`
+      )),
+      ...report.errors.map(entry => `${entry.project}: not included (${entry.message})`),
+    ];
+
+    doc.moveDown(2);
+    notes.forEach(note => doc.fontSize(12).text(note, { width }));
+  }
+
+  /**
+   * Write the table of contents with links to the sections
+   * @param {Object} doc - PDF document
+   * @param {number} pageIndex - Index of the contents page
+   * @param {Array<Object>} contents - Sections ({ section, title, page })
+   */
+  addTableOfContents(doc, pageIndex, contents) {
+    doc.switchToPage(pageIndex);
+    this.addHeading(doc, 'Contents');
+
+    const right = doc.page.width - MARGIN;
+    doc.font(FONT).fontSize(12).fillColor(EXPORT_THEME.text);
+
+    contents.forEach(entry => {
+      const y = doc.y;
+      const pageNumber = String(entry.page);
+      const titleEnd = MARGIN + doc.widthOfString(entry.title) + 6;
+      const numberStart = right - doc.widthOfString(pageNumber) - 6;
+
+      doc.text(entry.title, MARGIN, y, { lineBreak: false });
+      doc.text(pageNumber, MARGIN, y, { width: right - MARGIN, align: 'right', lineBreak: false });
+      doc.goTo(MARGIN, y, right - MARGIN, 14, entry.section);
+      // Dotted leader between the title and its page number
+      doc.moveTo(titleEnd, y + 10).lineTo(numberStart, y + 10)
+        .dash(1, { space: 3 }).strokeColor(EXPORT_THEME.mutedText).lineWidth(0.5).stroke().undash();
+
+      doc.x = MARGIN;
+      doc.y = y + 22;
+    });
+  }
+
+  /**
+   * Add the filter criteria, data timestamp and page number to every page but the cover
+   * @param {Object} doc - PDF document
+   * @param {Object} report - Report data
+   */
+  addFooters(doc, report) {
+    const { start, count } = doc.bufferedPageRange();
+    const filters = reportExportService.describeFilters(report).join(' · ') || 'No filters';
+    const dataAsOf = `Data as of ${reportExportService.formatTimestamp(report.dataAsOf, report.timeZone)}`;
+
+    for (let index = start + 1; index < start + count; index++) {
+      doc.switchToPage(index);
+      const width = getContentWidth(doc);
+      const top = doc.page.height - MARGIN - FOOTER_HEIGHT + 10;
+      const pageLabel = `Page ${index + 1} of ${count}`;
+
+      // Footer text sits in the bottom margin, which would otherwise start a new page
+      const { bottom } = doc.page.margins;
+      doc.page.margins.bottom = 0;
+
+      doc.moveTo(MARGIN, top).lineTo(MARGIN + width, top).strokeColor(EXPORT_THEME.border).lineWidth(0.5).stroke();
+      doc.font(FONT).fontSize(8).fillColor(EXPORT_THEME.mutedText);
+      doc.text(filters, MARGIN, top + 6, { width: width - 70, height: 10, ellipsis: true });
+      doc.text(dataAsOf, MARGIN, top + 17, { width: width - 70, lineBreak: false });
+      doc.text(pageLabel, MARGIN, top + 6, { width, align: 'right', lineBreak: false });
+
+      doc.page.margins.bottom = bottom;
+    }
+  }
+
+  /**
+   * Write a section heading
+   * @param {Object} doc - PDF document
+   * @param {string} text - Heading
+   */
+  addHeading(doc, text) {
+    doc.rect(0, 0, doc.page.width, 6).fill(EXPORT_THEME.primary);
+    doc.font(BOLD_FONT).fontSize(20).fillColor(EXPORT_THEME.text)
+      .text(text, MARGIN, MARGIN, { width: getContentWidth(doc) });
+    doc.moveDown(0.8);
+  }
+
+  /**
+   * Roadmap tiles grouped by quarter
+   * @param {Object} doc - PDF document
+   * @param {Object} roadmap - Roadmap view model
+   */
+  addRoadmap(doc, roadmap) {
+    if (roadmap.quarters.length === 0) {
+      this.addMessage(doc, 'No epics match the filters.');
+      return;
+    }
+
+    const width = getContentWidth(doc);
+    const tileWidth = (width - (TILE_COLUMNS - 1) * GAP) / TILE_COLUMNS;
+
+    roadmap.quarters.forEach(quarter => {
+      const epics = roadmap.epics.filter(epic => epic.quarter === quarter.id);
+
+      // Keep the quarter heading with its first row of tiles
+      ensureSpace(doc, 30 + TILE_HEIGHT);
+      const top = doc.y;
+      doc.rect(MARGIN, top, width, 22).fill(EXPORT_THEME.primary);
+      doc.font(BOLD_FONT).fontSize(11).fillColor(EXPORT_THEME.background)
+        .text(`${quarter.name} · ${quarter.epicCount} epics`, MARGIN + 8, top + 6, { width: width - 16, lineBreak: false });
+      doc.y = top + 22 + GAP;
+
+      for (let index = 0; index < epics.length; index += TILE_COLUMNS) {
+        ensureSpace(doc, TILE_HEIGHT);
+        const y = doc.y;
+        epics.slice(index, index + TILE_COLUMNS).forEach((epic, column) => this.addEpicTile(doc, epic, {
+          x: MARGIN + column * (tileWidth + GAP),
+          y,
+          w: tileWidth,
+        }));
+        doc.y = y + TILE_HEIGHT + GAP;
+      }
+
+      doc.y += GAP;
+    });
+    doc.x = MARGIN;
+  }
+
+  /**
+   * Draw a roadmap tile for an epic
+   * @param {Object} doc - PDF document
+   * @param {Object} epic - Roadmap epic
+   * @param {Object} position - { x, y, w }
+   */
+  addEpicTile(doc, epic, { x, y, w }) {
+    const statusColor = getStatusColor(epic.statusCategory);
+    const textWidth = w - 20;
+
+    doc.rect(x, y, w, TILE_HEIGHT).fillAndStroke(EXPORT_THEME.surface, EXPORT_THEME.border);
+    // Project color strip
+    doc.rect(x, y, 4, TILE_HEIGHT).fill(epic.project.color || EXPORT_THEME.mutedText);
+
+    doc.font(BOLD_FONT).fontSize(9).fillColor(EXPORT_THEME.text)
+      .text(epic.key, x + 12, y + 6, { width: textWidth, lineBreak: false });
+    doc.font(FONT).fontSize(9)
+      .text(epic.summary, x + 12, y + 18, { width: textWidth, height: 11, ellipsis: true });
+    doc.fontSize(8).fillColor(statusColor)
+      .text(`${epic.statusCategory} · ${epic.progress}% complete`, x + 12, y + 32, { width: textWidth, lineBreak: false });
+
+    // Progress bar
+    doc.rect(x + 12, y + TILE_HEIGHT - 10, textWidth, 3).fill(EXPORT_THEME.border);
+    doc.rect(x + 12, y + TILE_HEIGHT - 10, textWidth * Math.min(epic.progress, 100) / 100, 3).fill(statusColor);
+  }
+
+  /**
+   * Table of the roadmap epics
+   * @param {Object} doc - PDF document
+   * @param {Object} roadmap - Roadmap view model
+   */
+  addEpicTable(doc, roadmap) {
+    this.addTable(doc, {
+      columns: [
+        { header: 'Key', width: 0.11, value: epic => epic.key },
+        { header: 'Summary', width: 0.33, value: epic => epic.summary },
+        { header: 'Project', width: 0.13, value: epic => epic.project.name },
+        { header: 'Quarter', width: 0.09, value: epic => epic.quarter },
+        { header: 'Status', width: 0.11, value: epic => epic.status },
+        { header: 'Owner', width: 0.14, value: epic => epic.assignee?.displayName || 'Unassigned' },
+        { header: 'Progress', width: 0.09, value: epic => `${epic.progress}%` },
+      ],
+      rows: roadmap.epics,
+      emptyMessage: 'No epics match the filters.',
+    });
+  }
+
+  /**
+   * Pie chart of open bugs by severity with a legend
+   * @param {Object} doc - PDF document
+   * @param {Object} distribution - Severity distribution
+   */
+  addSeverityChart(doc, distribution) {
+    const severities = distribution.severities.filter(item => item.count > 0);
+    if (severities.length === 0) {
+      this.addMessage(doc, 'There are no open bugs.');
+      return;
+    }
+
+    const top = doc.y;
+    const radius = 110;
+    const centerX = MARGIN + radius;
+    const centerY = top + radius;
+    let angle = -Math.PI / 2;
+
+    doc.lineWidth(1);
+    severities.forEach(item => {
+      const sweep = (item.count / distribution.total) * 2 * Math.PI;
+      if (severities.length === 1) {
+        doc.circle(centerX, centerY, radius).fill(item.color);
+      } else {
+        doc.path(getSlicePath(centerX, centerY, radius, angle, angle + sweep))
+          .fillAndStroke(item.color, EXPORT_THEME.background);
+      }
+      angle += sweep;
+    });
+
+    const legendX = centerX + radius + 40;
+    severities.forEach((item, index) => {
+      const y = top + 40 + index * 24;
+      const percent = Math.round((item.count / distribution.total) * 100);
+      doc.rect(legendX, y, 12, 12).fill(item.color);
+      doc.font(FONT).fontSize(11).fillColor(EXPORT_THEME.text)
+        .text(`${item.severity}: ${item.count} (${percent}%)`, legendX + 20, y + 1, { lineBreak: false });
+    });
+
+    doc.x = MARGIN;
+    doc.y = top + 2 * radius + 20;
+  }
+
+  /**
+   * Bar chart of created and resolved bugs per period with a line for the open backlog
+   * The open backlog uses its own axis on the right.
+   * @param {Object} doc - PDF document
+   * @param {Object} trends - Bug trends
+   */
+  addTrendChart(doc, trends) {
+    const { periods, backlog, interval } = trends;
+
+    doc.font(FONT).fontSize(11).fillColor(EXPORT_THEME.mutedText)
+      .text(`Backlog ${backlog.trend}: ${backlog.openAtStart} to ${backlog.openAtEnd} open bugs`);
+    doc.moveDown(1);
+
+    const top = doc.y;
+    const left = MARGIN + 30;
+    const right = doc.page.width - MARGIN - 30;
+    const bottom = top + CHART_HEIGHT;
+    const slot = (right - left) / Math.max(periods.length, 1);
+    const barWidth = slot * 0.3;
+    const countMax = getAxisMax(Math.max(0, ...periods.map(period => Math.max(period.created, period.resolved))));
+    const openMax = getAxisMax(Math.max(0, ...periods.map(period => period.open)));
+    const scale = (value, max) => bottom - (value / max) * CHART_HEIGHT;
+
+    // Grid lines and axis labels
+    doc.font(FONT).fontSize(8).lineWidth(0.5);
+    for (let step = 0; step <= 4; step++) {
+      const y = bottom - (step / 4) * CHART_HEIGHT;
+      doc.moveTo(left, y).lineTo(right, y).strokeColor(EXPORT_THEME.border).stroke();
+      doc.fillColor(EXPORT_THEME.mutedText)
+        .text(String((countMax * step) / 4), MARGIN, y - 4, { width: 25, align: 'right', lineBreak: false })
+        .text(String((openMax * step) / 4), right + 5, y - 4, { width: 25, lineBreak: false });
+    }
+
+    periods.forEach((period, index) => {
+      const center = left + slot * (index + 0.5);
+      doc.rect(center - barWidth, scale(period.created, countMax), barWidth, (period.created / countMax) * CHART_HEIGHT)
+        .fill(TREND_COLORS.created);
+      doc.rect(center, scale(period.resolved, countMax), barWidth, (period.resolved / countMax) * CHART_HEIGHT)
+        .fill(TREND_COLORS.resolved);
+      doc.fillColor(EXPORT_THEME.mutedText)
+        .text(formatPeriod(period.date, interval), center - slot / 2, bottom + 5, { width: slot, align: 'center', lineBreak: false });
+    });
+
+    const points = periods.map((period, index) => [left + slot * (index + 0.5), scale(period.open, openMax)]);
+    if (points.length > 0) {
+      doc.moveTo(...points[0]);
+      points.slice(1).forEach(point => doc.lineTo(...point));
+      doc.strokeColor(TREND_COLORS.open).lineWidth(2).stroke();
+      points.forEach(point => doc.circle(...point, 2.5).fill(TREND_COLORS.open));
+    }
+
+    // Legend
+    let legendX = left;
+    const legendY = bottom + 24;
+    [['Created', TREND_COLORS.created], ['Resolved', TREND_COLORS.resolved], ['Open (right axis)', TREND_COLORS.open]]
+      .forEach(([label, color]) => {
+        doc.rect(legendX, legendY, 10, 10).fill(color);
+        doc.fontSize(9).fillColor(EXPORT_THEME.text).text(label, legendX + 14, legendY + 1, { lineBreak: false });
+        legendX += 14 + doc.widthOfString(label) + 20;
+      });
+
+    doc.x = MARGIN;
+    doc.y = legendY + 24;
+  }
+
+  /**
+   * Table of the open critical bugs
+   * @param {Object} doc - PDF document
+   * @param {Array<Object>} bugs - Open critical bugs
+   */
+  addCriticalBugTable(doc, bugs) {
+    this.addTable(doc, {
+      columns: [
+        { header: 'Key', width: 0.12, value: bug => bug.key },
+        { header: 'Summary', width: 0.46, value: bug => bug.summary },
+        { header: 'Status', width: 0.13, value: bug => bug.status?.name || '' },
+        { header: 'Assignee', width: 0.15, value: bug => bug.assignee?.name || 'Unassigned' },
+        { header: 'Created', width: 0.14, value: bug => reportExportService.formatDate(bug.created) },
+      ],
+      rows: bugs,
+      emptyMessage: 'There are no open critical bugs.',
+    });
+  }
+
+  /**
+   * Write a table, repeating the header row on every page it spans
+   * @param {Object} doc - PDF document
+   * @param {Object} table - { columns: [{ header, width (share of the page width), value }], rows, emptyMessage }
+   */
+  addTable(doc, { columns, rows, emptyMessage }) {
+    if (rows.length === 0) {
+      this.addMessage(doc, emptyMessage);
+      return;
+    }
+
+    const tableWidth = getContentWidth(doc);
+    const widths = columns.map(column => column.width * tableWidth);
+
+    const getRowHeight = (cells, font) => {
+      doc.font(font).fontSize(9);
+      return Math.max(...cells.map((text, index) => (
+        doc.heightOfString(text, { width: widths[index] - 2 * CELL_PADDING })
+      ))) + 2 * CELL_PADDING;
+    };
+    const writeRow = (cells, { font, color, fill }) => {
+      const height = getRowHeight(cells, font);
+      const y = doc.y;
+
+      doc.rect(MARGIN, y, tableWidth, height).fill(fill);
+      doc.font(font).fontSize(9).fillColor(color);
+      let x = MARGIN;
+      cells.forEach((text, index) => {
+        doc.text(text, x + CELL_PADDING, y + CELL_PADDING, { width: widths[index] - 2 * CELL_PADDING });
+        x += widths[index];
+      });
+      doc.moveTo(MARGIN, y + height).lineTo(MARGIN + tableWidth, y + height)
+        .strokeColor(EXPORT_THEME.border).lineWidth(0.5).stroke();
+      doc.x = MARGIN;
+      doc.y = y + height;
+    };
+    const writeHeader = () => writeRow(columns.map(column => column.header), {
+      font: BOLD_FONT,
+      color: EXPORT_THEME.background,
+      fill: EXPORT_THEME.primary,
+    });
+
+    writeHeader();
+    rows.forEach((row, rowIndex) => {
+      const cells = columns.map(column => String(column.value(row) ?? ''));
+      if (ensureSpace(doc, getRowHeight(cells, FONT))) writeHeader();
+      writeRow(cells, {
+        font: FONT,
+        color: EXPORT_THEME.text,
+        fill: rowIndex % 2 === 1 ? EXPORT_THEME.surface : EXPORT_THEME.background,
+      });
+    });
+  }
+
+  /**
+   * Write a message in place of a section's data
+   * @param {Object} doc - PDF document
+   * @param {string} message - Message
+   */
+  addMessage(doc, message) {
+    doc.font(FONT).fontSize(14).fillColor(EXPORT_THEME.mutedText).text(message, MARGIN, doc.y);
+  }
+}
+
+/**
+ * Get the number of pages written so far
+ * @param {Object} doc - PDF document
+ * @returns {number} - Page count
+ */
+function getPageCount(doc) {
+  return doc.bufferedPageRange().count;
+}
+
+/**
+ * Get the width between the left and right margins
+ * @param {Object} doc - PDF document
+ * @returns {number} - Width in points
+ */
+function getContentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+/**
+ * Start a new page if the current one has no room left
+ * @param {Object} doc - PDF document
+ * @param {number} height - Height needed
+ * @returns {boolean} - Whether a page was added
+ */
+function ensureSpace(doc, height) {
+  if (doc.y + height <= doc.page.height - doc.page.margins.bottom) return false;
+  doc.addPage();
+  return true;
+}
+
+/**
+ * Build the SVG path of a pie slice
+ * @param {number} x - Center x
+ * @param {number} y - Center y
+ * @param {number} radius - Radius
+ * @param {number} start - Start angle in radians (clockwise from 3 o'clock)
+ * @param {number} end - End angle in radians
+ * @returns {string} - SVG path
+ */
+function getSlicePath(x, y, radius, start, end) {
+  const point = angle => `${x + radius * Math.cos(angle)} ${y + radius * Math.sin(angle)}`;
+  const largeArc = end - start > Math.PI ? 1 : 0;
+  return `M ${x} ${y} L ${point(start)} A ${radius} ${radius} 0 ${largeArc} 1 ${point(end)} Z`;
+}
+
+/**
+ * Round an axis maximum up so four grid steps get whole numbers
+ * @param {number} value - Largest value on the axis
+ * @returns {number} - Axis maximum
+ */
+function getAxisMax(value) {
+  return Math.max(4, Math.ceil(value / 4) * 4);
+}
+
+/**
+ * Format a trend period for the chart's axis
+ * @param {string} date - Period start date
+ * @param {string} interval - 'week' or 'month'
+ * @returns {string} - e.g. "11 Mar" or "Mar 2024"
+ */
+function formatPeriod(date, interval) {
+  const options = interval === 'month' ? { month: 'short', year: 'numeric' } : { day: 'numeric', month: 'short' };
+  return new Intl.DateTimeFormat('en-GB', { ...options, timeZone: 'UTC' }).format(new Date(date));
+}
+
+module.exports = new PdfExportService();
+module.exports.PAGE_SIZES = PAGE_SIZES;
@@ -0,0 +1,369 @@
+const PptxGenJS = require('pptxgenjs');
+const reportExportService = require('./reportExportService');
+const { SECTION_TITLES } = require('./reportExportService');
+const { EXPORT_THEME, TREND_COLORS, getStatusColor, toOfficeColor } = require('../utils/exportTheme');
+
+// 16:9 slide size in inches (LAYOUT_WIDE)
+const SLIDE_WIDTH = 13.333;
+const SLIDE_HEIGHT = 7.5;
+const MARGIN = 0.5;
+const CONTENT_TOP = 1.2;
+const CONTENT_WIDTH = SLIDE_WIDTH - 2 * MARGIN;
+
+// Roadmap tiles: quarter columns per slide and tiles per column
+const QUARTERS_PER_SLIDE = 4;
+const TILES_PER_COLUMN = 6;
+const TILE_HEIGHT = 0.8;
+
+// Table rows per slide (excluding the header row)
+const TABLE_ROWS_PER_SLIDE = 12;
+
+const MASTER = 'PRESTELLATION_REPORT';
+
+const THEME = Object.fromEntries(Object.entries(EXPORT_THEME).map(([name, value]) => [
+  name,
+  name === 'fontFace' ? value : toOfficeColor(value),
+]));
+
+/**
+ * Service for rendering reports as PowerPoint presentations with native charts
+ */
+class PptxExportService {
+  /**
+   * Render a report as a .pptx file
+   * @param {Object} report - Report data from reportExportService.getReportData
+   * @param {Object} options - Options
+   * @param {string} options.title - Presentation title
+   * @returns {Promise<Buffer>} - .pptx file contents
+   */
+  async render(report, { title = 'Roadmap and bug report' } = {}) {
+    const pptx = new PptxGenJS();
+    pptx.layout = 'LAYOUT_WIDE';
+    pptx.title = title;
+    pptx.company = 'Prestellation';
+    pptx.theme = { headFontFace: THEME.fontFace, bodyFontFace: THEME.fontFace };
+
+    pptx.defineSlideMaster({
+      title: MASTER,
+      background: { color: THEME.background },
+      objects: [
+        { rect: { x: 0, y: 0, w: SLIDE_WIDTH, h: 0.12, fill: { color: THEME.primary } } },
+        {
+          text: {
+            text: `Data as of ${reportExportService.formatTimestamp(report.dataAsOf, report.timeZone)}`,
+            options: { x: MARGIN, y: SLIDE_HEIGHT - 0.45, w: 6, h: 0.3, fontSize: 9, color: THEME.mutedText },
+          },
+        },
+      ],
+      slideNumber: { x: SLIDE_WIDTH - MARGIN - 0.6, y: SLIDE_HEIGHT - 0.45, w: 0.6, h: 0.3, fontSize: 9, color: THEME.mutedText },
+    });
+
+    this.addTitleSlide(pptx, report, title);
+
+    const renderers = {
+      roadmap: () => this.addRoadmapSlides(pptx, report.roadmap),
+      epics: () => this.addEpicSlides(pptx, report.roadmap),
+      severity: () => this.addSeveritySlide(pptx, report.severity),
+      trend: () => this.addTrendSlide(pptx, report.trends),
+      criticalBugs: () => this.addCriticalBugSlides(pptx, report.criticalBugs),
+    };
+    report.sections.forEach(section => renderers[section]());
+
+    return pptx.write({ outputType: 'nodebuffer' });
+  }
+
+  /**
+   * Add a content slide with a title
+   * @param {Object} pptx - Presentation
+   * @param {string} title - Slide title
+   * @returns {Object} - Slide
+   */
+  addSlide(pptx, title) {
+    const slide = pptx.addSlide({ masterName: MASTER });
+    slide.addText(title, {
+      x: MARGIN, y: 0.35, w: CONTENT_WIDTH, h: 0.6,
+      fontSize: 26, bold: true, color: THEME.text, fontFace: THEME.fontFace,
+    });
+    return slide;
+  }
+
+  /**
+   * Add the title slide with the data timestamp, filters and any data problems
+   * @param {Object} pptx - Presentation
+   * @param {Object} report - Report data
+   * @param {string} title - Presentation title
+   */
+  addTitleSlide(pptx, report, title) {
+    const slide = pptx.addSlide();
+    slide.background = { color: THEME.primary };
+
+    slide.addText(title, {
+      x: MARGIN + 0.3, y: 2.2, w: CONTENT_WIDTH - 0.6, h: 1.2,
+      fontSize: 40, bold: true, color: THEME.background, fontFace: THEME.fontFace,
+    });
+    slide.addText(`Data as of ${reportExportService.formatTimestamp(report.dataAsOf, report.timeZone)}`, {
+      x: MARGIN + 0.3, y: 3.4, w: CONTENT_WIDTH - 0.6, h: 0.5,
+      fontSize: 20, color: THEME.background, fontFace: THEME.fontFace,
+    });
+
+    const notes = [
+      ...reportExportService.describeFilters(report),
+      ...report.fallback.map(entry => (
+        `${entry.project}: Jira was unavailable, showing data synced ${reportExportService.formatTimestamp(entry.syncedAt, report.timeZone)}`
+      )),
+      ...report.errors.map(entry => `${entry.project}: not included (${entry.message})`),
+    ];
+
+    if (notes.length > 0) {
+      slide.addText(notes.map(text => ({ text, options: { breakLine: true } })), {
+        x: MARGIN + 0.3, y: 4.3, w: CONTENT_WIDTH - 0.6, h: 2.4,
+        fontSize: 14, color: THEME.background, fontFace: THEME.fontFace, valign: 'top',
+      });
+    }
+  }
+
+  /**
+   * Add slides of roadmap tiles, one column per quarter
+   * Quarters with more epics than fit on a slide continue on the next one.
+   * @param {Object} pptx - Presentation
+   * @param {Object} roadmap - Roadmap view model
+   */
+  addRoadmapSlides(pptx, roadmap) {
+    if (roadmap.quarters.length === 0) {
+      this.addEmptySlide(pptx, SECTION_TITLES.roadmap, 'No epics match the filters.');
+      return;
+    }
+
+    const columnWidth = (CONTENT_WIDTH - (QUARTERS_PER_SLIDE - 1) * 0.2) / QUARTERS_PER_SLIDE;
+
+    chunk(roadmap.quarters, QUARTERS_PER_SLIDE).forEach(quarters => {
+      const columns = quarters.map(quarter => roadmap.epics.filter(epic => epic.quarter === quarter.id));
+      const pages = Math.max(...columns.map(epics => Math.ceil(epics.length / TILES_PER_COLUMN)));
+
+      for (let page = 0; page < pages; page++) {
+        const slide = this.addSlide(pptx, pages > 1 ? `${SECTION_TITLES.roadmap} (${page + 1}/${pages})` : SECTION_TITLES.roadmap);
+
+        quarters.forEach((quarter, index) => {
+          const x = MARGIN + index * (columnWidth + 0.2);
+          const epics = columns[index].slice(page * TILES_PER_COLUMN, (page + 1) * TILES_PER_COLUMN);
+
+          slide.addText(`${quarter.name} · ${quarter.epicCount} epics`, {
+            x, y: CONTENT_TOP, w: columnWidth, h: 0.4,
+            fontSize: 14, bold: true, color: THEME.background, fill: { color: THEME.primary }, align: 'center',
+          });
+
+          epics.forEach((epic, row) => this.addEpicTile(pptx, slide, epic, {
+            x,
+            y: CONTENT_TOP + 0.55 + row * (TILE_HEIGHT + 0.1),
+            w: columnWidth,
+          }));
+        });
+      }
+    });
+  }
+
+  /**
+   * Add a roadmap tile for an epic
+   * @param {Object} pptx - Presentation
+   * @param {Object} slide - Slide
+   * @param {Object} epic - Roadmap epic
+   * @param {Object} position - { x, y, w }
+   */
+  addEpicTile(pptx, slide, epic, { x, y, w }) {
+    slide.addShape(pptx.ShapeType.rect, {
+      x, y, w, h: TILE_HEIGHT,
+      fill: { color: THEME.surface },
+      line: { color: THEME.border, width: 0.5 },
+    });
+    // Project color strip
+    slide.addShape(pptx.ShapeType.rect, {
+      x, y, w: 0.08, h: TILE_HEIGHT,
+      fill: { color: toOfficeColor(epic.project.color) },
+      line: { type: 'none' },
+    });
+    slide.addText([
+      { text: `${epic.key}  `, options: { bold: true, color: THEME.text } },
+      { text: epic.summary, options: { color: THEME.text, breakLine: true } },
+      { text: `${epic.statusCategory} · ${epic.progress}% complete`, options: { color: toOfficeColor(getStatusColor(epic.statusCategory)), fontSize: 9 } },
+    ], {
+      x: x + 0.12, y, w: w - 0.16, h: TILE_HEIGHT,
+      fontSize: 10, fontFace: THEME.fontFace, valign: 'middle', fit: 'shrink',
+    });
+  }
+
+  /**
+   * Add slides listing the roadmap epics
+   * @param {Object} pptx - Presentation
+   * @param {Object} roadmap - Roadmap view model
+   */
+  addEpicSlides(pptx, roadmap) {
+    this.addTableSlides(pptx, SECTION_TITLES.epics, {
+      columns: [
+        { header: 'Key', width: 1.3, value: epic => epic.key },
+        { header: 'Summary', width: 4.3, value: epic => epic.summary },
+        { header: 'Project', width: 1.6, value: epic => epic.project.name },
+        { header: 'Quarter', width: 1.2, value: epic => epic.quarter },
+        { header: 'Status', width: 1.3, value: epic => epic.status },
+        { header: 'Owner', width: 1.6, value: epic => epic.assignee?.displayName || 'Unassigned' },
+        { header: 'Progress', width: 1.03, value: epic => `${epic.progress}%` },
+      ],
+      rows: roadmap.epics,
+      emptyMessage: 'No epics match the filters.',
+    });
+  }
+
+  /**
+   * Add a native pie chart of open bugs by severity
+   * @param {Object} pptx - Presentation
+   * @param {Object} distribution - Severity distribution
+   */
+  addSeveritySlide(pptx, distribution) {
+    const severities = distribution.severities.filter(item => item.count > 0);
+    if (severities.length === 0) {
+      this.addEmptySlide(pptx, SECTION_TITLES.severity, 'There are no open bugs.');
+      return;
+    }
+
+    const slide = this.addSlide(pptx, `${SECTION_TITLES.severity} (${distribution.total})`);
+    slide.addChart(pptx.ChartType.pie, [{
+      name: 'Open bugs',
+      labels: severities.map(item => item.severity),
+      values: severities.map(item => item.count),
+    }], {
+      x: MARGIN, y: CONTENT_TOP, w: CONTENT_WIDTH, h: 5.4,
+      chartColors: severities.map(item => toOfficeColor(item.color)),
+      showLegend: true,
+      legendPos: 'r',
+      legendFontSize: 14,
+      showPercent: true,
+      showValue: false,
+      dataLabelColor: THEME.text,
+      dataLabelFontSize: 12,
+    });
+  }
+
+  /**
+   * Add a native chart of created and resolved bugs per period with the open backlog
+   * @param {Object} pptx - Presentation
+   * @param {Object} trends - Bug trends
+   */
+  addTrendSlide(pptx, trends) {
+    const slide = this.addSlide(pptx, `${SECTION_TITLES.trend} (${trends.interval === 'month' ? 'monthly' : 'weekly'})`);
+    const labels = trends.periods.map(period => reportExportService.formatDate(period.date));
+
+    slide.addText(`Backlog ${trends.backlog.trend}: ${trends.backlog.openAtStart} → ${trends.backlog.openAtEnd} open bugs`, {
+      x: MARGIN, y: CONTENT_TOP - 0.2, w: CONTENT_WIDTH, h: 0.4,
+      fontSize: 14, color: THEME.mutedText, fontFace: THEME.fontFace,
+    });
+
+    slide.addChart([
+      {
+        type: pptx.ChartType.bar,
+        data: [
+          { name: 'Created', labels, values: trends.periods.map(period => period.created) },
+          { name: 'Resolved', labels, values: trends.periods.map(period => period.resolved) },
+        ],
+        options: { barGrouping: 'clustered', chartColors: [toOfficeColor(TREND_COLORS.created), toOfficeColor(TREND_COLORS.resolved)] },
+      },
+      {
+        type: pptx.ChartType.line,
+        data: [{ name: 'Open', labels, values: trends.periods.map(period => period.open) }],
+        options: { chartColors: [toOfficeColor(TREND_COLORS.open)], lineSize: 2, secondaryValAxis: true, secondaryCatAxis: true },
+      },
+    ], {
+      x: MARGIN, y: CONTENT_TOP + 0.3, w: CONTENT_WIDTH, h: 5.3,
+      showLegend: true,
+      legendPos: 'b',
+      valAxes: [
+        { showValAxisTitle: true, valAxisTitle: 'Created / resolved', valAxisMinVal: 0 },
+        { showValAxisTitle: true, valAxisTitle: 'Open', valAxisMinVal: 0, valGridLine: { style: 'none' } },
+      ],
+      catAxes: [{ catAxisTitle: 'Period' }, { catAxisHidden: true }],
+    });
+  }
+
+  /**
+   * Add slides listing the open critical bugs
+   * @param {Object} pptx - Presentation
+   * @param {Array<Object>} bugs - Open critical bugs
+   */
+  addCriticalBugSlides(pptx, bugs) {
+    this.addTableSlides(pptx, SECTION_TITLES.criticalBugs, {
+      columns: [
+        { header: 'Key', width: 1.3, value: bug => bug.key },
+        { header: 'Summary', width: 5.4, value: bug => bug.summary },
+        { header: 'Status', width: 1.5, value: bug => bug.status?.name || '' },
+        { header: 'Assignee', width: 2, value: bug => bug.assignee?.name || 'Unassigned' },
+        { header: 'Created', width: 2.13, value: bug => reportExportService.formatDate(bug.created) },
+      ],
+      rows: bugs,
+      emptyMessage: 'There are no open critical bugs.',
+    });
+  }
+
+  /**
+   * Add a table split over as many slides as needed
+   * @param {Object} pptx - Presentation
+   * @param {string} title - Slide title
+   * @param {Object} table - { columns: [{ header, width, value }], rows, emptyMessage }
+   */
+  addTableSlides(pptx, title, { columns, rows, emptyMessage }) {
+    if (rows.length === 0) {
+      this.addEmptySlide(pptx, title, emptyMessage);
+      return;
+    }
+
+    const header = columns.map(column => ({
+      text: column.header,
+      options: { bold: true, color: THEME.background, fill: { color: THEME.primary } },
+    }));
+    const pages = chunk(rows, TABLE_ROWS_PER_SLIDE);
+
+    pages.forEach((pageRows, index) => {
+      const slide = this.addSlide(pptx, pages.length > 1 ? `${title} (${index + 1}/${pages.length})` : title);
+      slide.addTable([
+        header,
+        ...pageRows.map((row, rowIndex) => columns.map(column => ({
+          text: String(column.value(row) ?? ''),
+          options: { fill: { color: rowIndex % 2 === 1 ? THEME.surface : THEME.background } },
+        }))),
+      ], {
+        x: MARGIN, y: CONTENT_TOP, w: CONTENT_WIDTH,
+        colW: columns.map(column => column.width),
+        fontSize: 11, fontFace: THEME.fontFace, color: THEME.text,
+        border: { type: 'solid', pt: 0.5, color: THEME.border },
+        valign: 'middle',
+      });
+    });
+  }
+
+  /**
+   * Add a section slide without data
+   * @param {Object} pptx - Presentation
+   * @param {string} title - Slide title
+   * @param {string} message - Message shown instead of the data
+   */
+  addEmptySlide(pptx, title, message) {
+    const slide = this.addSlide(pptx, title);
+    slide.addText(message, {
+      x: MARGIN, y: CONTENT_TOP, w: CONTENT_WIDTH, h: 1,
+      fontSize: 18, color: THEME.mutedText, fontFace: THEME.fontFace,
+    });
+  }
+}
+
+/**
+ * Split a list into chunks
+ * @param {Array} items - Items
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>} - Chunks
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+module.exports = new PptxExportService();
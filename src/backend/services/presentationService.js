@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const reportExportService = require('./reportExportService');
+
+// Views a presentation slide can show
+const PRESENTATION_VIEWS = ['roadmap', 'severity', 'trend', 'criticalBugs'];
+
+// Relative quarters a roadmap slide can show, by offset from the current quarter
+const RELATIVE_QUARTERS = {
+  previous: -1,
+  current: 0,
+  next: 1,
+};
+
+// Items per slide, so every item stays readable from the back of a meeting room
+const EPICS_PER_SLIDE = 9;
+const BUGS_PER_SLIDE = 6;
+
+// How long a started presentation keeps its frozen data (default: 12 hours)
+const PRESENTATION_TTL = parseInt(process.env.PRESENTATION_TTL, 10) || 12 * 60 * 60 * 1000;
+
+// Deck used without configuration
+const DEFAULT_DECKS = {
+  decks: [{
+    id: 'overview',
+    title: 'Roadmap and bug overview',
+    slides: [
+      { view: 'roadmap', quarters: ['current', 'next'] },
+      { view: 'severity' },
+      { view: 'trend' },
+      { view: 'criticalBugs' },
+    ],
+  }],
+};
+
+/**
+ * Service for presentation decks and the presentations started from them
+ *
+ * Decks are read from DECKS_FILE (path to a JSON file) or DECKS (inline JSON). Starting a
+ * deck loads its data once and keeps it, so the numbers don't change during the meeting.
+ */
+class PresentationService {
+  constructor() {
+    this.config = null;
+    this.presentations = new Map();
+  }
+
+  /**
+   * Get the deck configuration, loading it on first use
+   * @returns {Object} - Deck configuration ({ decks })
+   */
+  getConfig() {
+    if (!this.config) {
+      this.config = this.validate(this.loadConfig());
+    }
+
+    return this.config;
+  }
+
+  /**
+   * Replace the deck configuration
+   * @param {Object|null} config - Deck configuration (null to reload from configuration)
+   */
+  setConfig(config) {
+    this.config = config ? this.validate(config) : null;
+  }
+
+  /**
+   * Read the raw deck configuration from the environment
+   * @returns {Object} - Raw deck configuration
+   */
+  loadConfig() {
+    try {
+      if (process.env.DECKS_FILE) {
+        const file = path.resolve(process.env.DECKS_FILE);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+
+      if (process.env.DECKS) {
+        return JSON.parse(process.env.DECKS);
+      }
+    } catch (error) {
+      throw new Error(`Invalid deck configuration: ${error.message}`);
+    }
+
+    return DEFAULT_DECKS;
+  }
+
+  /**
+   * Validate a deck configuration
+   * @param {Object} config - Raw deck configuration
+   * @returns {Object} - Normalized deck configuration
+   */
+  validate(config) {
+    if (!Array.isArray(config.decks)) {
+      throw new Error('Invalid deck configuration: decks must be an array');
+    }
+
+    const ids = new Set();
+    const decks = config.decks.map(deck => {
+      if (!deck || typeof deck.id !== 'string' || !/^[\w-]+$/.test(deck.id)) {
+        throw new Error('Invalid deck configuration: every deck needs an id of letters, digits, "-" or "_"');
+      }
+      if (ids.has(deck.id)) {
+        throw new Error(`Invalid deck configuration: duplicate deck id "${deck.id}"`);
+      }
+      ids.add(deck.id);
+
+      if (!Array.isArray(deck.slides) || deck.slides.length === 0) {
+        throw new Error(`Invalid deck configuration: deck "${deck.id}" has no slides`);
+      }
+
+      const slides = deck.slides.map(slide => {
+        if (!PRESENTATION_VIEWS.includes(slide?.view)) {
+          throw new Error(`Invalid deck configuration: deck "${deck.id}" has an unknown view "${slide?.view}". Valid views: ${PRESENTATION_VIEWS.join(', ')}`);
+        }
+        if (slide.quarters !== undefined && !Array.isArray(slide.quarters)) {
+          throw new Error(`Invalid deck configuration: deck "${deck.id}" quarters must be an array`);
+        }
+        return slide.view === 'roadmap' ? { view: slide.view, quarters: slide.quarters || [] } : { view: slide.view };
+      });
+
+      return {
+        id: deck.id,
+        title: deck.title || deck.id,
+        durationMinutes: Number(deck.durationMinutes) > 0 ? Number(deck.durationMinutes) : null,
+        filters: deck.filters || {},
+        interval: deck.interval === 'month' ? 'month' : 'week',
+        slides,
+      };
+    });
+
+    return { decks };
+  }
+
+  /**
+   * List the configured decks
+   * @returns {Array<Object>} - Decks ({ id, title, durationMinutes, views })
+   */
+  getDecks() {
+    return this.getConfig().decks.map(deck => ({
+      id: deck.id,
+      title: deck.title,
+      durationMinutes: deck.durationMinutes,
+      views: deck.slides.map(slide => slide.view),
+    }));
+  }
+
+  /**
+   * Start a presentation of a deck, loading and freezing its data
+   * @param {Array<Object>} siteAuths - Jira auth contexts of the connected sites
+   * @param {string} deckId - Deck id
+   * @param {Object} options - Options
+   * @param {string} options.accountId - Account of the presenter (only they can reopen the presentation)
+   * @param {string} options.timeZone - IANA time zone for timestamps
+   * @param {Date} options.now - Start time (defaults to now)
+   * @returns {Promise<Object>} - Presentation
+   */
+  async startPresentation(siteAuths, deckId, { accountId, timeZone, now = new Date() } = {}) {
+    const deck = this.getConfig().decks.find(candidate => candidate.id === deckId);
+    if (!deck) {
+      const error = new Error(`Deck "${deckId}" not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const report = await reportExportService.getReportData(siteAuths, {
+      sections: [...new Set(deck.slides.map(slide => slide.view))],
+      filters: deck.filters,
+      interval: deck.interval,
+      timeZone,
+      now,
+    });
+
+    const presentation = {
+      id: crypto.randomUUID(),
+      deck: { id: deck.id, title: deck.title, durationMinutes: deck.durationMinutes },
+      startedAt: report.generatedAt,
+      dataAsOf: report.dataAsOf,
+      timeZone: report.timeZone,
+      filters: reportExportService.describeFilters(report),
+      errors: report.errors,
+      fallback: report.fallback,
+      slides: deck.slides.flatMap(slide => this.buildSlides(slide, report, now)),
+    };
+
+    this.prune(now);
+    this.presentations.set(presentation.id, {
+      presentation,
+      accountId,
+      expiresAt: now.getTime() + PRESENTATION_TTL,
+    });
+
+    return presentation;
+  }
+
+  /**
+   * Get a started presentation with its frozen data
+   * @param {string} presentationId - Presentation id
+   * @param {string} accountId - Account asking for it
+   * @returns {Object|null} - Presentation, or null if unknown, expired or started by someone else
+   */
+  getPresentation(presentationId, accountId) {
+    const entry = this.presentations.get(presentationId);
+    if (!entry || entry.expiresAt <= Date.now() || entry.accountId !== accountId) return null;
+    return entry.presentation;
+  }
+
+  /**
+   * Turn a deck slide into presentation slides with their data
+   * Roadmap slides become one slide per quarter; long lists continue on more slides.
+   * @param {Object} slide - Deck slide ({ view, quarters })
+   * @param {Object} report - Report data
+   * @param {Date} now - Start time, for relative quarters
+   * @returns {Array<Object>} - Slides ({ view, title, ...data })
+   */
+  buildSlides(slide, report, now) {
+    if (slide.view === 'roadmap') {
+      const wanted = slide.quarters.map(quarter => resolveQuarter(quarter, now));
+      const quarters = report.roadmap.quarters.filter(quarter => (
+        wanted.length > 0 ? wanted.includes(quarter.id) : quarter.id !== 'Backlog'
+      ));
+
+      if (quarters.length === 0) {
+        return [{ view: 'roadmap', title: 'Roadmap', quarter: null, epics: [] }];
+      }
+
+      return quarters.flatMap(quarter => paginate(
+        report.roadmap.epics.filter(epic => epic.quarter === quarter.id),
+        EPICS_PER_SLIDE,
+        (epics, page) => ({ view: 'roadmap', title: `Roadmap · ${quarter.name}${page}`, quarter, epics }),
+      ));
+    }
+
+    if (slide.view === 'severity') {
+      return [{ view: 'severity', title: 'Open bugs by severity', distribution: report.severity }];
+    }
+
+    if (slide.view === 'trend') {
+      return [{ view: 'trend', title: `Bug trend (${report.trends.interval === 'month' ? 'monthly' : 'weekly'})`, trends: report.trends }];
+    }
+
+    return paginate(
+      report.criticalBugs,
+      BUGS_PER_SLIDE,
+      (bugs, page) => ({ view: 'criticalBugs', title: `Open critical bugs (${report.criticalBugs.length})${page}`, bugs }),
+    );
+  }
+
+  /**
+   * Forget expired presentations
+   * @param {Date} now - Current time
+   */
+  prune(now = new Date()) {
+    this.presentations.forEach((entry, id) => {
+      if (entry.expiresAt <= now.getTime()) this.presentations.delete(id);
+    });
+  }
+}
+
+/**
+ * Resolve a relative quarter ("previous", "current", "next") to a quarter id
+ * @param {string} quarter - Relative quarter or quarter id (e.g. "2024-Q1")
+ * @param {Date} now - Reference date
+ * @returns {string} - Quarter id
+ */
+function resolveQuarter(quarter, now) {
+  if (!(quarter in RELATIVE_QUARTERS)) return quarter;
+
+  const index = now.getUTCFullYear() * 4 + Math.floor(now.getUTCMonth() / 3) + RELATIVE_QUARTERS[quarter];
+  return `${Math.floor(index / 4)}-Q${(index % 4) + 1}`;
+}
+
+/**
+ * Split a list over slides, with at least one (empty) slide
+ * @param {Array} items - Items
+ * @param {number} size - Items per slide
+ * @param {Function} createSlide - Called with the items of a slide and its page suffix (e.g. " (1/2)")
+ * @returns {Array<Object>} - Slides
+ */
+function paginate(items, size, createSlide) {
+  const pages = Math.max(1, Math.ceil(items.length / size));
+
+  return [...Array(pages)].map((_, index) => createSlide(
+    items.slice(index * size, (index + 1) * size),
+    pages > 1 ? ` (${index + 1}/${pages})` : '',
+  ));
+}
+
+module.exports = new PresentationService();
+module.exports.PRESENTATION_VIEWS = PRESENTATION_VIEWS;
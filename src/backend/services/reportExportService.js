@@ -0,0 +1,207 @@
+const roadmapService = require('./roadmapService');
+const bugReportService = require('./bugReportService');
+const { parseRoadmapOptions, parseBugFilters } = require('../utils/queryUtils');
+const { badRequest } = require('../utils/errorHandler');
+
+// Report sections in the order they are exported
+const EXPORT_SECTIONS = ['roadmap', 'epics', 'severity', 'trend', 'criticalBugs'];
+const ROADMAP_SECTIONS = ['roadmap', 'epics'];
+const BUG_SECTIONS = ['severity', 'trend', 'criticalBugs'];
+
+// Human-readable section titles
+const SECTION_TITLES = {
+  roadmap: 'Roadmap by quarter',
+  epics: 'Epics',
+  severity: 'Open bugs by severity',
+  trend: 'Bug trend',
+  criticalBugs: 'Open critical bugs',
+};
+
+// Filter labels for the report's filter summary
+const FILTER_LABELS = {
+  projects: 'Projects',
+  sites: 'Sites',
+  assignees: 'Owners',
+  statuses: 'Statuses',
+  years: 'Years',
+  quarters: 'Quarters',
+  searchTerm: 'Search',
+  severities: 'Severities',
+  priorities: 'Priorities',
+};
+
+/**
+ * Service for collecting the data of exported reports (PowerPoint, PDF)
+ */
+class ReportExportService {
+  /**
+   * Validate the requested sections
+   * @param {Array<string>} sections - Requested sections
+   * @returns {Array<string>} - Sections in export order
+   * @throws {Error} - 400 error for a missing or unknown section
+   */
+  validateSections(sections) {
+    if (!Array.isArray(sections) || sections.length === 0) {
+      throw badRequest(`Select at least one section: ${EXPORT_SECTIONS.join(', ')}`);
+    }
+
+    const unknown = sections.filter(section => !EXPORT_SECTIONS.includes(section));
+    if (unknown.length > 0) {
+      throw badRequest(`Unknown section "${unknown[0]}". Valid sections: ${EXPORT_SECTIONS.join(', ')}`);
+    }
+
+    return EXPORT_SECTIONS.filter(section => sections.includes(section));
+  }
+
+  /**
+   * Collect the data of the requested report sections
+   * @param {Array<Object>} siteAuths - Jira auth contexts of the connected sites
+   * @param {Object} request - Export request
+   * @param {Array<string>} request.sections - Sections to include
+   * @param {Object} request.filters - { roadmap, bugs } filters, named as in the roadmap and bug APIs
+   * @param {string} request.interval - Bug trend interval ('week' or 'month')
+   * @param {string} request.timeZone - IANA time zone for the report's timestamps
+   * @param {Date} request.now - Reference date (defaults to now)
+   * @returns {Promise<Object>} - Report data
+   */
+  async getReportData(siteAuths, { sections, filters = {}, interval = 'week', timeZone, now = new Date() } = {}) {
+    const included = this.validateSections(sections);
+    const needsRoadmap = included.some(section => ROADMAP_SECTIONS.includes(section));
+    const needsBugs = included.some(section => BUG_SECTIONS.includes(section));
+    const roadmapOptions = parseRoadmapOptions(filters.roadmap || {});
+    const bugFilters = parseBugFilters(filters.bugs || {});
+    const trendInterval = interval === 'month' ? 'month' : 'week';
+
+    if ((needsRoadmap && roadmapOptions.projects.length === 0) || (needsBugs && bugFilters.projects.length === 0)) {
+      throw badRequest('No projects requested and no Jira projects are configured');
+    }
+    if (roadmapOptions.sort.field && !roadmapService.SORT_FIELDS.includes(roadmapOptions.sort.field)) {
+      throw badRequest(`Invalid sort field "${roadmapOptions.sort.field}". Valid fields: ${roadmapService.SORT_FIELDS.join(', ')}`);
+    }
+
+    const [roadmap, bugReport] = await Promise.all([
+      needsRoadmap ? roadmapService.getRoadmap(siteAuths, roadmapOptions) : null,
+      needsBugs ? bugReportService.getBugs(siteAuths, bugFilters.projects) : null,
+    ]);
+    const bugs = bugReport ? bugReportService.filterBugs(bugReport.bugs, bugFilters) : [];
+
+    const errors = uniqueProjectEntries([...(roadmap?.errors || []), ...(bugReport?.errors || [])]);
+    const fallback = uniqueProjectEntries([...(roadmap?.fallback || []), ...(bugReport?.fallback || [])]);
+    const generatedAt = now.toISOString();
+
+    return {
+      sections: included,
+      generatedAt,
+      // Data served from the store is only as recent as its oldest sync
+      dataAsOf: fallback.reduce((oldest, entry) => (entry.syncedAt < oldest ? entry.syncedAt : oldest), generatedAt),
+      timeZone: resolveTimeZone(timeZone),
+      filters: {
+        roadmap: needsRoadmap ? { projects: roadmapOptions.projects, ...roadmapOptions.filters } : null,
+        bugs: needsBugs ? bugFilters : null,
+      },
+      roadmap,
+      severity: needsBugs ? bugReportService.getSeverityDistribution(bugs) : null,
+      trends: needsBugs ? bugReportService.getTrends(bugs, { interval: trendInterval, periods: trendInterval === 'month' ? 6 : 12, now }) : null,
+      criticalBugs: needsBugs ? bugReportService.getCriticalBugs(bugs) : null,
+      errors,
+      fallback,
+    };
+  }
+
+  /**
+   * Describe the filters of a report, one line per filter in effect
+   * @param {Object} report - Report data from getReportData
+   * @returns {Array<string>} - e.g. ["Projects: WEB, ERP", "Severities: Critical"]
+   */
+  describeFilters(report) {
+    const lines = [];
+
+    [report.filters.roadmap, report.filters.bugs].filter(Boolean).forEach(filters => {
+      Object.entries(FILTER_LABELS).forEach(([name, label]) => {
+        const value = filters[name];
+        const text = Array.isArray(value) ? value.join(', ') : value;
+        const line = text ? `${label}: ${text}` : null;
+        if (line && !lines.includes(line)) lines.push(line);
+      });
+    });
+
+    return lines;
+  }
+
+  /**
+   * Format a timestamp for a report
+   * @param {string} timestamp - ISO timestamp
+   * @param {string} timeZone - IANA time zone
+   * @returns {string} - e.g. "20 Mar 2024, 13:00 CET"
+   */
+  formatTimestamp(timestamp, timeZone = 'UTC') {
+    return new Intl.DateTimeFormat('en-GB', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      timeZone,
+    }).format(new Date(timestamp)) + ` ${getTimeZoneName(timestamp, timeZone)}`;
+  }
+
+  /**
+   * Format a date for a report
+   * @param {string} date - ISO date or timestamp
+   * @returns {string} - e.g. "20 Mar 2024", or an empty string without a date
+   */
+  formatDate(date) {
+    if (!date) return '';
+    return new Intl.DateTimeFormat('en-GB', { dateStyle: 'medium', timeZone: 'UTC' }).format(new Date(date));
+  }
+
+  /**
+   * Build the file name of an exported report
+   * @param {Object} report - Report data from getReportData
+   * @param {string} extension - File extension (e.g. "pptx")
+   * @returns {string} - File name
+   */
+  getFileName(report, extension) {
+    return `prestellation-report-${report.generatedAt.slice(0, 10)}.${extension}`;
+  }
+}
+
+/**
+ * Drop duplicate per-project entries reported by both the roadmap and the bug report
+ * @param {Array<Object>} entries - Entries ({ project, site, message })
+ * @returns {Array<Object>} - Unique entries
+ */
+function uniqueProjectEntries(entries) {
+  return [...new Map(entries.map(entry => [`${entry.site}:${entry.project}`, entry])).values()];
+}
+
+/**
+ * Use a time zone only if the runtime knows it
+ * @param {string} timeZone - IANA time zone from the client
+ * @returns {string} - Time zone, or UTC
+ */
+function resolveTimeZone(timeZone) {
+  if (!timeZone) return 'UTC';
+
+  try {
+    new Intl.DateTimeFormat('en-GB', { timeZone });
+    return timeZone;
+  } catch (error) {
+    return 'UTC';
+  }
+}
+
+/**
+ * Get the short name of a time zone at a point in time (e.g. "CET", "GMT+2")
+ * @param {string} timestamp - ISO timestamp
+ * @param {string} timeZone - IANA time zone
+ * @returns {string} - Time zone name
+ */
+function getTimeZoneName(timestamp, timeZone) {
+  const part = new Intl.DateTimeFormat('en-GB', { timeZone, timeZoneName: 'short' })
+    .formatToParts(new Date(timestamp))
+    .find(({ type }) => type === 'timeZoneName');
+
+  return part ? part.value : timeZone;
+}
+
+module.exports = new ReportExportService();
+module.exports.EXPORT_SECTIONS = EXPORT_SECTIONS;
+module.exports.SECTION_TITLES = SECTION_TITLES;
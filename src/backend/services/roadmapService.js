@@ -0,0 +1,465 @@
+const jiraDataService = require('./jiraDataService');
+const fieldDiscoveryService = require('./fieldDiscoveryService');
+const siteRegistryService = require('./siteRegistryService');
+const dataStoreService = require('./dataStoreService');
+const { isJiraUnavailable, withTimeout } = require('../utils/errorHandler');
+const { transformProject, transformEpic, determineEpicQuarter } = require('../utils/jiraTransformer');
+
+// Colors assigned to projects in the order they are requested
+const PROJECT_COLORS = [
+  '#2684FF',
+  '#36B37E',
+  '#FF991F',
+  '#6554C0',
+  '#00B8D9',
+  '#FF5630',
+  '#8777D9',
+  '#57D9A3',
+];
+
+const BACKLOG_QUARTER = 'Backlog';
+
+// Accessors for every sortable roadmap epic column
+const SORT_ACCESSORS = {
+  key: epic => epic.key,
+  summary: epic => epic.summary,
+  project: epic => epic.project.name,
+  site: epic => epic.project.site?.name,
+  status: epic => epic.status,
+  statusCategory: epic => epic.statusCategory,
+  progress: epic => epic.progress,
+  quarter: epic => quarterSortValue(epic.quarter),
+  owner: epic => epic.assignee?.displayName,
+  assignee: epic => epic.assignee?.displayName,
+  dueDate: epic => epic.dueDate,
+  childCount: epic => epic.childCount,
+  completedCount: epic => epic.completedCount,
+};
+
+/**
+ * Service for building the cross-project roadmap view model
+ */
+class RoadmapService {
+  /**
+   * Get the roadmap for a set of projects, merged across Jira sites
+   * @param {Array<Object>} siteAuths - Jira auth contexts of the connected sites ({ accessToken, cloudId, siteId, siteName, siteUrl, accountId })
+   * @param {Object} options - Roadmap options
+   * @param {Array<string>} options.projects - Projects to include ("KEY" or "siteId:KEY")
+   * @param {Object} options.filters - Filters to apply (sites, owners, statuses, years, quarters, searchTerm)
+   * @param {Object} options.sort - Sort options ({ field, order })
+   * @param {boolean} options.weightByStoryPoints - Weight epic progress by story points
+   * @returns {Promise<Object>} - RoadmapViewModel with errors and fallback (projects served from the store)
+   */
+  async getRoadmap(siteAuths, { projects = [], filters = {}, sort = {}, weightByStoryPoints = false } = {}) {
+    const projectRefs = siteRegistryService.resolveProjects(projects);
+    const { fallbackTimeout } = dataStoreService;
+    // Don't wait on a slow Jira for projects the store can stand in for this user
+    const isStored = ({ key, siteId }, { accountId }) => Boolean(dataStoreService.getProjectFor(siteId, key, accountId));
+
+    const results = await Promise.allSettled(projectRefs.map(async ref => {
+      const auth = siteAuths.find(candidate => candidate.siteId === ref.siteId);
+      if (!auth) {
+        throw new Error(`Not connected to Jira site ${ref.siteId}`);
+      }
+
+      const request = Promise.all([
+        jiraDataService.getProject(ref.key, auth),
+        jiraDataService.getEpics(ref.key, auth),
+      ]);
+      const [project, epics] = await (isStored(ref, auth) ? withTimeout(request, fallbackTimeout) : request);
+
+      return { project, epics, auth };
+    }));
+
+    // Live project data by position in the request, and the projects that failed
+    const projectData = new Array(projectRefs.length);
+    const failures = [];
+
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        projectData[index] = result.value;
+      } else {
+        failures.push({ index, error: result.reason });
+      }
+    });
+
+    // Fetch child issues for every epic of a site in one batched call to calculate progress
+    await Promise.all(siteAuths.map(async auth => {
+      const indexes = projectData.flatMap((data, index) => (data?.auth === auth ? [index] : []));
+      if (indexes.length === 0) return;
+
+      try {
+        const request = Promise.all([
+          jiraDataService.getIssuesForEpics(indexes.flatMap(index => projectData[index].epics.map(epic => epic.key)), auth),
+          fieldDiscoveryService.getFieldIds(auth),
+        ]);
+        const stored = indexes.every(index => isStored(projectRefs[index], auth));
+        const [issuesByEpic, fieldIds] = await (stored ? withTimeout(request, fallbackTimeout) : request);
+
+        indexes.forEach(index => {
+          const data = projectData[index];
+          data.issuesByEpic = issuesByEpic;
+          data.fieldIds = fieldIds;
+          data.site = { id: auth.siteId, name: auth.siteName, url: auth.siteUrl };
+          delete data.auth;
+          // The user can see the project, so the store may stand in for it later
+          dataStoreService.recordAccess(auth.siteId, projectRefs[index].key, auth.accountId);
+        });
+      } catch (error) {
+        indexes.forEach(index => {
+          projectData[index] = undefined;
+          failures.push({ index, error });
+        });
+      }
+    }));
+
+    // Serve projects the user has loaded before from the store while Jira is down or slow; report the others
+    const storedData = new Array(projectRefs.length);
+    const errors = [];
+    const fallback = [];
+
+    failures.sort((a, b) => a.index - b.index).forEach(({ index, error }) => {
+      const { key, siteId } = projectRefs[index];
+      const accountId = siteAuths.find(auth => auth.siteId === siteId)?.accountId;
+      const stored = isJiraUnavailable(error) ? dataStoreService.getProjectFor(siteId, key, accountId) : null;
+
+      if (stored) {
+        console.warn(`Serving project ${key} on site ${siteId} from the store synced at ${stored.syncedAt}:`, error.message);
+        storedData[index] = fromStore(stored, { weightByStoryPoints });
+        fallback.push({ project: key, site: siteId, syncedAt: stored.syncedAt, message: error.message });
+      } else {
+        console.error(`Error building roadmap for project ${key} on site ${siteId}:`, error.message);
+        errors.push({ project: key, site: siteId, message: error.message });
+      }
+    });
+
+    const transformedProjects = projectRefs
+      .map((ref, index) => storedData[index]
+        || (projectData[index] && this.transformProjectData(projectData[index], {}, { weightByStoryPoints })))
+      .filter(Boolean);
+
+    const viewModel = this.assembleRoadmap(transformedProjects, {
+      filters: { ...filters, projects },
+      sort,
+    });
+
+    return { ...viewModel, errors, fallback };
+  }
+
+  /**
+   * Build the roadmap view model from raw Jira data
+   * Project data from several sites carries its own site, child issues and field IDs,
+   * which take precedence over the shared arguments.
+   * @param {Array<Object>} projectData - List of { project, epics, site?, issuesByEpic?, fieldIds? } with raw Jira objects
+   * @param {Object} issuesByEpic - Map of epic key to raw child issues
+   * @param {Object} options - Filters, sort, progress options and custom field IDs
+   * @returns {Object} - RoadmapViewModel
+   */
+  buildRoadmapViewModel(projectData, issuesByEpic = {}, { filters = {}, sort = {}, weightByStoryPoints = false, fieldIds } = {}) {
+    return this.assembleRoadmap(
+      projectData.map(data => this.transformProjectData(data, issuesByEpic, { weightByStoryPoints, fieldIds })),
+      { filters, sort },
+    );
+  }
+
+  /**
+   * Transform the raw Jira data of a project
+   * @param {Object} data - { project, epics, site?, issuesByEpic?, fieldIds? } with raw Jira objects
+   * @param {Object} issuesByEpic - Map of epic key to raw child issues (unless the data has its own)
+   * @param {Object} options - { weightByStoryPoints, fieldIds }
+   * @returns {Object} - { project, site, epics } as produced by jiraTransformer
+   */
+  transformProjectData(data, issuesByEpic = {}, { weightByStoryPoints = false, fieldIds } = {}) {
+    return {
+      project: transformProject(data.project, { siteUrl: data.site?.url }),
+      site: data.site,
+      epics: data.epics.map(epic => transformEpic(epic, (data.issuesByEpic || issuesByEpic)[epic.key] || [], {
+        weightByStoryPoints,
+        fieldIds: data.fieldIds || fieldIds,
+        siteUrl: data.site?.url,
+      })),
+    };
+  }
+
+  /**
+   * Assemble the roadmap view model from transformed projects and epics
+   * @param {Array<Object>} transformedProjects - List of { project, site?, epics } from jiraTransformer
+   * @param {Object} options - Filters and sort
+   * @returns {Object} - RoadmapViewModel
+   */
+  assembleRoadmap(transformedProjects, { filters = {}, sort = {} } = {}) {
+    const appliedFilters = normalizeFilters(filters);
+
+    const projectSummaries = transformedProjects.map(({ project, site }, index) => ({
+      id: project.id,
+      key: project.key,
+      name: project.name,
+      color: PROJECT_COLORS[index % PROJECT_COLORS.length],
+      site: site ? { id: site.id, name: site.name } : null,
+      epicCount: 0,
+    }));
+
+    const allEpics = transformedProjects.flatMap(({ epics }, index) => epics.map(epic => (
+      toRoadmapEpic(epic, projectSummaries[index])
+    )));
+
+    const epics = sortEpics(allEpics.filter(epic => matchesFilters(epic, appliedFilters)), sort);
+
+    // Count epics per project and quarter after filtering
+    const quarterMap = new Map();
+    epics.forEach(epic => {
+      epic.project.epicCount += 1;
+
+      if (!quarterMap.has(epic.quarter)) {
+        quarterMap.set(epic.quarter, createQuarter(epic.quarterInfo));
+      }
+      quarterMap.get(epic.quarter).epicCount += 1;
+    });
+
+    const quarters = [...quarterMap.values()]
+      .sort((a, b) => quarterSortValue(a.id).localeCompare(quarterSortValue(b.id)));
+
+    // Versions with a release date are shown as milestones on the roadmap
+    const milestones = transformedProjects
+      .flatMap(({ project }, index) => project.versions
+        .filter(version => version.releaseDate)
+        .map(version => ({
+          id: version.id,
+          name: version.name,
+          releaseDate: version.releaseDate,
+          released: version.released,
+          quarter: getQuarterId(determineEpicQuarter({ fields: { duedate: version.releaseDate } })),
+          project: { key: projectSummaries[index].key, color: projectSummaries[index].color },
+        })))
+      .sort((a, b) => a.releaseDate.localeCompare(b.releaseDate));
+
+    // Sites are a dimension of the roadmap when projects come from more than one
+    const sites = [...new Map(projectSummaries
+      .filter(project => project.site)
+      .map(project => [project.site.id, project.site])).values()];
+
+    return {
+      quarters,
+      projects: projectSummaries,
+      sites,
+      epics: epics.map(epic => {
+        const roadmapEpic = { ...epic, project: { ...epic.project } };
+        delete roadmapEpic.quarterInfo;
+        return roadmapEpic;
+      }),
+      milestones,
+      filters: appliedFilters,
+      sort: {
+        field: sort.field || null,
+        order: sort.order || 'asc',
+      },
+      lastUpdated: new Date().toISOString(),
+    };
+  }
+}
+
+/**
+ * Build a transformed project from its stored data
+ * @param {Object} stored - Stored project from dataStoreService.getProject
+ * @param {Object} options - { weightByStoryPoints }
+ * @returns {Object} - { project, site, epics }
+ */
+function fromStore(stored, { weightByStoryPoints = false } = {}) {
+  return {
+    project: stored.project,
+    site: stored.site,
+    epics: stored.epics.map(epic => ({ ...epic, progress: reweightProgress(epic.progress, weightByStoryPoints) })),
+  };
+}
+
+/**
+ * Reweight count-based epic progress by story points
+ * @param {Object} progress - Progress from calculateEpicProgress
+ * @param {boolean} weightByStoryPoints - Weight by story points (when any child issue is estimated)
+ * @returns {Object} - Progress
+ */
+function reweightProgress(progress, weightByStoryPoints) {
+  if (!weightByStoryPoints || !progress.points?.total) return progress;
+
+  return {
+    ...progress,
+    percent: Math.round((progress.points.completed / progress.points.total) * 100),
+    weighting: 'storyPoints',
+  };
+}
+
+/**
+ * Convert a transformed epic into a roadmap epic
+ * @param {Object} epic - Epic from transformEpic
+ * @param {Object} project - Project summary
+ * @returns {Object} - Roadmap epic
+ */
+function toRoadmapEpic(epic, project) {
+  const { quarterInfo } = epic;
+
+  return {
+    id: epic.id,
+    key: epic.key,
+    summary: epic.summary,
+    status: epic.status?.name || 'Unknown',
+    statusCategory: epic.status?.category || 'Unknown',
+    progress: epic.progress.percent,
+    quarter: getQuarterId(quarterInfo),
+    quarterInfo,
+    project,
+    assignee: epic.assignee ? {
+      id: epic.assignee.id,
+      displayName: epic.assignee.name,
+      avatarUrl: epic.assignee.avatarUrl,
+    } : null,
+    dueDate: epic.dueDate,
+    color: epic.color,
+    fixVersions: epic.fixVersions,
+    childCount: epic.progress.total,
+    completedCount: epic.progress.completed,
+    webUrl: epic.webUrl,
+  };
+}
+
+/**
+ * Get the identifier of a quarter (e.g. "2023-Q1")
+ * @param {Object} quarterInfo - Quarter information from determineEpicQuarter
+ * @returns {string} - Quarter identifier
+ */
+function getQuarterId(quarterInfo) {
+  if (quarterInfo.quarter === BACKLOG_QUARTER) return BACKLOG_QUARTER;
+  return `${quarterInfo.year}-${quarterInfo.quarter}`;
+}
+
+/**
+ * Create a quarter entry for the view model
+ * @param {Object} quarterInfo - Quarter information from determineEpicQuarter
+ * @returns {Object} - Quarter
+ */
+function createQuarter(quarterInfo) {
+  const id = getQuarterId(quarterInfo);
+
+  if (id === BACKLOG_QUARTER) {
+    return { id, name: BACKLOG_QUARTER, startDate: null, endDate: null, epicCount: 0 };
+  }
+
+  const startMonth = (parseInt(quarterInfo.quarter.slice(1), 10) - 1) * 3;
+
+  return {
+    id,
+    name: quarterInfo.display,
+    startDate: new Date(Date.UTC(quarterInfo.year, startMonth, 1)).toISOString().slice(0, 10),
+    endDate: new Date(Date.UTC(quarterInfo.year, startMonth + 3, 0)).toISOString().slice(0, 10),
+    epicCount: 0,
+  };
+}
+
+/**
+ * Get a value that sorts quarters chronologically with the backlog last
+ * @param {string} quarterId - Quarter identifier
+ * @returns {string} - Sortable value
+ */
+function quarterSortValue(quarterId) {
+  return quarterId === BACKLOG_QUARTER ? '9999-Q9' : quarterId;
+}
+
+/**
+ * Normalize a status category name or key for comparison
+ * @param {string} value - Status category (e.g. "In Progress", "inProgress", "indeterminate")
+ * @returns {string} - Normalized status category
+ */
+function normalizeStatusCategory(value) {
+  const normalized = String(value).toLowerCase().replace(/[\s_-]/g, '');
+
+  if (normalized === 'new') return 'todo';
+  if (normalized === 'indeterminate') return 'inprogress';
+  return normalized;
+}
+
+/**
+ * Normalize the filters applied to the roadmap
+ * @param {Object} filters - Raw filters
+ * @returns {Object} - RoadmapFilters
+ */
+function normalizeFilters(filters) {
+  return {
+    projects: filters.projects || [],
+    sites: filters.sites || [],
+    assignees: filters.assignees || [],
+    statuses: filters.statuses || [],
+    years: (filters.years || []).map(year => parseInt(year, 10)).filter(year => !Number.isNaN(year)),
+    quarters: filters.quarters || [],
+    searchTerm: filters.searchTerm || '',
+  };
+}
+
+/**
+ * Check whether a roadmap epic matches the applied filters
+ * @param {Object} epic - Roadmap epic
+ * @param {Object} filters - RoadmapFilters
+ * @returns {boolean} - True if the epic should be shown
+ */
+function matchesFilters(epic, filters) {
+  if (filters.sites.length > 0 && !filters.sites.includes(epic.project.site?.id)) return false;
+
+  if (filters.assignees.length > 0) {
+    const assigneeId = epic.assignee ? epic.assignee.id : 'unassigned';
+    if (!filters.assignees.includes(assigneeId)) return false;
+  }
+
+  if (filters.statuses.length > 0) {
+    const statuses = filters.statuses.map(normalizeStatusCategory);
+    if (!statuses.includes(normalizeStatusCategory(epic.statusCategory))) return false;
+  }
+
+  if (filters.years.length > 0) {
+    if (epic.quarter === BACKLOG_QUARTER || !filters.years.includes(epic.quarterInfo.year)) return false;
+  }
+
+  if (filters.quarters.length > 0) {
+    // Quarters can be given as "Q1" (any year), "2023-Q1" or "Backlog"
+    const matchesQuarter = filters.quarters.some(quarter => (
+      quarter === epic.quarter || quarter === epic.quarterInfo.quarter
+    ));
+    if (!matchesQuarter) return false;
+  }
+
+  if (filters.searchTerm) {
+    const searchTerm = filters.searchTerm.toLowerCase();
+    const haystack = `${epic.key} ${epic.summary}`.toLowerCase();
+    if (!haystack.includes(searchTerm)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Sort roadmap epics by a column
+ * @param {Array<Object>} epics - Roadmap epics
+ * @param {Object} sort - Sort options ({ field, order })
+ * @returns {Array<Object>} - Sorted epics (empty values always last)
+ */
+function sortEpics(epics, { field, order = 'asc' } = {}) {
+  const accessor = SORT_ACCESSORS[field];
+  if (!accessor) return epics;
+
+  const direction = order === 'desc' ? -1 : 1;
+
+  return [...epics].sort((a, b) => {
+    const valueA = accessor(a);
+    const valueB = accessor(b);
+
+    if (valueA === valueB) return 0;
+    if (valueA === null || valueA === undefined) return 1;
+    if (valueB === null || valueB === undefined) return -1;
+
+    if (typeof valueA === 'number' && typeof valueB === 'number') {
+      return (valueA - valueB) * direction;
+    }
+
+    return String(valueA).localeCompare(String(valueB), undefined, { numeric: true }) * direction;
+  });
+}
+
+module.exports = new RoadmapService();
+module.exports.SORT_FIELDS = Object.keys(SORT_ACCESSORS);
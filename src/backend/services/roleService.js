@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+
+// Roles from least to most privileged; each role can do everything the previous ones can
+// viewer - read roadmap, bug and sprint data
+// editor - also change application data (e.g. meeting action items)
+// admin - also manage the cache, data syncs and configuration
+const ROLES = ['viewer', 'editor', 'admin'];
+
+/**
+ * Service for assigning roles to users
+ *
+ * Role assignments are read from ROLES_FILE (path to a JSON file) or ROLES (inline JSON).
+ * A user gets the most privileged role whose accountIds or groups match, otherwise the
+ * default role. Without configuration every user is a viewer.
+ */
+class RoleService {
+  constructor() {
+    this.config = null;
+  }
+
+  /**
+   * Get the role configuration, loading it on first use
+   * @returns {Object} - Role configuration ({ defaultRole, roles })
+   */
+  getConfig() {
+    if (!this.config) {
+      this.config = this.validate(this.loadConfig());
+    }
+
+    return this.config;
+  }
+
+  /**
+   * Replace the role configuration
+   * @param {Object|null} config - Role configuration (null to reload from configuration)
+   */
+  setConfig(config) {
+    this.config = config ? this.validate(config) : null;
+  }
+
+  /**
+   * Read the raw role configuration from the environment
+   * @returns {Object} - Raw role configuration
+   */
+  loadConfig() {
+    try {
+      if (process.env.ROLES_FILE) {
+        const file = path.resolve(process.env.ROLES_FILE);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+
+      if (process.env.ROLES) {
+        return JSON.parse(process.env.ROLES);
+      }
+    } catch (error) {
+      throw new Error(`Invalid role configuration: ${error.message}`);
+    }
+
+    return { defaultRole: 'viewer', roles: {} };
+  }
+
+  /**
+   * Validate a role configuration
+   * @param {Object} config - Raw role configuration
+   * @returns {Object} - Normalized role configuration
+   */
+  validate(config) {
+    const defaultRole = config.defaultRole || 'viewer';
+    if (!ROLES.includes(defaultRole)) {
+      throw new Error(`Invalid role configuration: defaultRole must be one of ${ROLES.join(', ')}`);
+    }
+
+    const roles = {};
+    Object.entries(config.roles || {}).forEach(([role, assignment]) => {
+      if (!ROLES.includes(role)) {
+        throw new Error(`Invalid role configuration: unknown role "${role}"`);
+      }
+
+      const { accountIds = [], groups = [] } = assignment || {};
+      [['accountIds', accountIds], ['groups', groups]].forEach(([name, values]) => {
+        if (!Array.isArray(values) || values.some(value => typeof value !== 'string')) {
+          throw new Error(`Invalid role configuration: ${role}.${name} must be an array of strings`);
+        }
+      });
+
+      // Jira group names are case-insensitive
+      roles[role] = { accountIds, groups: groups.map(group => group.toLowerCase()) };
+    });
+
+    return { defaultRole, roles };
+  }
+
+  /**
+   * Get the role of a user
+   * @param {Object} user - Session user ({ accountId, groups })
+   * @returns {string} - Role
+   */
+  getRole(user) {
+    const { defaultRole, roles } = this.getConfig();
+    const groups = (user?.groups || []).map(group => group.toLowerCase());
+
+    const assigned = ROLES.filter(role => {
+      const assignment = roles[role];
+      if (!assignment || !user) return false;
+
+      return assignment.accountIds.includes(user.accountId)
+        || assignment.groups.some(group => groups.includes(group));
+    });
+
+    return [defaultRole, ...assigned].reduce((highest, role) => (
+      this.hasRole(role, highest) ? role : highest
+    ));
+  }
+
+  /**
+   * Check whether a role grants at least the permissions of another
+   * @param {string} role - Role of the user
+   * @param {string} requiredRole - Role required
+   * @returns {boolean} - True if role is requiredRole or more privileged
+   */
+  hasRole(role, requiredRole) {
+    return ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+  }
+}
+
+module.exports = new RoleService();
+module.exports.ROLES = ROLES;
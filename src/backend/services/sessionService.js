@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const { createSessionStore } = require('./sessionStore');
+const { getSessionSecret } = require('../utils/securityUtils');
+
+// AES-256-GCM authenticates the ciphertext, so tampered records fail to decrypt
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+// How often expired sessions are purged from the store
+const PURGE_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Service for server-side sessions
+ *
+ * The session cookie only carries a random session id. Sessions (user, Jira tokens and
+ * connected sites) live in a session store, keyed by a hash of the id and encrypted with
+ * a key derived from SESSION_SECRET, so neither the cookie nor the store alone reveals the tokens.
+ */
+class SessionService {
+  constructor() {
+    this.ttl = parseInt(process.env.SESSION_TTL || 24 * 60 * 60 * 1000, 10); // 24 hours in ms
+    this.store = null;
+    this.key = null;
+    this.lastPurge = Date.now();
+  }
+
+  /**
+   * Get the session store, creating it on first use
+   * @returns {Object} - Session store
+   */
+  getStore() {
+    if (!this.store) {
+      this.store = createSessionStore();
+    }
+
+    return this.store;
+  }
+
+  /**
+   * Replace the session store
+   * @param {Object|null} store - Session store (null to create it from configuration)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Get the encryption key, deriving it from SESSION_SECRET on first use
+   * @returns {Buffer} - 256-bit key
+   */
+  getKey() {
+    if (!this.key) {
+      this.key = crypto.scryptSync(getSessionSecret(), 'prestellation-session', 32);
+    }
+
+    return this.key;
+  }
+
+  /**
+   * Get the store key for a session id
+   * Only the hash is stored, so a copy of the store cannot be turned back into cookies.
+   * @param {string} sessionId - Session id from the cookie
+   * @returns {string} - Store key
+   */
+  getStoreKey(sessionId) {
+    return crypto.createHash('sha256').update(sessionId).digest('hex');
+  }
+
+  /**
+   * Encrypt session data
+   * @param {Object} data - Session data
+   * @returns {string} - Base64 IV, auth tag and ciphertext separated by dots
+   */
+  encrypt(data) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(CIPHER, this.getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join('.');
+  }
+
+  /**
+   * Decrypt session data
+   * @param {string} value - Encrypted session data from encrypt
+   * @returns {Object} - Session data
+   */
+  decrypt(value) {
+    const [iv, authTag, ciphertext] = value.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(CIPHER, this.getKey(), iv);
+    decipher.setAuthTag(authTag);
+
+    return JSON.parse(Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8'));
+  }
+
+  /**
+   * Create a session
+   * @param {Object} data - Session data ({ user, oauth, credentials, sites })
+   * @returns {Promise<string>} - Session id for the cookie
+   */
+  async create(data) {
+    await this.purgeExpired();
+
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    await this.getStore().set(this.getStoreKey(sessionId), {
+      data: this.encrypt(data),
+      expiresAt: Date.now() + this.ttl,
+    });
+
+    return sessionId;
+  }
+
+  /**
+   * Get a session
+   * @param {string} sessionId - Session id from the cookie
+   * @returns {Promise<Object|null>} - Session data, or null if the session does not exist or has expired
+   */
+  async get(sessionId) {
+    if (!sessionId) return null;
+
+    const storeKey = this.getStoreKey(sessionId);
+    const record = await this.getStore().get(storeKey);
+
+    if (!record) return null;
+
+    if (record.expiresAt <= Date.now()) {
+      await this.getStore().delete(storeKey);
+      return null;
+    }
+
+    try {
+      return this.decrypt(record.data);
+    } catch (error) {
+      // Records written with another SESSION_SECRET (or tampered with) can't be used
+      await this.getStore().delete(storeKey);
+      return null;
+    }
+  }
+
+  /**
+   * Update a session, keeping its expiry
+   * @param {string} sessionId - Session id from the cookie
+   * @param {Object} changes - Session data to merge in
+   * @returns {Promise<Object|null>} - Updated session data, or null if the session no longer exists
+   */
+  async update(sessionId, changes) {
+    const storeKey = this.getStoreKey(sessionId);
+    const record = await this.getStore().get(storeKey);
+    const session = await this.get(sessionId);
+
+    if (!session) return null;
+
+    const updated = { ...session, ...changes };
+    await this.getStore().set(storeKey, { ...record, data: this.encrypt(updated) });
+
+    return updated;
+  }
+
+  /**
+   * Revoke a session
+   * @param {string} sessionId - Session id from the cookie
+   */
+  async destroy(sessionId) {
+    if (!sessionId) return;
+    await this.getStore().delete(this.getStoreKey(sessionId));
+  }
+
+  /**
+   * Remove expired sessions, at most once per PURGE_INTERVAL
+   */
+  async purgeExpired() {
+    const now = Date.now();
+    if (now - this.lastPurge < PURGE_INTERVAL) return;
+
+    this.lastPurge = now;
+    await this.getStore().purgeExpired(now);
+  }
+}
+
+module.exports = new SessionService();
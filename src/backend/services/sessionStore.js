@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session store interface
+ *
+ * Stores hold opaque session records ({ data, expiresAt }) by key. They never see
+ * session ids or plaintext tokens: sessionService hashes the id and encrypts the data.
+ * Every method returns a promise so stores backed by files or databases fit the same interface.
+ *
+ * @typedef {Object} SessionStore
+ * @property {function(string): Promise<Object|null>} get - Get a record
+ * @property {function(string, Object): Promise<void>} set - Create or replace a record
+ * @property {function(string): Promise<void>} delete - Remove a record
+ * @property {function(number): Promise<number>} purgeExpired - Remove records that expired before a timestamp
+ */
+
+/**
+ * Session store that keeps records in process memory
+ * Sessions are lost on restart and are not shared between server processes.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Get a record
+   * @param {string} key - Store key
+   * @returns {Promise<Object|null>} - Record ({ data, expiresAt }), or null if missing
+   */
+  async get(key) {
+    return this.records.get(key) || null;
+  }
+
+  /**
+   * Create or replace a record
+   * @param {string} key - Store key
+   * @param {Object} record - Record ({ data, expiresAt })
+   */
+  async set(key, record) {
+    this.records.set(key, record);
+  }
+
+  /**
+   * Remove a record
+   * @param {string} key - Store key
+   */
+  async delete(key) {
+    this.records.delete(key);
+  }
+
+  /**
+   * Remove records that expired before a timestamp
+   * @param {number} now - Timestamp in milliseconds
+   * @returns {Promise<number>} - Number of removed records
+   */
+  async purgeExpired(now) {
+    let purged = 0;
+
+    this.records.forEach((record, key) => {
+      if (record.expiresAt <= now) {
+        this.records.delete(key);
+        purged += 1;
+      }
+    });
+
+    return purged;
+  }
+}
+
+/**
+ * Session store that persists records to a JSON file
+ * Sessions survive restarts. Writes are serialized and replace the file atomically
+ * (write to a temporary file, then rename), so a crash never leaves a partial file.
+ * The file is owned by one server process.
+ */
+class FileSessionStore extends MemorySessionStore {
+  /**
+   * @param {string} file - Path to the sessions file
+   */
+  constructor(file) {
+    super();
+    this.file = path.resolve(file);
+    this.loaded = false;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the sessions file on first use
+   */
+  load() {
+    if (this.loaded) return;
+    this.loaded = true;
+
+    if (!fs.existsSync(this.file)) return;
+
+    try {
+      const records = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      this.records = new Map(Object.entries(records));
+    } catch (error) {
+      // A corrupt file only costs users their sessions, so start over instead of failing every request
+      console.error(`Failed to read session store ${this.file}:`, error.message);
+      this.records = new Map();
+    }
+  }
+
+  /**
+   * Write all records to the sessions file
+   * @returns {Promise<void>} - Resolves once this write (and every earlier one) is on disk
+   */
+  persist() {
+    const contents = JSON.stringify(Object.fromEntries(this.records));
+
+    this.writing = this.writing.then(async () => {
+      const tempFile = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tempFile, contents, { mode: 0o600 });
+      await fs.promises.rename(tempFile, this.file);
+    }).catch(error => {
+      console.error(`Failed to write session store ${this.file}:`, error.message);
+    });
+
+    return this.writing;
+  }
+
+  async get(key) {
+    this.load();
+    return super.get(key);
+  }
+
+  async set(key, record) {
+    this.load();
+    await super.set(key, record);
+    await this.persist();
+  }
+
+  async delete(key) {
+    this.load();
+    await super.delete(key);
+    await this.persist();
+  }
+
+  async purgeExpired(now) {
+    this.load();
+    const purged = await super.purgeExpired(now);
+    if (purged > 0) await this.persist();
+    return purged;
+  }
+}
+
+/**
+ * Create the session store selected by SESSION_STORE
+ * @returns {SessionStore} - 'memory' (default) or 'file' (SESSION_STORE_FILE) store
+ */
+function createSessionStore() {
+  const type = process.env.SESSION_STORE || 'memory';
+
+  if (type === 'memory') return new MemorySessionStore();
+  if (type === 'file') return new FileSessionStore(process.env.SESSION_STORE_FILE || 'data/sessions.json');
+
+  throw new Error(`Invalid session store "${type}": use memory or file`);
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  createSessionStore,
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  getProjectSeverityRules,
+  getSeverityColor,
+  getSeverityValue,
+  SEVERITY_LEVELS,
+  DEFAULT_SEVERITY_MAPPING,
+} = require('../utils/jiraTransformer');
+
+// Where a severity rule can read its value from
+const RULE_SOURCES = ['priority', 'field', 'labels'];
+
+/**
+ * Service for loading the configured bug severity mapping
+ *
+ * The mapping is read from SEVERITY_MAPPING_FILE (path to a JSON file) or
+ * SEVERITY_MAPPING (inline JSON) and falls back to Jira's default priority scheme.
+ */
+class SeverityMappingService {
+  constructor() {
+    this.mapping = null;
+  }
+
+  /**
+   * Get the severity mapping, loading it from configuration on first use
+   * @returns {Object} - Severity mapping ({ defaultSeverity, rules, projects })
+   */
+  getMapping() {
+    if (!this.mapping) {
+      this.mapping = this.validate(this.loadConfig());
+    }
+
+    return this.mapping;
+  }
+
+  /**
+   * Replace the severity mapping
+   * @param {Object|null} config - Severity mapping config (null to reload from configuration)
+   */
+  setMapping(config) {
+    this.mapping = config ? this.validate(config) : null;
+  }
+
+  /**
+   * Read the raw severity mapping config from the environment
+   * @returns {Object} - Raw severity mapping config
+   */
+  loadConfig() {
+    try {
+      if (process.env.SEVERITY_MAPPING_FILE) {
+        const file = path.resolve(process.env.SEVERITY_MAPPING_FILE);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+
+      if (process.env.SEVERITY_MAPPING) {
+        return JSON.parse(process.env.SEVERITY_MAPPING);
+      }
+    } catch (error) {
+      throw new Error(`Invalid severity mapping configuration: ${error.message}`);
+    }
+
+    return DEFAULT_SEVERITY_MAPPING;
+  }
+
+  /**
+   * Validate a severity mapping config
+   * @param {Object} config - Raw severity mapping config
+   * @returns {Object} - Normalized severity mapping
+   */
+  validate(config) {
+    const mapping = {
+      defaultSeverity: config.defaultSeverity || DEFAULT_SEVERITY_MAPPING.defaultSeverity,
+      rules: config.rules || DEFAULT_SEVERITY_MAPPING.rules,
+      projects: config.projects || {},
+    };
+
+    this.validateRuleSet(mapping, 'severity mapping');
+    Object.entries(mapping.projects).forEach(([projectKey, projectMapping]) => {
+      this.validateRuleSet(projectMapping, `severity mapping for project ${projectKey}`);
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Validate the default severity and rules of a mapping or project entry
+   * @param {Object} ruleSet - { defaultSeverity, rules }
+   * @param {string} context - Description used in error messages
+   */
+  validateRuleSet(ruleSet, context) {
+    const assertLevel = (level, where) => {
+      if (!SEVERITY_LEVELS.includes(level)) {
+        throw new Error(`Invalid ${context}: ${where} "${level}" is not one of ${SEVERITY_LEVELS.join(', ')}`);
+      }
+    };
+
+    if (ruleSet.defaultSeverity !== undefined) {
+      assertLevel(ruleSet.defaultSeverity, 'default severity');
+    }
+
+    if (ruleSet.rules === undefined) return;
+
+    if (!Array.isArray(ruleSet.rules)) {
+      throw new Error(`Invalid ${context}: rules must be an array`);
+    }
+
+    ruleSet.rules.forEach((rule, index) => {
+      if (!RULE_SOURCES.includes(rule.source)) {
+        throw new Error(`Invalid ${context}: rule ${index + 1} source must be one of ${RULE_SOURCES.join(', ')}`);
+      }
+      if (rule.source === 'field' && !rule.field) {
+        throw new Error(`Invalid ${context}: rule ${index + 1} needs a field ID`);
+      }
+      if (!rule.values || typeof rule.values !== 'object') {
+        throw new Error(`Invalid ${context}: rule ${index + 1} needs a values map`);
+      }
+      Object.values(rule.values).forEach(level => assertLevel(level, `rule ${index + 1} severity`));
+    });
+  }
+
+  /**
+   * Get the mapping that applies to a project
+   * @param {string} projectKey - Project key
+   * @returns {Object} - { project, defaultSeverity, rules }
+   */
+  getEffectiveMapping(projectKey) {
+    return {
+      project: projectKey,
+      ...getProjectSeverityRules(this.getMapping(), projectKey),
+    };
+  }
+
+  /**
+   * Get the severity levels with their display colors, most severe first
+   * @returns {Array<Object>} - [{ severity, value, color }]
+   */
+  getLevels() {
+    return SEVERITY_LEVELS.map(severity => ({
+      severity,
+      value: getSeverityValue(severity),
+      color: getSeverityColor(severity),
+    }));
+  }
+
+  /**
+   * Get the custom fields read by any severity rule
+   * @returns {Array<string>} - Field IDs to request from Jira
+   */
+  getSourceFields() {
+    const mapping = this.getMapping();
+    const ruleSets = [mapping, ...Object.values(mapping.projects)];
+
+    return [...new Set(ruleSets
+      .flatMap(ruleSet => ruleSet.rules || [])
+      .filter(rule => rule.source === 'field')
+      .map(rule => rule.field))];
+  }
+}
+
+module.exports = new SeverityMappingService();
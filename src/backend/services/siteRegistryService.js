@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+
+// How the application authenticates against a site:
+// oauth - Atlassian OAuth 2.0 (3LO), Jira Cloud only
+// apiToken - basic auth with the user's email and API token, Jira Cloud
+// pat - bearer personal access token, Jira Data Center / Server
+const AUTH_METHODS = ['oauth', 'apiToken', 'pat'];
+
+// Methods where the user signs in with credentials for one site rather than through Atlassian
+const TOKEN_AUTH_METHODS = ['apiToken', 'pat'];
+
+// Identifier of the site built from JIRA_API_URL and JIRA_PROJECTS when no registry is configured
+const DEFAULT_SITE_ID = 'default';
+
+/**
+ * Service for loading the registry of Jira sites the application reports on
+ *
+ * The registry is read from JIRA_SITES_FILE (path to a JSON file) or JIRA_SITES
+ * (inline JSON) and falls back to a single site built from JIRA_API_URL and JIRA_PROJECTS.
+ */
+class SiteRegistryService {
+  constructor() {
+    this.sites = null;
+  }
+
+  /**
+   * Get the registered sites, loading them from configuration on first use
+   * @returns {Array<Object>} - Sites ({ id, name, url, authMethod, cloudId, apiVersion, projects })
+   */
+  getSites() {
+    if (!this.sites) {
+      this.sites = this.validate(this.loadConfig());
+    }
+
+    return this.sites;
+  }
+
+  /**
+   * Replace the site registry
+   * @param {Object|null} config - Site registry config (null to reload from configuration)
+   */
+  setSites(config) {
+    this.sites = config ? this.validate(config) : null;
+  }
+
+  /**
+   * Check whether a site registry is configured (rather than the single default site)
+   * @returns {boolean} - True if JIRA_SITES_FILE or JIRA_SITES is set
+   */
+  isConfigured() {
+    return this.getSites().some(site => site.id !== DEFAULT_SITE_ID);
+  }
+
+  /**
+   * Get a registered site
+   * @param {string} siteId - Site ID
+   * @returns {Object|null} - Site, or null if not registered
+   */
+  getSite(siteId) {
+    return this.getSites().find(site => site.id === siteId) || null;
+  }
+
+  /**
+   * Read the raw site registry config from the environment
+   * @returns {Object} - Raw site registry config ({ sites })
+   */
+  loadConfig() {
+    try {
+      if (process.env.JIRA_SITES_FILE) {
+        const file = path.resolve(process.env.JIRA_SITES_FILE);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+
+      if (process.env.JIRA_SITES) {
+        return JSON.parse(process.env.JIRA_SITES);
+      }
+    } catch (error) {
+      throw new Error(`Invalid Jira site configuration: ${error.message}`);
+    }
+
+    return {
+      sites: [{
+        id: DEFAULT_SITE_ID,
+        name: 'Jira',
+        url: process.env.JIRA_API_URL,
+        authMethod: process.env.JIRA_AUTH_METHOD || 'oauth',
+        cloudId: process.env.JIRA_CLOUD_ID || null,
+        projects: (process.env.JIRA_PROJECTS || '').split(',').map(key => key.trim()).filter(Boolean),
+      }],
+    };
+  }
+
+  /**
+   * Validate a site registry config
+   * @param {Object} config - Raw site registry config ({ sites })
+   * @returns {Array<Object>} - Normalized sites
+   */
+  validate(config) {
+    const sites = Array.isArray(config) ? config : config.sites;
+
+    if (!Array.isArray(sites) || sites.length === 0) {
+      throw new Error('Invalid Jira site configuration: sites must be a non-empty array');
+    }
+
+    const ids = new Set();
+
+    return sites.map((site, index) => {
+      const context = `Invalid Jira site configuration: site ${site.id || index + 1}`;
+
+      if (!site.id || typeof site.id !== 'string' || site.id.includes(':')) {
+        throw new Error(`${context} needs an id without ":"`);
+      }
+      if (ids.has(site.id)) {
+        throw new Error(`${context} is defined more than once`);
+      }
+      ids.add(site.id);
+
+      const authMethod = site.authMethod || 'oauth';
+      if (!AUTH_METHODS.includes(authMethod)) {
+        throw new Error(`${context} authMethod must be one of ${AUTH_METHODS.join(', ')}`);
+      }
+
+      // OAuth sites can be found through accessible-resources; token sites are called on their URL
+      if (!site.url && (site.id !== DEFAULT_SITE_ID || TOKEN_AUTH_METHODS.includes(authMethod))) {
+        throw new Error(`${context} needs a url`);
+      }
+
+      const projects = site.projects || [];
+      if (!Array.isArray(projects) || projects.some(key => typeof key !== 'string')) {
+        throw new Error(`${context} projects must be an array of project keys`);
+      }
+
+      return {
+        id: site.id,
+        name: site.name || site.id,
+        url: site.url ? site.url.replace(/\/+$/, '') : site.url,
+        authMethod,
+        cloudId: site.cloudId || null,
+        // Data Center only serves version 2 of the platform REST API
+        apiVersion: site.apiVersion ? String(site.apiVersion) : (authMethod === 'pat' ? '2' : null),
+        projects,
+      };
+    });
+  }
+
+  /**
+   * Check whether a site is signed in to with a per-site token instead of OAuth
+   * @param {Object} site - Registered site
+   * @returns {boolean} - True for apiToken and pat sites
+   */
+  usesTokenAuth(site) {
+    return TOKEN_AUTH_METHODS.includes(site.authMethod);
+  }
+
+  /**
+   * Get the project keys of every registered site
+   * @returns {Array<string>} - Unique project keys
+   */
+  getProjectKeys() {
+    return [...new Set(this.getSites().flatMap(site => site.projects))];
+  }
+
+  /**
+   * Resolve requested projects to the sites they live on
+   * Projects can be requested as "KEY" or as "siteId:KEY". A plain key resolves to every
+   * site that lists it, or to the first site when no site lists it.
+   * @param {Array<string>} projects - Requested projects
+   * @returns {Array<Object>} - Project references ({ key, siteId })
+   */
+  resolveProjects(projects) {
+    const sites = this.getSites();
+    const refs = [];
+    const seen = new Set();
+
+    const add = (siteId, key) => {
+      const id = `${siteId}:${key}`;
+      if (!seen.has(id)) {
+        seen.add(id);
+        refs.push({ key, siteId });
+      }
+    };
+
+    projects.forEach(project => {
+      const separator = project.indexOf(':');
+
+      if (separator > 0) {
+        add(project.slice(0, separator), project.slice(separator + 1));
+        return;
+      }
+
+      const listedOn = sites.filter(site => site.projects.includes(project));
+      (listedOn.length > 0 ? listedOn : [sites[0]]).forEach(site => add(site.id, project));
+    });
+
+    return refs;
+  }
+}
+
+module.exports = new SiteRegistryService();
+module.exports.AUTH_METHODS = AUTH_METHODS;
+module.exports.TOKEN_AUTH_METHODS = TOKEN_AUTH_METHODS;
+module.exports.DEFAULT_SITE_ID = DEFAULT_SITE_ID;
@@ -0,0 +1,260 @@
+const jiraAgileService = require('./jiraAgileService');
+const fieldDiscoveryService = require('./fieldDiscoveryService');
+const { getStatusCategory } = require('../utils/jiraTransformer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Remaining work may exceed the ideal line by this share of the commitment and still count as on track
+const ON_TRACK_TOLERANCE = 0.1;
+
+/**
+ * Service for building sprint reports (scope, completion, burndown and velocity)
+ */
+class SprintReportService {
+  /**
+   * Get the sprints of a project's scrum boards with committed vs. completed work
+   * @param {string} projectKey - Jira project key
+   * @param {Object} auth - Jira auth context ({ accessToken, cloudId })
+   * @param {Object} options - Options
+   * @param {Array<string>} options.states - Sprint states to include (active, future, closed)
+   * @param {number} options.closedLimit - Number of most recent closed sprints to include
+   * @param {Date} options.now - Reference date (defaults to now)
+   * @returns {Promise<Object>} - { boards, active, future, closed, velocity }
+   */
+  async getProjectSprints(projectKey, auth, {
+    states = ['active', 'future', 'closed'],
+    closedLimit = 5,
+    now = new Date(),
+  } = {}) {
+    const boards = await jiraAgileService.getBoards(projectKey, auth);
+    const boardSprints = await Promise.all(boards.map(board => (
+      jiraAgileService.getSprints(board.id, auth, { state: states.join(',') })
+    )));
+
+    // A sprint can be shown on several boards
+    const sprintsById = new Map();
+    boardSprints.flat().forEach(sprint => sprintsById.set(sprint.id, sprint));
+    const sprints = [...sprintsById.values()];
+
+    const byDate = field => (a, b) => new Date(a[field] || 0) - new Date(b[field] || 0);
+    const active = sprints.filter(sprint => sprint.state === 'active').sort(byDate('startDate'));
+    const future = sprints.filter(sprint => sprint.state === 'future').sort(byDate('startDate'));
+    const closed = sprints.filter(sprint => sprint.state === 'closed')
+      .sort(byDate('completeDate'))
+      .reverse()
+      .slice(0, closedLimit);
+
+    const fieldIds = await fieldDiscoveryService.getFieldIds(auth);
+    const summarize = list => Promise.all(list.map(async sprint => (
+      this.buildSprintSummary(sprint, await jiraAgileService.getSprintIssues(sprint.id, auth), { fieldIds, now })
+    )));
+
+    const [activeSummaries, futureSummaries, closedSummaries] = await Promise.all([
+      summarize(active),
+      summarize(future),
+      summarize(closed),
+    ]);
+
+    return {
+      boards: boards.map(board => ({ id: board.id, name: board.name, type: board.type })),
+      active: activeSummaries,
+      future: futureSummaries,
+      closed: closedSummaries,
+      velocity: this.getVelocity(closedSummaries),
+    };
+  }
+
+  /**
+   * Summarize the scope and progress of a sprint
+   * @param {Object} sprint - Jira sprint
+   * @param {Array<Object>} issues - Raw Jira issues of the sprint (with changelog)
+   * @param {Object} options - Options
+   * @param {Object} options.fieldIds - Custom field IDs from field discovery
+   * @param {Date} options.now - Reference date (defaults to now)
+   * @returns {Object} - Sprint summary
+   */
+  buildSprintSummary(sprint, issues = [], { fieldIds = {}, now = new Date() } = {}) {
+    const startTime = sprint.startDate ? new Date(sprint.startDate).getTime() : null;
+    const cutoff = sprint.completeDate ? new Date(sprint.completeDate).getTime() : now.getTime();
+
+    const entries = issues.map(issue => {
+      const fields = issue.fields || {};
+      return {
+        key: issue.key,
+        points: Number(fields[fieldIds.storyPoints]) || 0,
+        addedAt: getSprintAddedTime(issue, sprint.id),
+        completedAt: getCompletedTime(issue),
+      };
+    });
+
+    // Work is measured in story points when the sprint has any, otherwise in issues
+    const unit = entries.some(entry => entry.points > 0) ? 'points' : 'issues';
+
+    // Future sprints have not started, so everything planned counts as committed
+    const isCommitted = entry => startTime === null || entry.addedAt <= startTime;
+    const isCompleted = entry => entry.completedAt !== null && entry.completedAt <= cutoff;
+
+    const committed = measure(entries.filter(isCommitted));
+    const added = measure(entries.filter(entry => !isCommitted(entry)));
+    const completed = measure(entries.filter(isCompleted));
+    const remaining = measure(entries.filter(entry => !isCompleted(entry)));
+
+    const committedValue = committed[unit];
+
+    return {
+      id: sprint.id,
+      name: sprint.name,
+      state: sprint.state,
+      goal: sprint.goal || '',
+      boardId: sprint.originBoardId || null,
+      startDate: sprint.startDate || null,
+      endDate: sprint.endDate || null,
+      completeDate: sprint.completeDate || null,
+      unit,
+      committed,
+      added,
+      completed,
+      remaining,
+      completionPercent: committedValue > 0
+        ? Math.round((completed[unit] / committedValue) * 100)
+        : null,
+      burndown: startTime !== null && sprint.endDate
+        ? buildBurndown(sprint, entries, unit, committedValue, now)
+        : null,
+    };
+  }
+
+  /**
+   * Calculate velocity from closed sprint summaries
+   * @param {Array<Object>} closedSprints - Summaries of closed sprints, most recent first
+   * @returns {Object} - { unit, sprints, averageCommitted, averageCompleted }
+   */
+  getVelocity(closedSprints) {
+    const unit = closedSprints.some(sprint => sprint.unit === 'points') ? 'points' : 'issues';
+    const sprints = closedSprints.map(sprint => ({
+      id: sprint.id,
+      name: sprint.name,
+      completeDate: sprint.completeDate,
+      committed: sprint.committed[unit],
+      completed: sprint.completed[unit],
+    }));
+
+    const average = values => (values.length > 0
+      ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+      : null);
+
+    return {
+      unit,
+      sprints,
+      averageCommitted: average(sprints.map(sprint => sprint.committed)),
+      averageCompleted: average(sprints.map(sprint => sprint.completed)),
+    };
+  }
+}
+
+/**
+ * Total the issues and story points of sprint entries
+ * @param {Array<Object>} entries - Sprint entries
+ * @returns {Object} - { issues, points }
+ */
+function measure(entries) {
+  return {
+    issues: entries.length,
+    points: entries.reduce((sum, entry) => sum + entry.points, 0),
+  };
+}
+
+/**
+ * Find when an issue was (last) added to a sprint
+ * Issues created directly in the sprint have no Sprint change in their changelog.
+ * @param {Object} issue - Raw Jira issue with changelog
+ * @param {number} sprintId - Sprint ID
+ * @returns {number} - Timestamp
+ */
+function getSprintAddedTime(issue, sprintId) {
+  const id = String(sprintId);
+  const sprintIds = value => String(value || '').split(',').map(item => item.trim());
+  let addedAt = issue.fields?.created ? new Date(issue.fields.created).getTime() : 0;
+
+  const histories = [...(issue.changelog?.histories || [])]
+    .sort((a, b) => new Date(a.created) - new Date(b.created));
+
+  histories.forEach(history => {
+    (history.items || []).forEach(item => {
+      if (item.field === 'Sprint' && sprintIds(item.to).includes(id) && !sprintIds(item.from).includes(id)) {
+        addedAt = new Date(history.created).getTime();
+      }
+    });
+  });
+
+  return addedAt;
+}
+
+/**
+ * Find when an issue was completed
+ * @param {Object} issue - Raw Jira issue
+ * @returns {number|null} - Timestamp, or null if the issue is not done
+ */
+function getCompletedTime(issue) {
+  if (getStatusCategory(issue) !== 'done') return null;
+
+  const fields = issue.fields || {};
+  const completedAt = fields.resolutiondate || fields.statuscategorychangedate;
+  return completedAt ? new Date(completedAt).getTime() : null;
+}
+
+/**
+ * Build daily burndown data for a started sprint
+ * @param {Object} sprint - Jira sprint
+ * @param {Array<Object>} entries - Sprint entries
+ * @param {string} unit - 'points' or 'issues'
+ * @param {number} committedValue - Work committed at sprint start
+ * @param {Date} now - Reference date
+ * @returns {Object} - { unit, days, remaining, idealRemaining, onTrack }
+ */
+function buildBurndown(sprint, entries, unit, committedValue, now) {
+  const valueOf = entry => (unit === 'points' ? entry.points : 1);
+  const firstDay = startOfDay(new Date(sprint.startDate));
+  const lastDay = startOfDay(new Date(sprint.endDate));
+  const dayCount = Math.max(Math.round((lastDay - firstDay) / DAY_MS) + 1, 1);
+  const cutoff = sprint.completeDate ? new Date(sprint.completeDate).getTime() : now.getTime();
+
+  const remainingAt = time => entries
+    .filter(entry => entry.addedAt <= time && (entry.completedAt === null || entry.completedAt > time))
+    .reduce((sum, entry) => sum + valueOf(entry), 0);
+
+  const days = [];
+  for (let i = 0; i < dayCount; i++) {
+    const dayStart = firstDay + i * DAY_MS;
+    const ideal = dayCount > 1 ? committedValue * (1 - i / (dayCount - 1)) : 0;
+
+    days.push({
+      date: new Date(dayStart).toISOString().slice(0, 10),
+      // Days that have not happened yet have no actual value
+      remaining: dayStart <= cutoff ? remainingAt(Math.min(dayStart + DAY_MS - 1, cutoff)) : null,
+      ideal: Math.round(ideal * 10) / 10,
+    });
+  }
+
+  const reported = days.filter(day => day.remaining !== null);
+  const today = reported[reported.length - 1];
+
+  return {
+    unit,
+    days,
+    remaining: today ? today.remaining : committedValue,
+    idealRemaining: today ? today.ideal : committedValue,
+    onTrack: today ? today.remaining <= today.ideal + committedValue * ON_TRACK_TOLERANCE : null,
+  };
+}
+
+/**
+ * Get the start of the UTC day containing a date
+ * @param {Date} date - Date
+ * @returns {number} - Timestamp
+ */
+function startOfDay(date) {
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+module.exports = new SprintReportService();
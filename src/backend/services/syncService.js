@@ -0,0 +1,274 @@
+const jiraApiService = require('./jiraApiService');
+const jiraAuthService = require('./jiraAuthService');
+const jiraDataService = require('./jiraDataService');
+const fieldDiscoveryService = require('./fieldDiscoveryService');
+const siteRegistryService = require('./siteRegistryService');
+const dataStoreService = require('./dataStoreService');
+const { getConfiguredProjects } = require('../utils/queryUtils');
+
+const DEFAULT_REFRESH_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// What started a sync run
+const SYNC_TRIGGERS = ['startup', 'scheduled', 'manual'];
+
+/**
+ * Service for the scheduled background sync of Jira data
+ *
+ * Every REFRESH_INTERVAL the configured projects' epics, child issues and bugs are fetched
+ * with a service credential (SYNC_EMAIL and SYNC_TOKEN, or SYNC_CREDENTIALS per site) rather
+ * than a user's session, and upserted into the persistent data store.
+ */
+class SyncService {
+  constructor() {
+    this.interval = parseInt(process.env.REFRESH_INTERVAL || DEFAULT_REFRESH_INTERVAL, 10);
+    this.timer = null;
+    this.nextRunAt = null;
+    // Promise of the run in progress, so concurrent triggers share it
+    this.running = null;
+    this.lastRun = null;
+    this.lastSuccessAt = null;
+  }
+
+  /**
+   * Read the service credentials from the environment
+   * SYNC_CREDENTIALS maps site IDs to { email, token }; SYNC_EMAIL and SYNC_TOKEN apply
+   * to every other site.
+   * @returns {Object} - { sites, fallback }
+   */
+  loadCredentials() {
+    let sites = {};
+
+    try {
+      sites = process.env.SYNC_CREDENTIALS ? JSON.parse(process.env.SYNC_CREDENTIALS) : {};
+    } catch (error) {
+      throw new Error(`Invalid sync credential configuration: ${error.message}`);
+    }
+
+    const fallback = process.env.SYNC_TOKEN
+      ? { email: process.env.SYNC_EMAIL || null, token: process.env.SYNC_TOKEN }
+      : null;
+
+    return { sites, fallback };
+  }
+
+  /**
+   * Get the service auth context for a registered site
+   * Service credentials are API tokens (Jira Cloud) or personal access tokens (Data Center),
+   * so requests always go to the site's own URL, even for OAuth sites.
+   * @param {Object} site - Registered site
+   * @param {Object} credentials - Credentials from loadCredentials
+   * @returns {Object|null} - Jira auth context, or null without a usable credential
+   */
+  getServiceAuth(site, credentials = this.loadCredentials()) {
+    const credential = credentials.sites[site.id] || credentials.fallback;
+    const authMethod = site.authMethod === 'pat' ? 'pat' : 'apiToken';
+
+    if (!credential?.token || !site.url) return null;
+    if (authMethod === 'apiToken' && !credential.email) return null;
+
+    return jiraAuthService.toAuthContext(
+      credential.token,
+      { ...site, authMethod, cloudId: null },
+      authMethod === 'apiToken' ? credential.email : null,
+    );
+  }
+
+  /**
+   * Get the service auth contexts of every site that has a service credential
+   * @returns {Array<Object>} - Jira auth contexts
+   */
+  getServiceAuths() {
+    const credentials = this.loadCredentials();
+
+    return siteRegistryService.getSites()
+      .map(site => this.getServiceAuth(site, credentials))
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether background sync can run
+   * @returns {boolean} - True if REFRESH_INTERVAL is positive and a service credential is set
+   */
+  isEnabled() {
+    return this.interval > 0 && this.getServiceAuths().length > 0;
+  }
+
+  /**
+   * Start syncing on startup and then every REFRESH_INTERVAL
+   */
+  start() {
+    if (!this.isEnabled()) {
+      console.log('Background sync disabled: no service credential or REFRESH_INTERVAL is 0');
+      return;
+    }
+
+    console.log(`Background sync every ${Math.round(this.interval / 60000)} minutes`);
+    this.sync('startup').catch(error => console.error('Startup sync failed:', error.message));
+    this.schedule();
+  }
+
+  /**
+   * Schedule the next sync run
+   */
+  schedule() {
+    this.nextRunAt = new Date(Date.now() + this.interval).toISOString();
+    this.timer = setTimeout(async () => {
+      try {
+        await this.sync('scheduled');
+      } catch (error) {
+        console.error('Scheduled sync failed:', error.message);
+      } finally {
+        // A failed run must not end the schedule
+        this.schedule();
+      }
+    }, this.interval);
+
+    // The schedule alone must not keep the process alive
+    this.timer.unref?.();
+  }
+
+  /**
+   * Stop the schedule
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Sync now, or join the run in progress
+   * @param {string} trigger - What started the run (startup, scheduled or manual)
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  sync(trigger = 'manual') {
+    if (!SYNC_TRIGGERS.includes(trigger)) {
+      throw new Error(`Unknown sync trigger "${trigger}"`);
+    }
+
+    if (!this.running) {
+      this.running = this.runSync(trigger).finally(() => {
+        this.running = null;
+      });
+    }
+
+    return this.running;
+  }
+
+  /**
+   * Fetch every configured project with the service credentials
+   * @param {string} trigger - What started the run
+   * @returns {Promise<Object>} - Summary of the run
+   */
+  async runSync(trigger) {
+    const startedAt = new Date().toISOString();
+    const errors = [];
+    const projects = [];
+
+    try {
+      const auths = this.getServiceAuths();
+      const projectRefs = siteRegistryService.resolveProjects(getConfiguredProjects());
+
+      const results = await Promise.allSettled(projectRefs.map(async ({ key, siteId }) => {
+        const auth = auths.find(candidate => candidate.siteId === siteId);
+        if (!auth) {
+          throw new Error(`No service credential for Jira site ${siteId}`);
+        }
+
+        return this.syncProject(key, auth);
+      }));
+
+      results.forEach((result, index) => {
+        const { key, siteId } = projectRefs[index];
+
+        if (result.status === 'fulfilled') {
+          projects.push(result.value);
+        } else {
+          console.error(`Sync failed for project ${key} on site ${siteId}:`, result.reason.message);
+          errors.push({ project: key, site: siteId, message: result.reason.message });
+        }
+      });
+    } catch (error) {
+      console.error('Sync failed:', error.message);
+      errors.push({ project: null, site: null, message: error.message });
+    }
+
+    const finishedAt = new Date().toISOString();
+    let succeeded = false;
+
+    if (projects.length > 0) {
+      try {
+        await dataStoreService.upsert(projects, finishedAt);
+        succeeded = true;
+        this.lastSuccessAt = finishedAt;
+        // Drop cached responses so every view is at least as fresh as the last sync
+        jiraApiService.clearAllCache();
+      } catch (error) {
+        console.error('Failed to store synced data:', error.message);
+        errors.push({ project: null, site: null, message: `Failed to store synced data: ${error.message}` });
+      }
+    }
+
+    this.lastRun = {
+      trigger,
+      startedAt,
+      finishedAt,
+      status: errors.length === 0 ? 'success' : (succeeded ? 'partial' : 'failed'),
+      projects: projects.length,
+      epics: projects.reduce((total, data) => total + data.epics.length, 0),
+      issues: projects.reduce((total, data) => (
+        total + Object.values(data.issuesByEpic).reduce((sum, issues) => sum + issues.length, 0)
+      ), 0),
+      bugs: projects.reduce((total, data) => total + data.bugs.length, 0),
+      errors,
+    };
+
+    return this.lastRun;
+  }
+
+  /**
+   * Fetch the raw epics, child issues and bugs of a project, bypassing the cache
+   * @param {string} key - Project key
+   * @param {Object} auth - Service auth context
+   * @returns {Promise<Object>} - { key, site, project, epics, issuesByEpic, bugs, fieldIds }
+   */
+  async syncProject(key, auth) {
+    const [project, epics, bugs, fieldIds] = await Promise.all([
+      jiraDataService.getProject(key, auth, false),
+      jiraDataService.getEpics(key, auth, false),
+      jiraDataService.getBugs(key, auth, false),
+      fieldDiscoveryService.getFieldIds(auth),
+    ]);
+
+    const issuesByEpic = await jiraDataService.getIssuesForEpics(epics.map(epic => epic.key), auth, false);
+
+    return {
+      key,
+      site: { id: auth.siteId, name: auth.siteName, url: auth.siteUrl },
+      project,
+      epics,
+      issuesByEpic,
+      bugs,
+      fieldIds,
+    };
+  }
+
+  /**
+   * Get the sync status
+   * @returns {Object} - { enabled, running, interval, lastSuccessAt, nextRunAt, lastRun }
+   */
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      running: Boolean(this.running),
+      interval: this.interval,
+      // Before the first run since startup, the store tells when data was last synced
+      lastSuccessAt: this.lastSuccessAt || dataStoreService.load().updatedAt,
+      nextRunAt: this.nextRunAt,
+      lastRun: this.lastRun,
+    };
+  }
+}
+
+module.exports = new SyncService();
+module.exports.SYNC_TRIGGERS = SYNC_TRIGGERS;
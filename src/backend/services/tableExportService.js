@@ -0,0 +1,287 @@
+const ExcelJS = require('exceljs');
+const { getBugAge } = require('./bugReportService');
+const { EXPORT_THEME, toOfficeColor } = require('../utils/exportTheme');
+const { badRequest } = require('../utils/errorHandler');
+
+// Supported table export formats
+const TABLE_FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+// Excel number formats of date columns
+const DATE_FORMATS = {
+  date: 'yyyy-mm-dd',
+  dateTime: 'yyyy-mm-dd hh:mm',
+};
+
+// Rows written between yields to the event loop, so large exports don't hold up other requests
+const ROWS_PER_BATCH = 500;
+
+/**
+ * Join the names of a list of objects (versions, components)
+ * @param {Array<Object>} items - Items with a name
+ * @returns {string} - Comma-separated names
+ */
+const joinNames = items => (items || []).map(item => item.name).join(', ');
+
+/**
+ * Exported columns of the epic list, read from roadmap epics (built from transformEpic)
+ * Nested fields are flattened into one column each; the ids match the roadmap sort fields where they overlap.
+ * Columns with a type of 'number', 'date' or 'dateTime' keep that type in Excel.
+ */
+const EPIC_COLUMNS = [
+  { id: 'key', header: 'Key', width: 12, value: epic => epic.key },
+  { id: 'summary', header: 'Summary', width: 50, value: epic => epic.summary },
+  { id: 'project', header: 'Project', width: 20, value: epic => epic.project.name },
+  { id: 'projectKey', header: 'Project key', width: 12, value: epic => epic.project.key },
+  { id: 'site', header: 'Site', width: 20, value: epic => epic.project.site?.name },
+  { id: 'quarter', header: 'Quarter', width: 10, value: epic => epic.quarter },
+  { id: 'status', header: 'Status', width: 16, value: epic => epic.status },
+  { id: 'statusCategory', header: 'Status category', width: 16, value: epic => epic.statusCategory },
+  { id: 'progress', header: 'Progress (%)', width: 12, type: 'number', value: epic => epic.progress },
+  { id: 'childCount', header: 'Child issues', width: 12, type: 'number', value: epic => epic.childCount },
+  { id: 'completedCount', header: 'Completed child issues', width: 12, type: 'number', value: epic => epic.completedCount },
+  { id: 'owner', header: 'Owner', width: 20, value: epic => epic.assignee?.displayName },
+  { id: 'dueDate', header: 'Due date', width: 12, type: 'date', value: epic => epic.dueDate },
+  { id: 'fixVersions', header: 'Fix versions', width: 20, value: epic => joinNames(epic.fixVersions) },
+  { id: 'url', header: 'URL', width: 40, value: epic => epic.webUrl },
+];
+
+/**
+ * Exported columns of the bug list, read from transformBug output
+ * The ids match the bug table sort fields where they overlap.
+ */
+const BUG_COLUMNS = [
+  { id: 'key', header: 'Key', width: 12, value: bug => bug.key },
+  { id: 'summary', header: 'Summary', width: 50, value: bug => bug.summary },
+  { id: 'project', header: 'Project', width: 20, value: bug => bug.project?.name },
+  { id: 'projectKey', header: 'Project key', width: 12, value: bug => bug.project?.key },
+  { id: 'site', header: 'Site', width: 20, value: bug => bug.site?.name },
+  { id: 'severity', header: 'Severity', width: 12, value: bug => bug.severity?.level },
+  { id: 'priority', header: 'Priority', width: 12, value: bug => bug.priority?.name },
+  { id: 'status', header: 'Status', width: 16, value: bug => bug.status?.name },
+  { id: 'statusCategory', header: 'Status category', width: 16, value: bug => bug.status?.category },
+  { id: 'assignee', header: 'Assignee', width: 20, value: bug => bug.assignee?.name },
+  { id: 'reporter', header: 'Reporter', width: 20, value: bug => bug.reporter?.name },
+  { id: 'created', header: 'Created', width: 20, type: 'dateTime', value: bug => bug.created },
+  { id: 'updated', header: 'Updated', width: 20, type: 'dateTime', value: bug => bug.updated },
+  { id: 'resolved', header: 'Resolved', width: 20, type: 'dateTime', value: bug => bug.resolutionDate },
+  { id: 'age', header: 'Age (days)', width: 10, type: 'number', value: bug => getBugAge(bug) },
+  { id: 'labels', header: 'Labels', width: 20, value: bug => (bug.labels || []).join(', ') },
+  { id: 'components', header: 'Components', width: 20, value: bug => joinNames(bug.components) },
+  { id: 'affectsVersions', header: 'Affects versions', width: 20, value: bug => joinNames(bug.affectsVersions) },
+  { id: 'fixVersions', header: 'Fix versions', width: 20, value: bug => joinNames(bug.fixVersions) },
+  { id: 'url', header: 'URL', width: 40, value: bug => bug.webUrl },
+];
+
+const TABLE_COLUMNS = {
+  epics: EPIC_COLUMNS,
+  bugs: BUG_COLUMNS,
+};
+
+/**
+ * Service for exporting the epic and bug lists as CSV or Excel files
+ * Files are streamed row by row instead of being built in memory.
+ */
+class TableExportService {
+  /**
+   * Validate the requested file format
+   * @param {string} format - 'csv' or 'xlsx' (default 'csv')
+   * @returns {string} - Format
+   * @throws {Error} - 400 error for an unknown format
+   */
+  validateFormat(format = 'csv') {
+    const normalized = String(format).toLowerCase();
+    if (!TABLE_FORMATS.includes(normalized)) {
+      throw badRequest(`Invalid format "${format}". Valid formats: ${TABLE_FORMATS.join(', ')}`);
+    }
+    return normalized;
+  }
+
+  /**
+   * Describe the columns that can be exported
+   * @returns {Object} - { epics: [{ id, header }], bugs: [{ id, header }] }
+   */
+  getColumns() {
+    return Object.fromEntries(Object.entries(TABLE_COLUMNS).map(([table, columns]) => [
+      table,
+      columns.map(({ id, header }) => ({ id, header })),
+    ]));
+  }
+
+  /**
+   * Resolve the requested columns of a table
+   * @param {string} table - 'epics' or 'bugs'
+   * @param {Array<string>} requested - Column ids in the order to export them (all columns when empty)
+   * @returns {Array<Object>} - Columns
+   * @throws {Error} - 400 error for an unknown column
+   */
+  resolveColumns(table, requested = []) {
+    const columns = TABLE_COLUMNS[table];
+    if (requested.length === 0) return columns;
+
+    return requested.map(id => {
+      const column = columns.find(candidate => candidate.id === id);
+      if (!column) {
+        throw badRequest(`Unknown column "${id}". Valid columns: ${columns.map(candidate => candidate.id).join(', ')}`);
+      }
+      return column;
+    });
+  }
+
+  /**
+   * Get the Content-Type of a format
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {string} - Content-Type header
+   */
+  getContentType(format) {
+    return CONTENT_TYPES[format];
+  }
+
+  /**
+   * Build the file name of an exported table
+   * @param {string} table - 'epics' or 'bugs'
+   * @param {string} format - 'csv' or 'xlsx'
+   * @param {Date} now - Export date
+   * @returns {string} - File name
+   */
+  getFileName(table, format, now = new Date()) {
+    return `prestellation-${table}-${now.toISOString().slice(0, 10)}.${format}`;
+  }
+
+  /**
+   * Stream a table to a writable stream and end it
+   * @param {Object} stream - Writable stream (e.g. the Express response)
+   * @param {Object} table - Table
+   * @param {string} table.format - 'csv' or 'xlsx'
+   * @param {Array<Object>} table.columns - Columns from resolveColumns
+   * @param {Array<Object>} table.rows - Epics or bugs
+   * @param {string} table.sheetName - Worksheet name (Excel only)
+   * @returns {Promise<void>} - Resolves once the file is written
+   */
+  async write(stream, { format, columns, rows, sheetName = 'Export' }) {
+    if (format === 'xlsx') {
+      await this.writeXlsx(stream, columns, rows, sheetName);
+    } else {
+      await this.writeCsv(stream, columns, rows);
+    }
+  }
+
+  /**
+   * Stream a table as CSV
+   * @param {Object} stream - Writable stream
+   * @param {Array<Object>} columns - Columns
+   * @param {Array<Object>} rows - Rows
+   * @returns {Promise<void>} - Resolves once the stream has ended
+   */
+  async writeCsv(stream, columns, rows) {
+    // The byte order mark makes Excel read the file as UTF-8
+    await writeChunk(stream, `\uFEFF${columns.map(column => toCsvValue(column.header)).join(',')}\r\n`);
+
+    for (let start = 0; start < rows.length && !stream.destroyed; start += ROWS_PER_BATCH) {
+      const lines = rows.slice(start, start + ROWS_PER_BATCH)
+        .map(row => `${columns.map(column => toCsvValue(column.value(row))).join(',')}\r\n`);
+      await writeChunk(stream, lines.join(''));
+      await yieldToEventLoop();
+    }
+
+    stream.end();
+  }
+
+  /**
+   * Stream a table as an Excel workbook with one worksheet
+   * @param {Object} stream - Writable stream
+   * @param {Array<Object>} columns - Columns
+   * @param {Array<Object>} rows - Rows
+   * @param {string} sheetName - Worksheet name
+   * @returns {Promise<void>} - Resolves once the workbook is written
+   */
+  async writeXlsx(stream, columns, rows, sheetName) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+
+    sheet.columns = columns.map(column => ({
+      header: column.header,
+      key: column.id,
+      width: column.width,
+      style: DATE_FORMATS[column.type] ? { numFmt: DATE_FORMATS[column.type] } : {},
+    }));
+    sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+    const header = sheet.getRow(1);
+    header.font = { bold: true, color: { argb: `FF${toOfficeColor(EXPORT_THEME.background)}` } };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${toOfficeColor(EXPORT_THEME.primary)}` } };
+    header.commit();
+
+    for (let start = 0; start < rows.length && !stream.destroyed; start += ROWS_PER_BATCH) {
+      rows.slice(start, start + ROWS_PER_BATCH).forEach(row => {
+        sheet.addRow(columns.map(column => toCellValue(column, column.value(row)))).commit();
+      });
+      await yieldToEventLoop();
+    }
+
+    sheet.commit();
+    await workbook.commit();
+  }
+}
+
+/**
+ * Format a value as a CSV field
+ * Text starting with a formula character is prefixed with a quote so spreadsheets don't evaluate it.
+ * @param {*} value - Value
+ * @returns {string} - CSV field
+ */
+function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Convert a value into an Excel cell value
+ * @param {Object} column - Column
+ * @param {*} value - Value
+ * @returns {*} - Cell value (dates become Excel dates)
+ */
+function toCellValue(column, value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (DATE_FORMATS[column.type]) return new Date(value);
+  return value;
+}
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ * @param {Object} stream - Writable stream
+ * @param {string} text - Text to write
+ * @returns {Promise<void>} - Resolves when more can be written (or the stream closed)
+ */
+function writeChunk(stream, text) {
+  if (stream.write(text)) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+}
+
+/**
+ * Let other requests run between batches of rows
+ * @returns {Promise<void>} - Resolves on the next turn of the event loop
+ */
+function yieldToEventLoop() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = new TableExportService();
+module.exports.TABLE_FORMATS = TABLE_FORMATS;
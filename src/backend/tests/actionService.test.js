@@ -0,0 +1,150 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ActionService } = require('../services/actionService');
+
+const user = { accountId: 'vp-1', displayName: 'Vera President' };
+const manager = { accountId: 'em-1', name: 'Eric Manager' };
+
+describe('ActionService', () => {
+  let dir;
+  let service;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-'));
+    service = new ActionService(path.join(dir, 'actions.json'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('create', () => {
+    it('should create an open action and persist it', async () => {
+      const action = await service.create({
+        title: ' Explain the backlog growth ',
+        meeting: 'Weekly review',
+        target: { type: 'project', id: 'web', name: 'Web' },
+        owner: manager,
+        dueDate: '2024-03-27',
+      }, user, new Date('2024-03-20T12:00:00.000Z'));
+
+      expect(action).toMatchObject({
+        title: 'Explain the backlog growth',
+        meeting: 'Weekly review',
+        target: { type: 'project', id: 'WEB', name: 'Web', siteId: null },
+        owner: { accountId: 'em-1', name: 'Eric Manager' },
+        dueDate: '2024-03-27',
+        status: 'open',
+        createdAt: '2024-03-20T12:00:00.000Z',
+        createdBy: { accountId: 'vp-1', name: 'Vera President' },
+        completedAt: null,
+      });
+
+      const reloaded = new ActionService(service.file);
+      expect(reloaded.get(action.id)).toEqual(action);
+    });
+
+    it('should reject invalid actions with a 400 error', async () => {
+      const target = { type: 'bug', id: 'WEB-9' };
+
+      await expect(service.create({ target }, user)).rejects.toMatchObject({ statusCode: 400, message: 'title is required' });
+      await expect(service.create({ title: 'Fix', target: { type: 'team', id: 'A' } }, user)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.create({ title: 'Fix', target, dueDate: '2024-02-30' }, user)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.create({ title: 'Fix', target, status: 'done' }, user)).rejects.toMatchObject({ statusCode: 400 });
+      await expect(service.create({ title: 'Fix', target, owner: { name: 'Nobody' } }, user)).rejects.toMatchObject({ statusCode: 400 });
+      expect(service.list()).toEqual([]);
+    });
+  });
+
+  describe('update', () => {
+    it('should change the given fields and track completion', async () => {
+      const action = await service.create({ title: 'Fix', target: { type: 'bug', id: 'WEB-9' } }, user);
+
+      const completed = await service.update(action.id, { status: 'completed' }, new Date('2024-03-21T09:00:00.000Z'));
+      expect(completed).toMatchObject({ title: 'Fix', status: 'completed', completedAt: '2024-03-21T09:00:00.000Z' });
+
+      const reopened = await service.update(action.id, { status: 'in_progress', dueDate: null });
+      expect(reopened).toMatchObject({ status: 'in_progress', completedAt: null, dueDate: null });
+    });
+
+    it('should apply concurrent changes on top of each other', async () => {
+      const action = await service.create({ title: 'Fix', target: { type: 'bug', id: 'WEB-9' } }, user);
+
+      await Promise.all([
+        service.update(action.id, { status: 'in_progress' }),
+        service.update(action.id, { dueDate: '2024-04-01' }),
+      ]);
+
+      expect(service.get(action.id)).toMatchObject({ status: 'in_progress', dueDate: '2024-04-01' });
+      expect(new ActionService(service.file).get(action.id)).toMatchObject({ status: 'in_progress', dueDate: '2024-04-01' });
+    });
+
+    it('should not re-create an action deleted while a change waits', async () => {
+      const action = await service.create({ title: 'Fix', target: { type: 'bug', id: 'WEB-9' } }, user);
+
+      const [deleted, updated] = await Promise.allSettled([
+        service.delete(action.id),
+        service.update(action.id, { status: 'completed' }),
+      ]);
+
+      expect(deleted.status).toBe('fulfilled');
+      expect(updated.reason).toMatchObject({ statusCode: 404 });
+      expect(service.list()).toEqual([]);
+      expect(new ActionService(service.file).list()).toEqual([]);
+    });
+
+    it('should report unknown actions with a 404 error', async () => {
+      await expect(service.update('missing', { status: 'open' })).rejects.toMatchObject({ statusCode: 404 });
+      await expect(service.delete('missing')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('list', () => {
+    beforeEach(async () => {
+      await service.create({ title: 'A', meeting: 'Weekly review', target: { type: 'epic', id: 'WEB-1' }, owner: manager, dueDate: '2024-04-10' }, user);
+      await service.create({ title: 'B', meeting: 'Planning', target: { type: 'person', id: 'em-1' }, owner: manager }, user);
+      await service.create({ title: 'C', meeting: 'Weekly review', target: { type: 'bug', id: 'WEB-9' }, dueDate: '2024-04-01', status: 'completed' }, user);
+    });
+
+    it('should sort by due date with undated actions last', () => {
+      expect(service.list().map(action => action.title)).toEqual(['C', 'A', 'B']);
+    });
+
+    it('should filter by owner, meeting, status and attached item', () => {
+      expect(service.list({ owners: ['em-1'] }).map(action => action.title)).toEqual(['A', 'B']);
+      expect(service.list({ meetings: ['Weekly review'] }).map(action => action.title)).toEqual(['C', 'A']);
+      expect(service.list({ statuses: ['open', 'in_progress'] }).map(action => action.title)).toEqual(['A', 'B']);
+      expect(service.list({ targetType: 'bug', targetIds: ['WEB-9'] }).map(action => action.title)).toEqual(['C']);
+    });
+  });
+
+  it('should leave the actions unchanged when the actions file cannot be written', async () => {
+    const action = await service.create({ title: 'Fix', target: { type: 'bug', id: 'WEB-9' } }, user);
+    // A directory where the temporary file should go makes every write fail
+    fs.mkdirSync(`${service.file}.${process.pid}.tmp`);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(service.create({ title: 'Retry', target: { type: 'bug', id: 'WEB-9' } }, user)).rejects.toThrow();
+    await expect(service.update(action.id, { status: 'completed' })).rejects.toThrow();
+    await expect(service.delete(action.id)).rejects.toThrow();
+    expect(service.list()).toEqual([action]);
+
+    fs.rmdirSync(`${service.file}.${process.pid}.tmp`);
+    await service.create({ title: 'Retry', target: { type: 'bug', id: 'WEB-9' } }, user);
+
+    expect(service.list().map(({ title }) => title)).toEqual(['Fix', 'Retry']);
+    expect(new ActionService(service.file).list()).toEqual(service.list());
+
+    console.error.mockRestore();
+  });
+
+  it('should delete actions', async () => {
+    const action = await service.create({ title: 'Fix', target: { type: 'bug', id: 'WEB-9' } }, user);
+
+    await service.delete(action.id);
+
+    expect(service.list()).toEqual([]);
+    expect(new ActionService(service.file).list()).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+const bugHistoryService = require('../services/bugHistoryService');
+const jiraDataService = require('../services/jiraDataService');
+
+jest.mock('../services/jiraDataService');
+
+const OPEN = { id: '1', name: 'Open', category: 'To Do' };
+const IN_PROGRESS = { id: '3', name: 'In Progress', category: 'In Progress' };
+const DONE = { id: '10001', name: 'Done', category: 'Done' };
+const REOPENED = { id: '4', name: 'Reopened' };
+
+const change = (at, from, to) => ({
+  at,
+  from: { id: from.id, name: from.name },
+  to: { id: to.id, name: to.name },
+});
+
+const createBug = (key, { severity = 'Medium', created, status = OPEN, statusHistory = [] } = {}) => ({
+  key,
+  project: { key: key.split('-')[0], name: `Project ${key.split('-')[0]}` },
+  site: { id: 'default', name: 'Jira' },
+  severity: { level: severity },
+  created,
+  status,
+  statusHistory,
+});
+
+describe('BugHistoryService', () => {
+  const now = new Date('2024-03-20T12:00:00.000Z');
+
+  const bugs = [
+    // Worked on and fixed in March
+    createBug('PROJ1-1', {
+      severity: 'Critical',
+      created: '2024-03-01T09:00:00.000Z',
+      status: DONE,
+      statusHistory: [
+        change('2024-03-05T10:00:00.000Z', OPEN, IN_PROGRESS),
+        change('2024-03-10T09:00:00.000Z', IN_PROGRESS, DONE),
+      ],
+    }),
+    // Closed in February and reopened in March
+    createBug('PROJ1-2', {
+      created: '2024-01-15T09:00:00.000Z',
+      statusHistory: [
+        change('2024-02-25T12:00:00.000Z', OPEN, DONE),
+        change('2024-03-15T08:00:00.000Z', DONE, REOPENED),
+        change('2024-03-16T08:00:00.000Z', REOPENED, OPEN),
+      ],
+    }),
+    // Never changed status
+    createBug('PROJ2-1', { severity: 'High', created: '2024-03-18T09:00:00.000Z' }),
+  ];
+
+  const openOn = (history, date) => history.days.find(day => day.date === date);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getOpenBugHistory', () => {
+    it('should count the bugs open at the end of each day', () => {
+      const history = bugHistoryService.getOpenBugHistory(bugs, { months: 1, now });
+
+      expect(history.from).toBe('2024-02-20');
+      expect(history.to).toBe('2024-03-20');
+      expect(history.days).toHaveLength(30);
+      expect([
+        '2024-02-20', '2024-02-25', '2024-03-01', '2024-03-09', '2024-03-10', '2024-03-15', '2024-03-20',
+      ].map(date => openOn(history, date).open)).toEqual([1, 0, 1, 1, 0, 1, 2]);
+    });
+
+    it('should end the range at the last day of shorter months', () => {
+      const history = bugHistoryService.getOpenBugHistory([], { months: 3, now: new Date('2024-05-31T12:00:00.000Z') });
+
+      expect(history.from).toBe('2024-02-29');
+      expect(history.to).toBe('2024-05-31');
+      expect(history.days).toHaveLength(93);
+    });
+
+    it('should break the counts down by severity and project', () => {
+      const history = bugHistoryService.getOpenBugHistory(bugs, { months: 1, now });
+
+      expect(history.severities.map(item => item.severity)).toEqual(['Critical', 'High', 'Medium', 'Low', 'Trivial']);
+      expect(history.severities[0]).toEqual({ severity: 'Critical', color: expect.any(String), value: expect.any(Number) });
+      expect(history.projects).toEqual([
+        { id: 'default:PROJ1', key: 'PROJ1', name: 'Project PROJ1', site: { id: 'default', name: 'Jira' } },
+        { id: 'default:PROJ2', key: 'PROJ2', name: 'Project PROJ2', site: { id: 'default', name: 'Jira' } },
+      ]);
+      expect(openOn(history, '2024-03-05').severities).toEqual({ Critical: 1, High: 0, Medium: 0, Low: 0, Trivial: 0 });
+      expect(openOn(history, '2024-03-20').severities).toEqual({ Critical: 0, High: 1, Medium: 1, Low: 0, Trivial: 0 });
+      expect(openOn(history, '2024-03-20').projects).toEqual({ 'default:PROJ1': 1, 'default:PROJ2': 1 });
+    });
+
+    it('should use the site status categories for statuses no bug is in now', () => {
+      const [, reopened] = bugs;
+      const closedAsFixed = { id: '5', name: 'Fixed' };
+      const bug = {
+        ...reopened,
+        statusHistory: [change('2024-02-25T12:00:00.000Z', OPEN, closedAsFixed), change('2024-03-15T08:00:00.000Z', closedAsFixed, OPEN)],
+      };
+
+      const withoutCategories = bugHistoryService.getOpenBugHistory([bug], { months: 1, now });
+      const withCategories = bugHistoryService.getOpenBugHistory([bug], {
+        months: 1,
+        now,
+        statusCategories: { default: { 5: 'Done' } },
+      });
+
+      expect(openOn(withoutCategories, '2024-03-01').open).toBe(1);
+      expect(openOn(withCategories, '2024-03-01').open).toBe(0);
+    });
+  });
+
+  describe('getStatusCategories', () => {
+    it('should map status IDs to categories for every site', async () => {
+      jiraDataService.getStatuses
+        .mockResolvedValueOnce([
+          { id: '1', name: 'Open', statusCategory: { name: 'To Do' } },
+          { id: 10001, name: 'Done', statusCategory: { name: 'Done' } },
+        ])
+        .mockRejectedValueOnce(new Error('Failed to fetch Jira statuses'));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const categories = await bugHistoryService.getStatusCategories([{ siteId: 'cloud' }, { siteId: 'dc' }]);
+
+      expect(categories).toEqual({ cloud: { 1: 'To Do', 10001: 'Done' }, dc: {} });
+
+      console.warn.mockRestore();
+    });
+  });
+});
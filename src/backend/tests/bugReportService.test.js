@@ -0,0 +1,216 @@
+const bugReportService = require('../services/bugReportService');
+const jiraDataService = require('../services/jiraDataService');
+const dataStoreService = require('../services/dataStoreService');
+const { transformBug } = require('../utils/jiraTransformer');
+
+// Mock jiraDataService and field discovery (transforms fall back to the default field IDs)
+jest.mock('../services/jiraDataService');
+jest.mock('../services/fieldDiscoveryService');
+
+const createBug = (key, { priority = 'Medium', created, resolved = null, assignee = null } = {}) => ({
+  id: key.replace(/\D/g, ''),
+  key,
+  fields: {
+    summary: `Bug ${key}`,
+    priority: { name: priority },
+    status: {
+      name: resolved ? 'Done' : 'Open',
+      statusCategory: { name: resolved ? 'Done' : 'To Do' },
+    },
+    project: { id: '1', key: key.split('-')[0], name: 'Project' },
+    assignee,
+    created,
+    resolutiondate: resolved,
+  },
+});
+
+describe('BugReportService', () => {
+  const now = new Date('2024-03-20T12:00:00.000Z'); // Wednesday
+
+  const bugs = [
+    createBug('PROJ1-1', { priority: 'Highest', created: '2024-03-19T09:00:00.000Z' }),
+    createBug('PROJ1-2', { priority: 'High', created: '2024-03-11T09:00:00.000Z', resolved: '2024-03-19T09:00:00.000Z' }),
+    createBug('PROJ1-3', { priority: 'Low', created: '2024-02-01T09:00:00.000Z', assignee: { accountId: 'user-1' } }),
+    createBug('PROJ2-1', { priority: 'Highest', created: '2024-03-05T09:00:00.000Z' }),
+  ].map(bug => transformBug(bug));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(dataStoreService, 'getProject').mockReturnValue(null);
+    jest.spyOn(dataStoreService, 'hasAccess').mockReturnValue(false);
+    jest.spyOn(dataStoreService, 'recordAccess').mockResolvedValue();
+  });
+
+  describe('getBugs', () => {
+    it('should combine bugs from all projects and report failures', async () => {
+      jiraDataService.streamBugs
+        .mockImplementationOnce(async function* () {
+          yield [createBug('PROJ1-1', { created: '2024-03-19T09:00:00.000Z' })];
+          yield [createBug('PROJ1-2', { created: '2024-03-18T09:00:00.000Z' })];
+        })
+        .mockImplementationOnce(() => ({
+          [Symbol.asyncIterator]: () => ({
+            next: () => Promise.reject(new Error('Failed to fetch bugs for project PROJ2')),
+          }),
+        }));
+
+      const auth = { accessToken: 'test-token', siteId: 'default', siteName: 'Jira', siteUrl: 'https://jira.example.com', accountId: 'account-1' };
+      const result = await bugReportService.getBugs([auth], ['PROJ1', 'PROJ2']);
+
+      expect(jiraDataService.streamBugs).toHaveBeenCalledWith('PROJ1', auth);
+      expect(result.bugs.map(bug => bug.key)).toEqual(['PROJ1-1', 'PROJ1-2']);
+      expect(result.bugs[0].severity.level).toBe('Medium');
+      expect(result.bugs[0].site).toEqual({ id: 'default', name: 'Jira' });
+      expect(result.bugs[0].webUrl).toBe('https://jira.example.com/browse/PROJ1-1');
+      expect(result.errors).toEqual([
+        { project: 'PROJ2', site: 'default', message: 'Failed to fetch bugs for project PROJ2' },
+      ]);
+      expect(dataStoreService.recordAccess).toHaveBeenCalledWith('default', 'PROJ1', 'account-1');
+      expect(dataStoreService.recordAccess).not.toHaveBeenCalledWith('default', 'PROJ2', 'account-1');
+    });
+
+    describe('when Jira times out', () => {
+      const syncedAt = '2024-03-20T12:00:00.000Z';
+      const auth = { accessToken: 'test-token', siteId: 'default', siteName: 'Jira', siteUrl: 'https://jira.example.com', accountId: 'account-1' };
+
+      beforeEach(() => {
+        const site = { id: 'default', name: 'Jira', url: 'https://jira.example.com' };
+        const { bugs: storedBugs } = dataStoreService.normalize({
+          key: 'PROJ1',
+          site,
+          project: { id: '1', key: 'PROJ1', name: 'Project' },
+          epics: [],
+          bugs: [createBug('PROJ1-7', { created: '2024-03-01T09:00:00.000Z' })],
+        }, syncedAt);
+        dataStoreService.getProject.mockReturnValue({ syncedAt, bugs: storedBugs });
+        dataStoreService.hasAccess.mockImplementation((siteId, key, accountId) => accountId === 'account-1');
+        jiraDataService.streamBugs.mockImplementation(() => ({
+          [Symbol.asyncIterator]: () => ({
+            next: () => Promise.reject(Object.assign(new Error('Jira did not respond in time'), { code: 'JIRA_TIMEOUT' })),
+          }),
+        }));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        console.warn.mockRestore();
+      });
+
+      it('should serve bugs from the store', async () => {
+        const result = await bugReportService.getBugs([auth], ['PROJ1']);
+
+        expect(result.bugs).toEqual([expect.objectContaining({ key: 'PROJ1-7', site: { id: 'default', name: 'Jira' } })]);
+        expect(result.bugs[0]).not.toHaveProperty('syncedAt');
+        expect(result.errors).toEqual([]);
+        expect(result.fallback).toEqual([
+          { project: 'PROJ1', site: 'default', syncedAt, message: 'Jira did not respond in time' },
+        ]);
+      });
+
+      it('should not serve stored bugs to users who have not loaded the project before', async () => {
+        const result = await bugReportService.getBugs([{ ...auth, accountId: 'account-2' }], ['PROJ1']);
+
+        expect(result.bugs).toEqual([]);
+        expect(result.fallback).toEqual([]);
+        expect(result.errors).toEqual([
+          { project: 'PROJ1', site: 'default', message: 'Jira did not respond in time' },
+        ]);
+      });
+    });
+  });
+
+  describe('filterBugs', () => {
+    it('should filter by project, severity, priority and assignee', () => {
+      const keys = filters => bugReportService.filterBugs(bugs, filters).map(bug => bug.key);
+
+      expect(keys({ projects: ['PROJ2'] })).toEqual(['PROJ2-1']);
+      expect(keys({ severities: ['critical'] })).toEqual(['PROJ1-1', 'PROJ2-1']);
+      expect(keys({ priorities: ['High'] })).toEqual(['PROJ1-2']);
+      expect(keys({ assignees: ['user-1'] })).toEqual(['PROJ1-3']);
+      expect(keys({ assignees: ['unassigned'], projects: ['PROJ1'] })).toEqual(['PROJ1-1', 'PROJ1-2']);
+    });
+
+    it('should filter by site', () => {
+      const siteBugs = bugs.map(bug => ({ ...bug, site: { id: bug.key.startsWith('PROJ2') ? 'dc' : 'cloud' } }));
+      const keys = filters => bugReportService.filterBugs(siteBugs, filters).map(bug => bug.key);
+
+      expect(keys({ sites: ['dc'] })).toEqual(['PROJ2-1']);
+      expect(keys({ projects: ['cloud:PROJ1'], severities: ['critical'] })).toEqual(['PROJ1-1']);
+    });
+  });
+
+  describe('searchBugs and sortBugs', () => {
+    it('should apply the bug table status and search filters', () => {
+      const keys = options => bugReportService.searchBugs(bugs, options).map(bug => bug.key);
+
+      expect(keys({ statusCategory: 'open' })).toEqual(['PROJ1-1', 'PROJ1-3', 'PROJ2-1']);
+      expect(keys({ statusCategory: 'Done' })).toEqual(['PROJ1-2']);
+      expect(keys({ search: 'proj2' })).toEqual(['PROJ2-1']);
+    });
+
+    it('should sort by a bug table column with empty values last', () => {
+      const keys = sort => bugReportService.sortBugs(bugs, sort).map(bug => bug.key);
+
+      expect(keys({ field: 'severity', order: 'desc' })).toEqual(['PROJ1-1', 'PROJ2-1', 'PROJ1-2', 'PROJ1-3']);
+      expect(keys({ field: 'created' })).toEqual(['PROJ1-3', 'PROJ2-1', 'PROJ1-2', 'PROJ1-1']);
+      expect(keys({ field: 'assignee', order: 'desc' })[3]).toBe('PROJ2-1');
+    });
+  });
+
+  describe('getSeverityDistribution', () => {
+    it('should count open bugs by severity for every level', () => {
+      const result = bugReportService.getSeverityDistribution(bugs);
+
+      expect(result.total).toBe(3);
+      expect(result.severities.map(item => item.severity)).toEqual(['Critical', 'High', 'Medium', 'Low', 'Trivial']);
+      expect(result.severities[0]).toEqual({
+        severity: 'Critical',
+        count: 2,
+        percentage: 66.7,
+        color: '#FF0000',
+        value: 5,
+      });
+      expect(result.severities[1].count).toBe(0);
+    });
+
+    it('should include resolved bugs when requested', () => {
+      const result = bugReportService.getSeverityDistribution(bugs, { openOnly: false });
+
+      expect(result.total).toBe(4);
+      expect(result.severities[1].count).toBe(1);
+    });
+  });
+
+  describe('getTrends', () => {
+    it('should count created, resolved and open bugs per week', () => {
+      const result = bugReportService.getTrends(bugs, { interval: 'week', periods: 3, now });
+
+      expect(result.periods).toEqual([
+        { date: '2024-03-04', endDate: '2024-03-10', created: 1, resolved: 0, open: 2 },
+        { date: '2024-03-11', endDate: '2024-03-17', created: 1, resolved: 0, open: 3 },
+        { date: '2024-03-18', endDate: '2024-03-24', created: 1, resolved: 1, open: 3 },
+      ]);
+      expect(result.previousPeriods).toHaveLength(3);
+      expect(result.comparison.created).toEqual({ current: 3, previous: 0, change: 3, changePercent: null });
+      expect(result.backlog).toEqual({ trend: 'growing', change: 2, openAtStart: 1, openAtEnd: 3 });
+    });
+
+    it('should support monthly periods', () => {
+      const result = bugReportService.getTrends(bugs, { interval: 'month', periods: 2, now });
+
+      expect(result.periods.map(period => period.date)).toEqual(['2024-02-01', '2024-03-01']);
+      expect(result.periods[1]).toMatchObject({ created: 3, resolved: 1, open: 3 });
+    });
+  });
+
+  describe('getRecentBugs', () => {
+    it('should list bugs from the last N days and flag new critical bugs', () => {
+      const result = bugReportService.getRecentBugs(bugs, { days: 10, now });
+
+      expect(result.bugs.map(bug => bug.key)).toEqual(['PROJ1-1', 'PROJ1-2']);
+      expect(result.bugs[0].isNewCritical).toBe(true);
+      expect(result.bugs[1].isNewCritical).toBe(false);
+      expect(result.criticalCount).toBe(1);
+    });
+  });
+});
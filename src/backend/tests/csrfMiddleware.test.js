@@ -0,0 +1,115 @@
+const { csrfProtection, requireCsrfToken } = require('../middleware/csrfMiddleware');
+
+describe('CSRF middleware', () => {
+  const originalEnv = { ...process.env };
+
+  /**
+   * Build a minimal Express request
+   * @param {Object} options - { method, cookies, headers }
+   * @returns {Object} - Request
+   */
+  const createRequest = ({ method = 'POST', cookies = {}, headers = {} } = {}) => {
+    const lowerCaseHeaders = Object.fromEntries(Object.entries({ host: 'localhost:3000', ...headers })
+      .map(([name, value]) => [name.toLowerCase(), value]));
+
+    return {
+      method,
+      protocol: 'http',
+      cookies,
+      get: name => lowerCaseHeaders[name.toLowerCase()],
+    };
+  };
+
+  const createResponse = () => {
+    const res = {};
+    res.status = jest.fn(() => res);
+    res.json = jest.fn(() => res);
+    res.cookie = jest.fn(() => res);
+    return res;
+  };
+
+  beforeEach(() => {
+    process.env.FRONTEND_URL = 'http://localhost:5173';
+  });
+
+  afterAll(() => {
+    process.env = { ...originalEnv };
+  });
+
+  it('should issue a readable token cookie and let safe requests through', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    csrfProtection(createRequest({ method: 'GET' }), res, next);
+
+    expect(res.cookie).toHaveBeenCalledWith('csrf_token', expect.any(String), expect.objectContaining({
+      httpOnly: false,
+      sameSite: 'strict',
+    }));
+    expect(next).toHaveBeenCalled();
+  });
+
+  it('should accept state-changing requests that echo the token', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    csrfProtection(createRequest({
+      cookies: { csrf_token: 'token-1' },
+      headers: { 'X-CSRF-Token': 'token-1', Origin: 'http://localhost:5173' },
+    }), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(res.cookie).not.toHaveBeenCalled();
+  });
+
+  it('should reject state-changing requests without the token header', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    // A cross-site form post carries the cookies, but cannot set the header
+    csrfProtection(createRequest({ cookies: { csrf_token: 'token-1', auth_token: 'session' } }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'CSRF_INVALID' }));
+  });
+
+  it('should reject a token that does not match the cookie', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    csrfProtection(createRequest({
+      cookies: { csrf_token: 'token-1' },
+      headers: { 'X-CSRF-Token': 'guessed-token' },
+    }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should reject cross-site requests even with a matching token', () => {
+    const next = jest.fn();
+    const crossSite = headers => {
+      const res = createResponse();
+      csrfProtection(createRequest({
+        cookies: { csrf_token: 'token-1' },
+        headers: { 'X-CSRF-Token': 'token-1', ...headers },
+      }), res, next);
+      return res;
+    };
+
+    expect(crossSite({ Origin: 'https://evil.example.com' }).status).toHaveBeenCalledWith(403);
+    expect(crossSite({ Referer: 'https://evil.example.com/page' }).status).toHaveBeenCalledWith(403);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('should protect state-changing GET routes it is applied to', () => {
+    const res = createResponse();
+    const next = jest.fn();
+
+    requireCsrfToken(createRequest({ method: 'GET', cookies: { csrf_token: 'token-1' } }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataStoreService } = require('../services/dataStoreService');
+
+const site = { id: 'cloud', name: 'Cloud', url: 'https://acme.atlassian.net' };
+
+const createIssue = (key, { category = 'To Do', priority = 'Medium', created = '2024-03-01T09:00:00.000Z' } = {}) => ({
+  id: key.replace(/\D/g, ''),
+  key,
+  fields: {
+    summary: `Issue ${key}`,
+    priority: { name: priority },
+    status: { name: category, statusCategory: { name: category, key: category === 'Done' ? 'done' : 'new' } },
+    created,
+  },
+});
+
+const createProjectData = (key, { epics = [`${key}-1`], bugs = [`${key}-9`] } = {}) => ({
+  key,
+  site,
+  project: { id: '1', key, name: `Project ${key}`, issueTypes: [] },
+  epics: epics.map(epicKey => createIssue(epicKey)),
+  issuesByEpic: Object.fromEntries(epics.map(epicKey => [epicKey, [
+    createIssue(`${epicKey}0`, { category: 'Done' }),
+    createIssue(`${epicKey}1`),
+  ]])),
+  bugs: bugs.map(bugKey => createIssue(bugKey, { priority: 'Highest' })),
+});
+
+describe('DataStoreService', () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'data-store-'));
+    store = new DataStoreService(dir);
+    // Keep the fixture snapshots from 2024
+    store.retentionDays = 10000;
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('upsert', () => {
+    it('should store normalized projects, epics, issues and bugs', async () => {
+      await store.upsert([createProjectData('WEB')], '2024-03-20T12:00:00.000Z');
+
+      const stored = store.getProject('cloud', 'WEB');
+
+      expect(stored.syncedAt).toBe('2024-03-20T12:00:00.000Z');
+      expect(stored.site).toEqual(site);
+      expect(stored.project).toMatchObject({ key: 'WEB', name: 'Project WEB' });
+      expect(stored.epics).toEqual([expect.objectContaining({ key: 'WEB-1', siteId: 'cloud', projectKey: 'WEB' })]);
+      expect(stored.epics[0].progress.percent).toBe(50);
+      expect(stored.issues.map(issue => [issue.key, issue.epicKey])).toEqual([['WEB-10', 'WEB-1'], ['WEB-11', 'WEB-1']]);
+      expect(stored.bugs[0]).toMatchObject({
+        key: 'WEB-9',
+        site: { id: 'cloud', name: 'Cloud' },
+        webUrl: 'https://acme.atlassian.net/browse/WEB-9',
+      });
+      expect(store.getProject('cloud', 'ERP')).toBeNull();
+    });
+
+    it('should replace the records of synced projects and keep the others', async () => {
+      await store.upsert([createProjectData('WEB'), createProjectData('ERP')], '2024-03-20T12:00:00.000Z');
+      await store.upsert([createProjectData('WEB', { epics: ['WEB-2'], bugs: [] })], '2024-03-21T12:00:00.000Z');
+
+      expect(store.getProject('cloud', 'WEB').epics.map(epic => epic.key)).toEqual(['WEB-2']);
+      expect(store.getProject('cloud', 'WEB').bugs).toEqual([]);
+      expect(store.getProject('cloud', 'ERP').syncedAt).toBe('2024-03-20T12:00:00.000Z');
+      expect(await store.getStats()).toEqual({
+        updatedAt: '2024-03-21T12:00:00.000Z',
+        projects: 2,
+        epics: 2,
+        issues: 4,
+        bugs: 1,
+        snapshots: ['2024-03-20', '2024-03-21'],
+      });
+    });
+
+    it('should persist the store across instances', async () => {
+      await store.upsert([createProjectData('WEB')], '2024-03-20T12:00:00.000Z');
+
+      const reloaded = new DataStoreService(dir);
+
+      expect(reloaded.load().updatedAt).toBe('2024-03-20T12:00:00.000Z');
+      expect(reloaded.getProject('cloud', 'WEB').epics).toHaveLength(1);
+    });
+
+    it('should reject when the store cannot be written and keep later writes working', async () => {
+      const blocked = path.join(dir, 'blocked');
+      fs.writeFileSync(blocked, '');
+      const blockedStore = new DataStoreService(blocked);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(blockedStore.upsert([createProjectData('WEB')], '2024-03-20T12:00:00.000Z')).rejects.toThrow();
+
+      fs.unlinkSync(blocked);
+      await blockedStore.upsert([createProjectData('WEB')], '2024-03-21T12:00:00.000Z');
+      expect(new DataStoreService(blocked).load().updatedAt).toBe('2024-03-21T12:00:00.000Z');
+
+      console.error.mockRestore();
+    });
+  });
+
+  describe('snapshots', () => {
+    it('should keep the last sync of each day', async () => {
+      await store.upsert([createProjectData('WEB')], '2024-03-20T08:00:00.000Z');
+      await store.upsert([createProjectData('WEB', { bugs: [] })], '2024-03-20T18:00:00.000Z');
+
+      const snapshot = await store.getSnapshot('2024-03-20');
+
+      expect(snapshot.updatedAt).toBe('2024-03-20T18:00:00.000Z');
+      expect(snapshot.bugs).toEqual({});
+      expect(await store.getSnapshot('2024-03-19')).toBeNull();
+      expect(await store.getSnapshot('../current')).toBeNull();
+    });
+
+    it('should remove snapshots older than the retention period', async () => {
+      store.retentionDays = 30;
+      const today = new Date().toISOString();
+      const expired = new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString();
+
+      await store.upsert([createProjectData('WEB')], expired);
+      await store.upsert([createProjectData('WEB')], today);
+
+      expect(await store.listSnapshots()).toEqual([today.slice(0, 10)]);
+    });
+  });
+
+  describe('access', () => {
+    it('should only serve stored projects to users who have loaded them live', async () => {
+      await store.upsert([createProjectData('WEB')], '2024-03-20T12:00:00.000Z');
+
+      expect(store.getProjectFor('cloud', 'WEB', 'account-1')).toBeNull();
+
+      await store.recordAccess('cloud', 'WEB', 'account-1');
+
+      expect(store.getProjectFor('cloud', 'WEB', 'account-1')).toMatchObject({ project: { key: 'WEB' } });
+      expect(store.getProjectFor('cloud', 'WEB', 'account-2')).toBeNull();
+      expect(store.getProjectFor('cloud', 'WEB', null)).toBeNull();
+    });
+
+    it('should persist access across instances', async () => {
+      await store.recordAccess('cloud', 'WEB', 'account-1');
+      await store.recordAccess('cloud', 'ERP', 'account-1');
+
+      const reloaded = new DataStoreService(dir);
+      expect(reloaded.hasAccess('cloud', 'WEB', 'account-1')).toBe(true);
+      expect(reloaded.hasAccess('cloud', 'ERP', 'account-1')).toBe(true);
+      expect(reloaded.hasAccess('other', 'WEB', 'account-1')).toBe(false);
+    });
+  });
+
+  describe('load', () => {
+    it('should start empty when the store file is corrupt', () => {
+      fs.writeFileSync(path.join(dir, 'current.json'), '{ not json');
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(store.load()).toEqual({ updatedAt: null, projects: {}, epics: {}, issues: {}, bugs: {} });
+
+      console.error.mockRestore();
+    });
+  });
+});
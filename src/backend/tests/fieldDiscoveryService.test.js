@@ -0,0 +1,104 @@
+const fieldDiscoveryService = require('../services/fieldDiscoveryService');
+const jiraApiService = require('../services/jiraApiService');
+const { DEFAULT_FIELD_IDS } = require('../utils/jiraTransformer');
+
+// Mock jiraApiService
+jest.mock('../services/jiraApiService');
+
+describe('FieldDiscoveryService', () => {
+  const originalEnv = { ...process.env };
+
+  const mockFields = [
+    { id: 'summary', name: 'Summary', custom: false },
+    { id: 'customfield_20000', name: 'Sprint', custom: true, schema: { custom: 'com.pyxis.greenhopper.jira:gh-sprint' } },
+    { id: 'customfield_20001', name: 'Epic Link', custom: true, schema: { custom: 'com.pyxis.greenhopper.jira:gh-epic-link' } },
+    { id: 'customfield_20002', name: 'Epic Name', custom: true, schema: { custom: 'com.pyxis.greenhopper.jira:gh-epic-label' } },
+    { id: 'customfield_20003', name: 'Epic Colour', custom: true, schema: { custom: 'com.atlassian.jira.plugin.system.customfieldtypes:textfield' } },
+    { id: 'customfield_20004', name: 'Story Points', custom: true, schema: { custom: 'com.atlassian.jira.plugin.system.customfieldtypes:float' } },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fieldDiscoveryService.reset();
+    ['JIRA_SPRINT_FIELD', 'JIRA_EPIC_LINK_FIELD', 'JIRA_EPIC_NAME_FIELD', 'JIRA_EPIC_COLOR_FIELD', 'JIRA_STORY_POINTS_FIELD']
+      .forEach(name => delete process.env[name]);
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getFieldIds', () => {
+    it('should resolve custom fields by schema and then by name', async () => {
+      jiraApiService.get.mockResolvedValue(mockFields);
+
+      const result = await fieldDiscoveryService.getFieldIds('test-token');
+
+      expect(result).toEqual({
+        sprint: 'customfield_20000',
+        epicLink: 'customfield_20001',
+        epicName: 'customfield_20002',
+        epicColor: 'customfield_20003',
+        storyPoints: 'customfield_20004',
+      });
+      expect(jiraApiService.get).toHaveBeenCalledWith('/field', {}, 'test-token', 'shared', expect.any(Number));
+    });
+
+    it('should report fields that do not exist as null', async () => {
+      jiraApiService.get.mockResolvedValue(mockFields.slice(0, 2));
+
+      const result = await fieldDiscoveryService.getFieldIds('test-token');
+
+      expect(result.sprint).toBe('customfield_20000');
+      expect(result.epicLink).toBeNull();
+      expect(result.storyPoints).toBeNull();
+    });
+
+    it('should cache discovered fields and share concurrent requests', async () => {
+      jiraApiService.get.mockResolvedValue(mockFields);
+
+      await Promise.all([
+        fieldDiscoveryService.getFieldIds('test-token'),
+        fieldDiscoveryService.getFieldIds('test-token'),
+      ]);
+      await fieldDiscoveryService.getFieldIds('test-token');
+
+      expect(jiraApiService.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should prefer environment overrides', async () => {
+      process.env.JIRA_STORY_POINTS_FIELD = 'customfield_30000';
+      jiraApiService.get.mockResolvedValue(mockFields);
+
+      const result = await fieldDiscoveryService.getFieldIds('test-token');
+
+      expect(result.storyPoints).toBe('customfield_30000');
+      expect(result.sprint).toBe('customfield_20000');
+    });
+
+    it('should skip discovery when every field is overridden', async () => {
+      process.env.JIRA_SPRINT_FIELD = 'customfield_1';
+      process.env.JIRA_EPIC_LINK_FIELD = 'customfield_2';
+      process.env.JIRA_EPIC_NAME_FIELD = 'customfield_3';
+      process.env.JIRA_EPIC_COLOR_FIELD = 'customfield_4';
+      process.env.JIRA_STORY_POINTS_FIELD = 'customfield_5';
+
+      const result = await fieldDiscoveryService.getFieldIds('test-token');
+
+      expect(result.epicColor).toBe('customfield_4');
+      expect(jiraApiService.get).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the default fields when discovery fails', async () => {
+      jiraApiService.get.mockRejectedValue(new Error('Forbidden'));
+
+      const result = await fieldDiscoveryService.getFieldIds('test-token');
+
+      expect(result).toEqual(DEFAULT_FIELD_IDS);
+
+      // The failure is not cached
+      jiraApiService.get.mockResolvedValue(mockFields);
+      expect((await fieldDiscoveryService.getFieldIds('test-token')).sprint).toBe('customfield_20000');
+    });
+  });
+});
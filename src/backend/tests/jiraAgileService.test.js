@@ -0,0 +1,59 @@
+const axios = require('axios');
+const cache = require('memory-cache');
+const jiraAgileService = require('../services/jiraAgileService');
+const { isJiraUnavailable } = require('../utils/errorHandler');
+
+// Mock axios and the retry plugin (it needs a real axios instance)
+jest.mock('axios');
+jest.mock('axios-retry');
+
+describe('JiraAgileService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    cache.clear();
+    jiraAgileService.api.api = null;
+  });
+
+  afterAll(() => {
+    cache.clear();
+  });
+
+  it('should call the Agile API rather than the platform API', async () => {
+    const mockGet = jest.fn().mockResolvedValue({ data: { values: [{ id: 1 }], isLast: true } });
+    axios.create.mockReturnValue({ get: mockGet });
+
+    await jiraAgileService.getBoards('PROJ', 'test-token', false);
+
+    expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+      baseURL: expect.stringMatching(/\/rest\/agile\/1\.0$/),
+    }));
+    expect(mockGet).toHaveBeenCalledWith('/board', expect.objectContaining({
+      params: expect.objectContaining({ projectKeyOrId: 'PROJ', type: 'scrum' }),
+    }));
+  });
+
+  it('should collect every page of sprints', async () => {
+    const mockGet = jest.fn()
+      .mockResolvedValueOnce({ data: { values: [{ id: 1 }, { id: 2 }], isLast: false } })
+      .mockResolvedValueOnce({ data: { values: [{ id: 3 }], isLast: true } });
+    axios.create.mockReturnValue({ get: mockGet });
+
+    const result = await jiraAgileService.getSprints(7, 'test-token', { useCache: false });
+
+    expect(result.map(sprint => sprint.id)).toEqual([1, 2, 3]);
+    expect(mockGet.mock.calls[1][1].params.startAt).toBe(2);
+  });
+
+  it('should keep the Jira error as the cause of a failure', async () => {
+    const unavailable = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503, data: {} } });
+    axios.create.mockReturnValue({ get: jest.fn().mockRejectedValue(unavailable) });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const error = await jiraAgileService.getSprintIssues(7, 'test-token', false).catch(caught => caught);
+
+    expect(error.message).toBe('Failed to fetch issues for sprint 7');
+    expect(isJiraUnavailable(error)).toBe(true);
+
+    console.error.mockRestore();
+  });
+});
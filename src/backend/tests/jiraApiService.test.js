@@ -2,8 +2,9 @@ const axios = require('axios');
 const jiraApiService = require('../services/jiraApiService');
 const cache = require('memory-cache');
 
-// Mock axios
+// Mock axios and the retry plugin (it needs a real axios instance)
 jest.mock('axios');
+jest.mock('axios-retry');
 
 describe('JiraApiService', () => {
   beforeEach(() => {
@@ -11,6 +12,13 @@ describe('JiraApiService', () => {
     jest.clearAllMocks();
     // Clear cache
     cache.clear();
+    // Create a new client from the test's axios mock
+    jiraApiService.api = null;
+  });
+
+  afterAll(() => {
+    // Cached entries keep TTL timers running
+    cache.clear();
   });
 
   describe('get', () => {
@@ -67,6 +75,112 @@ describe('JiraApiService', () => {
     });
   });
 
+  describe('cache isolation', () => {
+    it('should never serve one user\'s cached response to another user', async () => {
+      const mockGet = jest.fn((endpoint, { headers }) => Promise.resolve({
+        data: headers.Authorization === 'Bearer token-a'
+          ? { issues: [{ key: 'SECRET-1' }] }
+          : { issues: [] },
+      }));
+      axios.create.mockReturnValue({ get: mockGet });
+
+      const resultA = await jiraApiService.get('/search', { jql: 'project = SECRET' }, 'token-a', true);
+      const resultB = await jiraApiService.get('/search', { jql: 'project = SECRET' }, 'token-b', true);
+      const resultA2 = await jiraApiService.get('/search', { jql: 'project = SECRET' }, 'token-a', true);
+
+      expect(resultA.issues).toEqual([{ key: 'SECRET-1' }]);
+      expect(resultB.issues).toEqual([]);
+      expect(resultA2).toEqual(resultA);
+      expect(mockGet).toHaveBeenCalledTimes(2);
+    });
+
+    it('should share cached responses between users when requested', async () => {
+      const mockGet = jest.fn().mockResolvedValue({ data: [{ id: 'summary' }] });
+      axios.create.mockReturnValue({ get: mockGet });
+
+      await jiraApiService.get('/field', {}, 'token-a', 'shared');
+      const result = await jiraApiService.get('/field', {}, 'token-b', 'shared');
+
+      expect(result).toEqual([{ id: 'summary' }]);
+      expect(mockGet).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not store access tokens in cache keys', async () => {
+      const mockGet = jest.fn().mockResolvedValue({ data: { id: '123' } });
+      axios.create.mockReturnValue({ get: mockGet });
+
+      await jiraApiService.get('/project/TEST', {}, 'secret-token', true);
+
+      const keys = cache.keys();
+      expect(keys).toHaveLength(1);
+      expect(keys[0]).not.toContain('secret-token');
+    });
+  });
+
+  describe('cloud site routing', () => {
+    it('should send requests for a cloud site through the API gateway', async () => {
+      const mockGet = jest.fn().mockResolvedValue({ data: { id: '123' } });
+      axios.create.mockReturnValue({ get: mockGet });
+
+      await jiraApiService.get('/project/TEST', {}, { accessToken: 'test-token', cloudId: 'cloud-1' }, false);
+
+      expect(mockGet).toHaveBeenCalledWith('/project/TEST', {
+        params: {},
+        headers: { 'Authorization': 'Bearer test-token' },
+        baseURL: 'https://api.atlassian.com/ex/jira/cloud-1/rest/api/3',
+      });
+    });
+
+    it('should keep cached responses of different sites apart', async () => {
+      const mockGet = jest.fn((endpoint, { baseURL }) => Promise.resolve({ data: [{ site: baseURL }] }));
+      axios.create.mockReturnValue({ get: mockGet });
+
+      const resultA = await jiraApiService.get('/field', {}, { accessToken: 'token', cloudId: 'cloud-a' }, 'shared');
+      const resultB = await jiraApiService.get('/field', {}, { accessToken: 'token', cloudId: 'cloud-b' }, 'shared');
+
+      expect(resultA).not.toEqual(resultB);
+      expect(mockGet).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('token authentication', () => {
+    it('should send API tokens as basic auth to the site URL', async () => {
+      const mockGet = jest.fn().mockResolvedValue({ data: { id: '123' } });
+      axios.create.mockReturnValue({ get: mockGet });
+
+      await jiraApiService.get('/myself', {}, {
+        authMethod: 'apiToken',
+        accessToken: 'api-token',
+        email: 'jane@example.com',
+        siteUrl: 'https://acme.atlassian.net',
+      }, false);
+
+      expect(mockGet).toHaveBeenCalledWith('/myself', {
+        params: {},
+        headers: { 'Authorization': `Basic ${Buffer.from('jane@example.com:api-token').toString('base64')}` },
+        baseURL: 'https://acme.atlassian.net/rest/api/3',
+      });
+    });
+
+    it('should send personal access tokens as bearer tokens to the site\'s API version', async () => {
+      const mockGet = jest.fn().mockResolvedValue({ data: { id: '123' } });
+      axios.create.mockReturnValue({ get: mockGet });
+
+      await jiraApiService.get('/myself', {}, {
+        authMethod: 'pat',
+        accessToken: 'personal-token',
+        siteUrl: 'https://jira.acme.internal',
+        apiVersion: '2',
+      }, false);
+
+      expect(mockGet).toHaveBeenCalledWith('/myself', {
+        params: {},
+        headers: { 'Authorization': 'Bearer personal-token' },
+        baseURL: 'https://jira.acme.internal/rest/api/2',
+      });
+    });
+  });
+
   describe('post', () => {
     it('should make a POST request with the correct parameters', async () => {
       // Mock axios.create().post
@@ -88,12 +202,33 @@ describe('JiraApiService', () => {
     });
   });
 
+  describe('post caching', () => {
+    it('should only cache POST responses when asked, keyed by body and user', async () => {
+      const mockPost = jest.fn().mockResolvedValue({ data: { issues: [] } });
+      axios.create.mockReturnValue({ post: mockPost });
+
+      const search = { jql: 'project = TEST', fields: ['summary'] };
+      await jiraApiService.post('/search', search, 'token-a');
+      await jiraApiService.post('/search', search, 'token-a');
+      expect(mockPost).toHaveBeenCalledTimes(2);
+
+      await jiraApiService.post('/search', search, 'token-a', true);
+      await jiraApiService.post('/search', search, 'token-a', true);
+      expect(mockPost).toHaveBeenCalledTimes(3);
+
+      await jiraApiService.post('/search', { ...search, fields: ['summary', 'status'] }, 'token-a', true);
+      await jiraApiService.post('/search', search, 'token-b', true);
+      expect(mockPost).toHaveBeenCalledTimes(5);
+    });
+  });
+
   describe('clearCache', () => {
     it('should clear cache entries matching a pattern', async () => {
       // Mock axios.create().get
       const mockGet = jest.fn()
         .mockResolvedValueOnce({ data: { id: '123', name: 'Test Project 1' } })
-        .mockResolvedValueOnce({ data: { id: '456', name: 'Test Project 2' } });
+        .mockResolvedValueOnce({ data: { id: '456', name: 'Test Project 2' } })
+        .mockResolvedValueOnce({ data: { id: '123', name: 'Test Project 1' } });
       
       axios.create.mockReturnValue({ get: mockGet });
 
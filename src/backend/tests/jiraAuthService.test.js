@@ -0,0 +1,398 @@
+const axios = require('axios');
+const jiraAuthService = require('../services/jiraAuthService');
+const jiraApiService = require('../services/jiraApiService');
+const siteRegistryService = require('../services/siteRegistryService');
+
+// Mock axios and the Jira API client
+jest.mock('axios');
+jest.mock('../services/jiraApiService');
+
+describe('JiraAuthService', () => {
+  const sites = [
+    { cloudId: 'cloud-a', name: 'Team A', url: 'https://team-a.atlassian.net', avatarUrl: null },
+    { cloudId: 'cloud-b', name: 'Team B', url: 'https://team-b.atlassian.net', avatarUrl: null },
+  ];
+
+  // Configure the default site the way JIRA_API_URL and JIRA_CLOUD_ID would
+  const setDefaultSite = (site = {}) => siteRegistryService.setSites({ sites: [{ id: 'default', ...site }] });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setDefaultSite();
+  });
+
+  afterAll(() => {
+    siteRegistryService.setSites(null);
+  });
+
+  describe('authorization code flow', () => {
+    const originalEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+    });
+
+    it('should send the state and PKCE challenge to Atlassian', () => {
+      process.env.NODE_ENV = 'production';
+
+      const url = new URL(jiraAuthService.getAuthorizationUrl({ state: 'state-1', codeChallenge: 'challenge-1' }));
+
+      expect(url.searchParams.get('state')).toBe('state-1');
+      expect(url.searchParams.get('code_challenge')).toBe('challenge-1');
+      expect(url.searchParams.get('code_challenge_method')).toBe('S256');
+    });
+
+    it('should pass the state through the mock flow', () => {
+      expect(jiraAuthService.getAuthorizationUrl({ state: 'state-1', codeChallenge: 'challenge-1' })).toContain('state=state-1');
+    });
+
+    it('should prove the sign-in with the code verifier', async () => {
+      axios.post.mockResolvedValue({ data: { access_token: 'token', refresh_token: 'refresh', expires_in: 3600 } });
+
+      const result = await jiraAuthService.exchangeCodeForToken('code-1', 'verifier-1');
+
+      expect(result.success).toBe(true);
+      expect(axios.post).toHaveBeenCalledWith(expect.stringContaining('/oauth/token'), expect.objectContaining({
+        code: 'code-1',
+        code_verifier: 'verifier-1',
+      }), expect.any(Object));
+    });
+  });
+
+  describe('getAccessibleSites', () => {
+    it('should list the Jira sites of the grant', async () => {
+      axios.get.mockResolvedValue({
+        data: [
+          { id: 'cloud-a', name: 'Team A', url: 'https://team-a.atlassian.net', scopes: ['read:jira-work'] },
+          { id: 'cloud-c', name: 'Wiki', url: 'https://wiki.atlassian.net', scopes: ['read:confluence-content.all'] },
+        ],
+      });
+
+      const result = await jiraAuthService.getAccessibleSites('test-token');
+
+      expect(axios.get).toHaveBeenCalledWith('https://api.atlassian.com/oauth/token/accessible-resources', expect.objectContaining({
+        headers: expect.objectContaining({ 'Authorization': 'Bearer test-token' }),
+      }));
+      expect(result.sites).toEqual([sites[0]]);
+    });
+
+    it('should report failures', async () => {
+      axios.get.mockRejectedValue(new Error('Network Error'));
+
+      const result = await jiraAuthService.getAccessibleSites('test-token');
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('selectSite', () => {
+    it('should pick the site configured by cloud ID', () => {
+      setDefaultSite({ cloudId: 'cloud-b' });
+
+      expect(jiraAuthService.selectSite(sites).site).toBe(sites[1]);
+    });
+
+    it('should fail when the configured site is not accessible', () => {
+      setDefaultSite({ cloudId: 'cloud-x' });
+
+      expect(jiraAuthService.selectSite(sites).success).toBe(false);
+    });
+
+    it('should pick the site matching JIRA_API_URL', () => {
+      setDefaultSite({ url: 'https://team-b.atlassian.net/' });
+
+      expect(jiraAuthService.selectSite(sites).site).toBe(sites[1]);
+    });
+
+    it('should use the only accessible site', () => {
+      expect(jiraAuthService.selectSite([sites[0]]).site).toBe(sites[0]);
+    });
+
+    it('should let the user choose between several sites', () => {
+      const result = jiraAuthService.selectSite(sites);
+
+      expect(result.success).toBe(true);
+      expect(result.site).toBeNull();
+      expect(result.selectionRequired).toBe(true);
+    });
+  });
+
+  describe('connectSites', () => {
+    it('should connect the chosen default site under its own URL', () => {
+      const result = jiraAuthService.connectSites([sites[1]]);
+
+      expect(result.sites).toEqual([{
+        id: 'default',
+        name: 'Team B',
+        url: 'https://team-b.atlassian.net',
+        cloudId: 'cloud-b',
+        authMethod: 'oauth',
+        apiVersion: null,
+      }]);
+    });
+
+    it('should connect every registered site the account can access', () => {
+      siteRegistryService.setSites({
+        sites: [
+          { id: 'a', name: 'Site A', url: 'https://team-a.atlassian.net', projects: ['A'] },
+          { id: 'b', name: 'Site B', cloudId: 'cloud-b', url: 'https://team-b.atlassian.net' },
+          { id: 'c', name: 'Site C', url: 'https://team-c.atlassian.net' },
+        ],
+      });
+
+      const result = jiraAuthService.connectSites(sites);
+
+      expect(result.selectionRequired).toBe(false);
+      expect(result.sites.map(site => [site.id, site.cloudId])).toEqual([['a', 'cloud-a'], ['b', 'cloud-b']]);
+    });
+
+    it('should fail when no registered site is accessible', () => {
+      siteRegistryService.setSites({ sites: [{ id: 'c', url: 'https://team-c.atlassian.net' }] });
+
+      expect(jiraAuthService.connectSites(sites).success).toBe(false);
+    });
+
+    it('should not connect token sites through OAuth', () => {
+      siteRegistryService.setSites({
+        sites: [
+          { id: 'a', url: 'https://team-a.atlassian.net', authMethod: 'apiToken' },
+          { id: 'b', cloudId: 'cloud-b', url: 'https://team-b.atlassian.net' },
+        ],
+      });
+
+      expect(jiraAuthService.connectSites(sites).sites.map(site => site.id)).toEqual(['b']);
+    });
+  });
+
+  describe('connectTokenSite', () => {
+    const dataCenter = { id: 'dc', name: 'Data Center', url: 'https://jira.acme.internal', authMethod: 'pat', apiVersion: '2' };
+
+    it('should check personal access tokens against the site', async () => {
+      jiraApiService.get.mockResolvedValue({ key: 'JIRAUSER1', name: 'jane', displayName: 'Jane' });
+
+      const result = await jiraAuthService.connectTokenSite(dataCenter, { email: 'ignored@example.com', token: 'personal-token' });
+
+      expect(jiraApiService.get).toHaveBeenCalledWith('/myself', { expand: 'groups' }, expect.objectContaining({
+        accessToken: 'personal-token',
+        authMethod: 'pat',
+        email: null,
+        siteUrl: 'https://jira.acme.internal',
+        apiVersion: '2',
+      }), false);
+      expect(result.success).toBe(true);
+      expect(result.user.accountId).toBe('JIRAUSER1');
+      expect(result.site).toMatchObject({ id: 'dc', cloudId: null, authMethod: 'pat' });
+    });
+
+    it('should reject credentials the site does not accept', async () => {
+      jiraApiService.get.mockRejectedValue(new Error('Request failed with status code 401'));
+
+      const site = { id: 'cloud', name: 'Cloud', url: 'https://acme.atlassian.net', authMethod: 'apiToken', apiVersion: null };
+      const result = await jiraAuthService.connectTokenSite(site, { email: 'jane@example.com', token: 'wrong' });
+
+      expect(result.success).toBe(false);
+    });
+
+    it('should keep the token credentials in the session', async () => {
+      const site = jiraAuthService.toSessionSite(dataCenter, { cloudId: null });
+      const sessionId = await jiraAuthService.createSession({ accountId: 'JIRAUSER1' }, null, [site], { dc: { email: null, token: 'personal-token' } });
+      const { session } = await jiraAuthService.refreshSession(sessionId);
+
+      expect(session.oauth).toBeNull();
+      expect(jiraAuthService.getAuthContexts(session)).toEqual([{
+        accessToken: 'personal-token',
+        authMethod: 'pat',
+        email: null,
+        cloudId: null,
+        siteId: 'dc',
+        siteName: 'Data Center',
+        siteUrl: 'https://jira.acme.internal',
+        apiVersion: '2',
+        accountId: 'JIRAUSER1',
+      }]);
+    });
+
+    it('should connect OAuth and token sites in one session', async () => {
+      const cloud = { id: 'cloud', name: 'Cloud', url: 'https://acme.atlassian.net', cloudId: 'cloud-a', authMethod: 'oauth', apiVersion: null };
+      const site = jiraAuthService.toSessionSite(dataCenter, { cloudId: null });
+      const oauthTokens = { access_token: 'oauth-token', refresh_token: 'refresh-token', expires_in: 3600 };
+      const sessionId = await jiraAuthService.createSession(
+        { accountId: 'account-1' },
+        oauthTokens,
+        [cloud, site],
+        { dc: { email: null, token: 'personal-token' } },
+      );
+      const { session } = await jiraAuthService.refreshSession(sessionId);
+
+      expect(jiraAuthService.getAuthContexts(session)).toEqual([
+        expect.objectContaining({ siteId: 'cloud', authMethod: 'oauth', accessToken: 'oauth-token', cloudId: 'cloud-a', accountId: 'account-1' }),
+        expect.objectContaining({ siteId: 'dc', authMethod: 'pat', accessToken: 'personal-token', cloudId: null, accountId: 'account-1' }),
+      ]);
+    });
+
+    it('should leave out token sites without credentials', () => {
+      const site = jiraAuthService.toSessionSite(dataCenter, { cloudId: null });
+
+      expect(jiraAuthService.getAuthContexts({ user: null, oauth: null, credentials: {}, sites: [site] })).toEqual([]);
+    });
+
+    it('should not try to refresh token sessions', async () => {
+      const site = jiraAuthService.toSessionSite(dataCenter, { cloudId: null });
+      const sessionId = await jiraAuthService.createSession({ accountId: 'JIRAUSER1' }, null, [site], { dc: { email: null, token: 'personal-token' } });
+      const refreshAccessToken = jest.spyOn(jiraAuthService, 'refreshAccessToken');
+
+      const result = await jiraAuthService.refreshSession(sessionId);
+
+      expect(result).toMatchObject({ success: true, refreshed: false });
+      expect(refreshAccessToken).not.toHaveBeenCalled();
+      refreshAccessToken.mockRestore();
+    });
+  });
+
+  describe('getUserInfo', () => {
+    it('should read the user from the selected site', async () => {
+      jiraApiService.get.mockResolvedValue({
+        emailAddress: 'jane@example.com',
+        displayName: 'Jane',
+        accountId: 'account-1',
+        avatarUrls: { '48x48': 'avatar.png' },
+        groups: { size: 2, items: [{ name: 'jira-administrators' }, { name: 'product-managers' }] },
+      });
+
+      const site = { id: 'default', name: 'Team A', url: 'https://team-a.atlassian.net', cloudId: 'cloud-a' };
+      const result = await jiraAuthService.getUserInfo('test-token', site);
+
+      expect(jiraApiService.get).toHaveBeenCalledWith('/myself', { expand: 'groups' }, expect.objectContaining({
+        accessToken: 'test-token',
+        cloudId: 'cloud-a',
+      }), false);
+      expect(result.user.accountId).toBe('account-1');
+      expect(result.user.groups).toEqual(['jira-administrators', 'product-managers']);
+    });
+  });
+
+  describe('sessions', () => {
+    const site = { id: 'default', name: 'Team A', url: 'https://team-a.atlassian.net', cloudId: 'cloud-a' };
+    const expiredTokens = { access_token: 'old-token', refresh_token: 'refresh-token', expires_in: 0 };
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    describe('mergeSession', () => {
+      const dataCenter = { id: 'dc', name: 'Data Center', url: 'https://jira.acme.internal', cloudId: null, authMethod: 'pat', apiVersion: '2' };
+      const cloud = { ...site, authMethod: 'oauth', apiVersion: null };
+      const oauthTokens = { access_token: 'oauth-token', refresh_token: 'refresh-token', expires_in: 3600 };
+
+      it('should add a token site to the OAuth sites of the session', async () => {
+        const previousId = await jiraAuthService.createSession({ accountId: 'account-1' }, oauthTokens, [cloud]);
+
+        const { sessionId, session } = await jiraAuthService.mergeSession(previousId, {
+          user: { accountId: 'JIRAUSER1' },
+          sites: [dataCenter],
+          credentials: { dc: { email: null, token: 'personal-token' } },
+        });
+
+        expect(sessionId).not.toBe(previousId);
+        expect((await jiraAuthService.refreshSession(previousId)).success).toBe(false);
+        expect(session.user).toEqual({ accountId: 'account-1' });
+        expect(jiraAuthService.getAuthContexts(session).map(auth => [auth.siteId, auth.accessToken])).toEqual([
+          ['default', 'oauth-token'],
+          ['dc', 'personal-token'],
+        ]);
+      });
+
+      it('should keep the token sites when signing in with Atlassian', async () => {
+        const previousId = await jiraAuthService.createSession(
+          { accountId: 'JIRAUSER1' },
+          null,
+          [dataCenter],
+          { dc: { email: null, token: 'personal-token' } },
+        );
+
+        const { session } = await jiraAuthService.mergeSession(previousId, { user: { accountId: 'account-1' }, oauthTokens, sites: [cloud] });
+
+        expect(session.sites.map(({ id }) => id)).toEqual(['dc', 'default']);
+        expect(jiraAuthService.getAuthContexts(session).map(auth => auth.accessToken)).toEqual(['personal-token', 'oauth-token']);
+      });
+
+      it('should start a new session when there is none', async () => {
+        const { sessionId, session } = await jiraAuthService.mergeSession(undefined, {
+          user: { accountId: 'JIRAUSER1' },
+          sites: [dataCenter],
+          credentials: { dc: { email: null, token: 'personal-token' } },
+        });
+
+        expect((await jiraAuthService.refreshSession(sessionId)).session).toEqual(session);
+        expect(session).toMatchObject({ user: { accountId: 'JIRAUSER1' }, oauth: null, sites: [dataCenter] });
+      });
+    });
+
+    it('should keep the connected sites through token refresh', async () => {
+      const sessionId = await jiraAuthService.createSession({ accountId: 'account-1' }, expiredTokens, [site]);
+      jest.spyOn(jiraAuthService, 'refreshAccessToken').mockResolvedValue({
+        success: true,
+        access_token: 'new-token',
+        refresh_token: 'new-refresh-token',
+        expires_in: 3600,
+      });
+
+      const result = await jiraAuthService.refreshSession(sessionId);
+      const { session } = await jiraAuthService.refreshSession(sessionId);
+
+      expect(result.refreshed).toBe(true);
+      expect(session.oauth.refresh_token).toBe('new-refresh-token');
+      expect(jiraAuthService.getAuthContexts(session)).toEqual([{
+        accessToken: 'new-token',
+        authMethod: 'oauth',
+        email: null,
+        cloudId: 'cloud-a',
+        siteId: 'default',
+        siteName: 'Team A',
+        siteUrl: 'https://team-a.atlassian.net',
+        apiVersion: null,
+        accountId: 'account-1',
+      }]);
+    });
+
+    it('should use a rotating refresh token only once for concurrent requests', async () => {
+      const sessionId = await jiraAuthService.createSession({ accountId: 'account-1' }, expiredTokens, [site]);
+      const refreshAccessToken = jest.spyOn(jiraAuthService, 'refreshAccessToken').mockResolvedValue({
+        success: true,
+        access_token: 'new-token',
+        refresh_token: 'new-refresh-token',
+        expires_in: 3600,
+      });
+
+      const results = await Promise.all([
+        jiraAuthService.refreshSession(sessionId),
+        jiraAuthService.refreshSession(sessionId),
+        jiraAuthService.refreshSession(sessionId),
+      ]);
+
+      expect(refreshAccessToken).toHaveBeenCalledTimes(1);
+      expect(refreshAccessToken).toHaveBeenCalledWith('refresh-token');
+      expect(results.every(result => result.session.oauth.access_token === 'new-token')).toBe(true);
+    });
+
+    it('should revoke the session when the refresh token is rejected', async () => {
+      const sessionId = await jiraAuthService.createSession({ accountId: 'account-1' }, expiredTokens, [site]);
+      jest.spyOn(jiraAuthService, 'refreshAccessToken').mockResolvedValue({ success: false, error: 'invalid_grant' });
+
+      expect((await jiraAuthService.refreshSession(sessionId)).success).toBe(false);
+      expect((await jiraAuthService.refreshSession(sessionId)).message).toBe('Invalid or expired session');
+    });
+
+    it('should reject revoked sessions', async () => {
+      const sessionId = await jiraAuthService.createSession({ accountId: 'account-1' }, {
+        access_token: 'token',
+        refresh_token: 'refresh-token',
+        expires_in: 3600,
+      }, [site]);
+
+      await jiraAuthService.destroySession(sessionId);
+
+      expect((await jiraAuthService.refreshSession(sessionId)).success).toBe(false);
+    });
+  });
+});
@@ -1,13 +1,18 @@
 const jiraDataService = require('../services/jiraDataService');
 const jiraApiService = require('../services/jiraApiService');
+const fieldDiscoveryService = require('../services/fieldDiscoveryService');
+const { DEFAULT_FIELD_IDS, transformBug } = require('../utils/jiraTransformer');
 
-// Mock jiraApiService
+// Mock jiraApiService and field discovery
 jest.mock('../services/jiraApiService');
+jest.mock('../services/fieldDiscoveryService');
 
 describe('JiraDataService', () => {
   beforeEach(() => {
     // Clear all mocks before each test
     jest.clearAllMocks();
+    fieldDiscoveryService.getFieldIds.mockResolvedValue(DEFAULT_FIELD_IDS);
+    fieldDiscoveryService.getSearchFields.mockImplementation(fieldIds => Object.values(fieldIds).filter(Boolean));
   });
 
   describe('getProjects', () => {
@@ -134,6 +139,98 @@ describe('JiraDataService', () => {
     });
   });
 
+  describe('getIssuesForEpics', () => {
+    it('should fetch child issues for several epics in one search', async () => {
+      jiraApiService.post.mockResolvedValue({
+        issues: [
+          { id: '2001', key: 'PROJ1-10', fields: { customfield_10015: 'PROJ1-1' } },
+          { id: '2002', key: 'PROJ1-11', fields: { parent: { key: 'PROJ1-2' } } },
+          { id: '2003', key: 'PROJ1-12', fields: { parent: { key: 'PROJ1-9' } } },
+        ],
+        total: 3,
+        startAt: 0,
+        maxResults: 50,
+      });
+
+      const result = await jiraDataService.getIssuesForEpics(['PROJ1-1', 'PROJ1-2'], 'test-token');
+
+      expect(result['PROJ1-1'].map(issue => issue.key)).toEqual(['PROJ1-10']);
+      expect(result['PROJ1-2'].map(issue => issue.key)).toEqual(['PROJ1-11']);
+      expect(jiraApiService.post).toHaveBeenCalledTimes(1);
+      expect(jiraApiService.post).toHaveBeenCalledWith(
+        '/search',
+        expect.objectContaining({
+          jql: '("Epic Link" in ("PROJ1-1", "PROJ1-2") OR parent in ("PROJ1-1", "PROJ1-2")) ORDER BY created DESC',
+        }),
+        'test-token',
+        true,
+      );
+    });
+
+    it('should assign issues using the discovered Epic Link field', async () => {
+      fieldDiscoveryService.getFieldIds.mockResolvedValue({ ...DEFAULT_FIELD_IDS, epicLink: 'customfield_20001' });
+      jiraApiService.post.mockResolvedValue({
+        issues: [
+          { id: '2001', key: 'PROJ1-10', fields: { customfield_20001: 'PROJ1-1' } },
+          { id: '2002', key: 'PROJ1-11', fields: { customfield_10015: 'PROJ1-1' } },
+        ],
+        total: 2,
+        startAt: 0,
+        maxResults: 50,
+      });
+
+      const result = await jiraDataService.getIssuesForEpics(['PROJ1-1'], 'test-token');
+
+      expect(result['PROJ1-1'].map(issue => issue.key)).toEqual(['PROJ1-10']);
+    });
+
+    it('should not search when there are no epics', async () => {
+      const result = await jiraDataService.getIssuesForEpics([], 'test-token');
+
+      expect(result).toEqual({});
+      expect(jiraApiService.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getBugs', () => {
+    const statusChange = (id, created, from, to) => ({
+      id,
+      created,
+      items: [{ field: 'status', from, fromString: from, to, toString: to }],
+    });
+
+    it('should fetch the complete changelog of bugs whose search changelog is truncated', async () => {
+      const history = [
+        statusChange('1', '2024-01-02T09:00:00.000Z', 'Open', 'In Progress'),
+        statusChange('2', '2024-01-03T09:00:00.000Z', 'In Progress', 'Done'),
+        statusChange('3', '2024-01-04T09:00:00.000Z', 'Done', 'Open'),
+      ];
+      jiraApiService.get.mockImplementation(async (endpoint, params) => {
+        if (endpoint === '/project/PROJ1') return { key: 'PROJ1', issueTypes: [{ id: '10004', name: 'Bug' }] };
+        // Two changelog pages of two and one entries
+        const values = history.slice(params.startAt, params.startAt + 2);
+        return { startAt: params.startAt, maxResults: 2, total: 3, isLast: params.startAt + 2 >= 3, values };
+      });
+      jiraApiService.post.mockResolvedValue({
+        issues: [
+          { key: 'PROJ1-1', fields: {}, changelog: { startAt: 0, maxResults: 1, total: 3, histories: [history[2]] } },
+          { key: 'PROJ1-2', fields: {}, changelog: { startAt: 0, maxResults: 1, total: 1, histories: [history[0]] } },
+        ],
+        total: 2,
+        startAt: 0,
+        maxResults: 100,
+      });
+
+      const [truncated, complete] = await jiraDataService.getBugs('PROJ1', 'test-token');
+
+      expect(truncated.changelog.histories).toEqual(history);
+      expect(transformBug(truncated).statusHistory.map(change => change.to.name)).toEqual(['In Progress', 'Done', 'Open']);
+      expect(complete.changelog.histories).toEqual([history[0]]);
+      expect(jiraApiService.get).toHaveBeenCalledWith('/issue/PROJ1-1/changelog', { startAt: 2, maxResults: 100 }, 'test-token', true);
+      expect(jiraApiService.get).not.toHaveBeenCalledWith('/issue/PROJ1-2/changelog', expect.anything(), expect.anything(), expect.anything());
+    });
+  });
+
   describe('searchIssues', () => {
     it('should handle pagination correctly', async () => {
       // Mock jiraApiService.post for first page
@@ -174,5 +271,96 @@ describe('JiraDataService', () => {
       // Check that jiraApiService was called twice for pagination
       expect(jiraApiService.post).toHaveBeenCalledTimes(2);
     });
+
+    it('should fetch remaining pages with bounded concurrency once the total is known', async () => {
+      let active = 0;
+      let maxActive = 0;
+      jiraApiService.post.mockImplementation(async (endpoint, { startAt, maxResults }) => {
+        active += 1;
+        maxActive = Math.max(maxActive, active);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        active -= 1;
+
+        const issues = Array.from({ length: Math.min(maxResults, 10 - startAt) }, (item, index) => ({
+          key: `PROJ1-${startAt + index + 1}`,
+        }));
+        return { issues, total: 10, startAt, maxResults };
+      });
+
+      const pages = [];
+      for await (const page of jiraDataService.streamIssues('project = PROJ1', 'test-token', { pageSize: 2, concurrency: 2 })) {
+        pages.push(page.issues.map(issue => issue.key));
+      }
+
+      // Pages arrive in order even though they are requested in parallel
+      expect(pages).toEqual([
+        ['PROJ1-1', 'PROJ1-2'],
+        ['PROJ1-3', 'PROJ1-4'],
+        ['PROJ1-5', 'PROJ1-6'],
+        ['PROJ1-7', 'PROJ1-8'],
+        ['PROJ1-9', 'PROJ1-10'],
+      ]);
+      expect(jiraApiService.post).toHaveBeenCalledTimes(5);
+      expect(maxActive).toBe(2);
+    });
+
+    it('should cache search pages by JQL, fields and user', async () => {
+      jiraApiService.post.mockResolvedValue({ issues: [], total: 0, startAt: 0, maxResults: 100 });
+
+      await jiraDataService.searchIssues('project = PROJ1', 'test-token');
+
+      expect(jiraApiService.post).toHaveBeenCalledWith(
+        '/search',
+        expect.objectContaining({ jql: 'project = PROJ1', fields: expect.any(Array) }),
+        'test-token',
+        true,
+      );
+    });
+
+    it('should stop at the result cap', async () => {
+      jiraApiService.post.mockImplementation(async (endpoint, { startAt, maxResults }) => ({
+        issues: Array.from({ length: maxResults }, (item, index) => ({ key: `PROJ1-${startAt + index + 1}` })),
+        total: 1000,
+        startAt,
+        maxResults,
+      }));
+
+      const pages = [];
+      for await (const page of jiraDataService.streamIssues('project = PROJ1', 'test-token', { pageSize: 4, maxResults: 10 })) {
+        pages.push(page);
+      }
+
+      expect(pages.flatMap(page => page.issues)).toHaveLength(10);
+      expect(pages[0].truncated).toBe(true);
+      expect(jiraApiService.post).toHaveBeenCalledTimes(3);
+    });
+
+    it('should report failed pages', async () => {
+      jiraApiService.post
+        .mockResolvedValueOnce({ issues: [{ key: 'PROJ1-1' }], total: 3, startAt: 0, maxResults: 1 })
+        .mockRejectedValueOnce(new Error('Server Error'))
+        .mockResolvedValueOnce({ issues: [{ key: 'PROJ1-3' }], total: 3, startAt: 2, maxResults: 1 });
+
+      await expect(jiraDataService.searchIssues('project = PROJ1', 'test-token', true, 0, 1))
+        .rejects.toThrow('Failed to search Jira issues');
+    });
+
+    it('should request the discovered custom fields', async () => {
+      fieldDiscoveryService.getFieldIds.mockResolvedValue({
+        sprint: 'customfield_20000',
+        epicLink: 'customfield_20001',
+        epicName: null,
+        epicColor: null,
+        storyPoints: 'customfield_20004',
+      });
+      jiraApiService.post.mockResolvedValue({ issues: [], total: 0, startAt: 0, maxResults: 50 });
+
+      await jiraDataService.searchIssues('project = PROJ1', 'test-token');
+
+      const { fields } = jiraApiService.post.mock.calls[0][1];
+      expect(fields).toEqual(expect.arrayContaining(['customfield_20000', 'customfield_20001', 'customfield_20004']));
+      expect(fields).not.toContain('customfield_10014');
+      expect(fields).not.toContain(null);
+    });
   });
 });
@@ -4,6 +4,8 @@ const {
   transformEpic,
   transformBug,
   extractSprintInfo,
+  extractStatusHistory,
+  calculateEpicProgress,
   determineBugSeverity
 } = require('../utils/jiraTransformer');
 
@@ -224,6 +226,52 @@ describe('jiraTransformer', () => {
     });
   });
 
+  describe('custom field IDs', () => {
+    const fieldIds = {
+      sprint: 'customfield_20000',
+      epicLink: 'customfield_20001',
+      epicName: 'customfield_20002',
+      epicColor: 'customfield_20003',
+      storyPoints: 'customfield_20004',
+    };
+
+    it('should read custom fields using the discovered IDs', () => {
+      const issue = {
+        id: '1',
+        key: 'PROJ-1',
+        fields: {
+          customfield_20000: [{ id: 7, name: 'Sprint 7', state: 'active' }],
+          customfield_20001: 'PROJ-100',
+          customfield_10015: 'PROJ-999',
+        },
+      };
+
+      const result = transformIssue(issue, { fieldIds });
+
+      expect(result.sprint).toEqual(expect.objectContaining({ id: 7, name: 'Sprint 7' }));
+      expect(result.epicLink).toBe('PROJ-100');
+    });
+
+    it('should use the discovered epic fields and story points', () => {
+      const epic = {
+        id: '100',
+        key: 'PROJ-100',
+        fields: { summary: 'Epic', customfield_20002: 'Epic name', customfield_20003: '#123456' },
+      };
+      const childIssues = [
+        { fields: { status: { statusCategory: { key: 'done' } }, customfield_20004: 3 } },
+        { fields: { status: { statusCategory: { key: 'new' } }, customfield_20004: 1 } },
+      ];
+
+      const result = transformEpic(epic, childIssues, { fieldIds, weightByStoryPoints: true });
+
+      expect(result.epicName).toBe('Epic name');
+      expect(result.color).toBe('#123456');
+      expect(result.progress.points).toEqual({ total: 4, completed: 3 });
+      expect(result.progress.percent).toBe(75);
+    });
+  });
+
   describe('extractSprintInfo', () => {
     it('should extract sprint info from string format', () => {
       const sprintField = 'com.atlassian.greenhopper.service.sprint.Sprint@12345[id=123,name=Sprint 1,...]';
@@ -270,6 +318,113 @@ describe('jiraTransformer', () => {
     });
   });
 
+  describe('extractStatusHistory', () => {
+    it('should list status changes oldest first and ignore other fields', () => {
+      const issue = {
+        changelog: {
+          histories: [
+            {
+              created: '2024-03-10T09:00:00.000Z',
+              items: [{ field: 'status', from: '3', fromString: 'In Progress', to: '10001', toString: 'Done' }],
+            },
+            {
+              created: '2024-03-01T09:00:00.000Z',
+              items: [
+                { field: 'priority', from: '3', fromString: 'Medium', to: '2', toString: 'High' },
+                { field: 'status', from: '1', fromString: 'Open', to: '3', toString: 'In Progress' },
+              ],
+            },
+          ],
+        },
+      };
+
+      expect(extractStatusHistory(issue)).toEqual([
+        { at: '2024-03-01T09:00:00.000Z', from: { id: '1', name: 'Open' }, to: { id: '3', name: 'In Progress' } },
+        { at: '2024-03-10T09:00:00.000Z', from: { id: '3', name: 'In Progress' }, to: { id: '10001', name: 'Done' } },
+      ]);
+    });
+
+    it('should be kept by transformBug', () => {
+      expect(transformBug({ key: 'BUG-1', fields: {} }).statusHistory).toEqual([]);
+    });
+  });
+
+  describe('calculateEpicProgress', () => {
+    const createIssue = (key, statusCategoryKey, storyPoints) => ({
+      key,
+      fields: {
+        status: {
+          statusCategory: {
+            key: statusCategoryKey,
+          },
+        },
+        customfield_10026: storyPoints,
+      },
+    });
+
+    const childIssues = [
+      createIssue('PROJ-2', 'done', 8),
+      createIssue('PROJ-3', 'indeterminate', 3),
+      createIssue('PROJ-4', 'new', 1),
+      createIssue('PROJ-5', 'new'),
+    ];
+
+    it('should count child issues by status category', () => {
+      const result = calculateEpicProgress({ key: 'PROJ-1' }, childIssues);
+
+      expect(result).toMatchObject({
+        total: 4,
+        completed: 1,
+        percent: 25,
+        byStatusCategory: {
+          todo: 2,
+          inProgress: 1,
+          done: 1,
+        },
+        weighting: 'count',
+      });
+    });
+
+    it('should weight progress by story points when requested', () => {
+      const result = calculateEpicProgress({ key: 'PROJ-1' }, childIssues, {
+        weightByStoryPoints: true,
+      });
+
+      expect(result.points).toEqual({ total: 12, completed: 8 });
+      expect(result.percent).toBe(67);
+      expect(result.weighting).toBe('storyPoints');
+    });
+
+    it('should fall back to issue counts when no issue is estimated', () => {
+      const result = calculateEpicProgress({ key: 'PROJ-1' }, [
+        createIssue('PROJ-2', 'done'),
+        createIssue('PROJ-3', 'new'),
+      ], { weightByStoryPoints: true });
+
+      expect(result.percent).toBe(50);
+      expect(result.weighting).toBe('count');
+    });
+
+    it('should return zero progress for an epic without issues', () => {
+      const result = calculateEpicProgress({ key: 'PROJ-1' });
+
+      expect(result.total).toBe(0);
+      expect(result.percent).toBe(0);
+    });
+
+    it('should be used by transformEpic', () => {
+      const epic = {
+        id: '10000',
+        key: 'PROJ-1',
+        fields: {
+          summary: 'Epic',
+        },
+      };
+
+      expect(transformEpic(epic, childIssues).progress.percent).toBe(25);
+    });
+  });
+
   describe('determineBugSeverity', () => {
     it('should determine severity based on priority', () => {
       // Test different priorities
@@ -335,5 +490,67 @@ describe('jiraTransformer', () => {
       expect(result.value).toBe(4);
       expect(result.color).toBe('#FF8C00');
     });
+
+    describe('with a configured severity mapping', () => {
+      const severityMapping = {
+        defaultSeverity: 'Low',
+        rules: [
+          { source: 'labels', values: { 'security-critical': 'Critical', sev2: 'High' } },
+          { source: 'field', field: 'customfield_10050', values: { 'Sev 1': 'Critical', 'Sev 3': 'Medium' } },
+          { source: 'priority', values: { P0: 'Critical', P1: 'High', P4: 'Trivial' } },
+        ],
+        projects: {
+          OPS: { rules: [{ source: 'priority', values: { P1: 'Critical' } }] },
+          PAY: { defaultSeverity: 'High' },
+        },
+      };
+
+      const createBug = (fields) => ({ fields: { project: { key: 'PROJ' }, ...fields } });
+
+      it('should apply rules in order with the first match winning', () => {
+        const bug = createBug({
+          labels: ['SEV2'],
+          customfield_10050: { value: 'Sev 1' },
+          priority: { name: 'P4' },
+        });
+
+        expect(determineBugSeverity(bug, severityMapping)).toEqual({
+          level: 'High',
+          value: 4,
+          color: '#FF8C00',
+          source: 'labels',
+        });
+      });
+
+      it('should read select, multi-select and text custom fields', () => {
+        expect(determineBugSeverity(createBug({ customfield_10050: { value: 'Sev 3' } }), severityMapping).level).toBe('Medium');
+        expect(determineBugSeverity(createBug({ customfield_10050: [{ value: 'Sev 1' }] }), severityMapping).level).toBe('Critical');
+        expect(determineBugSeverity(createBug({ customfield_10050: 'sev 3' }), severityMapping).level).toBe('Medium');
+      });
+
+      it('should fall back to the default severity when no rule matches', () => {
+        const result = determineBugSeverity(createBug({ priority: { name: 'Highest' }, labels: ['ui'] }), severityMapping);
+
+        expect(result.level).toBe('Low');
+        expect(result.source).toBe('default');
+      });
+
+      it('should use project overrides', () => {
+        const opsBug = createBug({ project: { key: 'OPS' }, priority: { name: 'P1' }, labels: ['sev2'] });
+        const payBug = createBug({ project: { key: 'PAY' }, labels: ['ui'] });
+
+        // OPS replaces the rules, PAY only the default severity
+        expect(determineBugSeverity(opsBug, severityMapping).level).toBe('Critical');
+        expect(determineBugSeverity(payBug, severityMapping).level).toBe('High');
+        expect(determineBugSeverity({ ...payBug, fields: { ...payBug.fields, labels: ['sev2'] } }, severityMapping).level).toBe('High');
+      });
+
+      it('should be applied by transformBug', () => {
+        const bug = { id: '1', key: 'PROJ-1', fields: { project: { key: 'PROJ' }, priority: { name: 'P0' } } };
+
+        expect(transformBug(bug, { severityMapping }).severity.level).toBe('Critical');
+        expect(transformBug(bug).severity.level).toBe('Medium');
+      });
+    });
   });
 });
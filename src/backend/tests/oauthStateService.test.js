@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const oauthStateService = require('../services/oauthStateService');
+
+describe('OAuthStateService', () => {
+  beforeEach(() => {
+    oauthStateService.pending.clear();
+  });
+
+  it('should hand back the PKCE verifier matching the challenge', () => {
+    const { state, browserKey, codeChallenge } = oauthStateService.create();
+
+    const codeVerifier = oauthStateService.consume(state, browserKey);
+
+    expect(codeVerifier).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(crypto.createHash('sha256').update(codeVerifier).digest('base64url')).toBe(codeChallenge);
+  });
+
+  it('should reject a replayed state', () => {
+    const { state, browserKey } = oauthStateService.create();
+
+    expect(oauthStateService.consume(state, browserKey)).not.toBeNull();
+    expect(oauthStateService.consume(state, browserKey)).toBeNull();
+  });
+
+  it('should reject a state started in another browser', () => {
+    const { state } = oauthStateService.create();
+    const { browserKey: otherBrowserKey } = oauthStateService.create();
+
+    expect(oauthStateService.consume(state, otherBrowserKey)).toBeNull();
+    expect(oauthStateService.consume(state, undefined)).toBeNull();
+  });
+
+  it('should not let a cross-site attempt leave the state usable', () => {
+    const { state, browserKey } = oauthStateService.create();
+
+    expect(oauthStateService.consume(state, 'attacker-key')).toBeNull();
+    expect(oauthStateService.consume(state, browserKey)).toBeNull();
+  });
+
+  it('should reject forged and missing states', () => {
+    const { state, browserKey } = oauthStateService.create();
+    const [nonce] = state.split('.');
+
+    expect(oauthStateService.consume(`${nonce}.forged-signature`, browserKey)).toBeNull();
+    expect(oauthStateService.consume(nonce, browserKey)).toBeNull();
+    expect(oauthStateService.consume(undefined, browserKey)).toBeNull();
+    expect(oauthStateService.consume(state, browserKey)).not.toBeNull();
+  });
+
+  it('should reject expired states', () => {
+    const { state, browserKey } = oauthStateService.create();
+    const [nonce] = state.split('.');
+    oauthStateService.pending.get(nonce).expiresAt = Date.now() - 1;
+
+    expect(oauthStateService.consume(state, browserKey)).toBeNull();
+  });
+});
@@ -0,0 +1,93 @@
+const pdfExportService = require('../services/pdfExportService');
+
+describe('PdfExportService', () => {
+  const createBug = index => ({
+    key: `WEB-${index}`,
+    summary: `Checkout fails for cart ${index}`,
+    status: { name: 'Open' },
+    assignee: null,
+    created: '2024-03-01T09:00:00.000Z',
+  });
+
+  const report = {
+    sections: ['roadmap', 'epics', 'severity', 'trend', 'criticalBugs'],
+    generatedAt: '2024-03-20T12:00:00.000Z',
+    dataAsOf: '2024-03-20T12:00:00.000Z',
+    timeZone: 'UTC',
+    filters: { roadmap: null, bugs: { projects: ['WEB'], severities: ['Critical'] } },
+    roadmap: {
+      quarters: [{ id: '2024-Q1', name: 'Q1 2024', epicCount: 1 }],
+      epics: [{
+        key: 'WEB-1',
+        summary: 'Checkout redesign',
+        quarter: '2024-Q1',
+        status: 'In Progress',
+        statusCategory: 'In Progress',
+        progress: 40,
+        project: { name: 'Web', color: '#2684FF' },
+        assignee: null,
+      }],
+    },
+    severity: {
+      total: 3,
+      severities: [
+        { severity: 'Critical', count: 1, color: '#FF0000' },
+        { severity: 'High', count: 2, color: '#FF8C00' },
+      ],
+    },
+    trends: {
+      interval: 'month',
+      periods: [{ date: '2024-03-01', created: 3, resolved: 1, open: 5 }],
+      backlog: { trend: 'growing', openAtStart: 3, openAtEnd: 5 },
+    },
+    criticalBugs: [...Array(60)].map((_, index) => createBug(index + 1)),
+    errors: [],
+    fallback: [],
+  };
+
+  // Page objects are not compressed, so they can be counted in the file
+  const getPages = file => file.toString('latin1').match(/\/Type \/Page\n[^>]*/g) || [];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should render a PDF file', async () => {
+    const file = await pdfExportService.render(report);
+
+    expect(file.subarray(0, 4).toString()).toBe('%PDF');
+  });
+
+  it('should list each section in the contents with the page it starts on', async () => {
+    const addTableOfContents = jest.spyOn(pdfExportService, 'addTableOfContents');
+
+    await pdfExportService.render(report);
+
+    const [, pageIndex, contents] = addTableOfContents.mock.calls[0];
+    expect(pageIndex).toBe(1);
+    expect(contents).toEqual([
+      { section: 'roadmap', title: 'Roadmap by quarter', page: 3 },
+      { section: 'epics', title: 'Epics', page: 4 },
+      { section: 'severity', title: 'Open bugs by severity (3)', page: 5 },
+      { section: 'trend', title: 'Bug trend (monthly)', page: 6 },
+      { section: 'criticalBugs', title: 'Open critical bugs', page: 7 },
+    ]);
+  });
+
+  it('should continue long tables on more pages', async () => {
+    const file = await pdfExportService.render({ ...report, sections: ['criticalBugs'] });
+
+    // Cover, contents and more than one page of critical bugs
+    expect(getPages(file).length).toBeGreaterThan(3);
+  });
+
+  it('should use the requested paper size', async () => {
+    const file = await pdfExportService.render({ ...report, sections: ['severity'] }, { pageSize: 'letter' });
+
+    expect(getPages(file)[0]).toContain('/MediaBox [0 0 612 792]');
+  });
+
+  it('should reject unknown paper sizes with a 400 error', () => {
+    expect(() => pdfExportService.validatePageSize('A3')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
@@ -0,0 +1,76 @@
+const pptxExportService = require('../services/pptxExportService');
+
+describe('PptxExportService', () => {
+  const createEpic = (key, quarter) => ({
+    key,
+    summary: `Epic ${key}`,
+    quarter,
+    status: 'In Progress',
+    statusCategory: 'In Progress',
+    progress: 40,
+    project: { name: 'Web', color: '#2684FF' },
+    assignee: null,
+  });
+
+  const report = {
+    sections: ['roadmap', 'epics', 'severity', 'trend', 'criticalBugs'],
+    generatedAt: '2024-03-20T12:00:00.000Z',
+    dataAsOf: '2024-03-20T12:00:00.000Z',
+    timeZone: 'UTC',
+    filters: { roadmap: { projects: ['WEB'] }, bugs: null },
+    roadmap: {
+      quarters: [{ id: '2024-Q1', name: 'Q1 2024', epicCount: 8 }],
+      epics: [...Array(8)].map((_, index) => createEpic(`WEB-${index + 1}`, '2024-Q1')),
+    },
+    severity: {
+      total: 3,
+      severities: [
+        { severity: 'Critical', count: 1, color: '#FF0000' },
+        { severity: 'High', count: 2, color: '#FF8C00' },
+      ],
+    },
+    trends: {
+      interval: 'week',
+      periods: [{ date: '2024-03-11', created: 3, resolved: 1, open: 5 }],
+      backlog: { trend: 'growing', openAtStart: 3, openAtEnd: 5 },
+    },
+    criticalBugs: [],
+    errors: [],
+    fallback: [],
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should render a .pptx file', async () => {
+    const file = await pptxExportService.render(report);
+
+    expect(Buffer.isBuffer(file)).toBe(true);
+    // .pptx files are zip archives
+    expect(file.subarray(0, 2).toString()).toBe('PK');
+  });
+
+  it('should add a slide per section and continue long sections on more slides', async () => {
+    const addSlide = jest.spyOn(pptxExportService, 'addSlide');
+
+    await pptxExportService.render(report);
+
+    expect(addSlide.mock.calls.map(([, title]) => title)).toEqual([
+      'Roadmap by quarter (1/2)',
+      'Roadmap by quarter (2/2)',
+      'Epics',
+      'Open bugs by severity (3)',
+      'Bug trend (weekly)',
+      'Open critical bugs',
+    ]);
+  });
+
+  it('should only render the requested sections', async () => {
+    const addSlide = jest.spyOn(pptxExportService, 'addSlide');
+
+    await pptxExportService.render({ ...report, sections: ['severity'] });
+
+    expect(addSlide).toHaveBeenCalledTimes(1);
+  });
+});
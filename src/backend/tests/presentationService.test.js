@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const presentationService = require('../services/presentationService');
+const reportExportService = require('../services/reportExportService');
+
+describe('PresentationService', () => {
+  const auth = { accessToken: 'test-token', siteId: 'default', siteName: 'Jira', siteUrl: 'https://jira.example.com' };
+  const now = new Date('2024-03-20T12:00:00.000Z');
+
+  const createEpic = (key, quarter) => ({ key, summary: `Epic ${key}`, quarter, progress: 50 });
+  const createReport = criticalCount => ({
+    sections: ['roadmap', 'severity', 'trend', 'criticalBugs'],
+    generatedAt: now.toISOString(),
+    dataAsOf: now.toISOString(),
+    timeZone: 'UTC',
+    filters: { roadmap: { projects: ['WEB'] }, bugs: { projects: ['WEB'] } },
+    roadmap: {
+      quarters: [
+        { id: '2024-Q1', name: 'Q1 2024', epicCount: 10 },
+        { id: '2024-Q2', name: 'Q2 2024', epicCount: 1 },
+        { id: '2024-Q3', name: 'Q3 2024', epicCount: 1 },
+      ],
+      epics: [
+        ...[...Array(10)].map((_, index) => createEpic(`WEB-${index + 1}`, '2024-Q1')),
+        createEpic('WEB-20', '2024-Q2'),
+        createEpic('WEB-30', '2024-Q3'),
+      ],
+    },
+    severity: { total: criticalCount, severities: [] },
+    trends: { interval: 'week', periods: [], backlog: {} },
+    criticalBugs: [...Array(criticalCount)].map((_, index) => ({ key: `WEB-${100 + index}` })),
+    errors: [],
+    fallback: [],
+  });
+
+  const deck = {
+    id: 'exec-weekly',
+    title: 'Weekly executive review',
+    durationMinutes: 30,
+    filters: { roadmap: { projects: ['WEB'] } },
+    slides: [
+      { view: 'roadmap', quarters: ['current', 'next'] },
+      { view: 'severity' },
+      { view: 'criticalBugs' },
+    ],
+  };
+
+  beforeEach(() => {
+    presentationService.setConfig({ decks: [deck] });
+    jest.spyOn(reportExportService, 'getReportData').mockResolvedValue(createReport(8));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    presentationService.setConfig(null);
+    presentationService.presentations.clear();
+  });
+
+  describe('configuration', () => {
+    it('should provide a default deck without configuration', () => {
+      presentationService.setConfig(null);
+
+      expect(presentationService.getDecks()).toEqual([expect.objectContaining({
+        id: 'overview',
+        views: ['roadmap', 'severity', 'trend', 'criticalBugs'],
+      })]);
+    });
+
+    it('should load decks from DECKS_FILE', () => {
+      const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'decks-')), 'decks.json');
+      fs.writeFileSync(file, JSON.stringify({ decks: [deck] }));
+      process.env.DECKS_FILE = file;
+
+      try {
+        presentationService.setConfig(null);
+        expect(presentationService.getDecks()).toEqual([{
+          id: 'exec-weekly',
+          title: 'Weekly executive review',
+          durationMinutes: 30,
+          views: ['roadmap', 'severity', 'criticalBugs'],
+        }]);
+      } finally {
+        delete process.env.DECKS_FILE;
+      }
+    });
+
+    it('should reject unknown views and duplicate deck ids', () => {
+      expect(() => presentationService.setConfig({ decks: [{ id: 'a', slides: [{ view: 'burndown' }] }] }))
+        .toThrow('unknown view "burndown"');
+      expect(() => presentationService.setConfig({ decks: [deck, deck] })).toThrow('duplicate deck id');
+    });
+  });
+
+  describe('startPresentation', () => {
+    it('should load the deck data once with its filters', async () => {
+      await presentationService.startPresentation([auth], 'exec-weekly', { accountId: 'user-1', now });
+
+      expect(reportExportService.getReportData).toHaveBeenCalledWith([auth], expect.objectContaining({
+        sections: ['roadmap', 'severity', 'criticalBugs'],
+        filters: deck.filters,
+        interval: 'week',
+        now,
+      }));
+    });
+
+    it('should show relative quarters and split long lists over slides', async () => {
+      const presentation = await presentationService.startPresentation([auth], 'exec-weekly', { accountId: 'user-1', now });
+
+      expect(presentation.slides.map(slide => slide.title)).toEqual([
+        'Roadmap · Q1 2024 (1/2)',
+        'Roadmap · Q1 2024 (2/2)',
+        'Roadmap · Q2 2024',
+        'Open bugs by severity',
+        'Open critical bugs (8) (1/2)',
+        'Open critical bugs (8) (2/2)',
+      ]);
+      expect(presentation.slides[1].epics.map(epic => epic.key)).toEqual(['WEB-10']);
+    });
+
+    it('should report unknown decks with a 404 error', async () => {
+      await expect(presentationService.startPresentation([auth], 'missing', { now }))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getPresentation', () => {
+    it('should keep the data frozen at the start for the presenter only', async () => {
+      const started = await presentationService.startPresentation([auth], 'exec-weekly', { accountId: 'user-1' });
+      reportExportService.getReportData.mockResolvedValue(createReport(2));
+
+      const reopened = presentationService.getPresentation(started.id, 'user-1');
+
+      expect(reopened.slides).toEqual(started.slides);
+      expect(presentationService.getPresentation(started.id, 'user-2')).toBeNull();
+      expect(presentationService.getPresentation('unknown', 'user-1')).toBeNull();
+    });
+
+    it('should forget expired presentations', async () => {
+      // Started long enough ago to have expired
+      const started = await presentationService.startPresentation([auth], 'exec-weekly', { accountId: 'user-1', now });
+
+      expect(presentationService.getPresentation(started.id, 'user-1')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,27 @@
+const { parseListParam, parseTextParam, parseRoadmapOptions, parseBugTableOptions } = require('../utils/queryUtils');
+
+describe('queryUtils', () => {
+  describe('parseListParam', () => {
+    it('should accept comma-separated and repeated values', () => {
+      expect(parseListParam('A, B')).toEqual(['A', 'B']);
+      expect(parseListParam(['A', 'B,C', ''])).toEqual(['A', 'B', 'C']);
+      expect(parseListParam(undefined)).toEqual([]);
+    });
+  });
+
+  describe('parseTextParam', () => {
+    it('should use the first of repeated values and ignore anything but text', () => {
+      expect(parseTextParam('checkout')).toBe('checkout');
+      expect(parseTextParam(['checkout', 'payments'])).toBe('checkout');
+      expect(parseTextParam({ term: 'checkout' })).toBe('');
+      expect(parseTextParam(undefined)).toBe('');
+    });
+  });
+
+  it('should parse repeated search parameters as text', () => {
+    const query = { projects: 'WEB', search: ['Checkout', 'Payments'], status: ['open', 'all'] };
+
+    expect(parseRoadmapOptions(query).filters.searchTerm).toBe('Checkout');
+    expect(parseBugTableOptions(query)).toMatchObject({ statusCategory: 'open', search: 'Checkout' });
+  });
+});
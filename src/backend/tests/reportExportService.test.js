@@ -0,0 +1,133 @@
+const reportExportService = require('../services/reportExportService');
+const roadmapService = require('../services/roadmapService');
+const bugReportService = require('../services/bugReportService');
+
+describe('ReportExportService', () => {
+  const auth = { accessToken: 'test-token', siteId: 'default', siteName: 'Jira', siteUrl: 'https://jira.example.com' };
+  const now = new Date('2024-03-20T12:00:00.000Z');
+
+  const createBug = (key, level, { created = '2024-03-18T09:00:00.000Z', category = 'To Do' } = {}) => ({
+    key,
+    project: { key: key.split('-')[0] },
+    site: { id: 'default', name: 'Jira' },
+    severity: { level },
+    status: { name: category, category },
+    created,
+    resolutionDate: null,
+  });
+
+  beforeEach(() => {
+    jest.spyOn(roadmapService, 'getRoadmap').mockResolvedValue({
+      quarters: [],
+      epics: [],
+      filters: {},
+      errors: [{ project: 'ERP', site: 'default', message: 'Failed to fetch Jira project ERP' }],
+      fallback: [],
+    });
+    jest.spyOn(bugReportService, 'getBugs').mockResolvedValue({
+      bugs: [
+        createBug('WEB-1', 'Critical', { created: '2024-03-10T09:00:00.000Z' }),
+        createBug('WEB-2', 'Critical'),
+        createBug('WEB-3', 'Critical', { category: 'Done' }),
+        createBug('WEB-4', 'Low'),
+      ],
+      errors: [{ project: 'ERP', site: 'default', message: 'Failed to fetch bugs for project ERP' }],
+      fallback: [{ project: 'WEB', site: 'default', syncedAt: '2024-03-20T06:00:00.000Z', message: 'Jira did not respond in time' }],
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('validateSections', () => {
+    it('should return the sections in export order', () => {
+      expect(reportExportService.validateSections(['criticalBugs', 'roadmap'])).toEqual(['roadmap', 'criticalBugs']);
+    });
+
+    it('should reject missing and unknown sections with a 400 error', () => {
+      expect(() => reportExportService.validateSections([])).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(() => reportExportService.validateSections(['roadmap', 'burndown'])).toThrow('Unknown section "burndown"');
+    });
+  });
+
+  describe('getReportData', () => {
+    it('should only load the data the sections need', async () => {
+      const report = await reportExportService.getReportData([auth], {
+        sections: ['epics'],
+        filters: { roadmap: { projects: ['WEB'], owners: ['user-1'], sort: 'dueDate' } },
+        now,
+      });
+
+      expect(roadmapService.getRoadmap).toHaveBeenCalledWith([auth], expect.objectContaining({
+        projects: ['WEB'],
+        filters: expect.objectContaining({ assignees: ['user-1'] }),
+        sort: { field: 'dueDate', order: 'asc' },
+      }));
+      expect(bugReportService.getBugs).not.toHaveBeenCalled();
+      expect(report.severity).toBeNull();
+      expect(report.filters.bugs).toBeNull();
+      expect(report.dataAsOf).toBe('2024-03-20T12:00:00.000Z');
+    });
+
+    it('should apply the bug filters and list open critical bugs newest first', async () => {
+      const report = await reportExportService.getReportData([auth], {
+        sections: ['severity', 'criticalBugs', 'trend'],
+        filters: { bugs: { projects: ['WEB', 'ERP'], severities: ['critical'] } },
+        interval: 'month',
+        now,
+      });
+
+      expect(report.severity.total).toBe(2);
+      expect(report.criticalBugs.map(bug => bug.key)).toEqual(['WEB-2', 'WEB-1']);
+      expect(report.trends.interval).toBe('month');
+      expect(report.trends.periods).toHaveLength(6);
+    });
+
+    it('should date the report by its oldest stored data and merge project problems', async () => {
+      const report = await reportExportService.getReportData([auth], {
+        sections: ['roadmap', 'severity'],
+        filters: { roadmap: { projects: ['WEB', 'ERP'] }, bugs: { projects: ['WEB', 'ERP'] } },
+        timeZone: 'Europe/Paris',
+        now,
+      });
+
+      expect(report.dataAsOf).toBe('2024-03-20T06:00:00.000Z');
+      expect(report.timeZone).toBe('Europe/Paris');
+      expect(report.errors).toHaveLength(1);
+      expect(report.fallback).toEqual([expect.objectContaining({ project: 'WEB' })]);
+    });
+
+    it('should reject invalid sort fields and unknown time zones', async () => {
+      await expect(reportExportService.getReportData([auth], {
+        sections: ['epics'],
+        filters: { roadmap: { projects: ['WEB'], sort: 'color' } },
+      })).rejects.toMatchObject({ statusCode: 400 });
+
+      const report = await reportExportService.getReportData([auth], {
+        sections: ['epics'],
+        filters: { roadmap: { projects: ['WEB'] } },
+        timeZone: 'Mars/Olympus_Mons',
+      });
+      expect(report.timeZone).toBe('UTC');
+    });
+  });
+
+  describe('formatting', () => {
+    it('should describe the filters in effect', () => {
+      const lines = reportExportService.describeFilters({
+        filters: {
+          roadmap: { projects: ['WEB', 'ERP'], assignees: [], searchTerm: 'login' },
+          bugs: { projects: ['WEB', 'ERP'], severities: ['Critical'] },
+        },
+      });
+
+      expect(lines).toEqual(['Projects: WEB, ERP', 'Search: login', 'Severities: Critical']);
+    });
+
+    it('should format timestamps in the report time zone', () => {
+      expect(reportExportService.formatTimestamp('2024-03-20T12:00:00.000Z', 'Europe/Paris')).toBe('20 Mar 2024, 13:00 CET');
+      expect(reportExportService.formatTimestamp('2024-03-20T12:00:00.000Z')).toBe('20 Mar 2024, 12:00 UTC');
+    });
+  });
+});
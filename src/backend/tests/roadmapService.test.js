@@ -0,0 +1,282 @@
+const roadmapService = require('../services/roadmapService');
+const jiraDataService = require('../services/jiraDataService');
+const siteRegistryService = require('../services/siteRegistryService');
+const dataStoreService = require('../services/dataStoreService');
+
+// Mock jiraDataService and field discovery (transforms fall back to the default field IDs)
+jest.mock('../services/jiraDataService');
+jest.mock('../services/fieldDiscoveryService');
+
+const createEpic = (key, { duedate = null, category = 'To Do', assignee = null } = {}) => ({
+  id: key.replace(/\D/g, ''),
+  key,
+  fields: {
+    summary: `Epic ${key}`,
+    duedate,
+    status: {
+      name: category,
+      statusCategory: { name: category },
+    },
+    assignee,
+  },
+});
+
+const createProject = (id, key, versions = []) => ({ id, key, name: `Project ${key}`, issueTypes: [], versions });
+
+describe('RoadmapService', () => {
+  const projectData = [
+    {
+      project: createProject('1', 'PROJ1', [
+        { id: '100', name: 'v2.0', releaseDate: '2024-09-30', released: false },
+        { id: '101', name: 'v1.0', releaseDate: '2024-01-15', released: true },
+        { id: '102', name: 'Unscheduled' },
+      ]),
+      epics: [
+        createEpic('PROJ1-1', { duedate: '2024-02-15', category: 'Done' }),
+        createEpic('PROJ1-2', { duedate: '2024-08-01', assignee: { accountId: 'user-1', displayName: 'Ann' } }),
+      ],
+    },
+    {
+      project: createProject('2', 'PROJ2'),
+      epics: [
+        createEpic('PROJ2-1', { duedate: '2023-11-20', category: 'In Progress' }),
+        createEpic('PROJ2-2'),
+      ],
+    },
+  ];
+
+  const issuesByEpic = {
+    'PROJ1-2': [
+      { key: 'PROJ1-10', fields: { status: { statusCategory: { key: 'done' } } } },
+      { key: 'PROJ1-11', fields: { status: { statusCategory: { key: 'new' } } } },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(dataStoreService, 'getProject').mockReturnValue(null);
+    jest.spyOn(dataStoreService, 'hasAccess').mockReturnValue(false);
+    jest.spyOn(dataStoreService, 'recordAccess').mockResolvedValue();
+  });
+
+  describe('buildRoadmapViewModel', () => {
+    it('should group epics by quarter in chronological order with the backlog last', () => {
+      const result = roadmapService.buildRoadmapViewModel(projectData, issuesByEpic);
+
+      expect(result.quarters.map(quarter => quarter.id)).toEqual(['2023-Q4', '2024-Q1', '2024-Q3', 'Backlog']);
+      expect(result.quarters[1]).toEqual({
+        id: '2024-Q1',
+        name: 'Q1 2024',
+        startDate: '2024-01-01',
+        endDate: '2024-03-31',
+        epicCount: 1,
+      });
+      expect(result.projects.map(project => project.epicCount)).toEqual([2, 2]);
+    });
+
+    it('should include progress and child counts for each epic', () => {
+      const result = roadmapService.buildRoadmapViewModel(projectData, issuesByEpic);
+      const epic = result.epics.find(item => item.key === 'PROJ1-2');
+
+      expect(epic).toMatchObject({
+        progress: 50,
+        childCount: 2,
+        completedCount: 1,
+        quarter: '2024-Q3',
+        assignee: { id: 'user-1', displayName: 'Ann' },
+        project: { key: 'PROJ1' },
+      });
+    });
+
+    it('should list project versions with a release date as milestones', () => {
+      const result = roadmapService.buildRoadmapViewModel(projectData, issuesByEpic);
+
+      expect(result.milestones).toEqual([
+        expect.objectContaining({ name: 'v1.0', quarter: '2024-Q1', released: true, project: expect.objectContaining({ key: 'PROJ1' }) }),
+        expect.objectContaining({ name: 'v2.0', quarter: '2024-Q3', released: false }),
+      ]);
+    });
+
+    it('should filter by owner, status category, year and quarter', () => {
+      const byOwner = roadmapService.buildRoadmapViewModel(projectData, issuesByEpic, {
+        filters: { assignees: ['user-1'] },
+      });
+      expect(byOwner.epics.map(epic => epic.key)).toEqual(['PROJ1-2']);
+
+      const byStatus = roadmapService.buildRoadmapViewModel(projectData, issuesByEpic, {
+        filters: { statuses: ['inProgress', 'done'] },
+      });
+      expect(byStatus.epics.map(epic => epic.key)).toEqual(['PROJ1-1', 'PROJ2-1']);
+
+      const byYearAndQuarter = roadmapService.buildRoadmapViewModel(projectData, issuesByEpic, {
+        filters: { years: ['2024'], quarters: ['Q3'] },
+      });
+      expect(byYearAndQuarter.epics.map(epic => epic.key)).toEqual(['PROJ1-2']);
+      expect(byYearAndQuarter.filters.years).toEqual([2024]);
+    });
+
+    it('should sort by any column with empty values last', () => {
+      const byDueDate = roadmapService.buildRoadmapViewModel(projectData, issuesByEpic, {
+        sort: { field: 'dueDate', order: 'desc' },
+      });
+      expect(byDueDate.epics.map(epic => epic.key)).toEqual(['PROJ1-2', 'PROJ1-1', 'PROJ2-1', 'PROJ2-2']);
+
+      const byProgress = roadmapService.buildRoadmapViewModel(projectData, issuesByEpic, {
+        sort: { field: 'progress', order: 'desc' },
+      });
+      expect(byProgress.epics[0].key).toBe('PROJ1-2');
+    });
+  });
+
+  describe('getRoadmap', () => {
+    const auth = { accessToken: 'test-token', siteId: 'default', siteName: 'Jira', siteUrl: 'https://jira.example.com', accountId: 'account-1' };
+
+    afterEach(() => {
+      siteRegistryService.setSites(null);
+    });
+
+    it('should aggregate epics from all requested projects', async () => {
+      jiraDataService.getProject.mockImplementation(async key => (
+        projectData.find(({ project }) => project.key === key).project
+      ));
+      jiraDataService.getEpics.mockImplementation(async key => (
+        projectData.find(({ project }) => project.key === key).epics
+      ));
+      jiraDataService.getIssuesForEpics.mockResolvedValue(issuesByEpic);
+
+      const result = await roadmapService.getRoadmap([auth], { projects: ['PROJ1', 'PROJ2'] });
+
+      expect(result.epics).toHaveLength(4);
+      expect(result.filters.projects).toEqual(['PROJ1', 'PROJ2']);
+      expect(result.errors).toEqual([]);
+      expect(jiraDataService.getIssuesForEpics).toHaveBeenCalledTimes(1);
+      expect(jiraDataService.getIssuesForEpics).toHaveBeenCalledWith(
+        ['PROJ1-1', 'PROJ1-2', 'PROJ2-1', 'PROJ2-2'],
+        auth,
+      );
+      expect(result.epics[0].webUrl).toBe('https://jira.example.com/browse/PROJ1-1');
+      expect(dataStoreService.recordAccess).toHaveBeenCalledWith('default', 'PROJ1', 'account-1');
+      expect(dataStoreService.recordAccess).toHaveBeenCalledWith('default', 'PROJ2', 'account-1');
+    });
+
+    it('should merge projects from several sites with the site as a dimension', async () => {
+      siteRegistryService.setSites({
+        sites: [
+          { id: 'cloud', name: 'Cloud', url: 'https://cloud.atlassian.net', projects: ['PROJ1'] },
+          { id: 'dc', name: 'Data Center', url: 'https://jira.internal', projects: ['PROJ2'] },
+        ],
+      });
+      const cloudAuth = { accessToken: 'test-token', cloudId: 'cloud-1', siteId: 'cloud', siteName: 'Cloud', siteUrl: 'https://cloud.atlassian.net' };
+      const dcAuth = { accessToken: 'test-token', siteId: 'dc', siteName: 'Data Center', siteUrl: 'https://jira.internal' };
+
+      jiraDataService.getProject.mockImplementation(async key => (
+        projectData.find(({ project }) => project.key === key).project
+      ));
+      jiraDataService.getEpics.mockImplementation(async key => (
+        projectData.find(({ project }) => project.key === key).epics
+      ));
+      jiraDataService.getIssuesForEpics.mockResolvedValue(issuesByEpic);
+
+      const result = await roadmapService.getRoadmap([cloudAuth, dcAuth], {
+        projects: ['PROJ1', 'PROJ2'],
+        filters: { sites: ['dc'] },
+      });
+
+      expect(jiraDataService.getEpics).toHaveBeenCalledWith('PROJ1', cloudAuth);
+      expect(jiraDataService.getEpics).toHaveBeenCalledWith('PROJ2', dcAuth);
+      expect(jiraDataService.getIssuesForEpics).toHaveBeenCalledTimes(2);
+      expect(result.sites).toEqual([{ id: 'cloud', name: 'Cloud' }, { id: 'dc', name: 'Data Center' }]);
+      expect(result.epics.map(epic => epic.key)).toEqual(['PROJ2-1', 'PROJ2-2']);
+      expect(result.epics[0].project.site).toEqual({ id: 'dc', name: 'Data Center' });
+      expect(result.epics[0].webUrl).toBe('https://jira.internal/browse/PROJ2-1');
+    });
+
+    it('should report projects on sites the session is not connected to', async () => {
+      jiraDataService.getIssuesForEpics.mockResolvedValue({});
+
+      const result = await roadmapService.getRoadmap([auth], { projects: ['other:PROJ9'] });
+
+      expect(result.errors).toEqual([
+        { project: 'PROJ9', site: 'other', message: 'Not connected to Jira site other' },
+      ]);
+    });
+
+    it('should report projects that could not be loaded', async () => {
+      jiraDataService.getProject.mockRejectedValue(new Error('Failed to fetch Jira project PROJ3'));
+      jiraDataService.getEpics.mockResolvedValue([]);
+      jiraDataService.getIssuesForEpics.mockResolvedValue({});
+
+      const result = await roadmapService.getRoadmap([auth], { projects: ['PROJ3'] });
+
+      expect(result.epics).toEqual([]);
+      expect(result.errors).toEqual([
+        { project: 'PROJ3', site: 'default', message: 'Failed to fetch Jira project PROJ3' },
+      ]);
+    });
+
+    describe('when Jira is unavailable', () => {
+      const syncedAt = '2024-03-20T12:00:00.000Z';
+      const site = { id: 'default', name: 'Jira', url: 'https://jira.example.com' };
+
+      beforeEach(() => {
+        const [proj1] = projectData;
+        const records = dataStoreService.normalize({ key: 'PROJ1', site, ...proj1, issuesByEpic }, syncedAt);
+
+        dataStoreService.getProject.mockImplementation((siteId, key) => (
+          siteId === 'default' && key === 'PROJ1'
+            ? { project: records.projects[0].project, site, syncedAt, epics: records.epics, issues: records.issues, bugs: [] }
+            : null
+        ));
+        dataStoreService.hasAccess.mockImplementation((siteId, key, accountId) => accountId === 'account-1');
+        jiraDataService.getEpics.mockResolvedValue([]);
+        jiraDataService.getIssuesForEpics.mockResolvedValue({});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        console.warn.mockRestore();
+      });
+
+      it('should serve synced projects from the store', async () => {
+        const unavailable = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+        jiraDataService.getProject.mockRejectedValue(new Error('Failed to fetch Jira project', { cause: unavailable }));
+
+        const result = await roadmapService.getRoadmap([auth], { projects: ['PROJ1', 'PROJ2'] });
+
+        expect(result.epics.map(epic => epic.key)).toEqual(['PROJ1-1', 'PROJ1-2']);
+        expect(result.epics.find(epic => epic.key === 'PROJ1-2').progress).toBe(50);
+        expect(result.milestones.map(milestone => milestone.name)).toEqual(['v1.0', 'v2.0']);
+        expect(result.fallback).toEqual([
+          { project: 'PROJ1', site: 'default', syncedAt, message: 'Failed to fetch Jira project' },
+        ]);
+        expect(result.errors).toEqual([
+          { project: 'PROJ2', site: 'default', message: 'Failed to fetch Jira project' },
+        ]);
+      });
+
+      it('should not serve stored data when Jira refuses the request', async () => {
+        const forbidden = Object.assign(new Error('Request failed with status code 403'), { response: { status: 403 } });
+        jiraDataService.getProject.mockRejectedValue(new Error('Failed to fetch Jira project', { cause: forbidden }));
+
+        const result = await roadmapService.getRoadmap([auth], { projects: ['PROJ1'] });
+
+        expect(result.epics).toEqual([]);
+        expect(result.fallback).toEqual([]);
+        expect(result.errors).toHaveLength(1);
+      });
+
+      it('should not serve stored data to users who have not loaded the project before', async () => {
+        const unavailable = Object.assign(new Error('Request failed with status code 503'), { response: { status: 503 } });
+        jiraDataService.getProject.mockRejectedValue(new Error('Failed to fetch Jira project', { cause: unavailable }));
+
+        const result = await roadmapService.getRoadmap([{ ...auth, accountId: 'account-2' }], { projects: ['PROJ1'] });
+
+        expect(result.epics).toEqual([]);
+        expect(result.fallback).toEqual([]);
+        expect(result.errors).toEqual([
+          { project: 'PROJ1', site: 'default', message: 'Failed to fetch Jira project' },
+        ]);
+      });
+    });
+  });
+});
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const roleService = require('../services/roleService');
+const { requireRole } = require('../middleware/roleMiddleware');
+
+describe('RoleService', () => {
+  const originalEnv = { ...process.env };
+
+  const config = {
+    defaultRole: 'viewer',
+    roles: {
+      admin: { accountIds: ['account-admin'], groups: ['jira-administrators'] },
+      editor: { groups: ['Product-Managers'] },
+    },
+  };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    roleService.setConfig(null);
+  });
+
+  describe('getRole', () => {
+    beforeEach(() => {
+      roleService.setConfig(config);
+    });
+
+    it('should assign roles by account ID', () => {
+      expect(roleService.getRole({ accountId: 'account-admin', groups: [] })).toBe('admin');
+    });
+
+    it('should assign roles by group membership, ignoring case', () => {
+      expect(roleService.getRole({ accountId: 'account-1', groups: ['product-managers'] })).toBe('editor');
+    });
+
+    it('should give the most privileged matching role', () => {
+      const user = { accountId: 'account-1', groups: ['product-managers', 'jira-administrators'] };
+
+      expect(roleService.getRole(user)).toBe('admin');
+    });
+
+    it('should fall back to the default role', () => {
+      expect(roleService.getRole({ accountId: 'account-1', groups: ['developers'] })).toBe('viewer');
+      expect(roleService.getRole({ accountId: 'account-1' })).toBe('viewer');
+
+      roleService.setConfig({ ...config, defaultRole: 'editor' });
+      expect(roleService.getRole({ accountId: 'account-1' })).toBe('editor');
+    });
+
+    it('should make every user a viewer without configuration', () => {
+      delete process.env.ROLES_FILE;
+      delete process.env.ROLES;
+      roleService.setConfig(null);
+
+      expect(roleService.getRole({ accountId: 'account-admin', groups: ['jira-administrators'] })).toBe('viewer');
+    });
+  });
+
+  describe('configuration', () => {
+    it('should load roles from ROLES_FILE', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'roles-'));
+      const file = path.join(dir, 'roles.json');
+      fs.writeFileSync(file, JSON.stringify(config));
+      process.env.ROLES_FILE = file;
+
+      expect(roleService.getRole({ accountId: 'account-admin' })).toBe('admin');
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should reject unknown roles and malformed assignments', () => {
+      expect(() => roleService.setConfig({ roles: { owner: {} } })).toThrow('unknown role "owner"');
+      expect(() => roleService.setConfig({ defaultRole: 'owner' })).toThrow('defaultRole must be one of');
+      expect(() => roleService.setConfig({ roles: { admin: { groups: 'jira-administrators' } } }))
+        .toThrow('admin.groups must be an array of strings');
+    });
+
+    it('should report invalid JSON', () => {
+      delete process.env.ROLES_FILE;
+      process.env.ROLES = '{ not json';
+
+      expect(() => roleService.getConfig()).toThrow('Invalid role configuration');
+    });
+  });
+
+  describe('requireRole', () => {
+    const createResponse = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it('should let users with the role or a more privileged one through', () => {
+      const next = jest.fn();
+
+      requireRole('editor')({ role: 'editor' }, createResponse(), next);
+      requireRole('editor')({ role: 'admin' }, createResponse(), next);
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject less privileged users', () => {
+      const res = createResponse();
+      const next = jest.fn();
+
+      requireRole('admin')({ role: 'viewer' }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INSUFFICIENT_ROLE' }));
+    });
+
+    it('should reject unauthenticated requests and unknown roles', () => {
+      const res = createResponse();
+
+      requireRole('viewer')({}, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(() => requireRole('owner')).toThrow('Unknown role "owner"');
+    });
+  });
+});
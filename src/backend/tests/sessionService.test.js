@@ -0,0 +1,165 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sessionService = require('../services/sessionService');
+const { MemorySessionStore, FileSessionStore, createSessionStore } = require('../services/sessionStore');
+const { getSessionSecret } = require('../utils/securityUtils');
+
+describe('SessionService', () => {
+  const session = {
+    user: { accountId: 'account-1' },
+    oauth: { access_token: 'secret-access-token', refresh_token: 'secret-refresh-token', expires_at: 0 },
+    credentials: null,
+    sites: [],
+  };
+
+  let store;
+
+  beforeEach(() => {
+    store = new MemorySessionStore();
+    sessionService.setStore(store);
+  });
+
+  afterAll(() => {
+    sessionService.setStore(null);
+  });
+
+  it('should hand out opaque ids and keep the session on the server', async () => {
+    const sessionId = await sessionService.create(session);
+
+    expect(sessionId).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(await sessionService.get(sessionId)).toEqual(session);
+  });
+
+  it('should encrypt sessions at rest under a hash of the id', async () => {
+    const sessionId = await sessionService.create(session);
+    const stored = JSON.stringify([...store.records.entries()]);
+
+    expect(stored).not.toContain(sessionId);
+    expect(stored).not.toContain('secret-access-token');
+    expect(stored).not.toContain('secret-refresh-token');
+  });
+
+  it('should drop sessions that were tampered with', async () => {
+    const sessionId = await sessionService.create(session);
+    const [[key, record]] = [...store.records.entries()];
+    const [iv, authTag, ciphertext] = record.data.split('.');
+    const tampered = Buffer.from(ciphertext, 'base64');
+    tampered[0] ^= 1;
+    store.records.set(key, { ...record, data: [iv, authTag, tampered.toString('base64')].join('.') });
+
+    expect(await sessionService.get(sessionId)).toBeNull();
+    expect(store.records.size).toBe(0);
+  });
+
+  it('should expire sessions', async () => {
+    const sessionId = await sessionService.create(session);
+    const [[key, record]] = [...store.records.entries()];
+    store.records.set(key, { ...record, expiresAt: Date.now() - 1 });
+
+    expect(await sessionService.get(sessionId)).toBeNull();
+  });
+
+  it('should update sessions without extending them', async () => {
+    const sessionId = await sessionService.create(session);
+    const [[, { expiresAt }]] = [...store.records.entries()];
+
+    const updated = await sessionService.update(sessionId, { sites: [{ id: 'default' }] });
+
+    expect(updated.sites).toEqual([{ id: 'default' }]);
+    expect((await sessionService.get(sessionId)).sites).toEqual([{ id: 'default' }]);
+    expect([...store.records.values()][0].expiresAt).toBe(expiresAt);
+  });
+
+  it('should revoke sessions', async () => {
+    const sessionId = await sessionService.create(session);
+
+    await sessionService.destroy(sessionId);
+
+    expect(await sessionService.get(sessionId)).toBeNull();
+    expect(await sessionService.update(sessionId, { user: null })).toBeNull();
+  });
+
+  describe('FileSessionStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sessions-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should keep sessions across restarts', async () => {
+      const file = path.join(dir, 'sessions.json');
+      sessionService.setStore(new FileSessionStore(file));
+      const sessionId = await sessionService.create(session);
+
+      sessionService.setStore(new FileSessionStore(file));
+
+      expect(await sessionService.get(sessionId)).toEqual(session);
+      expect(fs.readdirSync(dir)).toEqual(['sessions.json']);
+    });
+
+    it('should persist revocation and purge expired sessions', async () => {
+      const file = path.join(dir, 'nested', 'sessions.json');
+      const fileStore = new FileSessionStore(file);
+      await fileStore.set('a', { data: 'a', expiresAt: Date.now() + 1000 });
+      await fileStore.set('b', { data: 'b', expiresAt: Date.now() - 1000 });
+      await fileStore.set('c', { data: 'c', expiresAt: Date.now() + 1000 });
+
+      await fileStore.delete('a');
+      expect(await fileStore.purgeExpired(Date.now())).toBe(1);
+
+      expect(Object.keys(JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual(['c']);
+    });
+  });
+
+  describe('createSessionStore', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should create the configured store', () => {
+      delete process.env.SESSION_STORE;
+      expect(createSessionStore()).toBeInstanceOf(MemorySessionStore);
+
+      process.env.SESSION_STORE = 'file';
+      expect(createSessionStore()).toBeInstanceOf(FileSessionStore);
+
+      process.env.SESSION_STORE = 'redis';
+      expect(() => createSessionStore()).toThrow('Invalid session store "redis"');
+    });
+  });
+
+  describe('getSessionSecret', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should use SESSION_SECRET', () => {
+      process.env.SESSION_SECRET = 'configured-secret';
+      expect(getSessionSecret()).toBe('configured-secret');
+    });
+
+    it('should refuse to run in production without SESSION_SECRET', () => {
+      delete process.env.SESSION_SECRET;
+      process.env.NODE_ENV = 'production';
+      expect(() => getSessionSecret()).toThrow('SESSION_SECRET must be set in production');
+    });
+
+    it('should warn about the development secret elsewhere', () => {
+      delete process.env.SESSION_SECRET;
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(getSessionSecret()).toBe('prestellation-session-secret');
+
+      console.warn.mockRestore();
+    });
+  });
+});
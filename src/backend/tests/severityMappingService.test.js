@@ -0,0 +1,94 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const severityMappingService = require('../services/severityMappingService');
+const { DEFAULT_SEVERITY_MAPPING } = require('../utils/jiraTransformer');
+
+describe('SeverityMappingService', () => {
+  const originalEnv = { ...process.env };
+
+  const config = {
+    rules: [{ source: 'labels', values: { sev1: 'Critical' } }],
+    projects: {
+      OPS: {
+        defaultSeverity: 'Low',
+        rules: [{ source: 'field', field: 'customfield_10050', values: { 'Sev 1': 'Critical' } }],
+      },
+    },
+  };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    severityMappingService.setMapping(null);
+  });
+
+  describe('getMapping', () => {
+    it('should default to the Jira priority scheme', () => {
+      delete process.env.SEVERITY_MAPPING_FILE;
+      delete process.env.SEVERITY_MAPPING;
+
+      expect(severityMappingService.getMapping()).toEqual(DEFAULT_SEVERITY_MAPPING);
+    });
+
+    it('should load inline JSON from SEVERITY_MAPPING', () => {
+      process.env.SEVERITY_MAPPING = JSON.stringify(config);
+
+      expect(severityMappingService.getMapping()).toEqual({
+        defaultSeverity: 'Medium',
+        rules: config.rules,
+        projects: config.projects,
+      });
+    });
+
+    it('should load a JSON file from SEVERITY_MAPPING_FILE', () => {
+      const file = path.join(os.tmpdir(), `severity-mapping-${process.pid}.json`);
+      fs.writeFileSync(file, JSON.stringify(config));
+      process.env.SEVERITY_MAPPING_FILE = file;
+
+      try {
+        expect(severityMappingService.getMapping().projects.OPS.defaultSeverity).toBe('Low');
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should reject invalid configuration', () => {
+      process.env.SEVERITY_MAPPING = '{not json';
+      expect(() => severityMappingService.getMapping()).toThrow('Invalid severity mapping configuration');
+
+      expect(() => severityMappingService.setMapping({ rules: [{ source: 'component', values: {} }] }))
+        .toThrow('source must be one of');
+      expect(() => severityMappingService.setMapping({ rules: [{ source: 'field', values: {} }] }))
+        .toThrow('needs a field ID');
+      expect(() => severityMappingService.setMapping({ rules: [{ source: 'labels', values: { sev1: 'Blocker' } }] }))
+        .toThrow('"Blocker" is not one of');
+      expect(() => severityMappingService.setMapping({ projects: { OPS: { defaultSeverity: 'Urgent' } } }))
+        .toThrow('severity mapping for project OPS');
+    });
+  });
+
+  describe('getEffectiveMapping', () => {
+    it('should combine project overrides with the defaults', () => {
+      severityMappingService.setMapping(config);
+
+      expect(severityMappingService.getEffectiveMapping('OPS')).toEqual({
+        project: 'OPS',
+        defaultSeverity: 'Low',
+        rules: config.projects.OPS.rules,
+      });
+      expect(severityMappingService.getEffectiveMapping('PROJ')).toEqual({
+        project: 'PROJ',
+        defaultSeverity: 'Medium',
+        rules: config.rules,
+      });
+    });
+  });
+
+  describe('getSourceFields', () => {
+    it('should list the custom fields read by any rule', () => {
+      severityMappingService.setMapping(config);
+
+      expect(severityMappingService.getSourceFields()).toEqual(['customfield_10050']);
+    });
+  });
+});
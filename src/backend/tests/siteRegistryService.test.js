@@ -0,0 +1,119 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const siteRegistryService = require('../services/siteRegistryService');
+
+describe('SiteRegistryService', () => {
+  const originalEnv = { ...process.env };
+
+  const config = {
+    sites: [
+      { id: 'cloud', name: 'Cloud', url: 'https://acme.atlassian.net/', projects: ['WEB', 'OPS'] },
+      { id: 'dc', name: 'Data Center', url: 'https://jira.acme.internal', projects: ['OPS', 'ERP'] },
+    ],
+  };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    siteRegistryService.setSites(null);
+  });
+
+  describe('getSites', () => {
+    it('should default to a single site from JIRA_API_URL and JIRA_PROJECTS', () => {
+      delete process.env.JIRA_SITES_FILE;
+      delete process.env.JIRA_SITES;
+      delete process.env.JIRA_AUTH_METHOD;
+      process.env.JIRA_API_URL = 'https://acme.atlassian.net';
+      process.env.JIRA_PROJECTS = 'WEB, OPS';
+
+      expect(siteRegistryService.getSites()).toEqual([{
+        id: 'default',
+        name: 'Jira',
+        url: 'https://acme.atlassian.net',
+        authMethod: 'oauth',
+        cloudId: null,
+        apiVersion: null,
+        projects: ['WEB', 'OPS'],
+      }]);
+      expect(siteRegistryService.isConfigured()).toBe(false);
+    });
+
+    it('should load inline JSON from JIRA_SITES', () => {
+      process.env.JIRA_SITES = JSON.stringify(config);
+
+      const sites = siteRegistryService.getSites();
+
+      expect(sites.map(site => site.id)).toEqual(['cloud', 'dc']);
+      expect(sites[0].url).toBe('https://acme.atlassian.net');
+      expect(sites[1].authMethod).toBe('oauth');
+      expect(siteRegistryService.isConfigured()).toBe(true);
+    });
+
+    it('should load the registry from JIRA_SITES_FILE', () => {
+      const file = path.join(os.tmpdir(), `sites-${Date.now()}.json`);
+      fs.writeFileSync(file, JSON.stringify(config));
+      process.env.JIRA_SITES_FILE = file;
+
+      try {
+        expect(siteRegistryService.getSite('dc').name).toBe('Data Center');
+      } finally {
+        fs.unlinkSync(file);
+      }
+    });
+
+    it('should accept API token and personal access token sites', () => {
+      siteRegistryService.setSites({
+        sites: [
+          { id: 'cloud', url: 'https://acme.atlassian.net', authMethod: 'apiToken' },
+          { id: 'dc', url: 'https://jira.acme.internal', authMethod: 'pat' },
+        ],
+      });
+
+      const [cloud, dc] = siteRegistryService.getSites();
+
+      expect(siteRegistryService.usesTokenAuth(cloud)).toBe(true);
+      expect(cloud.apiVersion).toBeNull();
+      // Data Center only serves the version 2 REST API
+      expect(dc.apiVersion).toBe('2');
+      expect(() => siteRegistryService.setSites({
+        sites: [{ id: 'default', authMethod: 'pat' }],
+      })).toThrow('site default needs a url');
+    });
+
+    it('should reject invalid registries', () => {
+      expect(() => siteRegistryService.setSites({ sites: [] })).toThrow('sites must be a non-empty array');
+      expect(() => siteRegistryService.setSites({ sites: [{ id: 'a' }] })).toThrow('site a needs a url');
+      expect(() => siteRegistryService.setSites({
+        sites: [{ id: 'a', url: 'https://a' }, { id: 'a', url: 'https://b' }],
+      })).toThrow('site a is defined more than once');
+      expect(() => siteRegistryService.setSites({
+        sites: [{ id: 'a', url: 'https://a', authMethod: 'password' }],
+      })).toThrow('authMethod must be one of');
+    });
+  });
+
+  describe('resolveProjects', () => {
+    beforeEach(() => {
+      siteRegistryService.setSites(config);
+    });
+
+    it('should resolve plain keys to every site listing them', () => {
+      expect(siteRegistryService.resolveProjects(['WEB', 'OPS'])).toEqual([
+        { key: 'WEB', siteId: 'cloud' },
+        { key: 'OPS', siteId: 'cloud' },
+        { key: 'OPS', siteId: 'dc' },
+      ]);
+    });
+
+    it('should honour explicit sites and fall back to the first site', () => {
+      expect(siteRegistryService.resolveProjects(['dc:OPS', 'NEW'])).toEqual([
+        { key: 'OPS', siteId: 'dc' },
+        { key: 'NEW', siteId: 'cloud' },
+      ]);
+    });
+
+    it('should list the projects of every site once', () => {
+      expect(siteRegistryService.getProjectKeys()).toEqual(['WEB', 'OPS', 'ERP']);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const sprintReportService = require('../services/sprintReportService');
+const jiraAgileService = require('../services/jiraAgileService');
+const fieldDiscoveryService = require('../services/fieldDiscoveryService');
+
+// Mock the Agile API client and field discovery
+jest.mock('../services/jiraAgileService');
+jest.mock('../services/fieldDiscoveryService');
+
+const fieldIds = { sprint: 'customfield_10020', storyPoints: 'customfield_10026' };
+
+const createIssue = (key, { points = 0, created = '2024-03-01T09:00:00.000Z', done = null, addedToSprint = null } = {}) => ({
+  key,
+  fields: {
+    created,
+    customfield_10026: points,
+    status: { statusCategory: { key: done ? 'done' : 'indeterminate' } },
+    resolutiondate: done,
+  },
+  changelog: {
+    histories: addedToSprint ? [{
+      created: addedToSprint,
+      items: [{ field: 'Sprint', from: '', to: '41, 42' }],
+    }] : [],
+  },
+});
+
+describe('SprintReportService', () => {
+  const sprint = {
+    id: 42,
+    name: 'Sprint 42',
+    state: 'active',
+    originBoardId: 7,
+    startDate: '2024-03-04T09:00:00.000Z',
+    endDate: '2024-03-08T17:00:00.000Z',
+  };
+
+  const issues = [
+    createIssue('PROJ-1', { points: 5, done: '2024-03-05T12:00:00.000Z' }),
+    createIssue('PROJ-2', { points: 3, done: '2024-03-06T12:00:00.000Z' }),
+    createIssue('PROJ-3', { points: 2 }),
+    // Added after the sprint started
+    createIssue('PROJ-4', { points: 3, addedToSprint: '2024-03-05T10:00:00.000Z' }),
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('buildSprintSummary', () => {
+    it('should separate committed and added scope and count completed work', () => {
+      const result = sprintReportService.buildSprintSummary(sprint, issues, {
+        fieldIds,
+        now: new Date('2024-03-06T18:00:00.000Z'),
+      });
+
+      expect(result.unit).toBe('points');
+      expect(result.committed).toEqual({ issues: 3, points: 10 });
+      expect(result.added).toEqual({ issues: 1, points: 3 });
+      expect(result.completed).toEqual({ issues: 2, points: 8 });
+      expect(result.remaining).toEqual({ issues: 2, points: 5 });
+      expect(result.completionPercent).toBe(80);
+    });
+
+    it('should build a daily burndown with an ideal line', () => {
+      const result = sprintReportService.buildSprintSummary(sprint, issues, {
+        fieldIds,
+        now: new Date('2024-03-06T18:00:00.000Z'),
+      });
+
+      expect(result.burndown.days).toEqual([
+        { date: '2024-03-04', remaining: 10, ideal: 10 },
+        { date: '2024-03-05', remaining: 8, ideal: 7.5 },
+        { date: '2024-03-06', remaining: 5, ideal: 5 },
+        { date: '2024-03-07', remaining: null, ideal: 2.5 },
+        { date: '2024-03-08', remaining: null, ideal: 0 },
+      ]);
+      expect(result.burndown.remaining).toBe(5);
+      expect(result.burndown.onTrack).toBe(true);
+    });
+
+    it('should flag sprints that are behind the ideal line', () => {
+      const result = sprintReportService.buildSprintSummary(sprint, issues.slice(2), {
+        fieldIds,
+        now: new Date('2024-03-07T18:00:00.000Z'),
+      });
+
+      expect(result.burndown.onTrack).toBe(false);
+    });
+
+    it('should count issues when the sprint has no story points and treat future scope as committed', () => {
+      const futureSprint = { id: 43, name: 'Sprint 43', state: 'future' };
+      const result = sprintReportService.buildSprintSummary(futureSprint, [createIssue('PROJ-5'), createIssue('PROJ-6')], { fieldIds });
+
+      expect(result.unit).toBe('issues');
+      expect(result.committed).toEqual({ issues: 2, points: 0 });
+      expect(result.burndown).toBeNull();
+    });
+  });
+
+  describe('getVelocity', () => {
+    it('should average committed and completed work of closed sprints', () => {
+      const closed = [
+        { id: 2, name: 'Sprint 2', unit: 'points', committed: { issues: 4, points: 13 }, completed: { issues: 3, points: 10 } },
+        { id: 1, name: 'Sprint 1', unit: 'points', committed: { issues: 5, points: 8 }, completed: { issues: 5, points: 8 } },
+      ];
+
+      const result = sprintReportService.getVelocity(closed);
+
+      expect(result.unit).toBe('points');
+      expect(result.averageCommitted).toBe(10.5);
+      expect(result.averageCompleted).toBe(9);
+      expect(result.sprints.map(item => item.completed)).toEqual([10, 8]);
+    });
+  });
+
+  describe('getProjectSprints', () => {
+    it('should group sprints from every board by state', async () => {
+      fieldDiscoveryService.getFieldIds.mockResolvedValue(fieldIds);
+      jiraAgileService.getBoards.mockResolvedValue([{ id: 7, name: 'Board', type: 'scrum' }, { id: 8, name: 'Other', type: 'scrum' }]);
+      jiraAgileService.getSprints
+        .mockResolvedValueOnce([
+          sprint,
+          { id: 40, name: 'Sprint 40', state: 'closed', completeDate: '2024-02-19T09:00:00.000Z' },
+          { id: 41, name: 'Sprint 41', state: 'closed', completeDate: '2024-03-04T08:00:00.000Z' },
+        ])
+        .mockResolvedValueOnce([sprint, { id: 43, name: 'Sprint 43', state: 'future' }]);
+      jiraAgileService.getSprintIssues.mockResolvedValue([]);
+
+      const result = await sprintReportService.getProjectSprints('PROJ', 'test-token', { closedLimit: 1 });
+
+      expect(result.active.map(item => item.id)).toEqual([42]);
+      expect(result.future.map(item => item.id)).toEqual([43]);
+      expect(result.closed.map(item => item.id)).toEqual([41]);
+      expect(result.velocity.sprints).toHaveLength(1);
+      expect(jiraAgileService.getSprints).toHaveBeenCalledWith(7, 'test-token', { state: 'active,future,closed' });
+      expect(jiraAgileService.getSprintIssues).toHaveBeenCalledTimes(3);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const syncService = require('../services/syncService');
+const jiraDataService = require('../services/jiraDataService');
+const jiraApiService = require('../services/jiraApiService');
+const siteRegistryService = require('../services/siteRegistryService');
+const dataStoreService = require('../services/dataStoreService');
+
+jest.mock('../services/jiraDataService');
+jest.mock('../services/fieldDiscoveryService');
+jest.mock('../services/dataStoreService');
+
+describe('SyncService', () => {
+  const originalEnv = { ...process.env };
+
+  const sites = {
+    sites: [
+      { id: 'cloud', name: 'Cloud', url: 'https://acme.atlassian.net', projects: ['WEB'] },
+      { id: 'dc', name: 'Data Center', url: 'https://jira.acme.internal', authMethod: 'pat', projects: ['ERP'] },
+    ],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    siteRegistryService.setSites(sites);
+    process.env.SYNC_EMAIL = 'sync-bot@acme.com';
+    process.env.SYNC_TOKEN = 'service-token';
+    delete process.env.SYNC_CREDENTIALS;
+
+    jiraDataService.getProject.mockImplementation(async key => ({ key, name: key, issueTypes: [] }));
+    jiraDataService.getEpics.mockImplementation(async key => [{ key: `${key}-1` }]);
+    jiraDataService.getBugs.mockResolvedValue([{ key: 'BUG-1' }, { key: 'BUG-2' }]);
+    jiraDataService.getIssuesForEpics.mockImplementation(async keys => Object.fromEntries(keys.map(key => [key, [{ key: 'CHILD-1' }]])));
+    jest.spyOn(jiraApiService, 'clearAllCache').mockImplementation(() => {});
+    dataStoreService.load.mockReturnValue({ updatedAt: null });
+
+    syncService.lastRun = null;
+    syncService.lastSuccessAt = null;
+  });
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    siteRegistryService.setSites(null);
+    syncService.stop();
+  });
+
+  describe('getServiceAuths', () => {
+    it('should call every site on its own URL with the service credential', () => {
+      const [cloud, dataCenter] = syncService.getServiceAuths();
+
+      expect(cloud).toMatchObject({
+        accessToken: 'service-token',
+        authMethod: 'apiToken',
+        email: 'sync-bot@acme.com',
+        cloudId: null,
+        siteId: 'cloud',
+        siteUrl: 'https://acme.atlassian.net',
+      });
+      expect(dataCenter).toMatchObject({ authMethod: 'pat', email: null, siteId: 'dc' });
+    });
+
+    it('should prefer per-site credentials', () => {
+      process.env.SYNC_CREDENTIALS = JSON.stringify({ dc: { token: 'dc-token' } });
+      delete process.env.SYNC_TOKEN;
+
+      expect(syncService.getServiceAuths().map(auth => [auth.siteId, auth.accessToken])).toEqual([['dc', 'dc-token']]);
+    });
+
+    it('should be disabled without a service credential', () => {
+      delete process.env.SYNC_TOKEN;
+
+      expect(syncService.isEnabled()).toBe(false);
+      expect(syncService.getStatus()).toMatchObject({ enabled: false, lastRun: null });
+    });
+  });
+
+  describe('sync', () => {
+    it('should fetch every configured project without the cache and record the run', async () => {
+      const run = await syncService.sync('manual');
+
+      expect(jiraDataService.getEpics).toHaveBeenCalledWith('WEB', expect.objectContaining({ siteId: 'cloud' }), false);
+      expect(jiraDataService.getBugs).toHaveBeenCalledWith('ERP', expect.objectContaining({ siteId: 'dc' }), false);
+      expect(run).toMatchObject({ trigger: 'manual', status: 'success', projects: 2, epics: 2, issues: 2, bugs: 4, errors: [] });
+      expect(dataStoreService.upsert).toHaveBeenCalledWith([
+        expect.objectContaining({ key: 'WEB', site: { id: 'cloud', name: 'Cloud', url: 'https://acme.atlassian.net' } }),
+        expect.objectContaining({ key: 'ERP', bugs: [{ key: 'BUG-1' }, { key: 'BUG-2' }] }),
+      ], run.finishedAt);
+      expect(syncService.getStatus().lastSuccessAt).toBe(run.finishedAt);
+      expect(jiraApiService.clearAllCache).toHaveBeenCalled();
+    });
+
+    it('should report projects that fail and keep the others', async () => {
+      jiraDataService.getEpics.mockImplementation(async key => {
+        if (key === 'ERP') throw new Error('Failed to fetch epics for project ERP');
+        return [];
+      });
+
+      const run = await syncService.sync('scheduled');
+
+      expect(run.status).toBe('partial');
+      expect(run.errors).toEqual([{ project: 'ERP', site: 'dc', message: 'Failed to fetch epics for project ERP' }]);
+      expect(dataStoreService.upsert.mock.calls[0][0].map(data => data.key)).toEqual(['WEB']);
+    });
+
+    it('should keep the stored data when every project fails', async () => {
+      await syncService.sync('manual');
+      const { lastSuccessAt } = syncService;
+      jiraDataService.getProject.mockRejectedValue(new Error('Jira is down'));
+
+      const run = await syncService.sync('scheduled');
+
+      expect(run.status).toBe('failed');
+      expect(run.errors).toHaveLength(2);
+      expect(dataStoreService.upsert).toHaveBeenCalledTimes(1);
+      expect(syncService.lastSuccessAt).toBe(lastSuccessAt);
+    });
+
+    it('should report a failure to store the synced data', async () => {
+      dataStoreService.upsert.mockRejectedValueOnce(new Error('Cannot read properties of undefined (reading \'fields\')'));
+
+      const run = await syncService.sync('manual');
+
+      expect(run.status).toBe('failed');
+      expect(run.projects).toBe(2);
+      expect(run.errors).toEqual([{
+        project: null,
+        site: null,
+        message: 'Failed to store synced data: Cannot read properties of undefined (reading \'fields\')',
+      }]);
+      expect(syncService.lastSuccessAt).toBeNull();
+      expect(jiraApiService.clearAllCache).not.toHaveBeenCalled();
+    });
+
+    it('should not report success when the store could not be written', async () => {
+      dataStoreService.upsert.mockRejectedValueOnce(new Error('ENOSPC: no space left on device'));
+
+      const run = await syncService.sync('scheduled');
+
+      expect(run.status).toBe('failed');
+      expect(run.errors[0].message).toBe('Failed to store synced data: ENOSPC: no space left on device');
+      expect(syncService.getStatus().lastSuccessAt).toBeNull();
+    });
+
+    it('should keep the schedule after a failed run', async () => {
+      jest.useFakeTimers();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const sync = jest.spyOn(syncService, 'sync').mockRejectedValue(new Error('Unexpected failure'));
+
+      try {
+        syncService.schedule();
+        await jest.advanceTimersByTimeAsync(syncService.interval);
+        await jest.advanceTimersByTimeAsync(syncService.interval);
+
+        expect(sync).toHaveBeenCalledTimes(2);
+        expect(syncService.timer).not.toBeNull();
+      } finally {
+        sync.mockRestore();
+        console.error.mockRestore();
+        jest.useRealTimers();
+      }
+    });
+
+    it('should report the last stored sync before the first run', () => {
+      dataStoreService.load.mockReturnValue({ updatedAt: '2024-03-20T12:00:00.000Z' });
+
+      expect(syncService.getStatus().lastSuccessAt).toBe('2024-03-20T12:00:00.000Z');
+    });
+
+    it('should share a run in progress', async () => {
+      const [first, second] = await Promise.all([syncService.sync('manual'), syncService.sync('manual')]);
+
+      expect(first).toBe(second);
+      expect(jiraDataService.getEpics).toHaveBeenCalledTimes(2);
+      expect(syncService.getStatus().running).toBe(false);
+    });
+
+    it('should reject unknown triggers', () => {
+      expect(() => syncService.sync('cron')).toThrow('Unknown sync trigger "cron"');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const tableExportService = require('../services/tableExportService');
+
+describe('TableExportService', () => {
+  const createBug = (key, overrides = {}) => ({
+    key,
+    summary: `Bug ${key}`,
+    project: { key: 'WEB', name: 'Web' },
+    site: { id: 'default', name: 'Jira' },
+    severity: { level: 'High', value: 4 },
+    priority: { name: 'High' },
+    status: { name: 'Open', category: 'To Do' },
+    assignee: { id: 'user-1', name: 'Ada Lovelace' },
+    created: '2024-03-18T09:00:00.000Z',
+    resolutionDate: null,
+    labels: ['checkout', 'payments'],
+    components: [{ id: '1', name: 'Cart' }],
+    ...overrides,
+  });
+
+  /**
+   * Stream a table into a buffer
+   * @param {Object} table - { format, columns, rows }
+   * @returns {Promise<Buffer>} - File contents
+   */
+  const writeTable = async table => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    const ended = new Promise(resolve => stream.on('end', resolve));
+
+    await tableExportService.write(stream, table);
+    await ended;
+    return Buffer.concat(chunks);
+  };
+
+  describe('resolveColumns', () => {
+    it('should return all columns by default and the requested ones in order', () => {
+      expect(tableExportService.resolveColumns('bugs')).toHaveLength(tableExportService.getColumns().bugs.length);
+      expect(tableExportService.resolveColumns('epics', ['progress', 'key']).map(column => column.id)).toEqual(['progress', 'key']);
+    });
+
+    it('should reject unknown columns and formats with a 400 error', () => {
+      expect(() => tableExportService.resolveColumns('bugs', ['key', 'storyPoints']))
+        .toThrow(expect.objectContaining({ statusCode: 400, message: expect.stringContaining('"storyPoints"') }));
+      expect(() => tableExportService.validateFormat('json')).toThrow(expect.objectContaining({ statusCode: 400 }));
+      expect(tableExportService.validateFormat('XLSX')).toBe('xlsx');
+    });
+  });
+
+  describe('CSV', () => {
+    it('should flatten nested fields and quote values that need it', async () => {
+      const file = await writeTable({
+        format: 'csv',
+        columns: tableExportService.resolveColumns('bugs', ['key', 'summary', 'assignee', 'statusCategory', 'severity', 'labels']),
+        rows: [createBug('WEB-1', { summary: 'Total shows "0", not the sum' }), createBug('WEB-2', { assignee: null })],
+      });
+
+      expect(file.toString('utf8').split('\r\n')).toEqual([
+        '\uFEFFKey,Summary,Assignee,Status category,Severity,Labels',
+        'WEB-1,"Total shows ""0"", not the sum",Ada Lovelace,To Do,High,"checkout, payments"',
+        'WEB-2,Bug WEB-2,,To Do,High,"checkout, payments"',
+        '',
+      ]);
+    });
+
+    it('should keep spreadsheets from evaluating text as formulas', async () => {
+      const file = await writeTable({
+        format: 'csv',
+        columns: tableExportService.resolveColumns('bugs', ['summary']),
+        rows: [createBug('WEB-1', { summary: '=HYPERLINK("http://example.com")' })],
+      });
+
+      expect(file.toString('utf8')).toContain('"\'=HYPERLINK(""http://example.com"")"');
+    });
+
+    it('should write every row of large exports', async () => {
+      const rows = [...Array(1200)].map((_, index) => createBug(`WEB-${index + 1}`));
+      const file = await writeTable({ format: 'csv', columns: tableExportService.resolveColumns('bugs', ['key']), rows });
+
+      const lines = file.toString('utf8').trim().split('\r\n');
+      expect(lines).toHaveLength(1201);
+      expect(lines[1200]).toBe('WEB-1200');
+    });
+  });
+
+  describe('Excel', () => {
+    it('should write a worksheet with typed cells', async () => {
+      const file = await writeTable({
+        format: 'xlsx',
+        columns: tableExportService.resolveColumns('epics', ['key', 'project', 'owner', 'progress', 'dueDate']),
+        rows: [{
+          key: 'WEB-10',
+          project: { key: 'WEB', name: 'Web' },
+          assignee: { displayName: 'Grace Hopper' },
+          progress: 40,
+          dueDate: '2024-03-31',
+        }],
+        sheetName: 'Epics',
+      });
+
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(file);
+      const sheet = workbook.getWorksheet('Epics');
+
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['Key', 'Project', 'Owner', 'Progress (%)', 'Due date']);
+      expect(sheet.getRow(2).values.slice(1)).toEqual(['WEB-10', 'Web', 'Grace Hopper', 40, new Date('2024-03-31')]);
+    });
+  });
+});
@@ -59,6 +59,17 @@ function createErrorResponse(error, defaultMessage = 'An unexpected error occurr
   };
 }
 
+/**
+ * Create an error for an invalid request
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a 400 status code
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
 /**
  * Handle API errors in Express middleware
  * @param {Error} error - Error object
@@ -68,6 +79,9 @@ function createErrorResponse(error, defaultMessage = 'An unexpected error occurr
  */
 function apiErrorHandler(error, req, res, next) {
   console.error('API Error:', error);
+
+  // A streamed file was already partly sent; let Express close the connection
+  if (res.headersSent) return next(error);
   
   const { statusCode, body } = createErrorResponse(error);
   
@@ -129,9 +143,50 @@ function getUserFriendlyErrorMessage(error) {
   return error.message || 'An unexpected error occurred. Please try again.';
 }
 
+/**
+ * Check whether an error means Jira is down or too slow, rather than refusing the request
+ * Follows the chain of wrapped errors (error.cause) down to the Jira API error.
+ * @param {Error} error - Error object
+ * @returns {boolean} - True for timeouts, network errors, 5xx and rate limiting
+ */
+function isJiraUnavailable(error) {
+  for (let current = error; current; current = current.cause) {
+    if (current.code === 'JIRA_TIMEOUT') return true;
+    if (current.response) return current.response.status >= 500 || current.response.status === 429;
+    // A request without a response never reached Jira or timed out
+    if (current.request) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Reject a promise that does not settle in time
+ * The underlying request keeps running; only the caller stops waiting for it.
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} ms - Time limit in milliseconds
+ * @returns {Promise} - Promise that rejects with code JIRA_TIMEOUT after the time limit
+ */
+function withTimeout(promise, ms) {
+  let timer;
+
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Jira did not respond within ${ms} ms`);
+      error.code = 'JIRA_TIMEOUT';
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 module.exports = {
   createErrorResponse,
+  badRequest,
   apiErrorHandler,
   asyncHandler,
-  getUserFriendlyErrorMessage
+  getUserFriendlyErrorMessage,
+  isJiraUnavailable,
+  withTimeout,
 };
@@ -0,0 +1,54 @@
+/**
+ * Colors and fonts of exported reports, matching the web app's theme
+ */
+
+const EXPORT_THEME = {
+  primary: '#1976D2',
+  secondary: '#DC004E',
+  text: '#172B4D',
+  mutedText: '#6B778C',
+  border: '#DFE1E6',
+  surface: '#F4F5F7',
+  background: '#FFFFFF',
+  fontFace: 'Calibri',
+};
+
+// Series colors of the bug trend charts (as in the web app)
+const TREND_COLORS = {
+  created: '#FF5630',
+  resolved: '#36B37E',
+  open: '#172B4D',
+};
+
+// Colors for Jira status categories (as in the web app)
+const STATUS_COLORS = {
+  'To Do': '#97A0AF',
+  'In Progress': '#0065FF',
+  Done: '#36B37E',
+};
+
+/**
+ * Get the color of a Jira status category
+ * @param {string} statusCategory - Status category name
+ * @returns {string} - Hex color
+ */
+function getStatusColor(statusCategory) {
+  return STATUS_COLORS[statusCategory] || EXPORT_THEME.mutedText;
+}
+
+/**
+ * Strip the leading "#" of a hex color, as Office formats expect
+ * @param {string} color - Hex color
+ * @returns {string} - Hex color without "#"
+ */
+function toOfficeColor(color) {
+  return String(color || EXPORT_THEME.mutedText).replace(/^#/, '').toUpperCase();
+}
+
+module.exports = {
+  EXPORT_THEME,
+  TREND_COLORS,
+  STATUS_COLORS,
+  getStatusColor,
+  toOfficeColor,
+};
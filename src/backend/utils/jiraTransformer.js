@@ -2,12 +2,45 @@
  * Utility functions for transforming Jira data
  */
 
+// Custom field IDs used when none are discovered (they vary by Jira instance)
+const DEFAULT_FIELD_IDS = {
+  sprint: 'customfield_10014',
+  epicLink: 'customfield_10015',
+  epicName: 'customfield_10016',
+  epicColor: 'customfield_10017',
+  storyPoints: 'customfield_10026',
+};
+
+// Bug severity levels from most to least severe
+const SEVERITY_LEVELS = ['Critical', 'High', 'Medium', 'Low', 'Trivial'];
+
+// Severity mapping used when none is configured: Jira's default priority scheme
+const DEFAULT_SEVERITY_MAPPING = {
+  defaultSeverity: 'Medium',
+  rules: [
+    {
+      source: 'priority',
+      values: {
+        Highest: 'Critical',
+        Critical: 'Critical',
+        High: 'High',
+        Medium: 'Medium',
+        Low: 'Low',
+        Lowest: 'Trivial',
+      },
+    },
+  ],
+  projects: {},
+};
+
 /**
  * Transform a Jira project into a standardized format
  * @param {Object} project - Jira project object
+ * @param {Object} options - Transform options
+ * @param {string} options.siteUrl - URL of the Jira site the project lives on (defaults to JIRA_API_URL)
  * @returns {Object} - Standardized project object
  */
-function transformProject(project) {
+function transformProject(project, options = {}) {
   if (!project) return null;
   
   return {
@@ -16,7 +49,7 @@ function transformProject(project) {
     name: project.name,
     description: project.description || '',
     url: project.self,
-    webUrl: project.url || `${process.env.JIRA_API_URL}/browse/${project.key}`,
+    webUrl: project.url || `${getSiteUrl(options)}/browse/${project.key}`,
     lead: project.lead ? {
       id: project.lead.accountId,
       name: project.lead.displayName,
@@ -39,15 +72,37 @@ function transformProject(project) {
   };
 }
 
+/**
+ * Get the custom field IDs for a transform, falling back to the defaults
+ * @param {Object} options - Transform options
+ * @returns {Object} - Custom field IDs
+ */
+function getFieldIds(options = {}) {
+  return { ...DEFAULT_FIELD_IDS, ...options.fieldIds };
+}
+
+/**
+ * Get the URL of the Jira site for a transform, falling back to JIRA_API_URL
+ * @param {Object} options - Transform options
+ * @returns {string} - Site URL
+ */
+function getSiteUrl(options = {}) {
+  return options.siteUrl || process.env.JIRA_API_URL;
+}
+
 /**
  * Transform a Jira issue into a standardized format
  * @param {Object} issue - Jira issue object
+ * @param {Object} options - Transform options
+ * @param {Object} options.fieldIds - Custom field IDs from field discovery
+ * @param {string} options.siteUrl - URL of the Jira site the issue lives on (defaults to JIRA_API_URL)
  * @returns {Object} - Standardized issue object
  */
-function transformIssue(issue) {
+function transformIssue(issue, options = {}) {
   if (!issue) return null;
   
   const fields = issue.fields || {};
+  const fieldIds = getFieldIds(options);
   
   return {
     id: issue.id,
@@ -88,6 +143,7 @@ function transformIssue(issue) {
     } : null,
     created: fields.created || null,
     updated: fields.updated || null,
+    resolutionDate: fields.resolutiondate || null,
     dueDate: fields.duedate || null,
     labels: fields.labels || [],
     components: (fields.components || []).map(component => ({
@@ -96,33 +152,38 @@ function transformIssue(issue) {
     })),
     fixVersions: (fields.fixVersions || []).map(version => ({
       id: version.id,
-      name: version.name
+      name: version.name,
+      released: version.released || false,
+      releaseDate: version.releaseDate || null,
     })),
-    // Custom fields - these may vary by Jira instance
-    sprint: fields.customfield_10014 ? extractSprintInfo(fields.customfield_10014) : null,
-    epicLink: fields.customfield_10015 || null,
-    epicName: fields.customfield_10016 || null,
+    // Custom fields - IDs vary by Jira instance
+    sprint: fields[fieldIds.sprint] ? extractSprintInfo(fields[fieldIds.sprint]) : null,
+    epicLink: fields[fieldIds.epicLink] || null,
+    epicName: fields[fieldIds.epicName] || null,
     // URL to view the issue in Jira
-    webUrl: `${process.env.JIRA_API_URL}/browse/${issue.key}`
+    webUrl: `${getSiteUrl(options)}/browse/${issue.key}`,
   };
 }
 
 /**
  * Transform a Jira epic into a standardized format
  * @param {Object} epic - Jira epic issue object
+ * @param {Array} childIssues - Jira issues belonging to the epic
+ * @param {Object} options - Transform options (fieldIds, siteUrl) and progress calculation options (see calculateEpicProgress)
  * @returns {Object} - Standardized epic object
  */
-function transformEpic(epic) {
+function transformEpic(epic, childIssues = [], options = {}) {
   if (!epic) return null;
   
-  const standardIssue = transformIssue(epic);
+  const standardIssue = transformIssue(epic, options);
   const fields = epic.fields || {};
+  const fieldIds = getFieldIds(options);
   
   return {
     ...standardIssue,
-    epicName: fields.customfield_10016 || standardIssue.summary,
-    progress: calculateEpicProgress(epic),
-    color: fields.customfield_10017 || '#2684FF', // Epic color field (may vary)
+    epicName: fields[fieldIds.epicName] || standardIssue.summary,
+    progress: calculateEpicProgress(epic, childIssues, { storyPointsField: fieldIds.storyPoints, ...options }),
+    color: fields[fieldIds.epicColor] || '#2684FF',
     quarterInfo: determineEpicQuarter(epic)
   };
 }
@@ -130,25 +191,52 @@ function transformEpic(epic) {
 /**
  * Transform a Jira bug into a standardized format
  * @param {Object} bug - Jira bug issue object
- * @returns {Object} - Standardized bug object
+ * @param {Object} options - Transform options
+ * @param {Object} options.fieldIds - Custom field IDs from field discovery
+ * @param {string} options.siteUrl - URL of the Jira site the bug lives on (defaults to JIRA_API_URL)
+ * @param {Object} options.severityMapping - Severity mapping (defaults to the priority scheme)
+ * @returns {Object} - Standardized bug object, with its status changes for backlog history
  */
-function transformBug(bug) {
+function transformBug(bug, options = {}) {
   if (!bug) return null;
   
-  const standardIssue = transformIssue(bug);
+  const standardIssue = transformIssue(bug, options);
   const fields = bug.fields || {};
   
   return {
     ...standardIssue,
-    severity: determineBugSeverity(bug),
+    severity: determineBugSeverity(bug, options.severityMapping),
     environment: fields.environment || '',
     affectsVersions: (fields.versions || []).map(version => ({
       id: version.id,
       name: version.name
-    }))
+    })),
+    statusHistory: extractStatusHistory(bug),
   };
 }
 
+/**
+ * Extract the status changes of a Jira issue from its changelog
+ * Search results only embed the most recent changelog entries, so issues are expected to
+ * come with their complete changelog (see jiraDataService.completeChangelogs).
+ * @param {Object} issue - Jira issue object (with changelog)
+ * @returns {Array<Object>} - Status changes, oldest first ([{ at, from: { id, name }, to: { id, name } }])
+ */
+function extractStatusHistory(issue) {
+  const histories = issue.changelog?.histories || [];
+
+  return histories
+    .flatMap(history => (history.items || [])
+      .filter(item => item.field === 'status')
+      .map(item => ({
+        at: history.created,
+        from: { id: item.from, name: item.fromString },
+        // "toString" is a changelog field here, not Object.prototype.toString
+        to: { id: item.to, name: Object.hasOwn(item, 'toString') ? item.toString : null },
+      })))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
 /**
  * Extract sprint information from Jira sprint field
  * @param {Array|string} sprintField - Jira sprint field value
@@ -196,18 +284,73 @@ function extractSprintInfo(sprintField) {
 /**
  * Calculate progress for an epic based on its issues
  * @param {Object} epic - Jira epic issue object
+ * @param {Array} childIssues - Jira issues belonging to the epic
+ * @param {Object} options - Calculation options
+ * @param {boolean} options.weightByStoryPoints - Weight issues by story points instead of count
+ * @param {string} options.storyPointsField - Field holding story points (may vary by Jira instance)
  * @returns {Object} - Progress information
  */
-function calculateEpicProgress(epic) {
-  // This would typically use data from a separate API call to get all issues in the epic
-  // For now, we'll return a placeholder
+function calculateEpicProgress(epic, childIssues = [], options = {}) {
+  const {
+    weightByStoryPoints = false,
+    storyPointsField = DEFAULT_FIELD_IDS.storyPoints,
+  } = options;
+  const issues = Array.isArray(childIssues) ? childIssues.filter(Boolean) : [];
+
+  const byStatusCategory = { todo: 0, inProgress: 0, done: 0 };
+  const points = { total: 0, completed: 0 };
+
+  issues.forEach(issue => {
+    const category = getStatusCategory(issue);
+    byStatusCategory[category] += 1;
+
+    const storyPoints = Number((issue.fields || {})[storyPointsField]) || 0;
+    points.total += storyPoints;
+    if (category === 'done') {
+      points.completed += storyPoints;
+    }
+  });
+
+  const total = issues.length;
+  const completed = byStatusCategory.done;
+
+  // Fall back to issue counts when no child issue has been estimated
+  const weighting = weightByStoryPoints && points.total > 0 ? 'storyPoints' : 'count';
+  const ratio = weighting === 'storyPoints'
+    ? points.completed / points.total
+    : (total > 0 ? completed / total : 0);
+
   return {
-    total: 0,
-    completed: 0,
-    percent: 0
+    total,
+    completed,
+    percent: Math.round(ratio * 100),
+    byStatusCategory,
+    points,
+    weighting,
   };
 }
 
+/**
+ * Get the normalized status category of a Jira issue
+ * @param {Object} issue - Jira issue object
+ * @returns {string} - One of 'todo', 'inProgress' or 'done'
+ */
+function getStatusCategory(issue) {
+  const statusCategory = (issue.fields || {}).status?.statusCategory || {};
+  const key = statusCategory.key || '';
+  const name = (statusCategory.name || '').toLowerCase();
+
+  if (key === 'done' || name === 'done') {
+    return 'done';
+  }
+
+  if (key === 'indeterminate' || name === 'in progress') {
+    return 'inProgress';
+  }
+
+  return 'todo';
+}
+
 /**
  * Determine which quarter an epic belongs to
  * @param {Object} epic - Jira epic issue object
@@ -247,44 +390,93 @@ function determineEpicQuarter(epic) {
 }
 
 /**
- * Determine severity of a bug based on priority and other factors
+ * Determine severity of a bug using the ordered rules of a severity mapping
  * @param {Object} bug - Jira bug issue object
+ * @param {Object} severityMapping - Severity mapping ({ defaultSeverity, rules, projects })
  * @returns {Object} - Severity information
  */
-function determineBugSeverity(bug) {
+function determineBugSeverity(bug, severityMapping = DEFAULT_SEVERITY_MAPPING) {
   const fields = bug.fields || {};
-  const priority = fields.priority ? fields.priority.name : null;
-  
-  // Map Jira priorities to severity levels
-  let severity;
-  switch (priority) {
-    case 'Highest':
-    case 'Critical':
-      severity = 'Critical';
-      break;
-    case 'High':
-      severity = 'High';
-      break;
-    case 'Medium':
-      severity = 'Medium';
-      break;
-    case 'Low':
-      severity = 'Low';
-      break;
-    case 'Lowest':
-      severity = 'Trivial';
+  const { defaultSeverity, rules } = getProjectSeverityRules(severityMapping, fields.project?.key);
+
+  // The first rule with a matching value wins
+  let severity = defaultSeverity;
+  let source = 'default';
+  for (const rule of rules) {
+    const match = getRuleSourceValues(fields, rule)
+      .map(value => findMappedSeverity(rule.values, value))
+      .find(Boolean);
+
+    if (match) {
+      severity = match;
+      source = rule.source;
       break;
-    default:
-      severity = 'Medium';
+    }
   }
-  
+
   return {
     level: severity,
     value: getSeverityValue(severity),
-    color: getSeverityColor(severity)
+    color: getSeverityColor(severity),
+    source,
   };
 }
 
+/**
+ * Get the severity rules that apply to a project
+ * Project entries override the rules and/or default severity of the mapping
+ * @param {Object} severityMapping - Severity mapping ({ defaultSeverity, rules, projects })
+ * @param {string} projectKey - Project key
+ * @returns {Object} - { defaultSeverity, rules }
+ */
+function getProjectSeverityRules(severityMapping = DEFAULT_SEVERITY_MAPPING, projectKey) {
+  const projectMapping = (projectKey && severityMapping.projects?.[projectKey]) || {};
+
+  return {
+    defaultSeverity: projectMapping.defaultSeverity || severityMapping.defaultSeverity || DEFAULT_SEVERITY_MAPPING.defaultSeverity,
+    rules: projectMapping.rules || severityMapping.rules || [],
+  };
+}
+
+/**
+ * Read the raw values a severity rule looks at
+ * @param {Object} fields - Jira issue fields
+ * @param {Object} rule - Severity rule ({ source, field, values })
+ * @returns {Array<string>} - Values to look up in the rule
+ */
+function getRuleSourceValues(fields, rule) {
+  if (rule.source === 'priority') {
+    return fields.priority ? [fields.priority.name] : [];
+  }
+
+  if (rule.source === 'labels') {
+    return fields.labels || [];
+  }
+
+  if (rule.source === 'field') {
+    const value = fields[rule.field];
+    const values = Array.isArray(value) ? value : [value];
+    // Select fields return option objects, text fields plain strings
+    return values
+      .map(item => (item && typeof item === 'object' ? item.value || item.name : item))
+      .filter(item => item !== null && item !== undefined)
+      .map(String);
+  }
+
+  return [];
+}
+
+/**
+ * Look up a value in a rule's value map (case-insensitive)
+ * @param {Object} values - Map of source value to severity level
+ * @param {string} value - Source value
+ * @returns {string|undefined} - Severity level
+ */
+function findMappedSeverity(values, value) {
+  const key = Object.keys(values).find(candidate => candidate.toLowerCase() === value.toLowerCase());
+  return key ? values[key] : undefined;
+}
+
 /**
  * Get numeric value for a severity level
  * @param {string} severity - Severity level
@@ -323,7 +515,15 @@ module.exports = {
   transformEpic,
   transformBug,
   extractSprintInfo,
+  extractStatusHistory,
   calculateEpicProgress,
+  getStatusCategory,
   determineEpicQuarter,
-  determineBugSeverity
+  determineBugSeverity,
+  getProjectSeverityRules,
+  getSeverityValue,
+  getSeverityColor,
+  SEVERITY_LEVELS,
+  DEFAULT_SEVERITY_MAPPING,
+  DEFAULT_FIELD_IDS,
 };
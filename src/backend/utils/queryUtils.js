@@ -0,0 +1,129 @@
+const siteRegistryService = require('../services/siteRegistryService');
+
+/**
+ * Utility functions for parsing API query parameters
+ */
+
+/**
+ * Parse a list query parameter
+ * Accepts comma-separated values (?projects=A,B) and repeated parameters (?projects=A&projects=B)
+ * @param {string|Array<string>} value - Raw query parameter value
+ * @returns {Array<string>} - List of trimmed, non-empty values
+ */
+function parseListParam(value) {
+  if (value === undefined || value === null) return [];
+
+  const values = Array.isArray(value) ? value : [value];
+
+  return values
+    .flatMap(item => String(item).split(','))
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse a text query parameter
+ * Repeated parameters (?search=a&search=b) use the first value; anything but text is ignored.
+ * @param {*} value - Raw query parameter value
+ * @returns {string} - Text, or an empty string
+ */
+function parseTextParam(value) {
+  const [first] = [].concat(value ?? []);
+  return typeof first === 'string' || typeof first === 'number' ? String(first) : '';
+}
+
+/**
+ * Parse a sort order query parameter
+ * @param {string} value - Raw query parameter value
+ * @returns {string} - 'asc' or 'desc'
+ */
+function parseSortOrder(value) {
+  return String(value || '').toLowerCase() === 'desc' ? 'desc' : 'asc';
+}
+
+/**
+ * Get the Jira project keys configured for the application
+ * @returns {Array<string>} - Project keys of every registered site (JIRA_PROJECTS without a site registry)
+ */
+function getConfiguredProjects() {
+  return siteRegistryService.getProjectKeys();
+}
+
+/**
+ * Get the project keys requested by the client, defaulting to the configured projects
+ * @param {Object} query - Express request query
+ * @returns {Array<string>} - Project keys
+ */
+function getRequestedProjects(query = {}) {
+  const requested = parseListParam(query.projects || query.project);
+  return requested.length > 0 ? requested : getConfiguredProjects();
+}
+
+/**
+ * Parse the roadmap options of a request
+ * Query: projects, sites, owners, statuses, years, quarters, search, sort, order, weighting
+ * @param {Object} query - Express request query, or export filters with the same names
+ * @returns {Object} - Options for roadmapService.getRoadmap
+ */
+function parseRoadmapOptions(query = {}) {
+  return {
+    projects: getRequestedProjects(query),
+    filters: {
+      sites: parseListParam(query.sites || query.site),
+      assignees: parseListParam(query.owners || query.assignees),
+      statuses: parseListParam(query.statuses || query.statusCategory),
+      years: parseListParam(query.years || query.year),
+      quarters: parseListParam(query.quarters || query.quarter),
+      searchTerm: parseTextParam(query.search),
+    },
+    sort: {
+      field: query.sort,
+      order: parseSortOrder(query.order),
+    },
+    weightByStoryPoints: (query.weighting || process.env.EPIC_PROGRESS_WEIGHTING) === 'storyPoints',
+  };
+}
+
+/**
+ * Parse the bug filters of a request
+ * Query: projects, sites, severities, priorities, assignees
+ * @param {Object} query - Express request query, or export filters with the same names
+ * @returns {Object} - Bug filters for bugReportService.filterBugs
+ */
+function parseBugFilters(query = {}) {
+  return {
+    projects: getRequestedProjects(query),
+    sites: parseListParam(query.sites || query.site),
+    severities: parseListParam(query.severities || query.severity),
+    priorities: parseListParam(query.priorities || query.priority),
+    assignees: parseListParam(query.assignees || query.assignee),
+  };
+}
+
+/**
+ * Parse the bug table options of a request
+ * Query: status (all, open or a status category), search, sort, order
+ * @param {Object} query - Express request query
+ * @returns {Object} - { statusCategory, search, sort: { field, order } }
+ */
+function parseBugTableOptions(query = {}) {
+  return {
+    statusCategory: parseTextParam(query.status) || 'all',
+    search: parseTextParam(query.search),
+    sort: {
+      field: query.sort,
+      order: parseSortOrder(query.order),
+    },
+  };
+}
+
+module.exports = {
+  parseListParam,
+  parseTextParam,
+  parseSortOrder,
+  getConfiguredProjects,
+  getRequestedProjects,
+  parseRoadmapOptions,
+  parseBugFilters,
+  parseBugTableOptions,
+};
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+
+// Secret used without SESSION_SECRET outside production; it is public, so it protects nothing
+const DEVELOPMENT_SESSION_SECRET = 'prestellation-session-secret';
+
+let warnedAboutSecret = false;
+
+/**
+ * Utility functions for security checks
+ */
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if they are equal
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Get the secret that encrypts sessions and signs OAuth state
+ * @returns {string} - SESSION_SECRET
+ * @throws {Error} - In production when SESSION_SECRET is not set
+ */
+function getSessionSecret() {
+  if (process.env.SESSION_SECRET) return process.env.SESSION_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SESSION_SECRET must be set in production');
+  }
+
+  if (!warnedAboutSecret) {
+    warnedAboutSecret = true;
+    console.warn('SESSION_SECRET is not set; sessions and OAuth state use an insecure development secret');
+  }
+
+  return DEVELOPMENT_SESSION_SECRET;
+}
+
+module.exports = {
+  safeEqual,
+  getSessionSecret,
+};
@@ -1,12 +1,19 @@
-import { Routes, Route, Navigate } from 'react-router-dom';
+import { Routes, Route, Navigate, matchPath, useLocation } from 'react-router-dom';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import Box from '@mui/material/Box';
 import CircularProgress from '@mui/material/CircularProgress';
 import Header from './components/Header';
 import Dashboard from './pages/Dashboard';
+import Roadmap from './pages/Roadmap';
+import Bugs from './pages/Bugs';
+import Actions from './pages/Actions';
+import Presentations from './pages/Presentations';
+import Presentation from './pages/Presentation';
 import LoginForm from './components/LoginForm';
+import SiteSelector from './components/SiteSelector';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { SyncProvider } from './contexts/SyncContext';
 import './App.css';
 
 const theme = createTheme({
@@ -23,7 +30,7 @@ const theme = createTheme({
 
 // Protected route component
 function ProtectedRoute({ children }) {
-  const { isAuthenticated, loading } = useAuth();
+  const { isAuthenticated, siteSelectionRequired, loading } = useAuth();
 
   if (loading) {
     return (
@@ -33,24 +40,62 @@ function ProtectedRoute({ children }) {
     );
   }
 
+  if (siteSelectionRequired) {
+    return <Navigate to="/select-site" />;
+  }
+
   return isAuthenticated ? children : <Navigate to="/login" />;
 }
 
 // App content component
 function AppContent() {
-  const { isAuthenticated, user, logout } = useAuth();
+  const { isAuthenticated, user, sites, logout } = useAuth();
+  const location = useLocation();
+  // A running presentation takes the whole screen
+  const presenting = Boolean(matchPath('/present/:deckId', location.pathname));
 
   return (
     <Box sx={{ display: 'flex', flexDirection: 'column', minHeight: '100vh' }}>
-      <Header isLoggedIn={isAuthenticated} user={user} onLogout={logout} />
-      <Box component="main" sx={{ flexGrow: 1, p: 3 }}>
+      {!presenting && <Header isLoggedIn={isAuthenticated} user={user} sites={sites} onLogout={logout} />}
+      <Box component="main" sx={{ flexGrow: 1, p: presenting ? 0 : 3 }}>
         <Routes>
           <Route path="/login" element={isAuthenticated ? <Navigate to="/" /> : <LoginForm />} />
+          <Route path="/select-site" element={isAuthenticated ? <Navigate to="/" /> : <SiteSelector />} />
+          <Route path="/connect-site" element={
+            <ProtectedRoute>
+              <LoginForm />
+            </ProtectedRoute>
+          } />
           <Route path="/" element={
             <ProtectedRoute>
               <Dashboard />
             </ProtectedRoute>
           } />
+          <Route path="/roadmap" element={
+            <ProtectedRoute>
+              <Roadmap />
+            </ProtectedRoute>
+          } />
+          <Route path="/bugs" element={
+            <ProtectedRoute>
+              <Bugs />
+            </ProtectedRoute>
+          } />
+          <Route path="/actions" element={
+            <ProtectedRoute>
+              <Actions />
+            </ProtectedRoute>
+          } />
+          <Route path="/present" element={
+            <ProtectedRoute>
+              <Presentations />
+            </ProtectedRoute>
+          } />
+          <Route path="/present/:deckId" element={
+            <ProtectedRoute>
+              <Presentation />
+            </ProtectedRoute>
+          } />
           {/* Add more protected routes as needed */}
         </Routes>
       </Box>
@@ -63,7 +108,9 @@ function App() {
     <ThemeProvider theme={theme}>
       <CssBaseline />
       <AuthProvider>
-        <AppContent />
+        <SyncProvider>
+          <AppContent />
+        </SyncProvider>
       </AuthProvider>
     </ThemeProvider>
   );
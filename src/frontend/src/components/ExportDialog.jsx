@@ -0,0 +1,151 @@
+import { useState, useEffect } from 'react';
+import Alert from '@mui/material/Alert';
+import Button from '@mui/material/Button';
+import Checkbox from '@mui/material/Checkbox';
+import CircularProgress from '@mui/material/CircularProgress';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import FormGroup from '@mui/material/FormGroup';
+import MenuItem from '@mui/material/MenuItem';
+import TextField from '@mui/material/TextField';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Typography from '@mui/material/Typography';
+import exportService, {
+  EXPORT_FORMATS,
+  EXPORT_SECTIONS,
+  PAGE_SIZES,
+  downloadBlob,
+} from '../services/exportService';
+
+/**
+ * Dialog for exporting report sections as PowerPoint or PDF with the current filters
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called to close the dialog
+ * @param {Array<string>} props.defaultSections - Sections selected when the dialog opens
+ * @param {Object} props.filters - Filters of the page ({ roadmap, bugs })
+ * @param {string} props.interval - Bug trend interval ('week' or 'month')
+ * @returns {JSX.Element} - Export dialog
+ */
+function ExportDialog({ open, onClose, defaultSections, filters, interval }) {
+  const [format, setFormat] = useState('pptx');
+  // US readers print on Letter paper, everyone else on A4
+  const [pageSize, setPageSize] = useState(() => (navigator.language === 'en-US' ? 'Letter' : 'A4'));
+  const [sections, setSections] = useState(defaultSections);
+  const [title, setTitle] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the page's sections every time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setSections(defaultSections);
+      setError(null);
+    }
+  }, [open, defaultSections]);
+
+  const toggleSection = (id) => {
+    setSections((current) => (
+      current.includes(id) ? current.filter((section) => section !== id) : [...current, id]
+    ));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError(null);
+      const { blob, fileName } = await exportService.exportReport(format, {
+        sections,
+        filters,
+        interval,
+        title: title.trim() || undefined,
+        pageSize: format === 'pdf' ? pageSize : undefined,
+      });
+      downloadBlob(blob, fileName);
+      onClose();
+    } catch (err) {
+      setError(err.error?.message || err.message || 'Failed to export report');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={exporting ? undefined : onClose} fullWidth maxWidth="xs">
+      <DialogTitle>Export report</DialogTitle>
+      <DialogContent>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={format}
+          onChange={(event, value) => value && setFormat(value)}
+          aria-label="export format"
+          sx={{ mb: 2 }}
+        >
+          {EXPORT_FORMATS.map((option) => (
+            <ToggleButton key={option.id} value={option.id}>{option.label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Sections use the filters currently applied on this page.
+        </Typography>
+        <FormGroup>
+          {EXPORT_SECTIONS.map((section) => (
+            <FormControlLabel
+              key={section.id}
+              control={(
+                <Checkbox
+                  checked={sections.includes(section.id)}
+                  onChange={() => toggleSection(section.id)}
+                />
+              )}
+              label={section.label}
+            />
+          ))}
+        </FormGroup>
+        <TextField
+          label="Title"
+          placeholder="Roadmap and bug report"
+          value={title}
+          onChange={(event) => setTitle(event.target.value)}
+          size="small"
+          fullWidth
+          sx={{ mt: 2 }}
+        />
+        {format === 'pdf' && (
+          <TextField
+            select
+            label="Paper size"
+            value={pageSize}
+            onChange={(event) => setPageSize(event.target.value)}
+            size="small"
+            fullWidth
+            sx={{ mt: 2 }}
+          >
+            {PAGE_SIZES.map((size) => (
+              <MenuItem key={size} value={size}>{size}</MenuItem>
+            ))}
+          </TextField>
+        )}
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={exporting}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleExport}
+          disabled={exporting || sections.length === 0}
+          startIcon={exporting && <CircularProgress size={16} color="inherit" />}
+        >
+          Export
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ExportDialog;
@@ -0,0 +1,24 @@
+import Alert from '@mui/material/Alert';
+
+/**
+ * Notice for projects served from the local data store because Jira was unavailable
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.fallback - Projects served from the store ({ project, site, syncedAt, message })
+ * @param {Object} props.sx - Alert styles
+ * @returns {JSX.Element|null} - Notice, or nothing when every project is live
+ */
+function FallbackNotice({ fallback = [], sx }) {
+  if (fallback.length === 0) return null;
+
+  const oldest = fallback.reduce((min, entry) => (entry.syncedAt < min ? entry.syncedAt : min), fallback[0].syncedAt);
+  const projects = fallback.map((entry) => entry.project).join(', ');
+
+  return (
+    <Alert severity="info" sx={sx}>
+      Jira is not responding. Showing data for {projects} as of the last sync
+      ({new Date(oldest).toLocaleString()}).
+    </Alert>
+  );
+}
+
+export default FallbackNotice;
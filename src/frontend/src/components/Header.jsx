@@ -16,14 +16,17 @@ import List from '@mui/material/List';
 import ListItem from '@mui/material/ListItem';
 import ListItemButton from '@mui/material/ListItemButton';
 import ListItemText from '@mui/material/ListItemText';
+import SyncIndicator from './SyncIndicator';
 
 const navItems = [
   { name: 'Dashboard', path: '/' },
   { name: 'Roadmap', path: '/roadmap' },
   { name: 'Bugs', path: '/bugs' },
+  { name: 'Actions', path: '/actions' },
+  { name: 'Present', path: '/present' },
 ];
 
-function Header({ isLoggedIn, user, onLogout }) {
+function Header({ isLoggedIn, user, sites = [], onLogout }) {
   const [mobileOpen, setMobileOpen] = useState(false);
   const [anchorElUser, setAnchorElUser] = useState(null);
 
@@ -108,6 +111,8 @@ function Header({ isLoggedIn, user, onLogout }) {
             </Box>
           )}
 
+          {isLoggedIn && <SyncIndicator />}
+
           {isLoggedIn ? (
             <Box sx={{ flexGrow: 0, ml: 2 }}>
               <Tooltip title="Account settings">
@@ -133,6 +138,14 @@ function Header({ isLoggedIn, user, onLogout }) {
                 open={Boolean(anchorElUser)}
                 onClose={handleCloseUserMenu}
               >
+                {sites.map((site) => (
+                  <MenuItem key={site.id} disabled>
+                    <Typography variant="body2">{site.name}</Typography>
+                  </MenuItem>
+                ))}
+                <MenuItem component={RouterLink} to="/connect-site" onClick={handleCloseUserMenu}>
+                  <Typography textAlign="center">Connect another site</Typography>
+                </MenuItem>
                 <MenuItem onClick={handleCloseUserMenu}>
                   <Typography textAlign="center">Profile</Typography>
                 </MenuItem>
@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react';
-import { useLocation } from 'react-router-dom';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
+import authService from '../services/authService';
 import Box from '@mui/material/Box';
 import Button from '@mui/material/Button';
 import Typography from '@mui/material/Typography';
@@ -9,16 +10,46 @@ import CircularProgress from '@mui/material/CircularProgress';
 import Alert from '@mui/material/Alert';
 import LockOutlinedIcon from '@mui/icons-material/LockOutlined';
 import Avatar from '@mui/material/Avatar';
-import Link from '@mui/material/Link';
+import Divider from '@mui/material/Divider';
+import MenuItem from '@mui/material/MenuItem';
+import TextField from '@mui/material/TextField';
+
+// Labels and help for the token sign-in methods
+const TOKEN_METHODS = {
+  apiToken: {
+    label: 'API token',
+    help: 'Create an API token at id.atlassian.com under Security.',
+  },
+  pat: {
+    label: 'Personal access token',
+    help: 'Create a personal access token from your Jira profile.',
+  },
+};
 
 /**
- * Login form component for OAuth 2.0 authentication
+ * Login form component for OAuth 2.0 and API token / personal access token sign-in
+ * Shows the methods the configured Jira sites accept. Signed-in users use it to connect
+ * more sites to their session.
  * @returns {JSX.Element} - Login form component
  */
 function LoginForm() {
-  const { initiateLogin, loading, error } = useAuth();
+  const { initiateLogin, loginWithToken, loading, error, isAuthenticated } = useAuth();
   const [formError, setFormError] = useState('');
+  const [methods, setMethods] = useState(null);
+  const [credentials, setCredentials] = useState({ siteId: '', email: '', token: '' });
+  const [submitting, setSubmitting] = useState(false);
   const location = useLocation();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    authService.getLoginMethods()
+      .then((result) => {
+        setMethods(result);
+        setCredentials((current) => ({ ...current, siteId: result.sites[0]?.id || '' }));
+      })
+      // Fall back to OAuth, which every earlier deployment used
+      .catch(() => setMethods({ oauth: true, sites: [] }));
+  }, []);
 
   // Check for error in URL query parameters
   useEffect(() => {
@@ -38,6 +69,32 @@ function LoginForm() {
     initiateLogin();
   };
 
+  /**
+   * Handle token sign-in form submission
+   * @param {Event} event - Form submit event
+   */
+  const handleTokenLogin = async (event) => {
+    event.preventDefault();
+    setFormError('');
+    setSubmitting(true);
+
+    try {
+      await loginWithToken(credentials);
+      navigate('/');
+    } catch (err) {
+      // The error is shown from the auth context
+      setSubmitting(false);
+    }
+  };
+
+  const handleCredentialChange = (name) => (event) => {
+    setCredentials({ ...credentials, [name]: event.target.value });
+  };
+
+  const tokenSites = methods?.sites || [];
+  const tokenSite = tokenSites.find((site) => site.id === credentials.siteId);
+  const tokenMethod = tokenSite ? TOKEN_METHODS[tokenSite.authMethod] : null;
+
   return (
     <Paper elevation={3} sx={{ p: 4, maxWidth: 500, mx: 'auto', mt: 8 }}>
       <Box
@@ -51,7 +108,7 @@ function LoginForm() {
           <LockOutlinedIcon />
         </Avatar>
         <Typography component="h1" variant="h5" gutterBottom>
-          Sign in with Jira
+          {isAuthenticated ? 'Connect another Jira site' : 'Sign in with Jira'}
         </Typography>
 
         {(error || formError) && (
@@ -62,25 +119,90 @@ function LoginForm() {
 
         <Typography variant="body1" align="center" paragraph>
           Prestellation uses your Jira account for authentication.
-          Click the button below to sign in with your Jira credentials.
         </Typography>
 
-        <Button
-          fullWidth
-          variant="contained"
-          sx={{ mt: 3, mb: 2 }}
-          onClick={handleLogin}
-          disabled={loading}
-        >
-          {loading ? <CircularProgress size={24} /> : 'Sign in with Jira'}
-        </Button>
-
-        <Box sx={{ mt: 2 }}>
-          <Typography variant="body2" color="text.secondary" align="center">
-            You will be redirected to Atlassian to authenticate.
-            Prestellation does not store your Jira password.
-          </Typography>
-        </Box>
+        {!methods && <CircularProgress size={24} />}
+
+        {methods?.oauth && (
+          <>
+            <Button
+              fullWidth
+              variant="contained"
+              sx={{ mt: 3, mb: 2 }}
+              onClick={handleLogin}
+              disabled={loading}
+            >
+              {loading ? <CircularProgress size={24} /> : 'Sign in with Jira'}
+            </Button>
+
+            <Typography variant="body2" color="text.secondary" align="center">
+              You will be redirected to Atlassian to authenticate.
+              Prestellation does not store your Jira password.
+            </Typography>
+          </>
+        )}
+
+        {methods?.oauth && tokenSites.length > 0 && (
+          <Divider sx={{ width: '100%', my: 3 }}>or</Divider>
+        )}
+
+        {tokenSite && (
+          <Box component="form" onSubmit={handleTokenLogin} sx={{ width: '100%' }}>
+            {tokenSites.length > 1 ? (
+              <TextField
+                select
+                fullWidth
+                margin="normal"
+                label="Jira site"
+                value={credentials.siteId}
+                onChange={handleCredentialChange('siteId')}
+              >
+                {tokenSites.map((site) => (
+                  <MenuItem key={site.id} value={site.id}>{site.name}</MenuItem>
+                ))}
+              </TextField>
+            ) : (
+              <Typography variant="subtitle1" align="center">
+                {tokenSite.name}
+              </Typography>
+            )}
+
+            {tokenSite.authMethod === 'apiToken' && (
+              <TextField
+                fullWidth
+                required
+                margin="normal"
+                type="email"
+                label="Email"
+                autoComplete="username"
+                value={credentials.email}
+                onChange={handleCredentialChange('email')}
+              />
+            )}
+
+            <TextField
+              fullWidth
+              required
+              margin="normal"
+              type="password"
+              label={tokenMethod.label}
+              autoComplete="current-password"
+              value={credentials.token}
+              onChange={handleCredentialChange('token')}
+              helperText={tokenMethod.help}
+            />
+
+            <Button
+              fullWidth
+              type="submit"
+              variant={methods.oauth ? 'outlined' : 'contained'}
+              sx={{ mt: 2 }}
+              disabled={submitting}
+            >
+              {submitting ? <CircularProgress size={24} /> : `Sign in with ${tokenMethod.label.toLowerCase()}`}
+            </Button>
+          </Box>
+        )}
       </Box>
     </Paper>
   );
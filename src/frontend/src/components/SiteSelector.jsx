@@ -0,0 +1,104 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import authService from '../services/authService';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import Paper from '@mui/material/Paper';
+import CircularProgress from '@mui/material/CircularProgress';
+import Alert from '@mui/material/Alert';
+import Avatar from '@mui/material/Avatar';
+import List from '@mui/material/List';
+import ListItemButton from '@mui/material/ListItemButton';
+import ListItemAvatar from '@mui/material/ListItemAvatar';
+import ListItemText from '@mui/material/ListItemText';
+import LanguageIcon from '@mui/icons-material/Language';
+
+/**
+ * Jira site picker for accounts with access to several sites
+ * @returns {JSX.Element} - Site selector component
+ */
+function SiteSelector() {
+  const { selectSite } = useAuth();
+  const navigate = useNavigate();
+  const [sites, setSites] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selecting, setSelecting] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const loadSites = async () => {
+      try {
+        const result = await authService.getSites();
+        setSites(result.sites);
+      } catch (err) {
+        setError(err.message || 'Failed to load Jira sites');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSites();
+  }, []);
+
+  /**
+   * Handle site click
+   * @param {Object} site - Selected site
+   */
+  const handleSelect = async (site) => {
+    setError('');
+    setSelecting(site.cloudId);
+
+    try {
+      await selectSite(site.cloudId);
+      navigate('/');
+    } catch (err) {
+      setError(err.message || 'Failed to select Jira site');
+      setSelecting(null);
+    }
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 4, maxWidth: 500, mx: 'auto', mt: 8 }}>
+      <Typography component="h1" variant="h5" align="center" gutterBottom>
+        Choose a Jira site
+      </Typography>
+      <Typography variant="body1" align="center" paragraph>
+        Your Atlassian account has access to several Jira sites.
+        Select the site Prestellation should report on.
+      </Typography>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+          <CircularProgress />
+        </Box>
+      ) : (
+        <List>
+          {sites.map((site) => (
+            <ListItemButton
+              key={site.cloudId}
+              onClick={() => handleSelect(site)}
+              disabled={selecting !== null}
+            >
+              <ListItemAvatar>
+                <Avatar src={site.avatarUrl || undefined}>
+                  <LanguageIcon />
+                </Avatar>
+              </ListItemAvatar>
+              <ListItemText primary={site.name} secondary={site.url} />
+              {selecting === site.cloudId && <CircularProgress size={24} />}
+            </ListItemButton>
+          ))}
+        </List>
+      )}
+    </Paper>
+  );
+}
+
+export default SiteSelector;
@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import CircularProgress from '@mui/material/CircularProgress';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import SyncIcon from '@mui/icons-material/Sync';
+import WarningAmberIcon from '@mui/icons-material/WarningAmber';
+import { useAuth } from '../contexts/AuthContext';
+import { useSync } from '../contexts/SyncContext';
+
+const RELATIVE_TIME_UNITS = [
+  { unit: 'day', ms: 24 * 60 * 60 * 1000 },
+  { unit: 'hour', ms: 60 * 60 * 1000 },
+  { unit: 'minute', ms: 60 * 1000 },
+];
+
+/**
+ * Format a timestamp relative to now (e.g. "5 minutes ago")
+ * @param {string} timestamp - ISO timestamp
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} - Relative time
+ */
+function formatRelativeTime(timestamp, now) {
+  const elapsed = now - new Date(timestamp).getTime();
+  const match = RELATIVE_TIME_UNITS.find(({ ms }) => elapsed >= ms);
+
+  if (!match) return 'just now';
+  return new Intl.RelativeTimeFormat(undefined, { numeric: 'auto' })
+    .format(-Math.floor(elapsed / match.ms), match.unit);
+}
+
+/**
+ * Describe the last sync run for the tooltip
+ * @param {Object} status - Sync status
+ * @param {string|null} error - Error from starting a sync
+ * @returns {string} - Tooltip text
+ */
+function describeSync(status, error) {
+  const lines = [];
+
+  if (status.lastSuccessAt) {
+    lines.push(`Last refreshed ${new Date(status.lastSuccessAt).toLocaleString()}`);
+  }
+  if (status.nextRunAt) {
+    lines.push(`Next refresh ${new Date(status.nextRunAt).toLocaleTimeString()}`);
+  }
+  if (status.lastRun && status.lastRun.status !== 'success') {
+    lines.push(`Last sync ${status.lastRun.status}:`);
+    status.lastRun.errors.forEach((runError) => {
+      lines.push(runError.project ? `${runError.project}: ${runError.message}` : runError.message);
+    });
+  }
+  if (error) {
+    lines.push(error);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Header indicator showing when Jira data was last refreshed, with a "Sync now" button for admins
+ * @returns {JSX.Element|null} - Sync indicator, or nothing when background sync is not configured
+ */
+function SyncIndicator() {
+  const { isAdmin } = useAuth();
+  const { status, error, syncNow } = useSync();
+  const [now, setNow] = useState(Date.now());
+
+  // Keep the relative time current
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60 * 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  if (!status?.enabled) return null;
+
+  const hasProblem = Boolean(error) || ['partial', 'failed'].includes(status.lastRun?.status);
+  const label = status.lastSuccessAt
+    ? `Last refreshed ${formatRelativeTime(status.lastSuccessAt, now)}`
+    : 'Not refreshed yet';
+
+  return (
+    <Box sx={{ display: { xs: 'none', md: 'flex' }, alignItems: 'center', gap: 1, ml: 2 }}>
+      <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{describeSync(status, error) || label}</span>}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+          {hasProblem && <WarningAmberIcon fontSize="small" color="warning" />}
+          <Typography variant="body2" sx={{ opacity: 0.85 }}>
+            {status.running ? 'Refreshing…' : label}
+          </Typography>
+        </Box>
+      </Tooltip>
+      {isAdmin && (
+        <Button
+          color="inherit"
+          size="small"
+          onClick={syncNow}
+          disabled={status.running}
+          startIcon={status.running ? <CircularProgress color="inherit" size={16} /> : <SyncIcon />}
+        >
+          Sync now
+        </Button>
+      )}
+    </Box>
+  );
+}
+
+export default SyncIndicator;
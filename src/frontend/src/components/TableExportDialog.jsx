@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Checkbox from '@mui/material/Checkbox';
+import CircularProgress from '@mui/material/CircularProgress';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import FormControlLabel from '@mui/material/FormControlLabel';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Typography from '@mui/material/Typography';
+import exportService, { TABLE_FORMATS, downloadBlob } from '../services/exportService';
+
+/**
+ * Dialog for downloading the epic or bug list as CSV or Excel with a choice of columns
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called to close the dialog
+ * @param {string} props.table - 'epics' or 'bugs'
+ * @param {Object} props.params - Filters and sort order of the on-screen table
+ * @returns {JSX.Element} - Table export dialog
+ */
+function TableExportDialog({ open, onClose, table, params }) {
+  const [columns, setColumns] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [format, setFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Load the available columns the first time the dialog opens
+  useEffect(() => {
+    if (!open || columns) return;
+
+    exportService.getTableColumns()
+      .then((data) => {
+        setColumns(data[table]);
+        setSelected(data[table].map((column) => column.id));
+      })
+      .catch((err) => setError(err.error?.message || err.message || 'Failed to load export columns'));
+  }, [open, columns, table]);
+
+  const toggleColumn = (id) => {
+    // Keep the selection in the column order
+    setSelected((current) => columns
+      .map((column) => column.id)
+      .filter((columnId) => (columnId === id ? !current.includes(id) : current.includes(columnId))));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setError(null);
+      const { blob, fileName } = await exportService.exportTable(table, format, { ...params, columns: selected });
+      downloadBlob(blob, fileName);
+      onClose();
+    } catch (err) {
+      setError(err.error?.message || err.message || 'Failed to export table');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={exporting ? undefined : onClose} fullWidth maxWidth="sm">
+      <DialogTitle>Download {table === 'epics' ? 'epics' : 'bugs'}</DialogTitle>
+      <DialogContent>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={format}
+          onChange={(event, value) => value && setFormat(value)}
+          aria-label="file format"
+          sx={{ mb: 2 }}
+        >
+          {TABLE_FORMATS.map((option) => (
+            <ToggleButton key={option.id} value={option.id}>{option.label}</ToggleButton>
+          ))}
+        </ToggleButtonGroup>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Rows use the filters and sort order currently applied to the table.
+        </Typography>
+
+        {!columns && !error && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+        {columns && (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, mb: 1 }}>
+              <Button size="small" onClick={() => setSelected(columns.map((column) => column.id))}>Select all</Button>
+              <Button size="small" onClick={() => setSelected([])}>Clear</Button>
+            </Box>
+            <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '1fr 1fr' } }}>
+              {columns.map((column) => (
+                <FormControlLabel
+                  key={column.id}
+                  control={(
+                    <Checkbox
+                      size="small"
+                      checked={selected.includes(column.id)}
+                      onChange={() => toggleColumn(column.id)}
+                    />
+                  )}
+                  label={column.header}
+                />
+              ))}
+            </Box>
+          </>
+        )}
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={exporting}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleExport}
+          disabled={exporting || selected.length === 0}
+          startIcon={exporting && <CircularProgress size={16} color="inherit" />}
+        >
+          Download
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default TableExportDialog;
@@ -0,0 +1,35 @@
+import Chip from '@mui/material/Chip';
+import Tooltip from '@mui/material/Tooltip';
+import AssignmentIcon from '@mui/icons-material/Assignment';
+import { isOverdue } from '../../utils/actionUtils';
+
+/**
+ * Badge with the number of pending meeting actions on a roadmap tile or bug row
+ * @param {Object} props - Component props
+ * @param {Array} props.actions - Pending actions attached to the item
+ * @returns {JSX.Element|null} - Badge, or nothing without actions
+ */
+function ActionBadge({ actions = [] }) {
+  if (actions.length === 0) return null;
+
+  const overdue = actions.some(isOverdue);
+  const title = actions
+    .map((action) => `${action.title}${action.owner ? ` (${action.owner.name || action.owner.accountId})` : ''}${action.dueDate ? ` · due ${action.dueDate}` : ''}`)
+    .join('\n');
+
+  return (
+    <Tooltip title={<span style={{ whiteSpace: 'pre-line' }}>{title}</span>}>
+      <Chip
+        icon={<AssignmentIcon />}
+        label={actions.length}
+        size="small"
+        color={overdue ? 'error' : 'warning'}
+        variant="outlined"
+        aria-label={`${actions.length} open actions${overdue ? ', some overdue' : ''}`}
+        sx={{ height: 20, '& .MuiChip-icon': { fontSize: 14 } }}
+      />
+    </Tooltip>
+  );
+}
+
+export default ActionBadge;
@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react';
+import Alert from '@mui/material/Alert';
+import Autocomplete from '@mui/material/Autocomplete';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import CircularProgress from '@mui/material/CircularProgress';
+import Dialog from '@mui/material/Dialog';
+import DialogActions from '@mui/material/DialogActions';
+import DialogContent from '@mui/material/DialogContent';
+import DialogTitle from '@mui/material/DialogTitle';
+import MenuItem from '@mui/material/MenuItem';
+import TextField from '@mui/material/TextField';
+import actionService, { ACTION_STATUSES, TARGET_TYPES } from '../../services/actionService';
+import { getActionFilterOptions } from '../../utils/actionUtils';
+
+/**
+ * Create the form state of an action
+ * @param {Object|null} action - Existing action or defaults
+ * @returns {Object} - Form values
+ */
+const toForm = (action) => ({
+  title: action?.title || '',
+  description: action?.description || '',
+  meeting: action?.meeting || '',
+  targetType: action?.target?.type || 'project',
+  targetId: action?.target?.id || '',
+  targetName: action?.target?.name || '',
+  siteId: action?.target?.siteId || null,
+  owner: action?.owner || null,
+  dueDate: action?.dueDate || '',
+  status: action?.status || 'open',
+});
+
+/**
+ * Get the label of a person option
+ * @param {Object|string} person - Person ({ accountId, name }) or typed accountId
+ * @returns {string} - Label
+ */
+const getPersonLabel = (person) => (typeof person === 'string' ? person : person.name || person.accountId);
+
+/**
+ * Dialog for creating or editing a meeting action item
+ * @param {Object} props - Component props
+ * @param {boolean} props.open - Whether the dialog is open
+ * @param {Function} props.onClose - Called to close the dialog
+ * @param {Function} props.onSaved - Called with the saved action
+ * @param {Object} props.action - Action to edit, or defaults for a new action (e.g. its target)
+ * @param {Array<Object>} props.people - Suggested owners ({ accountId, name }), e.g. the epic's assignee
+ * @returns {JSX.Element} - Action dialog
+ */
+function ActionDialog({ open, onClose, onSaved, action, people = [] }) {
+  const editing = Boolean(action?.id);
+  const [form, setForm] = useState(() => toForm(action));
+  const [options, setOptions] = useState({ owners: [], meetings: [] });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the given action every time the dialog opens, and suggest known owners and meetings
+  useEffect(() => {
+    if (!open) return;
+
+    setForm(toForm(action));
+    setError(null);
+    actionService.getActions()
+      .then((actions) => setOptions(getActionFilterOptions(actions)))
+      .catch(() => {});
+  }, [open, action]);
+
+  const owners = [
+    ...people,
+    ...options.owners.map((option) => ({ accountId: option.value, name: option.label })),
+  ].filter((person, index, list) => list.findIndex((other) => other.accountId === person.accountId) === index);
+
+  const setField = (name) => (event) => setForm((current) => ({ ...current, [name]: event.target.value }));
+
+  const handleSave = async () => {
+    const fields = {
+      title: form.title,
+      description: form.description,
+      meeting: form.meeting,
+      target: { type: form.targetType, id: form.targetId, name: form.targetName, siteId: form.siteId },
+      owner: form.owner,
+      dueDate: form.dueDate || null,
+      status: form.status,
+    };
+
+    try {
+      setSaving(true);
+      setError(null);
+      const saved = editing
+        ? await actionService.updateAction(action.id, fields)
+        : await actionService.createAction(fields);
+      onSaved(saved);
+      onClose();
+    } catch (err) {
+      setError(err.error?.message || err.message || 'Failed to save the action');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onClose={saving ? undefined : onClose} fullWidth maxWidth="sm">
+      <DialogTitle>{editing ? 'Edit action' : 'New action'}</DialogTitle>
+      <DialogContent>
+        <TextField
+          label="Action"
+          placeholder="Explain the backlog growth"
+          value={form.title}
+          onChange={setField('title')}
+          required
+          fullWidth
+          autoFocus
+          margin="dense"
+        />
+        <TextField
+          label="Details"
+          value={form.description}
+          onChange={setField('description')}
+          fullWidth
+          multiline
+          minRows={2}
+          margin="dense"
+        />
+        <Autocomplete
+          freeSolo
+          options={options.meetings.map((option) => option.value)}
+          inputValue={form.meeting}
+          onInputChange={(event, value) => setForm((current) => ({ ...current, meeting: value }))}
+          renderInput={(params) => <TextField {...params} label="Meeting" placeholder="Weekly review" margin="dense" />}
+        />
+        <Box sx={{ display: 'grid', gridTemplateColumns: { xs: '1fr', sm: '140px 1fr 1fr' }, gap: 1 }}>
+          <TextField
+            select
+            label="Attached to"
+            value={form.targetType}
+            onChange={setField('targetType')}
+            margin="dense"
+          >
+            {TARGET_TYPES.map((type) => (
+              <MenuItem key={type.id} value={type.id}>{type.label}</MenuItem>
+            ))}
+          </TextField>
+          <TextField
+            label={form.targetType === 'person' ? 'Jira accountId' : 'Key'}
+            placeholder={{ project: 'WEB', epic: 'WEB-12', bug: 'WEB-345', person: '5b10ac8d82e05b22cc7d4ef5' }[form.targetType]}
+            value={form.targetId}
+            onChange={setField('targetId')}
+            required
+            margin="dense"
+          />
+          <TextField
+            label="Name"
+            value={form.targetName}
+            onChange={setField('targetName')}
+            margin="dense"
+          />
+        </Box>
+        <Autocomplete
+          freeSolo
+          autoSelect
+          options={owners}
+          value={form.owner}
+          getOptionLabel={getPersonLabel}
+          isOptionEqualToValue={(option, value) => option.accountId === value.accountId}
+          // Typed text is taken as an accountId
+          onChange={(event, value) => setForm((current) => ({
+            ...current,
+            owner: typeof value === 'string' ? { accountId: value, name: null } : value,
+          }))}
+          renderInput={(params) => <TextField {...params} label="Owner" helperText="Pick a person or type a Jira accountId" margin="dense" />}
+        />
+        <Box sx={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 1 }}>
+          <TextField
+            type="date"
+            label="Due date"
+            value={form.dueDate}
+            onChange={setField('dueDate')}
+            InputLabelProps={{ shrink: true }}
+            margin="dense"
+          />
+          <TextField
+            select
+            label="Status"
+            value={form.status}
+            onChange={setField('status')}
+            margin="dense"
+          >
+            {ACTION_STATUSES.map((status) => (
+              <MenuItem key={status.id} value={status.id}>{status.label}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+        {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose} disabled={saving}>Cancel</Button>
+        <Button
+          variant="contained"
+          onClick={handleSave}
+          disabled={saving || !form.title.trim() || !form.targetId.trim()}
+          startIcon={saving && <CircularProgress size={16} color="inherit" />}
+        >
+          Save
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+}
+
+export default ActionDialog;
@@ -0,0 +1,131 @@
+import Chip from '@mui/material/Chip';
+import IconButton from '@mui/material/IconButton';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TextField from '@mui/material/TextField';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import DeleteIcon from '@mui/icons-material/Delete';
+import EditIcon from '@mui/icons-material/Edit';
+import { ACTION_STATUSES, TARGET_TYPES } from '../../services/actionService';
+import { isOverdue } from '../../utils/actionUtils';
+import { formatDate } from '../../utils/roadmapUtils';
+
+const STATUS_COLORS = {
+  open: 'default',
+  in_progress: 'info',
+  completed: 'success',
+};
+
+/**
+ * Describe the item an action is attached to
+ * @param {Object} target - Action target ({ type, id, name })
+ * @returns {string} - e.g. "Epic WEB-12 · Checkout redesign"
+ */
+function describeTarget(target) {
+  const type = TARGET_TYPES.find((option) => option.id === target.type)?.label || target.type;
+  if (target.type === 'person') return `${type} ${target.name || target.id}`;
+  return `${type} ${target.id}${target.name ? ` · ${target.name}` : ''}`;
+}
+
+/**
+ * Table of meeting action items
+ * @param {Object} props - Component props
+ * @param {Array} props.actions - Actions from the actions API
+ * @param {boolean} props.canEdit - Whether the user may change actions
+ * @param {Function} props.onEdit - Called with an action to edit
+ * @param {Function} props.onStatusChange - Called with an action and its new status
+ * @param {Function} props.onDelete - Called with an action to delete
+ * @returns {JSX.Element} - Action table
+ */
+function ActionTable({ actions, canEdit, onEdit, onStatusChange, onDelete }) {
+  if (actions.length === 0) {
+    return (
+      <Paper sx={{ p: 4, textAlign: 'center' }}>
+        <Typography color="text.secondary">No actions match the selected filters.</Typography>
+      </Paper>
+    );
+  }
+
+  return (
+    <TableContainer component={Paper}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            <TableCell>Action</TableCell>
+            <TableCell>Attached to</TableCell>
+            <TableCell>Owner</TableCell>
+            <TableCell>Meeting</TableCell>
+            <TableCell>Due</TableCell>
+            <TableCell>Status</TableCell>
+            {canEdit && <TableCell align="right" />}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {actions.map((action) => (
+            <TableRow key={action.id} hover>
+              <TableCell>
+                <Typography variant="body2">{action.title}</Typography>
+                {action.description && (
+                  <Typography variant="caption" color="text.secondary">{action.description}</Typography>
+                )}
+              </TableCell>
+              <TableCell>{describeTarget(action.target)}</TableCell>
+              <TableCell>{action.owner ? action.owner.name || action.owner.accountId : 'Unassigned'}</TableCell>
+              <TableCell>{action.meeting || ''}</TableCell>
+              <TableCell>
+                <Typography variant="body2" color={isOverdue(action) ? 'error' : 'inherit'} sx={{ whiteSpace: 'nowrap' }}>
+                  {formatDate(action.dueDate)}
+                </Typography>
+              </TableCell>
+              <TableCell>
+                {canEdit ? (
+                  <TextField
+                    select
+                    size="small"
+                    variant="standard"
+                    value={action.status}
+                    onChange={(event) => onStatusChange(action, event.target.value)}
+                    inputProps={{ 'aria-label': `status of ${action.title}` }}
+                  >
+                    {ACTION_STATUSES.map((status) => (
+                      <MenuItem key={status.id} value={status.id}>{status.label}</MenuItem>
+                    ))}
+                  </TextField>
+                ) : (
+                  <Chip
+                    size="small"
+                    label={ACTION_STATUSES.find((status) => status.id === action.status)?.label}
+                    color={STATUS_COLORS[action.status]}
+                  />
+                )}
+              </TableCell>
+              {canEdit && (
+                <TableCell align="right" sx={{ whiteSpace: 'nowrap' }}>
+                  <Tooltip title="Edit">
+                    <IconButton size="small" aria-label={`edit ${action.title}`} onClick={() => onEdit(action)}>
+                      <EditIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Delete">
+                    <IconButton size="small" aria-label={`delete ${action.title}`} onClick={() => onDelete(action)}>
+                      <DeleteIcon fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </TableCell>
+              )}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default ActionTable;
@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Typography from '@mui/material/Typography';
+import '../../utils/chartSetup';
+
+// Colors for the per-project series
+const PROJECT_COLORS = ['#0052CC', '#00B8D9', '#36B37E', '#FFAB00', '#6554C0', '#FF5630', '#97A0AF', '#172B4D'];
+
+/**
+ * Build one stacked series per severity or per project
+ * @param {Object} history - Bug history from the bugs API
+ * @param {string} breakdown - 'severity' or 'project'
+ * @returns {Array<Object>} - Chart datasets
+ */
+function buildDatasets(history, breakdown) {
+  if (breakdown === 'project') {
+    const multipleSites = new Set(history.projects.map((project) => project.site?.id)).size > 1;
+
+    return history.projects.map((project, index) => ({
+      label: multipleSites ? `${project.key} (${project.site?.name})` : project.key,
+      data: history.days.map((day) => day.projects[project.id] || 0),
+      borderColor: PROJECT_COLORS[index % PROJECT_COLORS.length],
+      backgroundColor: `${PROJECT_COLORS[index % PROJECT_COLORS.length]}99`,
+    }));
+  }
+
+  return history.severities
+    .filter((item) => history.days.some((day) => day.severities[item.severity] > 0))
+    .map((item) => ({
+      label: item.severity,
+      data: history.days.map((day) => day.severities[item.severity]),
+      borderColor: item.color,
+      backgroundColor: `${item.color}99`,
+    }));
+}
+
+/**
+ * Stacked chart of the bugs open on each day, reconstructed from the Jira changelogs
+ * @param {Object} props - Component props
+ * @param {Object} props.history - Bug history from the bugs API
+ * @param {number} props.months - Number of months shown
+ * @param {Function} props.onMonthsChange - Called with the new number of months
+ * @returns {JSX.Element} - Backlog history chart component
+ */
+function BacklogHistoryChart({ history, months, onMonthsChange }) {
+  const [breakdown, setBreakdown] = useState('severity');
+
+  const data = {
+    labels: history.days.map((day) => day.date),
+    datasets: buildDatasets(history, breakdown).map((dataset) => ({
+      ...dataset,
+      fill: true,
+      pointRadius: 0,
+      borderWidth: 1,
+    })),
+  };
+
+  const options = {
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    scales: {
+      x: { ticks: { maxTicksLimit: 12 } },
+      y: { stacked: true, beginAtZero: true, title: { display: true, text: 'Open bugs' } },
+    },
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="h6" component="h2">
+          Open bug backlog
+        </Typography>
+        <Stack direction="row" spacing={1}>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={breakdown}
+            onChange={(event, value) => value && setBreakdown(value)}
+          >
+            <ToggleButton value="severity">By severity</ToggleButton>
+            <ToggleButton value="project">By project</ToggleButton>
+          </ToggleButtonGroup>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={months}
+            onChange={(event, value) => value && onMonthsChange(value)}
+          >
+            <ToggleButton value={3}>3 months</ToggleButton>
+            <ToggleButton value={6}>6 months</ToggleButton>
+            <ToggleButton value={12}>12 months</ToggleButton>
+          </ToggleButtonGroup>
+        </Stack>
+      </Box>
+      <Box sx={{ height: 300, mt: 1 }}>
+        <Line data={data} options={options} />
+      </Box>
+    </Paper>
+  );
+}
+
+export default BacklogHistoryChart;
@@ -0,0 +1,52 @@
+import Autocomplete from '@mui/material/Autocomplete';
+import Button from '@mui/material/Button';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+
+const FILTER_FIELDS = [
+  { name: 'sites', label: 'Jira sites' },
+  { name: 'projects', label: 'Projects' },
+  { name: 'severities', label: 'Severities' },
+  { name: 'assignees', label: 'Assignees' },
+];
+
+/**
+ * Filters applied to every view on the bugs page
+ * The site filter is only shown when the bugs span more than one Jira site.
+ * @param {Object} props - Component props
+ * @param {Object} props.options - Options per filter from getBugFilterOptions
+ * @param {Object} props.filters - Selected filter values
+ * @param {Function} props.onChange - Called with the updated filters
+ * @param {Function} props.onReset - Called to clear all filters
+ * @returns {JSX.Element} - Bug filter bar component
+ */
+function BugFilterBar({ options, filters, onChange, onReset }) {
+  const handleChange = (name) => (event, selected) => {
+    onChange({ ...filters, [name]: selected.map((option) => option.value) });
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Stack direction={{ xs: 'column', md: 'row' }} spacing={2} alignItems={{ md: 'center' }}>
+        {FILTER_FIELDS.filter(({ name }) => name !== 'sites' || options.sites.length > 1).map(({ name, label }) => (
+          <Autocomplete
+            key={name}
+            multiple
+            size="small"
+            options={options[name]}
+            value={options[name].filter((option) => filters[name].includes(option.value))}
+            onChange={handleChange(name)}
+            isOptionEqualToValue={(option, value) => option.value === value.value}
+            getOptionLabel={(option) => option.label}
+            renderInput={(params) => <TextField {...params} label={label} />}
+            sx={{ flex: 1, minWidth: 200 }}
+          />
+        ))}
+        <Button onClick={onReset}>Reset</Button>
+      </Stack>
+    </Paper>
+  );
+}
+
+export default BugFilterBar;
@@ -0,0 +1,183 @@
+import { useState, useMemo } from 'react';
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import IconButton from '@mui/material/IconButton';
+import Link from '@mui/material/Link';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TablePagination from '@mui/material/TablePagination';
+import TableRow from '@mui/material/TableRow';
+import TableSortLabel from '@mui/material/TableSortLabel';
+import TextField from '@mui/material/TextField';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import ActionBadge from '../actions/ActionBadge';
+import TableExportDialog from '../TableExportDialog';
+import { getTargetActions } from '../../utils/actionUtils';
+import { getBugAge, sortBugs } from '../../utils/bugUtils';
+
+const COLUMNS = [
+  { field: 'key', label: 'Key' },
+  { field: 'summary', label: 'Summary' },
+  { field: 'severity', label: 'Severity' },
+  { field: 'priority', label: 'Priority' },
+  { field: 'status', label: 'Status' },
+  { field: 'site', label: 'Site' },
+  { field: 'project', label: 'Project' },
+  { field: 'assignee', label: 'Assignee' },
+  { field: 'created', label: 'Created' },
+  { field: 'age', label: 'Age (days)' },
+];
+
+const STATUS_CATEGORIES = ['To Do', 'In Progress', 'Done'];
+
+/**
+ * Sortable, filterable table of bugs
+ * @param {Object} props - Component props
+ * @param {Array} props.bugs - Bugs from the bugs API
+ * @param {Object} props.filters - Bug filters of the page, applied again when downloading the table
+ * @param {Map<string, Array>} props.actionsByBug - Pending meeting actions by bug key
+ * @returns {JSX.Element} - Bug table component
+ */
+function BugTable({ bugs, filters, actionsByBug = new Map() }) {
+  const [sort, setSort] = useState({ field: 'severity', order: 'desc' });
+  const [search, setSearch] = useState('');
+  const [statusCategory, setStatusCategory] = useState('open');
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(25);
+  const [exportOpen, setExportOpen] = useState(false);
+
+  // The site column is only useful when the bugs span more than one Jira site
+  const showSites = useMemo(() => new Set(bugs.map((bug) => bug.site?.id)).size > 1, [bugs]);
+  const columns = COLUMNS.filter((column) => column.field !== 'site' || showSites);
+
+  const rows = useMemo(() => {
+    const searchTerm = search.toLowerCase();
+
+    const filtered = bugs.filter((bug) => {
+      const category = bug.status?.category;
+      if (statusCategory === 'open' && category === 'Done') return false;
+      if (statusCategory !== 'open' && statusCategory !== 'all' && category !== statusCategory) return false;
+      if (searchTerm && !`${bug.key} ${bug.summary}`.toLowerCase().includes(searchTerm)) return false;
+      return true;
+    });
+
+    return sortBugs(filtered, sort.field, sort.order);
+  }, [bugs, search, statusCategory, sort]);
+
+  const handleSort = (field) => {
+    const isAsc = sort.field === field && sort.order === 'asc';
+    setSort({ field, order: isAsc ? 'desc' : 'asc' });
+  };
+
+  return (
+    <Paper>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, p: 2, flexWrap: 'wrap' }}>
+        <Typography variant="h6" component="h2" sx={{ flexGrow: 1 }}>
+          All bugs ({rows.length})
+        </Typography>
+        <TextField
+          size="small"
+          label="Search"
+          value={search}
+          onChange={(event) => {
+            setSearch(event.target.value);
+            setPage(0);
+          }}
+        />
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={statusCategory}
+          onChange={(event) => {
+            setStatusCategory(event.target.value);
+            setPage(0);
+          }}
+          sx={{ minWidth: 140 }}
+        >
+          <MenuItem value="open">Open</MenuItem>
+          <MenuItem value="all">All</MenuItem>
+          {STATUS_CATEGORIES.map((category) => (
+            <MenuItem key={category} value={category}>{category}</MenuItem>
+          ))}
+        </TextField>
+        <Tooltip title="Download as CSV or Excel">
+          <IconButton aria-label="download bugs" onClick={() => setExportOpen(true)}>
+            <FileDownloadIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+      <TableContainer>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              {columns.map((column) => (
+                <TableCell key={column.field} sortDirection={sort.field === column.field ? sort.order : false}>
+                  <TableSortLabel
+                    active={sort.field === column.field}
+                    direction={sort.field === column.field ? sort.order : 'asc'}
+                    onClick={() => handleSort(column.field)}
+                  >
+                    {column.label}
+                  </TableSortLabel>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {rows.slice(page * rowsPerPage, page * rowsPerPage + rowsPerPage).map((bug) => (
+              <TableRow key={bug.id} hover>
+                <TableCell>
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, whiteSpace: 'nowrap' }}>
+                    <Link href={bug.webUrl} target="_blank" rel="noopener noreferrer">
+                      {bug.key}
+                    </Link>
+                    <ActionBadge actions={getTargetActions(actionsByBug, bug.key, bug.site?.id)} />
+                  </Box>
+                </TableCell>
+                <TableCell>{bug.summary}</TableCell>
+                <TableCell>
+                  <Chip label={bug.severity.level} size="small" sx={{ bgcolor: bug.severity.color, color: '#fff' }} />
+                </TableCell>
+                <TableCell>{bug.priority?.name || ''}</TableCell>
+                <TableCell>{bug.status?.name || ''}</TableCell>
+                {showSites && <TableCell>{bug.site?.name || ''}</TableCell>}
+                <TableCell>{bug.project?.name || ''}</TableCell>
+                <TableCell>{bug.assignee?.name || 'Unassigned'}</TableCell>
+                <TableCell>{bug.created ? new Date(bug.created).toLocaleDateString() : ''}</TableCell>
+                <TableCell>{getBugAge(bug)}</TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+      <TablePagination
+        component="div"
+        count={rows.length}
+        page={page}
+        onPageChange={(event, newPage) => setPage(newPage)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={(event) => {
+          setRowsPerPage(parseInt(event.target.value, 10));
+          setPage(0);
+        }}
+        rowsPerPageOptions={[25, 50, 100]}
+      />
+      <TableExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        table="bugs"
+        params={{ ...filters, status: statusCategory, search, sort: sort.field, order: sort.order }}
+      />
+    </Paper>
+  );
+}
+
+export default BugTable;
@@ -0,0 +1,112 @@
+import { Bar } from 'react-chartjs-2';
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Typography from '@mui/material/Typography';
+import TrendingDownIcon from '@mui/icons-material/TrendingDown';
+import TrendingFlatIcon from '@mui/icons-material/TrendingFlat';
+import TrendingUpIcon from '@mui/icons-material/TrendingUp';
+import '../../utils/chartSetup';
+
+const BACKLOG_INDICATORS = {
+  growing: { label: 'Backlog growing', color: 'error', icon: <TrendingUpIcon /> },
+  shrinking: { label: 'Backlog shrinking', color: 'success', icon: <TrendingDownIcon /> },
+  stable: { label: 'Backlog stable', color: 'default', icon: <TrendingFlatIcon /> },
+};
+
+/**
+ * Format a change against the previous period
+ * @param {Object} comparison - { current, previous, change, changePercent }
+ * @returns {string} - Formatted change
+ */
+function formatChange(comparison) {
+  const sign = comparison.change > 0 ? '+' : '';
+  const percent = comparison.changePercent === null ? '' : ` (${sign}${comparison.changePercent}%)`;
+  return `${sign}${comparison.change}${percent}`;
+}
+
+/**
+ * Chart of created, resolved and open bugs over time
+ * @param {Object} props - Component props
+ * @param {Object} props.trends - Bug trends from the bugs API
+ * @param {string} props.interval - 'week' or 'month'
+ * @param {Function} props.onIntervalChange - Called with the new interval
+ * @returns {JSX.Element} - Bug trend chart component
+ */
+function BugTrendChart({ trends, interval, onIntervalChange }) {
+  const indicator = BACKLOG_INDICATORS[trends.backlog.trend];
+
+  const data = {
+    labels: trends.periods.map((period) => period.date),
+    datasets: [
+      {
+        type: 'line',
+        label: 'Open',
+        data: trends.periods.map((period) => period.open),
+        borderColor: '#172B4D',
+        backgroundColor: '#172B4D',
+        yAxisID: 'open',
+      },
+      {
+        type: 'line',
+        label: 'Open (previous period)',
+        data: trends.previousPeriods.map((period) => period.open),
+        borderColor: '#97A0AF',
+        backgroundColor: '#97A0AF',
+        borderDash: [6, 4],
+        yAxisID: 'open',
+      },
+      {
+        label: 'Created',
+        data: trends.periods.map((period) => period.created),
+        backgroundColor: '#FF5630',
+      },
+      {
+        label: 'Resolved',
+        data: trends.periods.map((period) => period.resolved),
+        backgroundColor: '#36B37E',
+      },
+    ],
+  };
+
+  const options = {
+    maintainAspectRatio: false,
+    interaction: { mode: 'index', intersect: false },
+    scales: {
+      y: { beginAtZero: true, title: { display: true, text: 'Created / resolved' } },
+      open: { beginAtZero: true, position: 'right', title: { display: true, text: 'Open' }, grid: { drawOnChartArea: false } },
+    },
+  };
+
+  return (
+    <Paper sx={{ p: 2, height: '100%' }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', flexWrap: 'wrap', gap: 1 }}>
+        <Typography variant="h6" component="h2">
+          Bug trends
+        </Typography>
+        <ToggleButtonGroup
+          size="small"
+          exclusive
+          value={interval}
+          onChange={(event, value) => value && onIntervalChange(value)}
+        >
+          <ToggleButton value="week">Weekly</ToggleButton>
+          <ToggleButton value="month">Monthly</ToggleButton>
+        </ToggleButtonGroup>
+      </Box>
+      <Stack direction="row" spacing={1} sx={{ my: 1, flexWrap: 'wrap' }} useFlexGap>
+        <Chip icon={indicator.icon} label={`${indicator.label} (${formatChange({ ...trends.backlog, changePercent: null })})`} color={indicator.color} />
+        <Chip variant="outlined" label={`Created ${trends.comparison.created.current} · ${formatChange(trends.comparison.created)} vs previous`} />
+        <Chip variant="outlined" label={`Resolved ${trends.comparison.resolved.current} · ${formatChange(trends.comparison.resolved)} vs previous`} />
+      </Stack>
+      <Box sx={{ height: 280 }}>
+        <Bar data={data} options={options} />
+      </Box>
+    </Paper>
+  );
+}
+
+export default BugTrendChart;
@@ -0,0 +1,75 @@
+import { useState } from 'react';
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import Link from '@mui/material/Link';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import NewReleasesIcon from '@mui/icons-material/NewReleases';
+import { SEVERITY_LEVELS } from '../../utils/bugUtils';
+
+/**
+ * List of bugs reported recently with new critical bugs highlighted
+ * @param {Object} props - Component props
+ * @param {Object} props.recent - Recent bugs from the bugs API
+ * @returns {JSX.Element} - Recent bugs component
+ */
+function RecentBugsList({ recent }) {
+  const [severity, setSeverity] = useState(null);
+
+  const bugs = severity ? recent.bugs.filter((bug) => bug.severity.level === severity) : recent.bugs;
+
+  return (
+    <Paper sx={{ p: 2, height: '100%' }}>
+      <Typography variant="h6" component="h2">
+        New in the last {recent.days} days
+      </Typography>
+      <Typography variant="body2" color={recent.criticalCount > 0 ? 'error' : 'text.secondary'} gutterBottom>
+        {recent.total} new bugs · {recent.criticalCount} critical
+      </Typography>
+      <Stack direction="row" spacing={0.5} sx={{ mb: 1, flexWrap: 'wrap' }} useFlexGap>
+        <Chip label="All" size="small" color={severity ? 'default' : 'primary'} onClick={() => setSeverity(null)} />
+        {SEVERITY_LEVELS.map((level) => (
+          <Chip
+            key={level}
+            label={level}
+            size="small"
+            color={severity === level ? 'primary' : 'default'}
+            onClick={() => setSeverity(level)}
+          />
+        ))}
+      </Stack>
+      <List dense sx={{ maxHeight: 280, overflowY: 'auto' }}>
+        {bugs.length === 0 && (
+          <Typography variant="body2" color="text.secondary">
+            No new bugs.
+          </Typography>
+        )}
+        {bugs.map((bug) => (
+          <ListItem
+            key={bug.id}
+            sx={bug.isNewCritical ? { bgcolor: 'error.light', color: 'error.contrastText', borderRadius: 1, mb: 0.5 } : undefined}
+          >
+            <ListItemText
+              primary={
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  {bug.isNewCritical && <NewReleasesIcon fontSize="small" />}
+                  <Link href={bug.webUrl} target="_blank" rel="noopener noreferrer" color="inherit" underline="hover">
+                    {bug.key} {bug.summary}
+                  </Link>
+                </Box>
+              }
+              secondary={`${bug.severity.level} · ${bug.status?.name || 'Unknown'} · ${new Date(bug.created).toLocaleDateString()}`}
+              secondaryTypographyProps={bug.isNewCritical ? { color: 'inherit' } : undefined}
+            />
+          </ListItem>
+        ))}
+      </List>
+    </Paper>
+  );
+}
+
+export default RecentBugsList;
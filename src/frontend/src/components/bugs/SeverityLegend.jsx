@@ -0,0 +1,52 @@
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Typography from '@mui/material/Typography';
+import { describeSeverityRules, groupSeverityMappings } from '../../utils/bugUtils';
+
+/**
+ * Legend explaining how bugs are assigned a severity, using the mapping in effect on the server
+ * @param {Object} props - Component props
+ * @param {Object} props.mapping - Severity mapping from the bugs API
+ * @returns {JSX.Element} - Severity legend component
+ */
+function SeverityLegend({ mapping }) {
+  const groups = groupSeverityMappings(mapping);
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Typography variant="h6" component="h2" gutterBottom>
+        Severity legend
+      </Typography>
+      <Stack spacing={2}>
+        {groups.map((group) => (
+          <Box key={group.projects.join(',')}>
+            {groups.length > 1 && (
+              <Typography variant="subtitle2" gutterBottom>
+                {group.projects.join(', ')}
+              </Typography>
+            )}
+            <Stack spacing={0.5}>
+              {mapping.levels.map((level) => {
+                const descriptions = describeSeverityRules(group.rules, level.severity);
+                if (level.severity === group.defaultSeverity) descriptions.push('anything else');
+
+                return (
+                  <Box key={level.severity} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    <Chip label={level.severity} size="small" sx={{ bgcolor: level.color, color: '#fff', minWidth: 72 }} />
+                    <Typography variant="body2" color="text.secondary">
+                      {descriptions.join(' · ') || 'Not mapped'}
+                    </Typography>
+                  </Box>
+                );
+              })}
+            </Stack>
+          </Box>
+        ))}
+      </Stack>
+    </Paper>
+  );
+}
+
+export default SeverityLegend;
@@ -0,0 +1,63 @@
+import { Pie } from 'react-chartjs-2';
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import '../../utils/chartSetup';
+
+/**
+ * Pie chart of open bugs by severity
+ * @param {Object} props - Component props
+ * @param {Object} props.distribution - Severity distribution from the bugs API
+ * @returns {JSX.Element} - Severity pie chart component
+ */
+function SeverityPieChart({ distribution }) {
+  const severities = distribution.severities.filter((item) => item.count > 0);
+
+  const data = {
+    labels: severities.map((item) => item.severity),
+    datasets: [
+      {
+        data: severities.map((item) => item.count),
+        backgroundColor: severities.map((item) => item.color),
+        borderWidth: 1,
+      },
+    ],
+  };
+
+  const options = {
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { position: 'right' },
+      tooltip: {
+        callbacks: {
+          label: (context) => {
+            const item = severities[context.dataIndex];
+            return `${item.severity}: ${item.count} (${item.percentage}%)`;
+          },
+        },
+      },
+    },
+  };
+
+  return (
+    <Paper sx={{ p: 2, height: '100%' }}>
+      <Typography variant="h6" component="h2">
+        Open bugs by severity
+      </Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        {distribution.total} open bugs
+      </Typography>
+      <Box sx={{ height: 280 }}>
+        {severities.length > 0 ? (
+          <Pie data={data} options={options} />
+        ) : (
+          <Typography color="text.secondary" sx={{ pt: 4, textAlign: 'center' }}>
+            No open bugs.
+          </Typography>
+        )}
+      </Box>
+    </Paper>
+  );
+}
+
+export default SeverityPieChart;
@@ -0,0 +1,49 @@
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import { getBugAge } from '../../utils/bugUtils';
+
+/**
+ * Slide listing open critical bugs
+ * @param {Object} props - Component props
+ * @param {Object} props.slide - Critical bugs slide ({ bugs })
+ * @returns {JSX.Element} - Critical bugs slide
+ */
+function CriticalBugsSlide({ slide }) {
+  if (slide.bugs.length === 0) {
+    return (
+      <Typography variant="h4" color="text.secondary" sx={{ textAlign: 'center', mt: 8 }}>
+        No open critical bugs.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2 }}>
+      {slide.bugs.map((bug) => (
+        <Paper
+          key={bug.id}
+          variant="outlined"
+          sx={{ p: 2.5, borderLeft: `10px solid ${bug.severity.color}`, display: 'flex', alignItems: 'center', gap: 3 }}
+        >
+          <Typography variant="h5" color="text.secondary" sx={{ minWidth: 160 }}>
+            {bug.key}
+          </Typography>
+          <Box sx={{ flexGrow: 1, minWidth: 0 }}>
+            <Typography variant="h5" sx={{ fontWeight: 600 }} noWrap>
+              {bug.summary}
+            </Typography>
+            <Typography variant="h6" color="text.secondary">
+              {bug.status?.name} · {bug.assignee?.name || 'Unassigned'}
+            </Typography>
+          </Box>
+          <Typography variant="h5" sx={{ whiteSpace: 'nowrap' }}>
+            {getBugAge(bug)} days
+          </Typography>
+        </Paper>
+      ))}
+    </Box>
+  );
+}
+
+export default CriticalBugsSlide;
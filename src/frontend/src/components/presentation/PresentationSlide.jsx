@@ -0,0 +1,36 @@
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import CriticalBugsSlide from './CriticalBugsSlide';
+import RoadmapSlide from './RoadmapSlide';
+import SeveritySlide from './SeveritySlide';
+import TrendSlide from './TrendSlide';
+
+const SLIDE_COMPONENTS = {
+  roadmap: RoadmapSlide,
+  severity: SeveritySlide,
+  trend: TrendSlide,
+  criticalBugs: CriticalBugsSlide,
+};
+
+/**
+ * Full-screen slide of a presentation
+ * @param {Object} props - Component props
+ * @param {Object} props.slide - Slide from the presentations API ({ view, title, ...data })
+ * @returns {JSX.Element} - Slide
+ */
+function PresentationSlide({ slide }) {
+  const SlideView = SLIDE_COMPONENTS[slide.view];
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%', px: 6, pt: 4, pb: 2 }}>
+      <Typography variant="h2" component="h1" sx={{ fontWeight: 600, mb: 3 }}>
+        {slide.title}
+      </Typography>
+      <Box sx={{ flexGrow: 1, minHeight: 0, overflow: 'hidden' }}>
+        <SlideView slide={slide} />
+      </Box>
+    </Box>
+  );
+}
+
+export default PresentationSlide;
@@ -0,0 +1,56 @@
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+
+/**
+ * Format elapsed time as minutes and seconds
+ * @param {number} ms - Elapsed milliseconds
+ * @returns {string} - e.g. "12:05"
+ */
+function formatElapsed(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Bar at the bottom of a presentation with the slide position, timer and data age
+ * @param {Object} props - Component props
+ * @param {number} props.index - Index of the current slide
+ * @param {number} props.count - Number of slides
+ * @param {number} props.elapsed - Milliseconds the presentation has been running
+ * @param {boolean} props.paused - Whether the timer is paused
+ * @param {number|null} props.durationMinutes - Planned length of the presentation
+ * @param {string} props.dataAsOf - Timestamp of the shown data
+ * @returns {JSX.Element} - Presenter bar
+ */
+function PresenterBar({ index, count, elapsed, paused, durationMinutes, dataAsOf }) {
+  const overtime = durationMinutes !== null && elapsed > durationMinutes * 60 * 1000;
+
+  return (
+    <Box
+      sx={{
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'space-between',
+        px: 6,
+        py: 1.5,
+        borderTop: 1,
+        borderColor: 'divider',
+        color: 'text.secondary',
+      }}
+    >
+      <Typography variant="h6">
+        {index + 1} / {count}
+      </Typography>
+      <Typography variant="h6" color={overtime ? 'error' : 'inherit'} aria-live="off">
+        {formatElapsed(elapsed)}
+        {durationMinutes !== null && ` / ${durationMinutes}:00`}
+        {paused && ' (paused)'}
+      </Typography>
+      <Typography variant="h6">
+        Data as of {new Date(dataAsOf).toLocaleString()}
+      </Typography>
+    </Box>
+  );
+}
+
+export default PresenterBar;
@@ -0,0 +1,58 @@
+import Box from '@mui/material/Box';
+import LinearProgress from '@mui/material/LinearProgress';
+import Paper from '@mui/material/Paper';
+import Typography from '@mui/material/Typography';
+import { formatDate, getStatusColor } from '../../utils/roadmapUtils';
+
+/**
+ * Roadmap slide with large epic tiles of one quarter
+ * @param {Object} props - Component props
+ * @param {Object} props.slide - Roadmap slide ({ quarter, epics })
+ * @returns {JSX.Element} - Roadmap slide
+ */
+function RoadmapSlide({ slide }) {
+  if (slide.epics.length === 0) {
+    return (
+      <Typography variant="h4" color="text.secondary" sx={{ textAlign: 'center', mt: 8 }}>
+        No epics planned{slide.quarter ? ` for ${slide.quarter.name}` : ''}.
+      </Typography>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'grid', gridTemplateColumns: 'repeat(3, 1fr)', gap: 3 }}>
+      {slide.epics.map((epic) => (
+        <Paper
+          key={epic.id}
+          variant="outlined"
+          sx={{ p: 3, borderLeft: `10px solid ${epic.project.color}`, display: 'flex', flexDirection: 'column', gap: 1.5 }}
+        >
+          <Typography variant="h6" color="text.secondary">
+            {epic.key} · {epic.project.name}
+          </Typography>
+          <Typography variant="h5" component="h3" sx={{ fontWeight: 600, flexGrow: 1 }}>
+            {epic.summary}
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 2 }}>
+            <LinearProgress
+              variant="determinate"
+              value={epic.progress}
+              sx={{
+                flexGrow: 1,
+                height: 14,
+                borderRadius: 7,
+                '& .MuiLinearProgress-bar': { bgcolor: getStatusColor(epic.statusCategory) },
+              }}
+            />
+            <Typography variant="h5">{epic.progress}%</Typography>
+          </Box>
+          <Typography variant="h6" color="text.secondary">
+            {epic.status}{epic.dueDate ? ` · Due ${formatDate(epic.dueDate)}` : ''}
+          </Typography>
+        </Paper>
+      ))}
+    </Box>
+  );
+}
+
+export default RoadmapSlide;
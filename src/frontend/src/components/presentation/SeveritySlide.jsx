@@ -0,0 +1,55 @@
+import { Pie } from 'react-chartjs-2';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import '../../utils/chartSetup';
+
+/**
+ * Slide with the open bugs by severity
+ * @param {Object} props - Component props
+ * @param {Object} props.slide - Severity slide ({ distribution })
+ * @returns {JSX.Element} - Severity slide
+ */
+function SeveritySlide({ slide }) {
+  const severities = slide.distribution.severities.filter((item) => item.count > 0);
+
+  if (severities.length === 0) {
+    return (
+      <Typography variant="h4" color="text.secondary" sx={{ textAlign: 'center', mt: 8 }}>
+        No open bugs.
+      </Typography>
+    );
+  }
+
+  const data = {
+    labels: severities.map((item) => `${item.severity}: ${item.count} (${item.percentage}%)`),
+    datasets: [
+      {
+        data: severities.map((item) => item.count),
+        backgroundColor: severities.map((item) => item.color),
+        borderWidth: 2,
+      },
+    ],
+  };
+
+  const options = {
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { position: 'right', labels: { font: { size: 28 }, padding: 24, boxWidth: 40 } },
+      tooltip: { enabled: false },
+    },
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <Typography variant="h4" color="text.secondary" gutterBottom>
+        {slide.distribution.total} open bugs
+      </Typography>
+      <Box sx={{ flexGrow: 1, minHeight: 0 }}>
+        <Pie data={data} options={options} />
+      </Box>
+    </Box>
+  );
+}
+
+export default SeveritySlide;
@@ -0,0 +1,83 @@
+import { Bar } from 'react-chartjs-2';
+import Box from '@mui/material/Box';
+import Typography from '@mui/material/Typography';
+import '../../utils/chartSetup';
+
+const FONT = { size: 22 };
+
+// Summary of the backlog direction over the shown periods
+const BACKLOG_LABELS = {
+  growing: 'Backlog growing',
+  shrinking: 'Backlog shrinking',
+  stable: 'Backlog stable',
+};
+
+/**
+ * Slide with created, resolved and open bugs over time
+ * @param {Object} props - Component props
+ * @param {Object} props.slide - Trend slide ({ trends })
+ * @returns {JSX.Element} - Trend slide
+ */
+function TrendSlide({ slide }) {
+  const { trends } = slide;
+  const sign = trends.backlog.change > 0 ? '+' : '';
+
+  const data = {
+    labels: trends.periods.map((period) => period.date),
+    datasets: [
+      {
+        type: 'line',
+        label: 'Open',
+        data: trends.periods.map((period) => period.open),
+        borderColor: '#172B4D',
+        backgroundColor: '#172B4D',
+        borderWidth: 4,
+        pointRadius: 5,
+        yAxisID: 'open',
+      },
+      {
+        label: 'Created',
+        data: trends.periods.map((period) => period.created),
+        backgroundColor: '#FF5630',
+      },
+      {
+        label: 'Resolved',
+        data: trends.periods.map((period) => period.resolved),
+        backgroundColor: '#36B37E',
+      },
+    ],
+  };
+
+  const options = {
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { ticks: { font: FONT } },
+      y: { beginAtZero: true, ticks: { font: FONT }, title: { display: true, text: 'Created / resolved', font: FONT } },
+      open: {
+        beginAtZero: true,
+        position: 'right',
+        ticks: { font: FONT },
+        title: { display: true, text: 'Open', font: FONT },
+        grid: { drawOnChartArea: false },
+      },
+    },
+    plugins: {
+      legend: { labels: { font: { size: 26 }, boxWidth: 40 } },
+      tooltip: { enabled: false },
+    },
+  };
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100%' }}>
+      <Typography variant="h4" color="text.secondary" gutterBottom>
+        {BACKLOG_LABELS[trends.backlog.trend]} ({sign}{trends.backlog.change})
+      </Typography>
+      <Box sx={{ flexGrow: 1, minHeight: 0 }}>
+        <Bar data={data} options={options} />
+      </Box>
+    </Box>
+  );
+}
+
+export default TrendSlide;
@@ -0,0 +1,190 @@
+import { useState, useEffect, useMemo } from 'react';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import CircularProgress from '@mui/material/CircularProgress';
+import Divider from '@mui/material/Divider';
+import Drawer from '@mui/material/Drawer';
+import IconButton from '@mui/material/IconButton';
+import LinearProgress from '@mui/material/LinearProgress';
+import Link from '@mui/material/Link';
+import List from '@mui/material/List';
+import ListItem from '@mui/material/ListItem';
+import ListItemText from '@mui/material/ListItemText';
+import Typography from '@mui/material/Typography';
+import AddIcon from '@mui/icons-material/Add';
+import CloseIcon from '@mui/icons-material/Close';
+import ActionDialog from '../actions/ActionDialog';
+import roadmapService from '../../services/roadmapService';
+import { useAuth } from '../../contexts/AuthContext';
+import { isOverdue } from '../../utils/actionUtils';
+import { formatDate, getStatusColor } from '../../utils/roadmapUtils';
+
+/**
+ * Drawer showing an epic and its child issues
+ * @param {Object} props - Component props
+ * @param {Object|null} props.epic - Selected roadmap epic (drawer is closed when null)
+ * @param {Function} props.onClose - Called to close the drawer
+ * @param {Array} props.actions - Pending meeting actions attached to the epic
+ * @param {Function} props.onActionSaved - Called after an action was added to the epic
+ * @returns {JSX.Element} - Epic drawer component
+ */
+function EpicDrawer({ epic, onClose, actions = [], onActionSaved }) {
+  const [issues, setIssues] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [actionOpen, setActionOpen] = useState(false);
+  const { user, canEdit } = useAuth();
+
+  // A new action is attached to the epic and owned by its assignee unless changed
+  const newAction = useMemo(() => epic && {
+    target: { type: 'epic', id: epic.key, name: epic.summary, siteId: epic.project.site?.id },
+    owner: epic.assignee ? { accountId: epic.assignee.id, name: epic.assignee.displayName } : null,
+  }, [epic]);
+
+  const people = [newAction?.owner, user?.accountId && { accountId: user.accountId, name: user.displayName }].filter(Boolean);
+
+  useEffect(() => {
+    if (!epic) return undefined;
+
+    let cancelled = false;
+
+    const loadIssues = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const epicIssues = await roadmapService.getEpicIssues(epic.key, epic.project.site?.id);
+        if (!cancelled) setIssues(epicIssues);
+      } catch (err) {
+        if (!cancelled) setError(err.error?.message || err.message || 'Failed to load epic issues');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    loadIssues();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [epic]);
+
+  return (
+    <Drawer anchor="right" open={Boolean(epic)} onClose={onClose}>
+      {epic && (
+        <Box sx={{ width: { xs: '100vw', sm: 480 }, p: 3 }}>
+          <Box sx={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between' }}>
+            <Box>
+              <Typography variant="caption" color="text.secondary">
+                {epic.project.name} ·{' '}
+                <Link href={epic.webUrl} target="_blank" rel="noopener noreferrer">
+                  {epic.key}
+                </Link>
+              </Typography>
+              <Typography variant="h6" component="h2">
+                {epic.summary}
+              </Typography>
+            </Box>
+            <IconButton aria-label="close" onClick={onClose}>
+              <CloseIcon />
+            </IconButton>
+          </Box>
+
+          <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', my: 2 }}>
+            <Chip label={epic.status} size="small" sx={{ bgcolor: getStatusColor(epic.statusCategory), color: '#fff' }} />
+            <Typography variant="body2" color="text.secondary">
+              {epic.assignee?.displayName || 'Unassigned'}
+              {epic.dueDate && ` · Due ${formatDate(epic.dueDate)}`}
+            </Typography>
+          </Box>
+
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <LinearProgress variant="determinate" value={epic.progress} sx={{ flexGrow: 1, height: 8, borderRadius: 4 }} />
+            <Typography variant="body2">{epic.progress}%</Typography>
+          </Box>
+
+          <Divider sx={{ my: 2 }} />
+
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <Typography variant="subtitle1">
+              Meeting actions ({actions.length})
+            </Typography>
+            {canEdit && (
+              <Button size="small" startIcon={<AddIcon />} onClick={() => setActionOpen(true)}>
+                Add action
+              </Button>
+            )}
+          </Box>
+          <List dense>
+            {actions.map((action) => (
+              <ListItem key={action.id} disableGutters>
+                <ListItemText
+                  primary={action.title}
+                  secondary={`${action.owner?.name || action.owner?.accountId || 'Unassigned'}${action.dueDate ? ` · Due ${formatDate(action.dueDate)}` : ''}`}
+                  secondaryTypographyProps={{ color: isOverdue(action) ? 'error' : 'text.secondary' }}
+                />
+              </ListItem>
+            ))}
+          </List>
+
+          <Divider sx={{ my: 2 }} />
+
+          <Typography variant="subtitle1" gutterBottom>
+            Child issues ({epic.completedCount}/{epic.childCount} done)
+          </Typography>
+
+          {loading && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', p: 2 }}>
+              <CircularProgress />
+            </Box>
+          )}
+
+          {error && <Alert severity="error">{error}</Alert>}
+
+          {!loading && !error && (
+            <List dense>
+              {issues.length === 0 && (
+                <Typography variant="body2" color="text.secondary">
+                  This epic has no child issues.
+                </Typography>
+              )}
+              {issues.map((issue) => (
+                <ListItem
+                  key={issue.id}
+                  disableGutters
+                  secondaryAction={
+                    <Chip
+                      label={issue.status?.name || 'Unknown'}
+                      size="small"
+                      sx={{ bgcolor: getStatusColor(issue.status?.category), color: '#fff' }}
+                    />
+                  }
+                >
+                  <ListItemText
+                    primary={
+                      <Link href={issue.webUrl} target="_blank" rel="noopener noreferrer" underline="hover">
+                        {issue.key} {issue.summary}
+                      </Link>
+                    }
+                    secondary={`${issue.issueType?.name || 'Issue'} · ${issue.assignee?.name || 'Unassigned'}`}
+                    sx={{ pr: 12 }}
+                  />
+                </ListItem>
+              ))}
+            </List>
+          )}
+        </Box>
+      )}
+      <ActionDialog
+        open={actionOpen}
+        onClose={() => setActionOpen(false)}
+        onSaved={onActionSaved}
+        action={newAction}
+        people={people}
+      />
+    </Drawer>
+  );
+}
+
+export default EpicDrawer;
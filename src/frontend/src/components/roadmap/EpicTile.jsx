@@ -0,0 +1,74 @@
+import Box from '@mui/material/Box';
+import Card from '@mui/material/Card';
+import CardActionArea from '@mui/material/CardActionArea';
+import CardContent from '@mui/material/CardContent';
+import Chip from '@mui/material/Chip';
+import LinearProgress from '@mui/material/LinearProgress';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import FlagIcon from '@mui/icons-material/Flag';
+import ActionBadge from '../actions/ActionBadge';
+import { formatDate, getStatusColor } from '../../utils/roadmapUtils';
+
+/**
+ * Tile representing an epic on the roadmap
+ * @param {Object} props - Component props
+ * @param {Object} props.epic - Roadmap epic
+ * @param {Function} props.onClick - Called when the tile is clicked
+ * @param {Array} props.actions - Pending meeting actions attached to the epic
+ * @returns {JSX.Element} - Epic tile component
+ */
+function EpicTile({ epic, onClick, actions = [] }) {
+  const statusColor = getStatusColor(epic.statusCategory);
+  const releases = (epic.fixVersions || []).filter((version) => version.releaseDate);
+
+  return (
+    <Card variant="outlined" sx={{ borderLeft: `6px solid ${epic.project.color}` }}>
+      <CardActionArea onClick={() => onClick(epic)}>
+        <CardContent sx={{ p: 1.5, '&:last-child': { pb: 1.5 } }}>
+          <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 0.5 }}>
+            <Typography variant="caption" color="text.secondary">
+              {epic.key}
+            </Typography>
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+              <ActionBadge actions={actions} />
+              {releases.length > 0 && (
+                <Tooltip title={releases.map((version) => `${version.name}: ${formatDate(version.releaseDate)}`).join(', ')}>
+                  <FlagIcon fontSize="small" color="action" />
+                </Tooltip>
+              )}
+            </Box>
+          </Box>
+          <Typography variant="subtitle2" sx={{ mb: 1 }}>
+            {epic.summary}
+          </Typography>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+            <Chip
+              label={epic.status}
+              size="small"
+              sx={{ bgcolor: statusColor, color: '#fff' }}
+            />
+            {epic.dueDate && (
+              <Typography variant="caption" color="text.secondary">
+                Due {formatDate(epic.dueDate)}
+              </Typography>
+            )}
+          </Box>
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+            <LinearProgress
+              variant="determinate"
+              value={epic.progress}
+              sx={{ flexGrow: 1, height: 8, borderRadius: 4 }}
+            />
+            <Typography variant="caption">{epic.progress}%</Typography>
+          </Box>
+          <Typography variant="caption" color="text.secondary">
+            {epic.completedCount}/{epic.childCount} issues · {epic.assignee?.displayName || 'Unassigned'}
+          </Typography>
+        </CardContent>
+      </CardActionArea>
+    </Card>
+  );
+}
+
+export default EpicTile;
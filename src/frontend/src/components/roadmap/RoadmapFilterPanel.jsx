@@ -0,0 +1,72 @@
+import Autocomplete from '@mui/material/Autocomplete';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Chip from '@mui/material/Chip';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+
+const FILTER_FIELDS = [
+  { name: 'sites', label: 'Jira sites' },
+  { name: 'projects', label: 'Projects' },
+  { name: 'owners', label: 'Owners' },
+  { name: 'years', label: 'Years' },
+  { name: 'quarters', label: 'Quarters' },
+  { name: 'statuses', label: 'Status' },
+];
+
+/**
+ * Side panel for selecting roadmap sites, projects, owners and time periods
+ * The site filter is only shown when the roadmap spans more than one Jira site.
+ * @param {Object} props - Component props
+ * @param {Object} props.options - Available options per filter
+ * @param {Object} props.filters - Selected values per filter
+ * @param {Function} props.onChange - Called with the updated filters
+ * @param {Function} props.onReset - Called to clear all filters
+ * @returns {JSX.Element} - Filter panel component
+ */
+function RoadmapFilterPanel({ options, filters, onChange, onReset }) {
+  const handleChange = (name) => (event, selected) => {
+    onChange({ ...filters, [name]: selected.map((option) => option.value) });
+  };
+
+  return (
+    <Paper sx={{ p: 2 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 2 }}>
+        <Typography variant="h6" component="h2">
+          Filters
+        </Typography>
+        <Button size="small" onClick={onReset}>
+          Reset
+        </Button>
+      </Box>
+      <Stack spacing={2}>
+        {FILTER_FIELDS.filter(({ name }) => name !== 'sites' || options.sites.length > 1).map(({ name, label }) => (
+          <Autocomplete
+            key={name}
+            multiple
+            size="small"
+            options={options[name]}
+            value={options[name].filter((option) => filters[name].includes(option.value))}
+            onChange={handleChange(name)}
+            isOptionEqualToValue={(option, value) => option.value === value.value}
+            getOptionLabel={(option) => option.label}
+            renderTags={(value, getTagProps) => value.map((option, index) => (
+              <Chip
+                {...getTagProps({ index })}
+                key={option.value}
+                label={option.label}
+                size="small"
+                sx={option.color ? { borderLeft: `4px solid ${option.color}` } : undefined}
+              />
+            ))}
+            renderInput={(params) => <TextField {...params} label={label} />}
+          />
+        ))}
+      </Stack>
+    </Paper>
+  );
+}
+
+export default RoadmapFilterPanel;
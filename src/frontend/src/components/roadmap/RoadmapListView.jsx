@@ -0,0 +1,167 @@
+import Box from '@mui/material/Box';
+import Chip from '@mui/material/Chip';
+import LinearProgress from '@mui/material/LinearProgress';
+import Link from '@mui/material/Link';
+import MenuItem from '@mui/material/MenuItem';
+import Paper from '@mui/material/Paper';
+import Select from '@mui/material/Select';
+import Table from '@mui/material/Table';
+import TableBody from '@mui/material/TableBody';
+import TableCell from '@mui/material/TableCell';
+import TableContainer from '@mui/material/TableContainer';
+import TableHead from '@mui/material/TableHead';
+import TableRow from '@mui/material/TableRow';
+import TableSortLabel from '@mui/material/TableSortLabel';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import { formatDate, getStatusColor } from '../../utils/roadmapUtils';
+
+// Table columns with the filter (if any) shown under each header
+const COLUMNS = [
+  { field: 'key', label: 'Key' },
+  { field: 'summary', label: 'Epic', filter: 'search' },
+  { field: 'site', label: 'Site', filter: 'sites' },
+  { field: 'project', label: 'Project', filter: 'projects' },
+  { field: 'status', label: 'Status', filter: 'statuses' },
+  { field: 'dueDate', label: 'Due date' },
+  { field: 'owner', label: 'Owner', filter: 'owners' },
+  { field: 'quarter', label: 'Quarter', filter: 'quarters' },
+  { field: 'progress', label: 'Progress' },
+];
+
+/**
+ * Sortable, filterable table of roadmap epics
+ * @param {Object} props - Component props
+ * @param {Array} props.epics - Filtered and sorted roadmap epics
+ * @param {Object} props.options - Available options per filter
+ * @param {Object} props.filters - Selected filters
+ * @param {Object} props.sort - Sort state ({ field, order })
+ * @param {Function} props.onFiltersChange - Called with the updated filters
+ * @param {Function} props.onSortChange - Called with the updated sort state
+ * @param {Function} props.onEpicClick - Called when an epic row is clicked
+ * @returns {JSX.Element} - List view component
+ */
+function RoadmapListView({ epics, options, filters, sort, onFiltersChange, onSortChange, onEpicClick }) {
+  // The site column is only useful when the roadmap spans more than one Jira site
+  const showSites = options.sites.length > 1;
+  const columns = COLUMNS.filter((column) => column.field !== 'site' || showSites);
+
+  const handleSort = (field) => {
+    const isAsc = sort.field === field && sort.order === 'asc';
+    onSortChange({ field, order: isAsc ? 'desc' : 'asc' });
+  };
+
+  const renderFilter = (filter) => {
+    if (filter === 'search') {
+      return (
+        <TextField
+          size="small"
+          placeholder="Search"
+          value={filters.search}
+          onChange={(event) => onFiltersChange({ ...filters, search: event.target.value })}
+          fullWidth
+        />
+      );
+    }
+
+    const labels = Object.fromEntries(options[filter].map((option) => [option.value, option.label]));
+
+    return (
+      <Select
+        multiple
+        size="small"
+        displayEmpty
+        value={filters[filter]}
+        onChange={(event) => onFiltersChange({ ...filters, [filter]: event.target.value })}
+        renderValue={(selected) => (selected.length === 0 ? 'All' : selected.map((value) => labels[value] || value).join(', '))}
+        sx={{ minWidth: 120, maxWidth: 200 }}
+      >
+        {options[filter].map((option) => (
+          <MenuItem key={option.value} value={option.value}>
+            {option.label}
+          </MenuItem>
+        ))}
+      </Select>
+    );
+  };
+
+  return (
+    <TableContainer component={Paper}>
+      <Table size="small">
+        <TableHead>
+          <TableRow>
+            {columns.map((column) => (
+              <TableCell key={column.field} sortDirection={sort.field === column.field ? sort.order : false}>
+                <TableSortLabel
+                  active={sort.field === column.field}
+                  direction={sort.field === column.field ? sort.order : 'asc'}
+                  onClick={() => handleSort(column.field)}
+                >
+                  {column.label}
+                </TableSortLabel>
+              </TableCell>
+            ))}
+          </TableRow>
+          <TableRow>
+            {columns.map((column) => (
+              <TableCell key={column.field}>
+                {column.filter && renderFilter(column.filter)}
+              </TableCell>
+            ))}
+          </TableRow>
+        </TableHead>
+        <TableBody>
+          {epics.length === 0 && (
+            <TableRow>
+              <TableCell colSpan={columns.length}>
+                <Typography color="text.secondary" align="center">
+                  No epics match the selected filters.
+                </Typography>
+              </TableCell>
+            </TableRow>
+          )}
+          {epics.map((epic) => (
+            <TableRow key={epic.id} hover onClick={() => onEpicClick(epic)} sx={{ cursor: 'pointer' }}>
+              <TableCell>
+                <Link
+                  href={epic.webUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  onClick={(event) => event.stopPropagation()}
+                >
+                  {epic.key}
+                </Link>
+              </TableCell>
+              <TableCell>{epic.summary}</TableCell>
+              {showSites && <TableCell>{epic.project.site?.name}</TableCell>}
+              <TableCell>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Box sx={{ width: 10, height: 10, borderRadius: '50%', bgcolor: epic.project.color }} />
+                  {epic.project.name}
+                </Box>
+              </TableCell>
+              <TableCell>
+                <Chip label={epic.status} size="small" sx={{ bgcolor: getStatusColor(epic.statusCategory), color: '#fff' }} />
+              </TableCell>
+              <TableCell>{formatDate(epic.dueDate)}</TableCell>
+              <TableCell>{epic.assignee?.displayName || 'Unassigned'}</TableCell>
+              <TableCell>{epic.quarter}</TableCell>
+              <TableCell sx={{ minWidth: 140 }}>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <LinearProgress
+                    variant="determinate"
+                    value={epic.progress}
+                    sx={{ flexGrow: 1, height: 8, borderRadius: 4 }}
+                  />
+                  <Typography variant="caption">{epic.progress}%</Typography>
+                </Box>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </TableContainer>
+  );
+}
+
+export default RoadmapListView;
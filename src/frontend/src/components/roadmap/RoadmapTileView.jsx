@@ -0,0 +1,80 @@
+import Box from '@mui/material/Box';
+import Paper from '@mui/material/Paper';
+import Stack from '@mui/material/Stack';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import DiamondIcon from '@mui/icons-material/Diamond';
+import EpicTile from './EpicTile';
+import { getTargetActions } from '../../utils/actionUtils';
+import { formatDate } from '../../utils/roadmapUtils';
+
+/**
+ * Roadmap tiles arranged in quarter columns
+ * @param {Object} props - Component props
+ * @param {Array} props.quarters - Quarters to show as columns
+ * @param {Array} props.epics - Roadmap epics to show as tiles
+ * @param {Array} props.milestones - Release milestones
+ * @param {Function} props.onEpicClick - Called when an epic tile is clicked
+ * @param {Map<string, Array>} props.actionsByEpic - Pending meeting actions by epic key
+ * @returns {JSX.Element} - Tile view component
+ */
+function RoadmapTileView({ quarters, epics, milestones, onEpicClick, actionsByEpic = new Map() }) {
+  if (quarters.length === 0) {
+    return (
+      <Paper sx={{ p: 4, textAlign: 'center' }}>
+        <Typography color="text.secondary">No epics match the selected filters.</Typography>
+      </Paper>
+    );
+  }
+
+  return (
+    <Box sx={{ display: 'flex', gap: 2, overflowX: 'auto', pb: 1 }}>
+      {quarters.map((quarter) => {
+        const quarterEpics = epics.filter((epic) => epic.quarter === quarter.id);
+        const quarterMilestones = milestones.filter((milestone) => milestone.quarter === quarter.id);
+
+        return (
+          <Paper key={quarter.id} sx={{ flex: '0 0 280px', p: 1.5, bgcolor: 'grey.50' }}>
+            <Box sx={{ display: 'flex', alignItems: 'baseline', justifyContent: 'space-between' }}>
+              <Typography variant="h6" component="h3">
+                {quarter.name}
+              </Typography>
+              <Typography variant="caption" color="text.secondary">
+                {quarterEpics.length} epics
+              </Typography>
+            </Box>
+            {quarterMilestones.length > 0 && (
+              <Stack spacing={0.5} sx={{ my: 1 }}>
+                {quarterMilestones.map((milestone) => (
+                  <Tooltip
+                    key={`${milestone.project.key}-${milestone.id}`}
+                    title={milestone.released ? 'Released' : 'Planned release'}
+                  >
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                      <DiamondIcon sx={{ fontSize: 14, color: milestone.project.color }} />
+                      <Typography variant="caption">
+                        {milestone.project.key} {milestone.name} · {formatDate(milestone.releaseDate)}
+                      </Typography>
+                    </Box>
+                  </Tooltip>
+                ))}
+              </Stack>
+            )}
+            <Stack spacing={1.5} sx={{ mt: 1 }}>
+              {quarterEpics.map((epic) => (
+                <EpicTile
+                  key={epic.id}
+                  epic={epic}
+                  onClick={onEpicClick}
+                  actions={getTargetActions(actionsByEpic, epic.key, epic.project.site?.id)}
+                />
+              ))}
+            </Stack>
+          </Paper>
+        );
+      })}
+    </Box>
+  );
+}
+
+export default RoadmapTileView;
@@ -5,12 +5,15 @@ import authService from '../services/authService';
 const AuthContext = createContext();
 
 /**
- * Authentication provider component for OAuth 2.0
+ * Authentication provider component for OAuth 2.0 and token sign-in
  * @param {Object} props - Component props
  * @returns {JSX.Element} - Provider component
  */
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
+  const [role, setRole] = useState(null);
+  const [sites, setSites] = useState([]);
+  const [siteSelectionRequired, setSiteSelectionRequired] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -19,15 +22,13 @@ export function AuthProvider({ children }) {
     const checkAuthStatus = async () => {
       try {
         setLoading(true);
-        const isAuthenticated = await authService.isAuthenticated();
-
-        if (isAuthenticated) {
-          const { user } = await authService.getCurrentUser();
-          setUser(user);
-        }
+        const { user, role, sites } = await authService.getCurrentUser();
+        setUser(user);
+        setRole(role);
+        setSites(sites || []);
       } catch (err) {
-        console.error('Auth check error:', err);
-        setError('Failed to check authentication status');
+        // Accounts with several Jira sites are signed in but still have to pick one
+        setSiteSelectionRequired(err?.code === 'SITE_SELECTION_REQUIRED');
       } finally {
         setLoading(false);
       }
@@ -63,6 +64,43 @@ export function AuthProvider({ children }) {
     authService.initiateLogin();
   };
 
+  /**
+   * Sign in to a Jira site with an API token or personal access token
+   * @param {Object} credentials - { siteId, email, token }
+   */
+  const loginWithToken = async (credentials) => {
+    setError(null);
+
+    try {
+      const result = await authService.loginWithToken(credentials);
+      setUser(result.user);
+      setRole(result.role);
+      setSites(result.sites);
+    } catch (err) {
+      setError(err.message || 'Failed to sign in to Jira');
+      throw err;
+    }
+  };
+
+  /**
+   * Select the Jira site for the session
+   * @param {string} cloudId - Cloud ID of the site
+   */
+  const selectSite = async (cloudId) => {
+    setError(null);
+
+    try {
+      const result = await authService.selectSite(cloudId);
+      setUser(result.user);
+      setRole(result.role);
+      setSites(result.sites);
+      setSiteSelectionRequired(false);
+    } catch (err) {
+      setError(err.message || 'Failed to select Jira site');
+      throw err;
+    }
+  };
+
   /**
    * Handle user logout
    */
@@ -76,10 +114,17 @@ export function AuthProvider({ children }) {
   // Context value
   const value = {
     user,
+    role,
+    sites,
+    siteSelectionRequired,
     loading,
     error,
     isAuthenticated: !!user,
+    isAdmin: role === 'admin',
+    canEdit: role === 'editor' || role === 'admin',
     initiateLogin,
+    loginWithToken,
+    selectSite,
     logout: handleLogout,
   };
 
@@ -0,0 +1,86 @@
+import { createContext, useState, useEffect, useContext, useRef, useCallback } from 'react';
+import syncService from '../services/syncService';
+import { useAuth } from './AuthContext';
+
+// How often the sync status is checked, and how often while a sync is running
+const POLL_INTERVAL = 60 * 1000;
+const RUNNING_POLL_INTERVAL = 3 * 1000;
+
+const SyncContext = createContext();
+
+/**
+ * Background sync provider: tracks the sync status and tells pages when fresh data is available
+ * @param {Object} props - Component props
+ * @returns {JSX.Element} - Provider component
+ */
+export function SyncProvider({ children }) {
+  const { isAuthenticated } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  // Incremented whenever a sync finishes, so pages can reload their data
+  const [syncVersion, setSyncVersion] = useState(0);
+  const lastSuccessAt = useRef(undefined);
+
+  const applyStatus = useCallback((nextStatus) => {
+    if (lastSuccessAt.current !== undefined && nextStatus.lastSuccessAt !== lastSuccessAt.current) {
+      setSyncVersion((version) => version + 1);
+    }
+    lastSuccessAt.current = nextStatus.lastSuccessAt;
+    setStatus(nextStatus);
+  }, []);
+
+  const running = Boolean(status?.running);
+
+  useEffect(() => {
+    if (!isAuthenticated) return undefined;
+
+    const poll = async () => {
+      try {
+        applyStatus(await syncService.getStatus());
+      } catch (err) {
+        // Keep the last known status; the next poll may succeed
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, running ? RUNNING_POLL_INTERVAL : POLL_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [isAuthenticated, running, applyStatus]);
+
+  /**
+   * Start a sync now
+   */
+  const syncNow = async () => {
+    setError(null);
+
+    try {
+      applyStatus(await syncService.syncNow());
+    } catch (err) {
+      setError(err.error?.message || err.message || 'Failed to start sync');
+    }
+  };
+
+  const value = {
+    status,
+    error,
+    syncVersion,
+    syncNow,
+  };
+
+  return <SyncContext.Provider value={value}>{children}</SyncContext.Provider>;
+}
+
+/**
+ * Custom hook to use the sync context
+ * @returns {Object} - Sync context value
+ */
+export function useSync() {
+  const context = useContext(SyncContext);
+  if (context === undefined) {
+    throw new Error('useSync must be used within a SyncProvider');
+  }
+  return context;
+}
+
+export default SyncContext;
@@ -0,0 +1,161 @@
+import { useState, useEffect, useCallback } from 'react';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import CircularProgress from '@mui/material/CircularProgress';
+import MenuItem from '@mui/material/MenuItem';
+import TextField from '@mui/material/TextField';
+import Typography from '@mui/material/Typography';
+import AddIcon from '@mui/icons-material/Add';
+import ActionDialog from '../components/actions/ActionDialog';
+import ActionTable from '../components/actions/ActionTable';
+import actionService, { ACTION_STATUSES } from '../services/actionService';
+import { useAuth } from '../contexts/AuthContext';
+import { EMPTY_ACTION_FILTERS, PENDING_STATUSES, getActionFilterOptions } from '../utils/actionUtils';
+
+// Status filter choices; "pending" covers everything not completed
+const STATUS_FILTERS = [
+  { value: 'all', label: 'All', statuses: [] },
+  { value: 'pending', label: 'Not completed', statuses: PENDING_STATUSES },
+  ...ACTION_STATUSES.map((status) => ({ value: status.id, label: status.label, statuses: [status.id] })),
+];
+
+function Actions() {
+  const [filterOptions, setFilterOptions] = useState(getActionFilterOptions([]));
+  const [filters, setFilters] = useState({ ...EMPTY_ACTION_FILTERS, statuses: PENDING_STATUSES });
+  const [actions, setActions] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState(null);
+  const { user, canEdit } = useAuth();
+
+  const loadActions = useCallback(async () => {
+    try {
+      setError(null);
+      // Filter options come from every action so they don't shrink as filters are applied
+      const [all, filtered] = await Promise.all([
+        actionService.getActions(),
+        actionService.getActions(filters),
+      ]);
+      setFilterOptions(getActionFilterOptions(all));
+      setActions(filtered);
+    } catch (err) {
+      setError(err.error?.message || err.message || 'Failed to load actions');
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadActions();
+  }, [loadActions]);
+
+  const statusFilter = STATUS_FILTERS.find((option) => (
+    option.statuses.length === filters.statuses.length
+    && option.statuses.every((status) => filters.statuses.includes(status))
+  ))?.value || 'all';
+
+  const handleStatusChange = async (action, status) => {
+    try {
+      await actionService.updateAction(action.id, { status });
+      loadActions();
+    } catch (err) {
+      setError(err.error?.message || err.message || 'Failed to update the action');
+    }
+  };
+
+  const handleDelete = async (action) => {
+    if (!window.confirm(`Delete the action "${action.title}"?`)) return;
+
+    try {
+      await actionService.deleteAction(action.id);
+      loadActions();
+    } catch (err) {
+      setError(err.error?.message || err.message || 'Failed to delete the action');
+    }
+  };
+
+  return (
+    <Box sx={{ flexGrow: 1, mt: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Actions
+        </Typography>
+        {canEdit && (
+          <Button variant="contained" startIcon={<AddIcon />} onClick={() => setEditing({})}>
+            New action
+          </Button>
+        )}
+      </Box>
+      <Typography variant="subtitle1" gutterBottom>
+        Action items agreed in review meetings
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', my: 2 }}>
+        <TextField
+          select
+          size="small"
+          label="Owner"
+          value={filters.owners[0] || ''}
+          onChange={(event) => setFilters({ ...filters, owners: event.target.value ? [event.target.value] : [] })}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          {filterOptions.owners.map((option) => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Meeting"
+          value={filters.meetings[0] || ''}
+          onChange={(event) => setFilters({ ...filters, meetings: event.target.value ? [event.target.value] : [] })}
+          sx={{ minWidth: 200 }}
+        >
+          <MenuItem value="">All</MenuItem>
+          {filterOptions.meetings.map((option) => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+        <TextField
+          select
+          size="small"
+          label="Status"
+          value={statusFilter}
+          onChange={(event) => setFilters({
+            ...filters,
+            statuses: STATUS_FILTERS.find((option) => option.value === event.target.value).statuses,
+          })}
+          sx={{ minWidth: 160 }}
+        >
+          {STATUS_FILTERS.map((option) => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      {actions ? (
+        <ActionTable
+          actions={actions}
+          canEdit={canEdit}
+          onEdit={setEditing}
+          onStatusChange={handleStatusChange}
+          onDelete={handleDelete}
+        />
+      ) : !error && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+
+      <ActionDialog
+        open={Boolean(editing)}
+        onClose={() => setEditing(null)}
+        onSaved={loadActions}
+        action={editing}
+        people={user?.accountId ? [{ accountId: user.accountId, name: user.displayName }] : []}
+      />
+    </Box>
+  );
+}
+
+export default Actions;
@@ -0,0 +1,179 @@
+import { useState, useEffect, useMemo } from 'react';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import CircularProgress from '@mui/material/CircularProgress';
+import Grid from '@mui/material/Grid';
+import Typography from '@mui/material/Typography';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import BugFilterBar from '../components/bugs/BugFilterBar';
+import SeverityPieChart from '../components/bugs/SeverityPieChart';
+import BugTrendChart from '../components/bugs/BugTrendChart';
+import BacklogHistoryChart from '../components/bugs/BacklogHistoryChart';
+import RecentBugsList from '../components/bugs/RecentBugsList';
+import BugTable from '../components/bugs/BugTable';
+import SeverityLegend from '../components/bugs/SeverityLegend';
+import actionService from '../services/actionService';
+import bugService from '../services/bugService';
+import FallbackNotice from '../components/FallbackNotice';
+import ExportDialog from '../components/ExportDialog';
+import { useSync } from '../contexts/SyncContext';
+import { PENDING_STATUSES, groupActionsByTarget } from '../utils/actionUtils';
+import { EMPTY_BUG_FILTERS, getBugFilterOptions } from '../utils/bugUtils';
+
+const EXPORT_SECTIONS = ['severity', 'trend', 'criticalBugs'];
+
+function Bugs() {
+  const [filterOptions, setFilterOptions] = useState(getBugFilterOptions([]));
+  const [filters, setFilters] = useState(EMPTY_BUG_FILTERS);
+  const [interval, setTrendInterval] = useState('week');
+  const [exportOpen, setExportOpen] = useState(false);
+  const [report, setReport] = useState(null);
+  const [trends, setTrends] = useState(null);
+  const [historyMonths, setHistoryMonths] = useState(6);
+  const [history, setHistory] = useState(null);
+  const [severityMapping, setSeverityMapping] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [actions, setActions] = useState([]);
+  const { syncVersion } = useSync();
+
+  // Pending meeting actions are shown as badges on the bug rows; the report still works without them
+  useEffect(() => {
+    actionService.getActions({ statuses: PENDING_STATUSES, targetType: 'bug' })
+      .then(setActions)
+      .catch(() => {});
+  }, []);
+
+  const actionsByBug = useMemo(() => groupActionsByTarget(actions, 'bug'), [actions]);
+
+  // Filter options come from the unfiltered bug list so they don't shrink as filters are applied
+  useEffect(() => {
+    bugService.getBugs()
+      .then((data) => setFilterOptions(getBugFilterOptions(data.bugs)))
+      .catch(() => {});
+  }, [syncVersion]);
+
+  useEffect(() => {
+    const loadReport = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [list, distribution, recent] = await Promise.all([
+          bugService.getBugs(filters),
+          bugService.getSeverityDistribution(filters),
+          bugService.getRecentBugs(filters),
+        ]);
+        setReport({ list, distribution, recent });
+      } catch (err) {
+        setError(err.error?.message || err.message || 'Failed to load bugs');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    // Reload whenever the filters change or a background sync finishes
+    loadReport();
+  }, [filters, syncVersion]);
+
+  useEffect(() => {
+    bugService.getTrends(filters, interval)
+      .then(setTrends)
+      .catch((err) => setError(err.error?.message || err.message || 'Failed to load bug trends'));
+  }, [filters, interval, syncVersion]);
+
+  useEffect(() => {
+    bugService.getHistory(filters, historyMonths)
+      .then(setHistory)
+      .catch((err) => setError(err.error?.message || err.message || 'Failed to load bug history'));
+  }, [filters, historyMonths, syncVersion]);
+
+  // The legend only depends on the selected projects
+  const selectedProjects = filters.projects;
+  useEffect(() => {
+    bugService.getSeverityMapping({ projects: selectedProjects })
+      .then(setSeverityMapping)
+      .catch(() => setSeverityMapping(null));
+  }, [selectedProjects]);
+
+  const lastUpdated = useMemo(() => report && new Date(report.list.lastUpdated).toLocaleString(), [report]);
+  const exportFilters = useMemo(() => ({ bugs: filters }), [filters]);
+
+  return (
+    <Box sx={{ flexGrow: 1, mt: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Bugs
+        </Typography>
+        <Button
+          variant="outlined"
+          startIcon={<FileDownloadIcon />}
+          onClick={() => setExportOpen(true)}
+          disabled={!report}
+        >
+          Export
+        </Button>
+      </Box>
+      <Typography variant="subtitle1" gutterBottom>
+        Bug severity, trends and backlog across projects
+        {lastUpdated && ` · Last updated ${lastUpdated}`}
+      </Typography>
+
+      <BugFilterBar
+        options={filterOptions}
+        filters={filters}
+        onChange={setFilters}
+        onReset={() => setFilters(EMPTY_BUG_FILTERS)}
+      />
+
+      {error && <Alert severity="error" sx={{ mt: 2 }}>{error}</Alert>}
+      <FallbackNotice fallback={report?.list.fallback} sx={{ mt: 2 }} />
+      {report?.list.errors?.map((projectError) => (
+        <Alert key={projectError.project} severity="warning" sx={{ mt: 2 }}>
+          {projectError.project}: {projectError.message}
+        </Alert>
+      ))}
+
+      {loading && !report ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : report && (
+        <Grid container spacing={3} sx={{ mt: 1, opacity: loading ? 0.6 : 1 }}>
+          <Grid item xs={12} md={4}>
+            <SeverityPieChart distribution={report.distribution} />
+          </Grid>
+          <Grid item xs={12} md={8}>
+            {trends && <BugTrendChart trends={trends} interval={interval} onIntervalChange={setTrendInterval} />}
+          </Grid>
+          {history && (
+            <Grid item xs={12}>
+              <BacklogHistoryChart history={history} months={historyMonths} onMonthsChange={setHistoryMonths} />
+            </Grid>
+          )}
+          <Grid item xs={12} md={severityMapping ? 8 : 12}>
+            <RecentBugsList recent={report.recent} />
+          </Grid>
+          {severityMapping && (
+            <Grid item xs={12} md={4}>
+              <SeverityLegend mapping={severityMapping} />
+            </Grid>
+          )}
+          <Grid item xs={12}>
+            <BugTable bugs={report.list.bugs} filters={filters} actionsByBug={actionsByBug} />
+          </Grid>
+        </Grid>
+      )}
+
+      <ExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        defaultSections={EXPORT_SECTIONS}
+        filters={exportFilters}
+        interval={interval}
+      />
+    </Box>
+  );
+}
+
+export default Bugs;
@@ -0,0 +1,156 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import CircularProgress from '@mui/material/CircularProgress';
+import PresentationSlide from '../components/presentation/PresentationSlide';
+import PresenterBar from '../components/presentation/PresenterBar';
+import presentationService from '../services/presentationService';
+
+// Keys that move between slides; clickers send PageUp/PageDown
+const NEXT_KEYS = ['ArrowRight', 'ArrowDown', 'PageDown', ' '];
+const PREVIOUS_KEYS = ['ArrowLeft', 'ArrowUp', 'PageUp'];
+
+function Presentation() {
+  const { deckId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // Only the session in the URL on arrival is reopened; later URL changes come from this page
+  const [sessionId] = useState(() => searchParams.get('session'));
+  const [presentation, setPresentation] = useState(null);
+  const [error, setError] = useState(null);
+  const [index, setIndex] = useState(0);
+  const [timer, setTimer] = useState({ elapsed: 0, resumedAt: null });
+  const [now, setNow] = useState(() => Date.now());
+  const navigate = useNavigate();
+
+  // Reopen the presentation in the URL, so a reload keeps the frozen data, or start a new one
+  useEffect(() => {
+    const load = async () => {
+      try {
+        if (sessionId) {
+          try {
+            const data = await presentationService.getPresentation(sessionId);
+            if (data.deck.id === deckId) return data;
+          } catch (err) {
+            // Expired or unknown: start over with fresh data
+          }
+        }
+
+        return await presentationService.startPresentation(deckId);
+      } catch (err) {
+        setError(err.error?.message || err.message || 'Failed to start the presentation');
+        return null;
+      }
+    };
+
+    let cancelled = false;
+    setPresentation(null);
+    setIndex(0);
+    load().then((data) => {
+      if (!data || cancelled) return;
+      setPresentation(data);
+      setTimer({ elapsed: 0, resumedAt: new Date(data.startedAt).getTime() });
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [deckId, sessionId]);
+
+  // Keep the running presentation in the URL
+  useEffect(() => {
+    if (presentation && searchParams.get('session') !== presentation.id) {
+      setSearchParams({ session: presentation.id }, { replace: true });
+    }
+  }, [presentation, searchParams, setSearchParams]);
+
+  useEffect(() => {
+    const timerId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timerId);
+  }, []);
+
+  const exit = useCallback(() => {
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+    navigate('/present');
+  }, [navigate]);
+
+  useEffect(() => {
+    if (!presentation) return undefined;
+    const last = presentation.slides.length - 1;
+
+    const handleKeyDown = (event) => {
+      if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+      if (NEXT_KEYS.includes(event.key)) {
+        setIndex((value) => Math.min(value + 1, last));
+      } else if (PREVIOUS_KEYS.includes(event.key)) {
+        setIndex((value) => Math.max(value - 1, 0));
+      } else if (event.key === 'Home') {
+        setIndex(0);
+      } else if (event.key === 'End') {
+        setIndex(last);
+      } else if (event.key === 'f' || event.key === 'F') {
+        if (document.fullscreenElement) {
+          document.exitFullscreen().catch(() => {});
+        } else {
+          document.documentElement.requestFullscreen?.().catch(() => {});
+        }
+      } else if (event.key === 'p' || event.key === 'P') {
+        const current = Date.now();
+        setTimer((value) => (value.resumedAt === null
+          ? { elapsed: value.elapsed, resumedAt: current }
+          : { elapsed: value.elapsed + current - value.resumedAt, resumedAt: null }));
+      } else if (event.key === 'q' || event.key === 'Q') {
+        exit();
+      } else if (event.key === 'Escape') {
+        // The browser uses Escape to leave full screen; leave the presentation when not in full screen
+        if (!document.fullscreenElement) exit();
+      } else {
+        return;
+      }
+      event.preventDefault();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [presentation, exit]);
+
+  if (error) {
+    return (
+      <Box sx={{ p: 4 }}>
+        <Alert severity="error" action={<Button color="inherit" onClick={exit}>Back</Button>}>
+          {error}
+        </Alert>
+      </Box>
+    );
+  }
+
+  if (!presentation) {
+    return (
+      <Box sx={{ display: 'flex', justifyContent: 'center', alignItems: 'center', height: '100vh' }}>
+        <CircularProgress size={64} />
+      </Box>
+    );
+  }
+
+  const elapsed = timer.elapsed + (timer.resumedAt === null ? 0 : Math.max(0, now - timer.resumedAt));
+
+  return (
+    <Box sx={{ display: 'flex', flexDirection: 'column', height: '100vh', bgcolor: 'background.paper', cursor: 'none' }}>
+      <Box sx={{ flexGrow: 1, minHeight: 0 }}>
+        <PresentationSlide slide={presentation.slides[index]} />
+      </Box>
+      <PresenterBar
+        index={index}
+        count={presentation.slides.length}
+        elapsed={elapsed}
+        paused={timer.resumedAt === null}
+        durationMinutes={presentation.deck.durationMinutes}
+        dataAsOf={presentation.dataAsOf}
+      />
+    </Box>
+  );
+}
+
+export default Presentation;
@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import Card from '@mui/material/Card';
+import CardActions from '@mui/material/CardActions';
+import CardContent from '@mui/material/CardContent';
+import CircularProgress from '@mui/material/CircularProgress';
+import Grid from '@mui/material/Grid';
+import Typography from '@mui/material/Typography';
+import SlideshowIcon from '@mui/icons-material/Slideshow';
+import presentationService from '../services/presentationService';
+
+const VIEW_LABELS = {
+  roadmap: 'Roadmap',
+  severity: 'Severity',
+  trend: 'Trend',
+  criticalBugs: 'Critical bugs',
+};
+
+function Presentations() {
+  const [decks, setDecks] = useState(null);
+  const [error, setError] = useState(null);
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    presentationService.getDecks()
+      .then(setDecks)
+      .catch((err) => setError(err.error?.message || err.message || 'Failed to load presentation decks'));
+  }, []);
+
+  const handleStart = (deck) => {
+    // Browsers only allow full screen in response to a click or key press
+    document.documentElement.requestFullscreen?.().catch(() => {});
+    navigate(`/present/${encodeURIComponent(deck.id)}`);
+  };
+
+  return (
+    <Box sx={{ flexGrow: 1 }}>
+      <Typography variant="h4" component="h1" gutterBottom>
+        Present
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 3 }}>
+        The data of a deck is loaded when it starts and stays the same until it ends.
+        Use the arrow keys, space or a clicker to move between slides, F for full screen,
+        P to pause the timer and Esc to leave.
+      </Typography>
+
+      {error && <Alert severity="error">{error}</Alert>}
+      {!decks && !error && (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      )}
+      {decks && (
+        <Grid container spacing={3}>
+          {decks.map((deck) => (
+            <Grid item xs={12} sm={6} md={4} key={deck.id}>
+              <Card variant="outlined">
+                <CardContent>
+                  <Typography variant="h6" component="h2">
+                    {deck.title}
+                  </Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {deck.views.map((view) => VIEW_LABELS[view]).join(' · ')}
+                  </Typography>
+                  {deck.durationMinutes && (
+                    <Typography variant="body2" color="text.secondary">
+                      {deck.durationMinutes} minutes
+                    </Typography>
+                  )}
+                </CardContent>
+                <CardActions>
+                  <Button startIcon={<SlideshowIcon />} onClick={() => handleStart(deck)}>
+                    Start
+                  </Button>
+                </CardActions>
+              </Card>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+    </Box>
+  );
+}
+
+export default Presentations;
@@ -0,0 +1,226 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Alert from '@mui/material/Alert';
+import Box from '@mui/material/Box';
+import Button from '@mui/material/Button';
+import CircularProgress from '@mui/material/CircularProgress';
+import Grid from '@mui/material/Grid';
+import IconButton from '@mui/material/IconButton';
+import ToggleButton from '@mui/material/ToggleButton';
+import ToggleButtonGroup from '@mui/material/ToggleButtonGroup';
+import Tooltip from '@mui/material/Tooltip';
+import Typography from '@mui/material/Typography';
+import FileDownloadIcon from '@mui/icons-material/FileDownload';
+import TableViewIcon from '@mui/icons-material/TableView';
+import ViewListIcon from '@mui/icons-material/ViewList';
+import ViewModuleIcon from '@mui/icons-material/ViewModule';
+import RoadmapFilterPanel from '../components/roadmap/RoadmapFilterPanel';
+import RoadmapTileView from '../components/roadmap/RoadmapTileView';
+import RoadmapListView from '../components/roadmap/RoadmapListView';
+import EpicDrawer from '../components/roadmap/EpicDrawer';
+import FallbackNotice from '../components/FallbackNotice';
+import ExportDialog from '../components/ExportDialog';
+import TableExportDialog from '../components/TableExportDialog';
+import actionService from '../services/actionService';
+import roadmapService from '../services/roadmapService';
+import { useSync } from '../contexts/SyncContext';
+import { PENDING_STATUSES, getTargetActions, groupActionsByTarget } from '../utils/actionUtils';
+import {
+  EMPTY_FILTERS,
+  getFilterOptions,
+  matchesFilters,
+  readRoadmapState,
+  sortEpics,
+  writeRoadmapState,
+} from '../utils/roadmapUtils';
+
+const EXPORT_SECTIONS = ['roadmap', 'epics'];
+
+function Roadmap() {
+  const [roadmap, setRoadmap] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedEpic, setSelectedEpic] = useState(null);
+  const [exportOpen, setExportOpen] = useState(false);
+  const [tableExportOpen, setTableExportOpen] = useState(false);
+  const [actions, setActions] = useState([]);
+  const { syncVersion } = useSync();
+
+  // View, filters and sort order live in the URL so the view can be bookmarked
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { view, filters, sort } = useMemo(() => readRoadmapState(searchParams), [searchParams]);
+
+  const updateState = (changes) => {
+    setSearchParams(writeRoadmapState({ view, filters, sort, ...changes }), { replace: true });
+  };
+
+  useEffect(() => {
+    const loadRoadmap = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setRoadmap(await roadmapService.getRoadmap());
+      } catch (err) {
+        setError(err.error?.message || err.message || 'Failed to load roadmap');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    // Reload whenever a background sync finishes
+    loadRoadmap();
+  }, [syncVersion]);
+
+  // Pending meeting actions are shown as badges; the roadmap still works without them
+  const loadActions = useCallback(() => {
+    actionService.getActions({ statuses: PENDING_STATUSES, targetType: 'epic' })
+      .then(setActions)
+      .catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    loadActions();
+  }, [loadActions]);
+
+  const actionsByEpic = useMemo(() => groupActionsByTarget(actions, 'epic'), [actions]);
+
+  const filterOptions = useMemo(() => getFilterOptions(roadmap), [roadmap]);
+
+  const epics = useMemo(
+    () => (roadmap
+      ? sortEpics(roadmap.epics.filter((epic) => matchesFilters(epic, filters)), sort.field, sort.order)
+      : []),
+    [roadmap, filters, sort],
+  );
+
+  const quarters = useMemo(() => {
+    if (!roadmap) return [];
+    const visibleQuarters = new Set(epics.map((epic) => epic.quarter));
+    return roadmap.quarters.filter((quarter) => visibleQuarters.has(quarter.id));
+  }, [roadmap, epics]);
+
+  const milestones = useMemo(() => {
+    if (!roadmap) return [];
+    return roadmap.milestones.filter((milestone) => (
+      filters.projects.length === 0 || filters.projects.includes(milestone.project.key)
+    ));
+  }, [roadmap, filters]);
+
+  // The export uses the same filters and sort order as the page
+  const exportFilters = useMemo(
+    () => ({ roadmap: { ...filters, sort: sort.field, order: sort.order } }),
+    [filters, sort],
+  );
+
+  return (
+    <Box sx={{ flexGrow: 1, mt: 4 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <Typography variant="h4" component="h1" gutterBottom>
+          Roadmap
+        </Typography>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Button
+            variant="outlined"
+            startIcon={<FileDownloadIcon />}
+            onClick={() => setExportOpen(true)}
+            disabled={!roadmap}
+          >
+            Export
+          </Button>
+          <Tooltip title="Download epics as CSV or Excel">
+            <span>
+              <IconButton aria-label="download epics" onClick={() => setTableExportOpen(true)} disabled={!roadmap}>
+                <TableViewIcon />
+              </IconButton>
+            </span>
+          </Tooltip>
+          <ToggleButtonGroup
+            size="small"
+            exclusive
+            value={view}
+            onChange={(event, value) => value && updateState({ view: value })}
+            aria-label="roadmap view"
+          >
+            <ToggleButton value="tiles" aria-label="tile view">
+              <ViewModuleIcon />
+            </ToggleButton>
+            <ToggleButton value="list" aria-label="list view">
+              <ViewListIcon />
+            </ToggleButton>
+          </ToggleButtonGroup>
+        </Box>
+      </Box>
+      <Typography variant="subtitle1" gutterBottom>
+        Epics across projects by quarter
+        {roadmap && ` · Last updated ${new Date(roadmap.lastUpdated).toLocaleString()}`}
+      </Typography>
+
+      {error && <Alert severity="error" sx={{ mb: 2 }}>{error}</Alert>}
+      <FallbackNotice fallback={roadmap?.fallback} sx={{ mb: 2 }} />
+      {roadmap?.errors?.map((projectError) => (
+        <Alert key={projectError.project} severity="warning" sx={{ mb: 2 }}>
+          {projectError.project}: {projectError.message}
+        </Alert>
+      ))}
+
+      {loading ? (
+        <Box sx={{ display: 'flex', justifyContent: 'center', p: 4 }}>
+          <CircularProgress />
+        </Box>
+      ) : roadmap && (
+        <Grid container spacing={3} sx={{ mt: 1 }}>
+          <Grid item xs={12} md={3} lg={2}>
+            <RoadmapFilterPanel
+              options={filterOptions}
+              filters={filters}
+              onChange={(value) => updateState({ filters: value })}
+              onReset={() => updateState({ filters: EMPTY_FILTERS })}
+            />
+          </Grid>
+          <Grid item xs={12} md={9} lg={10}>
+            {view === 'list' ? (
+              <RoadmapListView
+                epics={epics}
+                options={filterOptions}
+                filters={filters}
+                sort={sort}
+                onFiltersChange={(value) => updateState({ filters: value })}
+                onSortChange={(value) => updateState({ sort: value })}
+                onEpicClick={setSelectedEpic}
+              />
+            ) : (
+              <RoadmapTileView
+                quarters={quarters}
+                epics={epics}
+                milestones={milestones}
+                onEpicClick={setSelectedEpic}
+                actionsByEpic={actionsByEpic}
+              />
+            )}
+          </Grid>
+        </Grid>
+      )}
+
+      <EpicDrawer
+        epic={selectedEpic}
+        onClose={() => setSelectedEpic(null)}
+        actions={selectedEpic ? getTargetActions(actionsByEpic, selectedEpic.key, selectedEpic.project.site?.id) : []}
+        onActionSaved={loadActions}
+      />
+      <ExportDialog
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        defaultSections={EXPORT_SECTIONS}
+        filters={exportFilters}
+      />
+      <TableExportDialog
+        open={tableExportOpen}
+        onClose={() => setTableExportOpen(false)}
+        table="epics"
+        params={exportFilters.roadmap}
+      />
+    </Box>
+  );
+}
+
+export default Roadmap;
@@ -0,0 +1,94 @@
+import api from './api';
+import { toParams } from './bugService';
+
+// Statuses of an action item, in the order they are worked through
+export const ACTION_STATUSES = [
+  { id: 'open', label: 'Open' },
+  { id: 'in_progress', label: 'In progress' },
+  { id: 'completed', label: 'Completed' },
+];
+
+// What an action item can be attached to
+export const TARGET_TYPES = [
+  { id: 'project', label: 'Project' },
+  { id: 'epic', label: 'Epic' },
+  { id: 'bug', label: 'Bug' },
+  { id: 'person', label: 'Person' },
+];
+
+/**
+ * Turn a failed request into the error thrown to components
+ * @param {Object} error - Axios error
+ * @param {string} message - Message used when the API sent none
+ * @returns {Object} - API error response
+ */
+function toError(error, message) {
+  console.error(`${message}:`, error);
+  return error.response?.data || {
+    success: false,
+    message,
+  };
+}
+
+/**
+ * Service for meeting action items
+ */
+const actionService = {
+  /**
+   * Get action items, soonest due first
+   * @param {Object} filters - Filters ({ owners, meetings, statuses, targetType, targetIds })
+   * @returns {Promise<Array>} - Actions
+   */
+  async getActions(filters = {}) {
+    try {
+      const response = await api.get('/actions', { params: toParams(filters) });
+      return response.data.data;
+    } catch (error) {
+      throw toError(error, 'Failed to load actions');
+    }
+  },
+
+  /**
+   * Create an action item (editors only)
+   * @param {Object} action - Action ({ title, description, meeting, target, owner, dueDate, status })
+   * @returns {Promise<Object>} - Created action
+   */
+  async createAction(action) {
+    try {
+      const response = await api.post('/actions', action);
+      return response.data.data;
+    } catch (error) {
+      throw toError(error, 'Failed to create the action');
+    }
+  },
+
+  /**
+   * Change an action item (editors only)
+   * @param {string} id - Action id
+   * @param {Object} changes - Changed fields
+   * @returns {Promise<Object>} - Updated action
+   */
+  async updateAction(id, changes) {
+    try {
+      const response = await api.patch(`/actions/${encodeURIComponent(id)}`, changes);
+      return response.data.data;
+    } catch (error) {
+      throw toError(error, 'Failed to update the action');
+    }
+  },
+
+  /**
+   * Delete an action item (editors only)
+   * @param {string} id - Action id
+   * @returns {Promise<void>}
+   */
+  async deleteAction(id) {
+    try {
+      await api.delete(`/actions/${encodeURIComponent(id)}`);
+    } catch (error) {
+      throw toError(error, 'Failed to delete the action');
+    }
+  },
+};
+
+export default actionService;
@@ -0,0 +1,15 @@
+import axios from 'axios';
+
+// Create axios instance with credentials support
+const api = axios.create({
+  baseURL: '/api',
+  withCredentials: true, // Important for cookie-based auth
+  // Echo the CSRF cookie in a header on every request (double-submit protection)
+  xsrfCookieName: 'csrf_token',
+  xsrfHeaderName: 'X-CSRF-Token',
+  headers: {
+    'Content-Type': 'application/json',
+  },
+});
+
+export default api;
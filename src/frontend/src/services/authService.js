@@ -1,13 +1,4 @@
-import axios from 'axios';
-
-// Create axios instance with credentials support
-const api = axios.create({
-  baseURL: '/api',
-  withCredentials: true, // Important for cookie-based auth
-  headers: {
-    'Content-Type': 'application/json',
-  },
-});
+import api from './api';
 
 /**
  * Service for handling authentication operations with OAuth 2.0
@@ -21,6 +12,41 @@ const authService = {
     return '/api/auth/login';
   },
 
+  /**
+   * Get the available sign-in methods
+   * @returns {Promise<Object>} - { oauth, sites } where sites use API or personal access tokens
+   */
+  async getLoginMethods() {
+    try {
+      const response = await api.get('/auth/methods');
+      return response.data;
+    } catch (error) {
+      console.error('Get login methods error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to load sign-in methods',
+      };
+    }
+  },
+
+  /**
+   * Sign in to a Jira site with an API token or personal access token
+   * @param {Object} credentials - { siteId, email, token }
+   * @returns {Promise<Object>} - { user, sites }
+   */
+  async loginWithToken(credentials) {
+    try {
+      const response = await api.post('/auth/token', credentials);
+      return response.data;
+    } catch (error) {
+      console.error('Token login error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to sign in to Jira',
+      };
+    }
+  },
+
   /**
    * Initiate OAuth login by redirecting to Jira
    */
@@ -30,11 +56,16 @@ const authService = {
   },
 
   /**
-   * Logout user
+   * Logout user, revoking the session on the server
    */
-  logout() {
-    // Redirect to the logout endpoint
-    window.location.href = '/api/auth/logout';
+  async logout() {
+    try {
+      await api.post('/auth/logout');
+    } catch (error) {
+      console.error('Logout error:', error);
+    }
+
+    window.location.href = '/login';
   },
 
   /**
@@ -54,6 +85,41 @@ const authService = {
     }
   },
 
+  /**
+   * Get the Jira sites the signed-in account can access
+   * @returns {Promise<Object>} - { sites, selected }
+   */
+  async getSites() {
+    try {
+      const response = await api.get('/auth/sites');
+      return response.data;
+    } catch (error) {
+      console.error('Get sites error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to load Jira sites',
+      };
+    }
+  },
+
+  /**
+   * Select the Jira site for the session
+   * @param {string} cloudId - Cloud ID of the site
+   * @returns {Promise<Object>} - { user, sites }
+   */
+  async selectSite(cloudId) {
+    try {
+      const response = await api.post('/auth/site', { cloudId });
+      return response.data;
+    } catch (error) {
+      console.error('Select site error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to select Jira site',
+      };
+    }
+  },
+
   /**
    * Refresh authentication token
    * @returns {Promise<Object>} - Token refresh result
@@ -0,0 +1,104 @@
+import api from './api';
+
+/**
+ * Convert bug filters into query parameters
+ * @param {Object} filters - Selected filters ({ sites, projects, severities, assignees })
+ * @returns {Object} - Query parameters with comma-separated lists
+ */
+export function toParams(filters = {}) {
+  const params = {};
+
+  Object.entries(filters).forEach(([name, values]) => {
+    if (Array.isArray(values) && values.length > 0) {
+      params[name] = values.join(',');
+    } else if (!Array.isArray(values) && values !== undefined && values !== '') {
+      params[name] = values;
+    }
+  });
+
+  return params;
+}
+
+/**
+ * Make a GET request to the bugs API
+ * @param {string} path - Path below /bugs
+ * @param {Object} params - Query parameters
+ * @param {string} errorMessage - Message used when the request fails
+ * @returns {Promise<Object>} - Response data
+ */
+async function getBugData(path, params, errorMessage) {
+  try {
+    const response = await api.get(`/bugs${path}`, { params: toParams(params) });
+    return response.data.data;
+  } catch (error) {
+    console.error(`${errorMessage}:`, error);
+    throw error.response?.data || {
+      success: false,
+      message: errorMessage,
+    };
+  }
+}
+
+/**
+ * Service for retrieving bug report data
+ */
+const bugService = {
+  /**
+   * Get all bugs matching the filters
+   * @param {Object} filters - Selected filters
+   * @returns {Promise<Object>} - { bugs, total, errors, lastUpdated }
+   */
+  getBugs(filters) {
+    return getBugData('', filters, 'Failed to load bugs');
+  },
+
+  /**
+   * Get bug counts by severity
+   * @param {Object} filters - Selected filters
+   * @returns {Promise<Object>} - { total, severities }
+   */
+  getSeverityDistribution(filters) {
+    return getBugData('/severity', filters, 'Failed to load severity distribution');
+  },
+
+  /**
+   * Get bug trends
+   * @param {Object} filters - Selected filters
+   * @param {string} interval - 'week' or 'month'
+   * @returns {Promise<Object>} - { periods, previousPeriods, comparison, backlog }
+   */
+  getTrends(filters, interval = 'week') {
+    return getBugData('/trends', { ...filters, interval }, 'Failed to load bug trends');
+  },
+
+  /**
+   * Get bugs created in the last N days
+   * @param {Object} filters - Selected filters
+   * @param {number} days - Number of days to look back
+   * @returns {Promise<Object>} - { total, criticalCount, bugs }
+   */
+  getRecentBugs(filters, days = 7) {
+    return getBugData('/recent', { ...filters, days }, 'Failed to load recent bugs');
+  },
+
+  /**
+   * Get the daily open bug counts of the last N months, reconstructed from changelogs
+   * @param {Object} filters - Selected filters
+   * @param {number} months - Number of months
+   * @returns {Promise<Object>} - { severities, projects, days }
+   */
+  getHistory(filters, months = 6) {
+    return getBugData('/history', { ...filters, months }, 'Failed to load bug history');
+  },
+
+  /**
+   * Get the severity levels and the severity rules in effect per project
+   * @param {Object} filters - Selected filters (only projects are used)
+   * @returns {Promise<Object>} - { levels, default, projects }
+   */
+  getSeverityMapping(filters = {}) {
+    return getBugData('/severity-mapping', { projects: filters.projects }, 'Failed to load severity mapping');
+  },
+};
+
+export default bugService;
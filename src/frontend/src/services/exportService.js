@@ -0,0 +1,143 @@
+import api from './api';
+import { toParams } from './bugService';
+
+// Report sections that can be exported, in export order
+export const EXPORT_SECTIONS = [
+  { id: 'roadmap', label: 'Roadmap tiles by quarter' },
+  { id: 'epics', label: 'Epic list' },
+  { id: 'severity', label: 'Bug severity pie chart' },
+  { id: 'trend', label: 'Bug trend' },
+  { id: 'criticalBugs', label: 'Open critical bugs' },
+];
+
+// Export file formats
+export const EXPORT_FORMATS = [
+  { id: 'pptx', label: 'PowerPoint' },
+  { id: 'pdf', label: 'PDF' },
+];
+
+// Paper sizes of PDF exports
+export const PAGE_SIZES = ['A4', 'Letter'];
+
+// File formats of epic and bug table exports
+export const TABLE_FORMATS = [
+  { id: 'csv', label: 'CSV' },
+  { id: 'xlsx', label: 'Excel' },
+];
+
+/**
+ * Read the file name from a Content-Disposition header
+ * @param {string} header - Content-Disposition header
+ * @param {string} fallback - File name to use without a header
+ * @returns {string} - File name
+ */
+function getFileName(header, fallback) {
+  const match = /filename="?([^";]+)"?/.exec(header || '');
+  return match ? match[1] : fallback;
+}
+
+/**
+ * Read the API error from a failed file download (the body is a Blob, not JSON)
+ * @param {Object} error - Axios error
+ * @param {string} message - Message used when the body is not an API error
+ * @returns {Promise<Object>} - API error response
+ */
+async function readBlobError(error, message) {
+  try {
+    return JSON.parse(await error.response.data.text());
+  } catch (parseError) {
+    return { success: false, message };
+  }
+}
+
+/**
+ * Service for exporting reports as files
+ */
+const exportService = {
+  /**
+   * Export report sections as a file
+   * @param {string} format - Export format ('pptx' or 'pdf')
+   * @param {Object} request - { sections, filters: { roadmap, bugs }, interval, title, pageSize (PDF only) }
+   * @returns {Promise<Object>} - { blob, fileName }
+   */
+  async exportReport(format, request) {
+    try {
+      const response = await api.post(`/export/${format}`, {
+        ...request,
+        // Timestamps in the report use the viewer's time zone
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      }, { responseType: 'blob' });
+
+      return {
+        blob: response.data,
+        fileName: getFileName(response.headers['content-disposition'], `report.${format}`),
+      };
+    } catch (error) {
+      console.error('Export report error:', error);
+      throw error.response?.data instanceof Blob
+        ? await readBlobError(error, 'Failed to export report')
+        : { success: false, message: 'Failed to export report' };
+    }
+  },
+
+  /**
+   * Get the columns of the epic and bug table exports
+   * @returns {Promise<Object>} - { epics: [{ id, header }], bugs: [{ id, header }] }
+   */
+  async getTableColumns() {
+    try {
+      const response = await api.get('/export/columns');
+      return response.data.data;
+    } catch (error) {
+      console.error('Get export columns error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to load export columns',
+      };
+    }
+  },
+
+  /**
+   * Export the epic or bug list as a file
+   * @param {string} table - 'epics' or 'bugs'
+   * @param {string} format - 'csv' or 'xlsx'
+   * @param {Object} params - Filters and sort order, named as in the roadmap and bug APIs, and the columns
+   * @returns {Promise<Object>} - { blob, fileName }
+   */
+  async exportTable(table, format, params) {
+    try {
+      const response = await api.get(`/export/${table}`, {
+        params: { ...toParams(params), format },
+        responseType: 'blob',
+      });
+
+      return {
+        blob: response.data,
+        fileName: getFileName(response.headers['content-disposition'], `${table}.${format}`),
+      };
+    } catch (error) {
+      console.error('Export table error:', error);
+      throw error.response?.data instanceof Blob
+        ? await readBlobError(error, 'Failed to export table')
+        : { success: false, message: 'Failed to export table' };
+    }
+  },
+};
+
+/**
+ * Save a file in the browser
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - File name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+export default exportService;
@@ -0,0 +1,63 @@
+import api from './api';
+
+/**
+ * Service for presentation decks and started presentations
+ */
+const presentationService = {
+  /**
+   * Get the configured decks
+   * @returns {Promise<Array>} - Decks ({ id, title, durationMinutes, views })
+   */
+  async getDecks() {
+    try {
+      const response = await api.get('/presentations/decks');
+      return response.data.data;
+    } catch (error) {
+      console.error('Get decks error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to load presentation decks',
+      };
+    }
+  },
+
+  /**
+   * Start a presentation of a deck; its data is loaded now and stays the same
+   * @param {string} deckId - Deck id
+   * @returns {Promise<Object>} - Presentation with its slides
+   */
+  async startPresentation(deckId) {
+    try {
+      const response = await api.post(`/presentations/decks/${encodeURIComponent(deckId)}/start`, {
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Start presentation error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to start the presentation',
+      };
+    }
+  },
+
+  /**
+   * Get a started presentation with the data frozen at its start
+   * @param {string} presentationId - Presentation id
+   * @returns {Promise<Object>} - Presentation with its slides
+   */
+  async getPresentation(presentationId) {
+    try {
+      const response = await api.get(`/presentations/${encodeURIComponent(presentationId)}`);
+      return response.data.data;
+    } catch (error) {
+      console.error('Get presentation error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to load the presentation',
+      };
+    }
+  },
+};
+
+export default presentationService;
@@ -0,0 +1,47 @@
+import api from './api';
+
+/**
+ * Service for retrieving roadmap data
+ */
+const roadmapService = {
+  /**
+   * Get the roadmap across configured projects
+   * @param {Object} params - Query parameters (projects, sites, owners, statuses, years, quarters, sort, order)
+   * @returns {Promise<Object>} - Roadmap view model
+   */
+  async getRoadmap(params = {}) {
+    try {
+      const response = await api.get('/roadmap', { params });
+      return response.data.data;
+    } catch (error) {
+      console.error('Get roadmap error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to load roadmap',
+      };
+    }
+  },
+
+  /**
+   * Get the child issues of an epic
+   * @param {string} epicKey - Jira epic key
+   * @param {string} [siteId] - Jira site the epic lives on
+   * @returns {Promise<Array>} - List of issues
+   */
+  async getEpicIssues(epicKey, siteId) {
+    try {
+      const response = await api.get(`/jira/epics/${encodeURIComponent(epicKey)}/issues`, {
+        params: siteId ? { site: siteId } : {},
+      });
+      return response.data.data;
+    } catch (error) {
+      console.error('Get epic issues error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to load epic issues',
+      };
+    }
+  },
+};
+
+export default roadmapService;
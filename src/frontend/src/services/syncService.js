@@ -0,0 +1,42 @@
+import api from './api';
+
+/**
+ * Service for the background sync of Jira data
+ */
+const syncService = {
+  /**
+   * Get the background sync status
+   * @returns {Promise<Object>} - { enabled, running, interval, lastSuccessAt, nextRunAt, lastRun }
+   */
+  async getStatus() {
+    try {
+      const response = await api.get('/sync/status');
+      return response.data.data;
+    } catch (error) {
+      console.error('Get sync status error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to load sync status',
+      };
+    }
+  },
+
+  /**
+   * Start a sync now (admins only)
+   * @returns {Promise<Object>} - Sync status with the run in progress
+   */
+  async syncNow() {
+    try {
+      const response = await api.post('/sync');
+      return response.data.data;
+    } catch (error) {
+      console.error('Start sync error:', error);
+      throw error.response?.data || {
+        success: false,
+        message: 'Failed to start sync',
+      };
+    }
+  },
+};
+
+export default syncService;
@@ -0,0 +1,77 @@
+/**
+ * Utility functions for meeting action items
+ */
+
+export const EMPTY_ACTION_FILTERS = {
+  owners: [],
+  meetings: [],
+  statuses: [],
+};
+
+// Statuses of actions that still need work, shown as badges
+export const PENDING_STATUSES = ['open', 'in_progress'];
+
+/**
+ * Check whether an action is past its due date and not completed
+ * @param {Object} action - Action from the actions API
+ * @returns {boolean} - True if the action is overdue
+ */
+export function isOverdue(action) {
+  if (!action.dueDate || action.status === 'completed') return false;
+  // Due dates are calendar days, so compare with today's local date (en-CA formats as YYYY-MM-DD)
+  return action.dueDate < new Date().toLocaleDateString('en-CA');
+}
+
+/**
+ * Group actions by the item they are attached to
+ * @param {Array} actions - Actions from the actions API
+ * @param {string} type - Target type ('project', 'epic', 'bug' or 'person')
+ * @returns {Map<string, Array>} - Actions by project or issue key (or accountId)
+ */
+export function groupActionsByTarget(actions, type) {
+  const groups = new Map();
+
+  actions
+    .filter((action) => action.target.type === type)
+    .forEach((action) => {
+      groups.set(action.target.id, [...(groups.get(action.target.id) || []), action]);
+    });
+
+  return groups;
+}
+
+/**
+ * Get the actions attached to an item
+ * Actions without a site apply to the key on every site.
+ * @param {Map<string, Array>} groups - Actions from groupActionsByTarget
+ * @param {string} id - Project or issue key (or accountId)
+ * @param {string} [siteId] - Jira site of the item
+ * @returns {Array} - Actions
+ */
+export function getTargetActions(groups, id, siteId) {
+  return (groups.get(id) || []).filter((action) => !action.target.siteId || !siteId || action.target.siteId === siteId);
+}
+
+/**
+ * Build the owner and meeting filter options from a list of actions
+ * @param {Array} actions - Actions from the actions API
+ * @returns {Object} - Options for owners and meetings ({ value, label })
+ */
+export function getActionFilterOptions(actions) {
+  const owners = new Map();
+  const meetings = new Set();
+
+  actions.forEach((action) => {
+    if (action.owner) owners.set(action.owner.accountId, action.owner.name || action.owner.accountId);
+    if (action.meeting) meetings.add(action.meeting);
+  });
+
+  return {
+    owners: [...owners.entries()]
+      .map(([value, label]) => ({ value, label }))
+      .sort((a, b) => a.label.localeCompare(b.label)),
+    meetings: [...meetings]
+      .sort((a, b) => a.localeCompare(b))
+      .map((meeting) => ({ value: meeting, label: meeting })),
+  };
+}
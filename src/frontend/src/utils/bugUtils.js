@@ -0,0 +1,136 @@
+/**
+ * Utility functions for the bug report views
+ */
+
+export const SEVERITY_LEVELS = ['Critical', 'High', 'Medium', 'Low', 'Trivial'];
+
+export const EMPTY_BUG_FILTERS = {
+  sites: [],
+  projects: [],
+  severities: [],
+  assignees: [],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Accessors for the sortable bug table columns
+const SORT_ACCESSORS = {
+  key: (bug) => bug.key,
+  summary: (bug) => bug.summary,
+  severity: (bug) => bug.severity?.value,
+  priority: (bug) => bug.priority?.name,
+  status: (bug) => bug.status?.name,
+  site: (bug) => bug.site?.name,
+  project: (bug) => bug.project?.name,
+  assignee: (bug) => bug.assignee?.name,
+  created: (bug) => bug.created,
+  age: (bug) => getBugAge(bug),
+};
+
+/**
+ * Get the age of a bug in days
+ * @param {Object} bug - Bug from the bugs API
+ * @returns {number|null} - Days since the bug was created
+ */
+export function getBugAge(bug) {
+  if (!bug.created) return null;
+  const end = bug.resolutionDate ? new Date(bug.resolutionDate) : new Date();
+  return Math.floor((end - new Date(bug.created)) / DAY_MS);
+}
+
+/**
+ * Sort bugs by a column
+ * @param {Array} bugs - Bugs from the bugs API
+ * @param {string} field - Column to sort by
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Array} - Sorted bugs (empty values always last)
+ */
+export function sortBugs(bugs, field, order = 'asc') {
+  const accessor = SORT_ACCESSORS[field];
+  if (!accessor) return bugs;
+
+  const direction = order === 'desc' ? -1 : 1;
+
+  return [...bugs].sort((a, b) => {
+    const valueA = accessor(a);
+    const valueB = accessor(b);
+
+    if (valueA === valueB) return 0;
+    if (valueA === null || valueA === undefined) return 1;
+    if (valueB === null || valueB === undefined) return -1;
+    if (typeof valueA === 'number') return (valueA - valueB) * direction;
+    return String(valueA).localeCompare(String(valueB), undefined, { numeric: true }) * direction;
+  });
+}
+
+/**
+ * Derive the options for the bug filters from a list of bugs
+ * @param {Array} bugs - Bugs from the bugs API
+ * @returns {Object} - Options for sites, projects, severities and assignees
+ */
+export function getBugFilterOptions(bugs) {
+  const sites = new Map();
+  const projects = new Map();
+  const assignees = new Map();
+
+  bugs.forEach((bug) => {
+    if (bug.site) sites.set(bug.site.id, bug.site.name);
+    if (bug.project) projects.set(bug.project.key, bug.project.name);
+    if (bug.assignee) {
+      assignees.set(bug.assignee.id, bug.assignee.name);
+    } else {
+      assignees.set('unassigned', 'Unassigned');
+    }
+  });
+
+  const toOptions = (map) => [...map.entries()]
+    .map(([value, label]) => ({ value, label }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+
+  return {
+    sites: toOptions(sites),
+    projects: toOptions(projects),
+    severities: SEVERITY_LEVELS.map((level) => ({ value: level, label: level })),
+    assignees: toOptions(assignees),
+  };
+}
+
+const RULE_SOURCE_LABELS = {
+  priority: 'Priority',
+  labels: 'Label',
+};
+
+/**
+ * Group projects that share the same severity rules
+ * @param {Object} mapping - Severity mapping from the bugs API
+ * @returns {Array} - [{ projects, defaultSeverity, rules }]
+ */
+export function groupSeverityMappings(mapping) {
+  const groups = new Map();
+  const projectMappings = mapping.projects.length > 0 ? mapping.projects : [mapping.default];
+
+  projectMappings.forEach(({ project, defaultSeverity, rules }) => {
+    const key = JSON.stringify({ defaultSeverity, rules });
+    if (!groups.has(key)) groups.set(key, { projects: [], defaultSeverity, rules });
+    groups.get(key).projects.push(project);
+  });
+
+  return [...groups.values()];
+}
+
+/**
+ * Describe which source values map to a severity level
+ * @param {Array} rules - Severity rules
+ * @param {string} level - Severity level
+ * @returns {Array<string>} - Descriptions such as "Priority: Highest, Critical"
+ */
+export function describeSeverityRules(rules, level) {
+  return rules
+    .map((rule) => {
+      const values = Object.keys(rule.values).filter((value) => rule.values[value] === level);
+      if (values.length === 0) return null;
+      const source = RULE_SOURCE_LABELS[rule.source] || rule.field;
+      return `${source}: ${values.join(', ')}`;
+    })
+    .filter(Boolean);
+}
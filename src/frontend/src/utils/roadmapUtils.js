@@ -0,0 +1,195 @@
+/**
+ * Utility functions for the roadmap views
+ */
+
+export const BACKLOG_QUARTER = 'Backlog';
+
+// Colors for Jira status categories
+export const STATUS_COLORS = {
+  'To Do': '#97A0AF',
+  'In Progress': '#0065FF',
+  Done: '#36B37E',
+};
+
+export const EMPTY_FILTERS = {
+  sites: [],
+  projects: [],
+  owners: [],
+  statuses: [],
+  years: [],
+  quarters: [],
+  search: '',
+};
+
+// Filters stored as comma-separated lists in the URL
+const LIST_FILTERS = ['sites', 'projects', 'owners', 'statuses', 'years', 'quarters'];
+
+// Accessors for the sortable list view columns
+const SORT_ACCESSORS = {
+  key: (epic) => epic.key,
+  summary: (epic) => epic.summary,
+  site: (epic) => epic.project.site?.name,
+  project: (epic) => epic.project.name,
+  status: (epic) => epic.status,
+  dueDate: (epic) => epic.dueDate,
+  owner: (epic) => epic.assignee?.displayName,
+  quarter: (epic) => (epic.quarter === BACKLOG_QUARTER ? null : epic.quarter),
+  progress: (epic) => epic.progress,
+};
+
+export const SORT_FIELDS = Object.keys(SORT_ACCESSORS);
+
+/**
+ * Get the color for a status category
+ * @param {string} statusCategory - Status category name
+ * @returns {string} - Color code
+ */
+export function getStatusColor(statusCategory) {
+  return STATUS_COLORS[statusCategory] || '#808080';
+}
+
+/**
+ * Get the year of a quarter identifier (e.g. "2024-Q1")
+ * @param {string} quarterId - Quarter identifier
+ * @returns {string|null} - Year or null for the backlog
+ */
+export function getQuarterYear(quarterId) {
+  return quarterId === BACKLOG_QUARTER ? null : quarterId.split('-')[0];
+}
+
+/**
+ * Check whether an epic matches the selected filters
+ * @param {Object} epic - Roadmap epic
+ * @param {Object} filters - Selected filters
+ * @returns {boolean} - True if the epic should be shown
+ */
+export function matchesFilters(epic, filters) {
+  const ownerId = epic.assignee ? epic.assignee.id : 'unassigned';
+
+  if (filters.sites.length > 0 && !filters.sites.includes(epic.project.site?.id)) return false;
+  if (filters.projects.length > 0 && !filters.projects.includes(epic.project.key)) return false;
+  if (filters.owners.length > 0 && !filters.owners.includes(ownerId)) return false;
+  if (filters.statuses.length > 0 && !filters.statuses.includes(epic.statusCategory)) return false;
+  if (filters.years.length > 0 && !filters.years.includes(getQuarterYear(epic.quarter))) return false;
+  if (filters.quarters.length > 0 && !filters.quarters.includes(epic.quarter)) return false;
+  if (filters.search && !`${epic.key} ${epic.summary}`.toLowerCase().includes(filters.search.toLowerCase())) return false;
+  return true;
+}
+
+/**
+ * Sort roadmap epics by a column
+ * @param {Array} epics - Roadmap epics
+ * @param {string} field - Column to sort by
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Array} - Sorted epics (empty values always last)
+ */
+export function sortEpics(epics, field, order = 'asc') {
+  const accessor = SORT_ACCESSORS[field];
+  if (!accessor) return epics;
+
+  const direction = order === 'desc' ? -1 : 1;
+
+  return [...epics].sort((a, b) => {
+    const valueA = accessor(a);
+    const valueB = accessor(b);
+
+    if (valueA === valueB) return 0;
+    if (valueA === null || valueA === undefined) return 1;
+    if (valueB === null || valueB === undefined) return -1;
+    if (typeof valueA === 'number') return (valueA - valueB) * direction;
+    return String(valueA).localeCompare(String(valueB), undefined, { numeric: true }) * direction;
+  });
+}
+
+/**
+ * Read the roadmap view state from URL search parameters
+ * @param {URLSearchParams} searchParams - URL search parameters
+ * @returns {Object} - { view, filters, sort: { field, order } }
+ */
+export function readRoadmapState(searchParams) {
+  const filters = { ...EMPTY_FILTERS, search: searchParams.get('search') || '' };
+
+  LIST_FILTERS.forEach((name) => {
+    const value = searchParams.get(name);
+    filters[name] = value ? value.split(',').filter(Boolean) : [];
+  });
+
+  const field = searchParams.get('sort');
+
+  return {
+    view: searchParams.get('view') === 'list' ? 'list' : 'tiles',
+    filters,
+    sort: {
+      field: SORT_FIELDS.includes(field) ? field : null,
+      order: searchParams.get('order') === 'desc' ? 'desc' : 'asc',
+    },
+  };
+}
+
+/**
+ * Write the roadmap view state to URL search parameters
+ * @param {Object} state - { view, filters, sort: { field, order } }
+ * @returns {URLSearchParams} - URL search parameters (defaults are omitted)
+ */
+export function writeRoadmapState({ view, filters, sort }) {
+  const searchParams = new URLSearchParams();
+
+  if (view === 'list') searchParams.set('view', 'list');
+
+  LIST_FILTERS.forEach((name) => {
+    if (filters[name].length > 0) searchParams.set(name, filters[name].join(','));
+  });
+
+  if (filters.search) searchParams.set('search', filters.search);
+
+  if (sort.field) {
+    searchParams.set('sort', sort.field);
+    if (sort.order === 'desc') searchParams.set('order', 'desc');
+  }
+
+  return searchParams;
+}
+
+/**
+ * Derive the options for the roadmap filters from the loaded roadmap
+ * @param {Object} roadmap - Roadmap view model
+ * @returns {Object} - Options for sites, projects, owners, statuses, years and quarters
+ */
+export function getFilterOptions(roadmap) {
+  if (!roadmap) {
+    return { sites: [], projects: [], owners: [], statuses: [], years: [], quarters: [] };
+  }
+
+  const owners = new Map();
+  roadmap.epics.forEach((epic) => {
+    if (epic.assignee) {
+      owners.set(epic.assignee.id, epic.assignee.displayName);
+    } else {
+      owners.set('unassigned', 'Unassigned');
+    }
+  });
+
+  const quarters = roadmap.quarters.map((quarter) => ({ value: quarter.id, label: quarter.name }));
+  const years = [...new Set(roadmap.quarters.map((quarter) => getQuarterYear(quarter.id)).filter(Boolean))];
+
+  return {
+    sites: (roadmap.sites || []).map((site) => ({ value: site.id, label: site.name })),
+    projects: roadmap.projects.map((project) => ({ value: project.key, label: project.name, color: project.color })),
+    owners: [...owners.entries()]
+      .map(([value, label]) => ({ value, label }))
+      .sort((a, b) => a.label.localeCompare(b.label)),
+    statuses: Object.keys(STATUS_COLORS).map((status) => ({ value: status, label: status })),
+    years: years.map((year) => ({ value: year, label: year })),
+    quarters,
+  };
+}
+
+/**
+ * Format a date for display
+ * @param {string} date - ISO date string
+ * @returns {string} - Formatted date or an empty string
+ */
+export function formatDate(date) {
+  if (!date) return '';
+  return new Date(date).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+}